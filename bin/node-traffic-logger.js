@@ -7,6 +7,8 @@ const path = require('path');
 const fs = require('fs');
 const os = require('os');
 const { spawnSync } = require('child_process');
+const { loadConfig, resolveConfig } = require('../src/config.cjs');
+const { configureFaults } = require('../src/faults.cjs');
 
 // Read package.json for version info
 const packageJsonPath = path.join(__dirname, '..', 'package.json');
@@ -23,13 +25,38 @@ if (args.length === 0) {
   Usage: node-traffic-logger [options] <script.js> [script-args...]
 
   Options:
-    -h, --help      Show this help menu
-    -v, --version   Show version information
+    -h, --help                  Show this help menu
+    -v, --version               Show version information
+    --config <file>             Read settings from this file instead of looking for .trafficloggerrc
+    --record <file.har>         Write the captured traffic to this HAR file
+    --replay <file.har>         Answer requests from a recorded HAR file instead of the network
+    --replay-match <keys>       Keys a recording must match: method,url (default) plus body
+                                and header:<name> (e.g. method,url,body,header:x-api-key)
+    --replay-unmatched <mode>   fail (default) or passthrough for requests without a recording
+    --faults <rules.json>       Inject delays, error responses, resets and truncated bodies as the rules say
+    --redact-header <name>      Redact this header's value (repeatable)
+    --redact-query <name>       Redact this query or form parameter (repeatable)
+    --redact-json <path>        Redact this JSON body path, e.g. $.password or $..token (repeatable)
+    --redact-pattern <regex>    Redact matches of this pattern anywhere (repeatable)
+    --no-default-redaction      Do not redact the built-in list of secret headers and parameters
+    --include-host <glob>       Only capture requests to matching hosts, e.g. *.example.com (repeatable)
+    --exclude-host <glob>       Do not capture requests to matching hosts (repeatable)
+    --include-path <regex>      Only capture requests whose path matches (repeatable)
+    --exclude-path <regex>      Do not capture requests whose path matches, e.g. ^/health (repeatable)
+    --include-method <method>   Only capture requests with this method (repeatable)
+    --exclude-method <method>   Do not capture requests with this method (repeatable)
+    --no-children               Do not instrument child processes (worker threads are still captured)
+
+  Send the script's process SIGUSR2 (kill -USR2 <pid>) to start a new HAR page for the requests that follow.
 
   Examples:
     node-traffic-logger script.js
     node-traffic-logger script.js --port 3000
     node-traffic-logger -v script.js --arg value
+    node-traffic-logger --record fixtures/api.har test.js
+    node-traffic-logger --exclude-host '*.sentry.io' --exclude-path '^/health' app.js
+    node-traffic-logger --replay fixtures/api.har --replay-match method,url,body test.js
+    node-traffic-logger --faults faults.json service.js
   `);
   process.exit(0);
 }
@@ -38,6 +65,40 @@ if (args.length === 0) {
 let cliArgs = [];
 let scriptIndex = 0;
 
+// Configuration file and record-and-replay settings, passed to the preload script through the environment
+const replayOptions = {};
+const valueOptions = {
+  '--config': 'config',
+  '--record': 'record',
+  '--replay': 'replay',
+  '--replay-match': 'replayMatch',
+  '--replay-unmatched': 'replayUnmatched',
+  '--faults': 'faults'
+};
+
+// Redaction rules, passed to the preload script as JSON through the environment
+const redactRules = {};
+const redactOptions = {
+  '--redact-header': 'headers',
+  '--redact-query': 'queryParams',
+  '--redact-json': 'jsonPaths',
+  '--redact-pattern': 'patterns'
+};
+
+// Capture filter lists, merged with the configured ones and passed to the preload script as JSON
+const filterRules = {};
+const filterOptions = {
+  '--include-host': ['hosts', 'include'],
+  '--exclude-host': ['hosts', 'exclude'],
+  '--include-path': ['paths', 'include'],
+  '--exclude-path': ['paths', 'exclude'],
+  '--include-method': ['methods', 'include'],
+  '--exclude-method': ['methods', 'exclude']
+};
+
+// Child processes are instrumented unless --no-children is given; worker threads always are
+let instrumentChildren = true;
+
 // Handle CLI arguments that come before the script
 while (scriptIndex < args.length) {
   const arg = args[scriptIndex];
@@ -50,13 +111,38 @@ while (scriptIndex < args.length) {
     Usage: node-traffic-logger [options] <script.js> [script-args...]
 
     Options:
-      -h, --help      Show this help menu
-      -v, --version   Show version information
+      -h, --help                  Show this help menu
+      -v, --version               Show version information
+      --config <file>             Read settings from this file instead of looking for .trafficloggerrc
+      --record <file.har>         Write the captured traffic to this HAR file
+      --replay <file.har>         Answer requests from a recorded HAR file instead of the network
+      --replay-match <keys>       Keys a recording must match: method,url (default) plus body
+                                  and header:<name> (e.g. method,url,body,header:x-api-key)
+      --replay-unmatched <mode>   fail (default) or passthrough for requests without a recording
+      --faults <rules.json>       Inject delays, error responses, resets and truncated bodies as the rules say
+      --redact-header <name>      Redact this header's value (repeatable)
+      --redact-query <name>       Redact this query or form parameter (repeatable)
+      --redact-json <path>        Redact this JSON body path, e.g. $.password or $..token (repeatable)
+      --redact-pattern <regex>    Redact matches of this pattern anywhere (repeatable)
+      --no-default-redaction      Do not redact the built-in list of secret headers and parameters
+      --include-host <glob>       Only capture requests to matching hosts, e.g. *.example.com (repeatable)
+      --exclude-host <glob>       Do not capture requests to matching hosts (repeatable)
+      --include-path <regex>      Only capture requests whose path matches (repeatable)
+      --exclude-path <regex>      Do not capture requests whose path matches, e.g. ^/health (repeatable)
+      --include-method <method>   Only capture requests with this method (repeatable)
+      --exclude-method <method>   Do not capture requests with this method (repeatable)
+      --no-children               Do not instrument child processes (worker threads are still captured)
+
+    Send the script's process SIGUSR2 (kill -USR2 <pid>) to start a new HAR page for the requests that follow.
 
     Examples:
       node-traffic-logger script.js
       node-traffic-logger script.js --port 3000
       node-traffic-logger -v script.js --arg value
+      node-traffic-logger --record fixtures/api.har test.js
+      node-traffic-logger --exclude-host '*.sentry.io' --exclude-path '^/health' app.js
+      node-traffic-logger --replay fixtures/api.har --replay-match method,url,body test.js
+      node-traffic-logger --faults faults.json service.js
     `);
     process.exit(0);
   } 
@@ -65,6 +151,37 @@ while (scriptIndex < args.length) {
     cliArgs.push(arg);
     scriptIndex++;
   }
+  else if (arg === '--no-default-redaction') {
+    redactRules.defaults = false;
+    scriptIndex++;
+  }
+  else if (arg === '--no-children') {
+    instrumentChildren = false;
+    scriptIndex++;
+  }
+  // Options that take a value, as "--option value" or "--option=value"
+  else if (valueOptions[arg.split('=')[0]] || redactOptions[arg.split('=')[0]] || filterOptions[arg.split('=')[0]]) {
+    const [name, inlineValue] = arg.split(/=(.*)/s);
+    const value = inlineValue !== undefined ? inlineValue : args[scriptIndex + 1];
+    
+    if (!value) {
+      console.error(`Error: ${name} requires a value`);
+      process.exit(1);
+    }
+    
+    if (redactOptions[name]) {
+      // Redaction options can be given several times
+      const key = redactOptions[name];
+      redactRules[key] = [...(redactRules[key] || []), value];
+    } else if (filterOptions[name]) {
+      const [setting, list] = filterOptions[name];
+      filterRules[setting] = filterRules[setting] || { include: [], exclude: [] };
+      filterRules[setting][list].push(value);
+    } else {
+      replayOptions[valueOptions[name]] = value;
+    }
+    scriptIndex += inlineValue !== undefined ? 1 : 2;
+  }
   // If it's not a CLI option, it's the script path
   else {
     break;
@@ -86,6 +203,77 @@ if (!fs.existsSync(targetScript)) {
   process.exit(1);
 }
 
+// Validate replay settings up front so a typo cannot silently hit the network
+if (replayOptions.replay && !fs.existsSync(replayOptions.replay)) {
+  console.error(`Error: Replay file not found: ${replayOptions.replay}`);
+  process.exit(1);
+}
+
+if (replayOptions.replayUnmatched && !['fail', 'passthrough'].includes(replayOptions.replayUnmatched)) {
+  console.error(`Error: --replay-unmatched must be fail or passthrough, got: ${replayOptions.replayUnmatched}`);
+  process.exit(1);
+}
+
+// Check fault rules up front, so a broken rule is reported before the script runs
+if (replayOptions.faults) {
+  try {
+    configureFaults({ rules: replayOptions.faults });
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+// Reject invalid redaction patterns here rather than in the instrumented process
+for (const pattern of redactRules.patterns || []) {
+  try {
+    new RegExp(pattern);
+  } catch (e) {
+    console.error(`Error: Invalid --redact-pattern: ${e.message}`);
+    process.exit(1);
+  }
+}
+
+// Load the configuration file (given or found from the working directory) so mistakes are reported before the script runs
+let config;
+try {
+  config = loadConfig({ config: replayOptions.config });
+} catch (e) {
+  console.error(`Error: ${e.message}`);
+  process.exit(1);
+}
+
+// Rules from the command line add to the configured ones
+if (config.redact) {
+  for (const key of ['headers', 'queryParams', 'jsonPaths', 'patterns']) {
+    if (config.redact[key].length > 0 || redactRules[key]) {
+      redactRules[key] = [...config.redact[key], ...(redactRules[key] || [])];
+    }
+  }
+  if (redactRules.defaults === undefined && !config.redact.defaults) {
+    redactRules.defaults = false;
+  }
+}
+
+// Filter options add to the configured lists; the merged filter is validated like a configuration file
+let captureFilter = null;
+if (Object.keys(filterRules).length > 0) {
+  captureFilter = {};
+  for (const setting of ['hosts', 'paths', 'methods']) {
+    const rules = filterRules[setting] || { include: [], exclude: [] };
+    captureFilter[setting] = {
+      include: [...config[setting].include, ...rules.include],
+      exclude: [...config[setting].exclude, ...rules.exclude]
+    };
+  }
+  try {
+    resolveConfig(captureFilter);
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+}
+
 // Get script arguments (everything after the script path)
 const scriptArgs = args.slice(scriptIndex + 1);
 
@@ -99,12 +287,41 @@ const runnerPath = path.join(__dirname, '..', 'src', 'runner.cjs');
 const childEnv = {
   ...process.env,
   NODE_TRAFFIC_LOGGER_ENABLED: 'true',
-  NODE_TRAFFIC_LOGGER_DIR: process.env.NODE_TRAFFIC_LOGGER_DIR || path.join(process.cwd(), 'http-logs'),
+  NODE_TRAFFIC_LOGGER_DIR: process.env.NODE_TRAFFIC_LOGGER_DIR || config.logsDir || path.join(process.cwd(), 'http-logs'),
   
   // Add project root path to help with module resolution
   NODE_TRAFFIC_LOGGER_ROOT: path.join(__dirname, '..')
 };
 
+// Paths are resolved here because the child may change its working directory
+if (config.configFile) {
+  childEnv.NODE_TRAFFIC_LOGGER_CONFIG = path.resolve(config.configFile);
+}
+if (replayOptions.record) {
+  childEnv.NODE_TRAFFIC_LOGGER_RECORD = path.resolve(replayOptions.record);
+}
+if (replayOptions.replay) {
+  childEnv.NODE_TRAFFIC_LOGGER_REPLAY = path.resolve(replayOptions.replay);
+}
+if (replayOptions.replayMatch) {
+  childEnv.NODE_TRAFFIC_LOGGER_REPLAY_MATCH = replayOptions.replayMatch;
+}
+if (replayOptions.replayUnmatched) {
+  childEnv.NODE_TRAFFIC_LOGGER_REPLAY_UNMATCHED = replayOptions.replayUnmatched;
+}
+if (replayOptions.faults) {
+  childEnv.NODE_TRAFFIC_LOGGER_FAULTS = path.resolve(replayOptions.faults);
+}
+if (Object.keys(redactRules).length > 0) {
+  childEnv.NODE_TRAFFIC_LOGGER_REDACT = JSON.stringify(redactRules);
+}
+if (captureFilter) {
+  childEnv.NODE_TRAFFIC_LOGGER_FILTER = JSON.stringify(captureFilter);
+}
+if (!instrumentChildren) {
+  childEnv.NODE_TRAFFIC_LOGGER_CHILDREN = 'false';
+}
+
 // Use a child process to run our runner script with the target script
 const result = spawnSync('node', [
   runnerPath,
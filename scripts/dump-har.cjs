@@ -7,6 +7,13 @@ const fs = require('fs');
 const path = require('path');
 const chalk = require('chalk'); // For colorful display
 const streamDecoder = require('../src/stream-decoder.cjs');
+const { readHarFile } = require('../src/har-writer.cjs');
+const { statusLabel, numberEntries, formatInitiator } = require('./har-tui.cjs');
+const { EXPORT_FORMATS, exportEntries } = require('./har-export.cjs');
+const { toPostmanCollection } = require('./har-postman.cjs');
+
+// Command formats, plus a Postman collection (which Insomnia imports too)
+const EXPORT_CHOICES = [...EXPORT_FORMATS, 'postman'];
 
 // Check if we need to install chalk
 try {
@@ -25,19 +32,57 @@ function showUsage() {
   ${chalk.bold('HAR File Viewer')}
   
   Usage: node-traffic-logger-view <har-file-path> [options]
+         node-traffic-logger-view --follow [har-file-path|log-directory] [options]
+         node-traffic-logger-view diff <before.har> <after.har> [options]
+         node-traffic-logger-view openapi <file.har> [more.har ...] [options]
+         node-traffic-logger-view serve <file.har> [more.har ...] [options]
   
   Options:
     --summary                Show only request summary (default: false)
     --format=json            Output format (json, table, default: table)
     --filter=<url>           Filter by URL pattern (supports glob patterns)
+    --group-by=<what>        Group the table by page (default) or by initiator, the file that made the request
     --stream-display=<mode>  Stream display mode (reconstructed, raw, events, default: reconstructed)
+    --tui                    Browse entries interactively (keys are listed at the bottom of the screen)
+    --follow, -f             Print entries as they complete while the target is still running
+                             (defaults to the newest HAR in ./http-logs)
+    --export=<format>        Print the requests as commands instead (curl, httpie, fetch),
+                             or as a Postman v2.1 collection (postman)
+    --entry=<n>              Only export entry n of the listing (repeatable, or a list like 2,5)
     --help, -h               Show this help message
   
+  Diff options:
+    --ignore-header=<name>   Ignore differences in this header (repeatable)
+    --timing-threshold=<n>   Report calls that got more than n percent slower (default: 50)
+    --timing-min=<ms>        Ignore slowdowns smaller than this many milliseconds (default: 20)
+    --format=json            Print the diff report as JSON
+  
+  OpenAPI options:
+    --output=<file>          Where to write the document (default: openapi.yaml; .json writes JSON, - prints it)
+    --title=<title>          API title (default: Inferred API)
+    --filter=<url>           Only describe matching requests
+  
+  Serve options:
+    --port <n>               Port to listen on (default: 8080)
+    --latency[=<factor>]     Wait as long as each recorded call took (or that many times as long)
+    --loop                   Cycle through the recordings of repeated calls instead of repeating the last one
+    --match=<keys>           Also match on body and headers, e.g. body,header:x-api-key
+    --cors                   Let pages on other origins call the server
+    --filter=<url>           Only serve matching entries
+  
   Examples:
     node-traffic-logger-view ../http-logs/http-archive-1234567890.har
     node-traffic-logger-view ../http-logs/http-archive-1234567890.har --summary
     node-traffic-logger-view ../http-logs/http-archive-1234567890.har --filter="*api*"
     node-traffic-logger-view ../http-logs/http-archive-1234567890.har --stream-display=raw
+    node-traffic-logger-view ../http-logs/http-archive-1234567890.har --summary --group-by=initiator
+    node-traffic-logger-view ../http-logs/http-archive-1234567890.har --tui
+    node-traffic-logger-view ../http-logs/http-archive-1234567890.har --filter="*login*" --export=curl
+    node-traffic-logger-view ../http-logs/http-archive-1234567890.har --export=postman > collection.json
+    node-traffic-logger-view --follow ../http-logs --summary
+    node-traffic-logger-view diff before.har after.har --ignore-header=user-agent
+    node-traffic-logger-view openapi run1.har run2.har --filter="*api.example.com*" --output=openapi.yaml
+    node-traffic-logger-view serve checkout.har --port 8080 --latency --cors
   `);
   process.exit(0);
 }
@@ -51,7 +96,24 @@ function parseArgs() {
     summary: false,
     format: 'table',
     filter: null,
-    streamDisplay: 'reconstructed' // Default to reconstructed view
+    groupBy: 'page',
+    streamDisplay: 'reconstructed', // Default to reconstructed view
+    tui: false,
+    follow: false,
+    command: null,
+    files: [],
+    ignoreHeaders: [],
+    timingThreshold: 50,
+    timingMinMs: 20,
+    exportFormat: null,
+    entryNumbers: [],
+    output: 'openapi.yaml',
+    title: null,
+    port: 8080,
+    latency: 0,
+    loop: false,
+    cors: false,
+    match: null
   };
   
   // Skip the first two arguments (node and script path)
@@ -61,24 +123,96 @@ function parseArgs() {
     showUsage();
   }
   
-  for (const arg of cliArgs) {
+  for (let i = 0; i < cliArgs.length; i++) {
+    const arg = cliArgs[i];
     if (arg.startsWith('--')) {
       // Parse options
       if (arg === '--summary') {
         args.summary = true;
+      } else if (arg === '--tui') {
+        args.tui = true;
+      } else if (arg === '--follow') {
+        args.follow = true;
       } else if (arg.startsWith('--format=')) {
         args.format = arg.split('=')[1];
       } else if (arg.startsWith('--filter=')) {
         args.filter = arg.split('=')[1];
+      } else if (arg.startsWith('--group-by=')) {
+        args.groupBy = arg.split('=')[1];
       } else if (arg.startsWith('--stream-display=')) {
         args.streamDisplay = arg.split('=')[1];
+      } else if (arg.startsWith('--ignore-header=')) {
+        args.ignoreHeaders.push(arg.split('=')[1]);
+      } else if (arg.startsWith('--timing-threshold=')) {
+        args.timingThreshold = Number(arg.split('=')[1]);
+      } else if (arg.startsWith('--timing-min=')) {
+        args.timingMinMs = Number(arg.split('=')[1]);
+      } else if (arg.startsWith('--export=')) {
+        args.exportFormat = arg.split('=')[1];
+      } else if (arg === '--port' || arg.startsWith('--port=')) {
+        args.port = Number(arg === '--port' ? cliArgs[++i] : arg.split('=')[1]);
+      } else if (arg === '--latency' || arg.startsWith('--latency=')) {
+        args.latency = arg === '--latency' ? 1 : Number(arg.split('=')[1]);
+      } else if (arg === '--loop') {
+        args.loop = true;
+      } else if (arg === '--cors') {
+        args.cors = true;
+      } else if (arg.startsWith('--match=')) {
+        args.match = arg.slice('--match='.length);
+      } else if (arg.startsWith('--output=')) {
+        args.output = arg.slice('--output='.length);
+      } else if (arg.startsWith('--title=')) {
+        args.title = arg.slice('--title='.length);
+      } else if (arg.startsWith('--entry=')) {
+        args.entryNumbers.push(...arg.split('=')[1].split(',').map(Number));
       }
+    } else if (arg === '-f') {
+      args.follow = true;
+    } else if (['diff', 'openapi', 'serve'].includes(arg) && !args.command && !args.filePath) {
+      args.command = arg;
+    } else if (args.command) {
+      args.files.push(arg);
     } else {
       // Assume it's the file path
       args.filePath = arg;
     }
   }
   
+  if (args.command === 'diff' && args.files.length !== 2) {
+    console.error(chalk.red('Error: diff needs exactly two HAR files'));
+    process.exit(1);
+  }
+  
+  if ((args.command === 'openapi' || args.command === 'serve') && args.files.length === 0) {
+    console.error(chalk.red(`Error: ${args.command} needs at least one HAR file`));
+    process.exit(1);
+  }
+  
+  if (!Number.isInteger(args.port) || args.port < 0 || args.port > 65535) {
+    console.error(chalk.red('Error: --port takes a port number'));
+    process.exit(1);
+  }
+  
+  if (!(args.latency >= 0)) {
+    console.error(chalk.red('Error: --latency takes a non-negative factor, e.g. --latency=0.5'));
+    process.exit(1);
+  }
+  
+  if (!['page', 'initiator'].includes(args.groupBy)) {
+    console.error(chalk.red('Error: --group-by must be page or initiator'));
+    process.exit(1);
+  }
+  
+  if (args.exportFormat && !EXPORT_CHOICES.includes(args.exportFormat)) {
+    console.error(chalk.red(`Error: --export must be one of ${EXPORT_CHOICES.join(', ')}`));
+    process.exit(1);
+  }
+  
+  if (args.entryNumbers.some(number => !Number.isInteger(number) || number < 1)) {
+    console.error(chalk.red('Error: --entry takes entry numbers as shown in the listing'));
+    process.exit(1);
+  }
+  
   return args;
 }
 
@@ -98,9 +232,8 @@ function loadHarFile(filePath) {
       process.exit(1);
     }
     
-    // Read and parse the file
-    const fileContent = fs.readFileSync(resolvedPath, 'utf8');
-    return JSON.parse(fileContent);
+    // Read and parse the file, recovering entries from an interrupted log
+    return readHarFile(resolvedPath);
   } catch (error) {
     console.error(chalk.red(`Error loading HAR file: ${error.message}`));
     process.exit(1);
@@ -154,7 +287,7 @@ function formatTime(timeMs) {
  * @param {Object} options - Display options
  */
 function displayHarTable(harData, options) {
-  const { summary, filter, streamDisplay } = options;
+  const { filter } = options;
   
   console.log(chalk.bold(`\nHAR File: ${options.filePath}`));
   console.log(chalk.gray(`Creator: ${harData.log.creator.name} v${harData.log.creator.version}`));
@@ -166,11 +299,55 @@ function displayHarTable(harData, options) {
   
   console.log(chalk.gray(`Showing ${filteredEntries.length} of ${harData.log.entries.length} requests\n`));
   
-  // Headers
+  displayTableHeader();
+  
+  // Entries of a log split into pages are listed under the page they belong to,
+  // or under the file that made them with --group-by=initiator
+  const groups = numberEntries(harData.log.pages, filteredEntries, options.groupBy);
+  for (const { page, file, entries } of groups) {
+    if (options.groupBy === 'initiator') {
+      displayGroupHeading(file || 'Unknown initiator', entries);
+    } else if (groups.length > 1) {
+      displayPageHeading(page, entries);
+    }
+    entries.forEach(({ entry, number }) => displayEntry(entry, number, options));
+  }
+}
+
+/**
+ * Display the heading of a group of rows in the entry table
+ * @param {string} title - Group title
+ * @param {Object[]} entries - Entries shown under the heading
+ * @param {string} [extra] - Details shown after the request count
+ */
+function displayGroupHeading(title, entries, extra = '') {
+  const count = `${entries.length} request${entries.length === 1 ? '' : 's'}`;
+  console.log(chalk.bold.blue(`\n▸ ${title}`), chalk.gray(`(${count}${extra})`));
+}
+
+/**
+ * Display the heading of a page's rows in the entry table
+ * @param {Object|null} page - HAR page, or null for entries of no known page
+ * @param {Object[]} entries - Entries shown under the page
+ */
+function displayPageHeading(page, entries) {
+  if (!page) {
+    displayGroupHeading('Other requests', entries);
+    return;
+  }
+  
+  const onLoad = page.pageTimings && page.pageTimings.onLoad;
+  displayGroupHeading(page.title, entries, onLoad >= 0 ? `, ${formatTime(onLoad)}` : '');
+}
+
+/**
+ * Display the column headings of the entry table
+ */
+function displayTableHeader() {
   console.log(
     chalk.bold(padEnd('#', 4)),
     chalk.bold(padEnd('Method', 7)),
-    chalk.bold(padEnd('Status', 8)),
+    chalk.bold(padEnd('Status', 15)),
     chalk.bold(padEnd('Type', 20)),
     chalk.bold(padEnd('Size', 10)),
     chalk.bold(padEnd('Time', 10)),
@@ -178,53 +355,70 @@ function displayHarTable(harData, options) {
   );
   
   console.log(chalk.gray('─'.repeat(120)));
+}
+
+/**
+ * Display one entry as a table row, followed by its bodies unless in summary mode
+ * @param {Object} entry - HAR entry
+ * @param {number} number - Number of the entry in the listing, from 1
+ * @param {Object} options - Display options
+ */
+function displayEntry(entry, number, options) {
+  const { summary, streamDisplay } = options;
+  const { request, response } = entry;
   
-  // Rows
-  filteredEntries.forEach((entry, index) => {
-    const { request, response } = entry;
-    
-    // Get content type and format it
-    const contentType = (response.content.mimeType || '').split(';')[0].trim() || 'unknown';
-    const shortContentType = contentType.split('/').pop() || contentType;
-    
-    // Check if this is an SSE stream
-    const isStream = streamDecoder.isSSEStream(response);
-    const typeDisplay = isStream ? `${shortContentType} (stream)` : shortContentType;
-    
-    // Format status with color
-    let statusColor = chalk.green;
-    if (response.status >= 400) statusColor = chalk.red;
-    else if (response.status >= 300) statusColor = chalk.yellow;
+  // Get content type and format it
+  const contentType = (response.content.mimeType || '').split(';')[0].trim() || 'unknown';
+  const shortContentType = contentType.split('/').pop() || contentType;
+  
+  // Check if this is an SSE stream
+  const isStream = streamDecoder.isSSEStream(response);
+  const typeDisplay = isStream ? `${shortContentType} (stream)` : shortContentType;
+  
+  // Format status with color; failed requests show why they failed
+  let statusColor = chalk.green;
+  if (entry._error || response.status >= 400) statusColor = chalk.red;
+  else if (response.status >= 300) statusColor = chalk.yellow;
+  const status = entry._error ? statusLabel(entry) : String(response.status);
+  
+  // Format method with color
+  let methodColor = chalk.blue;
+  if (request.method === 'POST') methodColor = chalk.yellow;
+  else if (['PUT', 'PATCH', 'DELETE'].includes(request.method)) methodColor = chalk.red;
+  
+  console.log(
+    chalk.gray(padEnd(String(number), 4)),
+    methodColor(padEnd(request.method, 7)),
+    statusColor(padEnd(status, 15)),
+    chalk.cyan(padEnd(typeDisplay, 20)),
+    chalk.yellow(padEnd(formatSize(response.content.size), 10)),
+    chalk.magenta(padEnd(formatTime(entry.time), 10)),
+    chalk.white(trimUrl(request.url, 80))
+  );
+  
+  // If not in summary mode, show details
+  if (!summary) {
+    if (entry._error) {
+      const { code, message, phase, elapsed } = entry._error;
+      console.log(chalk.red(`  ${code}: ${message} (${phase || 'unknown'} phase, after ${formatTime(elapsed)})`));
+    }
     
-    // Format method with color
-    let methodColor = chalk.blue;
-    if (request.method === 'POST') methodColor = chalk.yellow;
-    else if (['PUT', 'PATCH', 'DELETE'].includes(request.method)) methodColor = chalk.red;
+    const initiator = formatInitiator(entry);
+    if (initiator) {
+      console.log(chalk.gray(`  Initiator: ${initiator}`));
+    }
     
-    console.log(
-      chalk.gray(padEnd(String(index + 1), 4)),
-      methodColor(padEnd(request.method, 7)),
-      statusColor(padEnd(String(response.status), 8)),
-      chalk.cyan(padEnd(typeDisplay, 20)),
-      chalk.yellow(padEnd(formatSize(response.content.size), 10)),
-      chalk.magenta(padEnd(formatTime(entry.time), 10)),
-      chalk.white(trimUrl(request.url, 80))
-    );
+    if (request.postData && request.postData.text) {
+      console.log(chalk.gray('  Request Body:'));
+      console.log(chalk.whiteBright('  ' + formatBody(request.postData.text, request.postData.mimeType)));
+    }
     
-    // If not in summary mode, show details
-    if (!summary) {
-      if (request.postData && request.postData.text) {
-        console.log(chalk.gray('  Request Body:'));
-        console.log(chalk.whiteBright('  ' + formatBody(request.postData.text, request.postData.mimeType)));
-      }
-      
-      if (response.content && response.content.text) {
-        displayResponseBody(entry, streamDisplay);
-      }
-      
-      console.log('');
+    if (response.content && response.content.text) {
+      displayResponseBody(entry, streamDisplay);
     }
-  });
+    
+    console.log('');
+  }
 }
 
 /**
@@ -244,7 +438,10 @@ function displayResponseBody(entry, streamDisplay) {
     console.log(chalk.cyan('  Response Body: (Server-Sent Event Stream)'));
     
     // Parse the stream
-    const parsed = streamDecoder.parseSSEStream(response.content.text);
+    const parsed = streamDecoder.parseSSEStream(response.content.text, {
+      eventTimes: response.content._eventTimes,
+      startedDateTime: entry.startedDateTime
+    });
     
     // Display based on the selected mode
     switch (streamDisplay) {
@@ -252,19 +449,20 @@ function displayResponseBody(entry, streamDisplay) {
         // Display raw response
         console.log(chalk.whiteBright('  ' + response.content.text));
         break;
-        
+      
       case 'events':
         // Display event list
         console.log(chalk.gray('  Events:'));
         parsed.events.forEach((event, index) => {
           const formattedData = typeof event.data === 'object' 
             ? formatRequestResponseText(JSON.stringify(event.data), 'application/json').replace(/^  /gm, '    ') 
-            : event.data.replace(/\\n/g, '\n    ');
-          console.log(chalk.whiteBright(`  [${index}] ${event.type}:`));
+            : String(event.data).replace(/\\n/g, '\n    ');
+          const arrived = event.time !== undefined ? ` (+${event.time}ms)` : '';
+          console.log(chalk.whiteBright(`  [${index}] ${event.type}${event.id ? ` #${event.id}` : ''}${arrived}:`));
           console.log(chalk.whiteBright(`    ${formattedData}`));
         });
         break;
-        
+      
       case 'summary':
         // Display event summary
         const summary = streamDecoder.getEventSummary(parsed.events);
@@ -273,7 +471,7 @@ function displayResponseBody(entry, streamDisplay) {
           console.log(chalk.gray(`  - ${type}: ${count}`));
         }
         break;
-        
+      
       case 'reconstructed':
       default:
         // Display reconstructed message
@@ -338,6 +536,11 @@ function displayObjectContents(obj, prefix = '  ') {
     });
   }
   
+  // Chat completions keep the message of each choice
+  if (obj.choices && Array.isArray(obj.choices)) {
+    obj.choices.forEach(choice => displayChoice(choice, prefix));
+  }
+  
   // Stop reason
   if (obj.stop_reason) {
     console.log(chalk.gray(`\n${prefix}Stop reason: ${obj.stop_reason}`));
@@ -367,6 +570,39 @@ function displayObjectContents(obj, prefix = '  ') {
   }
 }
 
+/**
+ * Display one choice of a reconstructed chat completion
+ * @param {Object} choice - Choice with its assembled message
+ * @param {string} prefix - Prefix for indentation
+ */
+function displayChoice(choice, prefix) {
+  const message = choice.message || {};
+  console.log(chalk.yellow(`\n${prefix}[Choice ${choice.index}] ${message.role || 'assistant'}`));
+  
+  if (message.reasoning_content) {
+    console.log(chalk.gray(`${prefix}${message.reasoning_content.split('\n').join(`\n${prefix}`)}`));
+  }
+  if (message.content) {
+    console.log(chalk.whiteBright(`${prefix}${message.content.split('\n').join(`\n${prefix}`)}`));
+  }
+  if (message.refusal) {
+    console.log(chalk.red(`${prefix}Refusal: ${message.refusal}`));
+  }
+  
+  // Arguments are streamed as JSON text; show them formatted when they are complete
+  const calls = (message.tool_calls || []).filter(Boolean).map(call => ({ label: `Tool call ${call.id || ''}`.trim(), call: call.function }));
+  if (message.function_call) calls.push({ label: 'Function call', call: message.function_call });
+  calls.forEach(({ label, call }) => {
+    console.log(chalk.cyan(`${prefix}${label}: ${call.name}`));
+    const formattedArguments = formatRequestResponseText(call.arguments, 'application/json');
+    console.log(chalk.whiteBright(`${prefix}${formattedArguments}`));
+  });
+  
+  if (choice.finish_reason) {
+    console.log(chalk.gray(`${prefix}Finish reason: ${choice.finish_reason}`));
+  }
+}
+
 /**
  * Display the HAR data in JSON format
  * @param {Object} harData - Parsed HAR data
@@ -386,7 +622,10 @@ function displayHarJson(harData, options) {
       
       if (streamDecoder.isSSEStream(response) && response.content && response.content.text) {
         // Add parsed stream data to the entry
-        const parsed = streamDecoder.parseSSEStream(response.content.text);
+        const parsed = streamDecoder.parseSSEStream(response.content.text, {
+          eventTimes: response.content._eventTimes,
+          startedDateTime: entry.startedDateTime
+        });
         
         // Attach based on display mode
         switch (streamDisplay) {
@@ -413,6 +652,7 @@ function displayHarJson(harData, options) {
         url: request.url,
         method: request.method,
         status: response.status,
+        error: entry._error || null,
         contentType: response.content.mimeType,
         isStream: isStream,
         size: response.content.size,
@@ -509,6 +749,257 @@ function padEnd(str, length) {
   return str + ' '.repeat(length - str.length);
 }
 
+/**
+ * Open the interactive viewer on the entries that pass the URL filter
+ * @param {Object} harData - Parsed HAR data
+ * @param {Object} options - Display options
+ */
+function runInteractive(harData, options) {
+  const { runTui } = require('./har-tui.cjs');
+  const entries = harData.log.entries.filter(entry => urlMatchesFilter(entry.request.url, options.filter));
+  
+  runTui({ log: { ...harData.log, entries } }, options).catch(error => {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  });
+}
+
+/**
+ * Print entries as they are completed in a HAR file or log directory, until interrupted
+ * @param {Object} options - Display options
+ */
+function runFollow(options) {
+  const { followHar } = require('./har-follow.cjs');
+  const target = path.resolve(process.cwd(), options.filePath || 'http-logs');
+  let count = 0;
+  
+  if (options.format !== 'json') {
+    console.error(chalk.gray(`Waiting for entries in ${target} (Ctrl-C to stop)`));
+  }
+  
+  followHar(target, entry => {
+    if (!urlMatchesFilter(entry.request.url, options.filter)) return;
+    
+    if (options.format === 'json') {
+      // One entry per line so the output can be piped into other tools
+      console.log(JSON.stringify(entry));
+    } else {
+      displayEntry(entry, ++count, options);
+    }
+  }, {
+    onFile: filePath => {
+      if (options.format !== 'json') {
+        console.log(chalk.bold(`\nFollowing ${filePath}\n`));
+        displayTableHeader();
+      }
+    },
+    onError: error => {
+      console.error(chalk.red(`Error following HAR file: ${error.message}`));
+      process.exit(1);
+    }
+  });
+}
+
+/**
+ * Compare two HAR files and print the differences
+ * Exits with code 1 when differences are found, like diff(1)
+ * @param {Object} options - Display and diff options
+ */
+function runDiff(options) {
+  const { diffHar, hasDifferences } = require('./har-diff.cjs');
+  const [fileA, fileB] = options.files;
+  const filterEntries = harData => ({
+    log: { ...harData.log, entries: harData.log.entries.filter(entry => urlMatchesFilter(entry.request.url, options.filter)) }
+  });
+  
+  const report = diffHar(filterEntries(loadHarFile(fileA)), filterEntries(loadHarFile(fileB)), options);
+  
+  if (options.format === 'json') {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    displayDiff(report, fileA, fileB);
+  }
+  
+  process.exitCode = hasDifferences(report) ? 1 : 0;
+}
+
+/**
+ * Print the listed entries as commands that send the same requests, or as a Postman collection
+ * @param {Object} harData - Parsed HAR data
+ * @param {Object} options - Export options
+ */
+function runExport(harData, options) {
+  // Number entries as the table listing with the same --group-by does, so --entry picks what it showed
+  const filteredEntries = harData.log.entries.filter(entry => urlMatchesFilter(entry.request.url, options.filter));
+  const listed = numberEntries(harData.log.pages, filteredEntries, options.groupBy).flatMap(group => group.entries);
+  
+  const selected = options.entryNumbers.length > 0
+    ? listed.filter(({ number }) => options.entryNumbers.includes(number))
+    : listed;
+  
+  if (selected.length === 0) {
+    console.error(chalk.red('Error: no entries to export'));
+    process.exitCode = 1;
+    return;
+  }
+  
+  if (options.exportFormat === 'postman') {
+    const name = path.basename(options.filePath, path.extname(options.filePath));
+    const collection = toPostmanCollection(selected.map(({ entry }) => entry), { name });
+    console.log(JSON.stringify(collection, null, 2));
+  } else {
+    console.log(exportEntries(selected, options.exportFormat));
+  }
+}
+
+/**
+ * Infer an OpenAPI document from one or more HAR files and write it
+ * @param {Object} options - Command options
+ */
+function runOpenApi(options) {
+  const { inferOpenApi, toYaml } = require('./har-openapi.cjs');
+  const entries = options.files
+    .flatMap(file => loadHarFile(file).log.entries)
+    .filter(entry => urlMatchesFilter(entry.request.url, options.filter));
+  
+  const document = inferOpenApi(entries, { title: options.title });
+  const text = options.output.endsWith('.json') ? JSON.stringify(document, null, 2) : toYaml(document);
+  
+  if (options.output === '-') {
+    console.log(text);
+    return;
+  }
+  
+  fs.writeFileSync(options.output, `${text}\n`);
+  const operations = Object.values(document.paths).reduce((sum, methods) => sum + Object.keys(methods).length, 0);
+  console.log(chalk.green(`Wrote ${options.output}: ${operations} operations on ${Object.keys(document.paths).length} paths from ${entries.length} requests`));
+}
+
+/**
+ * Serve the recorded responses of one or more HAR files until interrupted
+ * @param {Object} options - Command options
+ */
+function runServe(options) {
+  const { createMockServer } = require('./har-serve.cjs');
+  const entries = options.files
+    .flatMap(file => loadHarFile(file).log.entries)
+    .filter(entry => urlMatchesFilter(entry.request.url, options.filter));
+  
+  const server = createMockServer(entries, {
+    match: options.match,
+    loop: options.loop,
+    latency: options.latency,
+    cors: options.cors,
+    onRequest: ({ method, url, status, match }) => {
+      if (match) {
+        const how = match.tier === 'exact' ? '' : chalk.yellow(` (${match.tier} match)`);
+        console.log(`${chalk.blue(padEnd(method, 7))} ${url} ${chalk.green(status)} ${chalk.gray(`← ${match.entry.request.url}`)}${how}`);
+      } else {
+        console.log(`${chalk.blue(padEnd(method, 7))} ${url} ${status === 404 ? chalk.red('404 no recorded response') : chalk.gray(status)}`);
+      }
+    }
+  });
+  
+  server.on('error', error => {
+    console.error(chalk.red(`Error: ${error.message}`));
+    process.exit(1);
+  });
+  
+  // Open connections are closed on Ctrl-C; server.closeAllConnections() only exists from Node.js 18.2
+  const sockets = new Set();
+  server.on('connection', socket => {
+    sockets.add(socket);
+    socket.once('close', () => sockets.delete(socket));
+  });
+  
+  server.listen(options.port, () => {
+    const { port } = server.address();
+    console.log(chalk.bold(`Serving ${server.mock.entries.length} recorded responses on http://localhost:${port}`));
+    console.log(chalk.gray('Requests nothing matches get a 404 and are reported when you stop the server (Ctrl-C)\n'));
+  });
+  
+  process.once('SIGINT', () => {
+    const { unmatched } = server.mock;
+    if (unmatched.size > 0) {
+      console.log(chalk.bold(`\nUnmatched requests (${unmatched.size}):`));
+      for (const [request, count] of unmatched) {
+        console.log(chalk.red(`  ${request}${count > 1 ? ` ×${count}` : ''}`));
+      }
+    } else {
+      console.log(chalk.gray('\nEvery request had a recorded response'));
+    }
+    server.close();
+    if (typeof server.closeAllConnections === 'function') {
+      server.closeAllConnections();
+    } else {
+      sockets.forEach(socket => socket.destroy());
+    }
+  });
+}
+
+/**
+ * Display a diff report
+ * @param {Object} report - Report from diffHar
+ * @param {string} fileA - File compared from
+ * @param {string} fileB - File compared to
+ */
+function displayDiff(report, fileA, fileB) {
+  const { summary } = report;
+  
+  console.log(chalk.bold(`\n--- ${fileA}\n+++ ${fileB}\n`));
+  console.log(chalk.gray(
+    `${summary.paired} paired calls, ${summary.changed} changed, ${summary.added} added, ${summary.removed} removed\n`
+  ));
+  
+  report.removed.forEach(call => {
+    console.log(chalk.red(`- ${padEnd(call.method, 7)} ${padEnd(String(call.status), 4)} ${call.url}`));
+  });
+  report.added.forEach(call => {
+    console.log(chalk.green(`+ ${padEnd(call.method, 7)} ${padEnd(String(call.status), 4)} ${call.url}`));
+  });
+  if (report.removed.length + report.added.length > 0) {
+    console.log('');
+  }
+  
+  report.changed.forEach(call => {
+    console.log(chalk.yellow(`~ ${padEnd(call.method, 7)} ${call.template}`));
+    
+    if (call.status) {
+      console.log(`    status: ${chalk.red(call.status.from)} → ${chalk.green(call.status.to)}`);
+    }
+    if (call.timing) {
+      const slower = call.timing.from > 0 ? ` (+${Math.round((call.timing.to / call.timing.from - 1) * 100)}%)` : '';
+      console.log(`    time: ${formatTime(call.timing.from)} → ${chalk.magenta(formatTime(call.timing.to))}${slower}`);
+    }
+    
+    for (const [label, diff] of [['request header', call.requestHeaders], ['response header', call.responseHeaders]]) {
+      if (!diff) continue;
+      diff.removed.forEach(h => console.log(chalk.red(`    - ${label} ${h.name}: ${h.value}`)));
+      diff.added.forEach(h => console.log(chalk.green(`    + ${label} ${h.name}: ${h.value}`)));
+      diff.changed.forEach(h => console.log(`    ~ ${label} ${h.name}: ${chalk.red(h.from)} → ${chalk.green(h.to)}`));
+    }
+    
+    for (const [label, changes] of [['request body', call.requestBody], ['response body', call.responseBody]]) {
+      if (!changes) continue;
+      changes.forEach(change => {
+        if (change.change === 'added') {
+          console.log(chalk.green(`    + ${label} ${change.path} (${change.to})`));
+        } else if (change.change === 'removed') {
+          console.log(chalk.red(`    - ${label} ${change.path} (${change.from})`));
+        } else {
+          console.log(`    ~ ${label} ${change.path}: ${chalk.red(change.from)} → ${chalk.green(change.to)}`);
+        }
+      });
+    }
+    
+    console.log('');
+  });
+  
+  if (!report.changed.length && !report.added.length && !report.removed.length) {
+    console.log(chalk.green('No differences'));
+  }
+}
+
 /**
  * Main function
  */
@@ -516,11 +1007,36 @@ function main() {
   // Parse command line arguments
   const args = parseArgs();
   
+  if (args.command === 'diff') {
+    runDiff(args);
+    return;
+  }
+  
+  if (args.command === 'openapi') {
+    runOpenApi(args);
+    return;
+  }
+  
+  if (args.command === 'serve') {
+    runServe(args);
+    return;
+  }
+  
+  // Following reads the file incrementally instead of loading it
+  if (args.follow) {
+    runFollow(args);
+    return;
+  }
+  
   // Load HAR file
   const harData = loadHarFile(args.filePath);
   
   // Display in the specified format
-  if (args.format === 'json') {
+  if (args.exportFormat) {
+    runExport(harData, args);
+  } else if (args.tui) {
+    runInteractive(harData, args);
+  } else if (args.format === 'json') {
     displayHarJson(harData, args);
   } else {
     displayHarTable(harData, args);
@@ -0,0 +1,359 @@
+// ABOUTME: Compares two HAR archives entry by entry
+// ABOUTME: Pairs calls by method and URL template and reports added/removed calls, status, header, body and timing changes
+
+const jsonFormatter = require('../src/json-formatter.cjs');
+const { urlTemplate } = require('../src/url-template.cjs');
+
+// Headers whose values change on every call, so differences are noise
+const DEFAULT_IGNORED_HEADERS = [
+  'age',
+  'cf-ray',
+  'content-length',
+  'date',
+  'etag',
+  'expires',
+  'last-modified',
+  'request-id',
+  'server-timing',
+  'traceparent',
+  'tracestate',
+  'x-amzn-requestid',
+  'x-amzn-trace-id',
+  'x-request-id',
+  'x-trace-id'
+];
+
+/**
+ * Get the key used to pair entries across archives
+ * @param {Object} entry - HAR entry
+ * @returns {string} "METHOD template"
+ */
+function entryKey(entry) {
+  return `${entry.request.method} ${urlTemplate(entry.request.url)}`;
+}
+
+/**
+ * Pair entries of two archives: calls with the same key are paired in recorded order
+ * @param {Object[]} entriesA - Entries of the first archive
+ * @param {Object[]} entriesB - Entries of the second archive
+ * @returns {{pairs: Array, added: Object[], removed: Object[]}} Paired and unpaired entries
+ */
+function pairEntries(entriesA, entriesB) {
+  const pending = new Map();
+  for (const entry of entriesB) {
+    const key = entryKey(entry);
+    if (!pending.has(key)) pending.set(key, []);
+    pending.get(key).push(entry);
+  }
+  
+  const pairs = [];
+  const removed = [];
+  for (const entry of entriesA) {
+    const candidates = pending.get(entryKey(entry));
+    if (candidates && candidates.length > 0) {
+      pairs.push([entry, candidates.shift()]);
+    } else {
+      removed.push(entry);
+    }
+  }
+  
+  // Whatever is left in the second archive was not there before
+  const added = entriesB.filter(entry => pending.get(entryKey(entry)).includes(entry));
+  
+  return { pairs, added, removed };
+}
+
+/**
+ * Collect HAR headers into a map of lowercased name to value
+ * @param {Array} headers - HAR headers
+ * @param {Set} ignored - Lowercased names to skip
+ * @returns {Map} Header values, repeated headers joined with ", "
+ */
+function headerMap(headers, ignored) {
+  const map = new Map();
+  for (const { name, value } of headers || []) {
+    const lowerName = name.toLowerCase();
+    if (ignored.has(lowerName)) continue;
+    map.set(lowerName, map.has(lowerName) ? `${map.get(lowerName)}, ${value}` : value);
+  }
+  return map;
+}
+
+/**
+ * Compare two sets of HAR headers
+ * @param {Array} headersA - Headers before
+ * @param {Array} headersB - Headers after
+ * @param {Set} ignored - Lowercased names to skip
+ * @returns {Object|null} Added, removed and changed headers, or null if they are the same
+ */
+function diffHeaders(headersA, headersB, ignored) {
+  const mapA = headerMap(headersA, ignored);
+  const mapB = headerMap(headersB, ignored);
+  const diff = { added: [], removed: [], changed: [] };
+  
+  for (const [name, value] of mapA) {
+    if (!mapB.has(name)) {
+      diff.removed.push({ name, value });
+    } else if (mapB.get(name) !== value) {
+      diff.changed.push({ name, from: value, to: mapB.get(name) });
+    }
+  }
+  for (const [name, value] of mapB) {
+    if (!mapA.has(name)) diff.added.push({ name, value });
+  }
+  
+  return diff.added.length + diff.removed.length + diff.changed.length > 0 ? diff : null;
+}
+
+/**
+ * Get the JSON type of a value
+ * @param {any} value - JSON value
+ * @returns {string} object, array, string, number, boolean or null
+ */
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Describe the structure of a JSON value, merging the structure of all array items
+ * @param {any} value - JSON value
+ * @returns {Object} Shape: { type, keys } for objects, { type, items } for arrays, { type } otherwise
+ */
+function jsonShape(value) {
+  const type = jsonType(value);
+  
+  if (type === 'object') {
+    // No prototype, so keys like "constructor" or "__proto__" are plain keys
+    const keys = Object.create(null);
+    for (const [key, child] of Object.entries(value)) {
+      keys[key] = jsonShape(child);
+    }
+    return { type, keys };
+  }
+  
+  if (type === 'array') {
+    return { type, items: value.map(jsonShape).reduce(mergeShapes, null) };
+  }
+  
+  return { type };
+}
+
+/**
+ * Merge two shapes into one that has every key of both
+ * @param {Object|null} a - First shape
+ * @param {Object|null} b - Second shape
+ * @returns {Object|null} Merged shape; the first type wins when the types differ
+ */
+function mergeShapes(a, b) {
+  if (!a) return b;
+  if (!b || a.type !== b.type) return a;
+  
+  if (a.type === 'object') {
+    const keys = Object.assign(Object.create(null), a.keys);
+    for (const [key, shape] of Object.entries(b.keys)) {
+      keys[key] = mergeShapes(keys[key], shape);
+    }
+    return { type: a.type, keys };
+  }
+  
+  if (a.type === 'array') {
+    return { type: a.type, items: mergeShapes(a.items, b.items) };
+  }
+  
+  return a;
+}
+
+/**
+ * Build the JSON path of an object property
+ * @param {string} path - Path of the object
+ * @param {string} key - Property name
+ * @returns {string} "$.key", or "$[\"odd key\"]" for names that are not identifiers
+ */
+function childPath(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Compare the structure of two JSON shapes
+ * @param {Object} a - Shape before
+ * @param {Object} b - Shape after
+ * @param {string} [path='$'] - JSON path of the shapes
+ * @returns {Array<{path: string, change: string, from?: string, to?: string}>} Structural changes
+ */
+function diffShapes(a, b, path = '$') {
+  if (a.type !== b.type) {
+    return [{ path, change: 'type', from: a.type, to: b.type }];
+  }
+  
+  const changes = [];
+  
+  if (a.type === 'object') {
+    for (const key of Object.keys(a.keys)) {
+      if (!(key in b.keys)) {
+        changes.push({ path: childPath(path, key), change: 'removed', from: a.keys[key].type });
+      } else {
+        changes.push(...diffShapes(a.keys[key], b.keys[key], childPath(path, key)));
+      }
+    }
+    for (const key of Object.keys(b.keys)) {
+      if (!(key in a.keys)) {
+        changes.push({ path: childPath(path, key), change: 'added', to: b.keys[key].type });
+      }
+    }
+  } else if (a.type === 'array' && a.items && b.items) {
+    // Empty arrays say nothing about their items, so only non-empty ones are compared
+    changes.push(...diffShapes(a.items, b.items, `${path}[*]`));
+  }
+  
+  return changes;
+}
+
+/**
+ * Parse a body as JSON if it looks like JSON
+ * @param {string} text - Body text
+ * @param {string} mimeType - MIME type of the body
+ * @returns {{json: boolean, value?: any}} Parsed body
+ */
+function parseJsonBody(text, mimeType) {
+  if (!text || !((mimeType || '').includes('json') || jsonFormatter.isLikelyJson(text))) {
+    return { json: false };
+  }
+  
+  try {
+    return { json: true, value: JSON.parse(text) };
+  } catch (e) {
+    return { json: false };
+  }
+}
+
+/**
+ * Compare the structure of two bodies; only JSON bodies are compared
+ * @param {Object} contentA - postData or content before
+ * @param {Object} contentB - postData or content after
+ * @returns {Array|null} Structural changes, or null if there are none
+ */
+function diffBodies(contentA, contentB) {
+  const a = parseJsonBody(contentA && contentA.text, contentA && contentA.mimeType);
+  const b = parseJsonBody(contentB && contentB.text, contentB && contentB.mimeType);
+  
+  if (!a.json && !b.json) return null;
+  if (a.json !== b.json) {
+    const describe = (parsed, content) => (parsed.json ? 'json' : content && content.text ? 'text' : 'empty');
+    return [{ path: '$', change: 'type', from: describe(a, contentA), to: describe(b, contentB) }];
+  }
+  
+  const changes = diffShapes(jsonShape(a.value), jsonShape(b.value));
+  return changes.length > 0 ? changes : null;
+}
+
+/**
+ * Check whether an entry got slower beyond the thresholds
+ * @param {Object} entryA - Entry before
+ * @param {Object} entryB - Entry after
+ * @param {Object} options - Thresholds
+ * @returns {Object|null} Timing change, or null if it is not a regression
+ */
+function diffTiming(entryA, entryB, options) {
+  const from = entryA.time;
+  const to = entryB.time;
+  if (typeof from !== 'number' || typeof to !== 'number' || from < 0 || to < 0) return null;
+  
+  // Both a relative and an absolute slowdown are required, so fast calls do not flap
+  if (to - from >= options.timingMinMs && to > from * (1 + options.timingThreshold / 100)) {
+    return { from, to };
+  }
+  return null;
+}
+
+/**
+ * Compare two HAR archives
+ * @param {Object} harA - Archive before
+ * @param {Object} harB - Archive after
+ * @param {Object} [options] - Diff options
+ * @param {string[]} [options.ignoreHeaders] - Extra header names to ignore
+ * @param {number} [options.timingThreshold=50] - Slowdown in percent reported as a regression
+ * @param {number} [options.timingMinMs=20] - Minimum slowdown in milliseconds reported as a regression
+ * @returns {Object} Diff report with summary, added, removed and changed calls
+ */
+function diffHar(harA, harB, options = {}) {
+  const settings = {
+    timingThreshold: 50,
+    timingMinMs: 20,
+    ...options
+  };
+  const ignored = new Set([
+    ...DEFAULT_IGNORED_HEADERS,
+    ...(settings.ignoreHeaders || []).map(name => name.toLowerCase())
+  ]);
+  
+  const describe = entry => ({
+    method: entry.request.method,
+    url: entry.request.url,
+    template: urlTemplate(entry.request.url),
+    status: entry.response ? entry.response.status : 0
+  });
+  
+  const { pairs, added, removed } = pairEntries(harA.log.entries, harB.log.entries);
+  const changed = [];
+  
+  for (const [entryA, entryB] of pairs) {
+    const statusA = entryA.response ? entryA.response.status : 0;
+    const statusB = entryB.response ? entryB.response.status : 0;
+    const responseA = entryA.response || {};
+    const responseB = entryB.response || {};
+    
+    const changes = {
+      status: statusA !== statusB ? { from: statusA, to: statusB } : null,
+      requestHeaders: diffHeaders(entryA.request.headers, entryB.request.headers, ignored),
+      responseHeaders: diffHeaders(responseA.headers, responseB.headers, ignored),
+      requestBody: diffBodies(entryA.request.postData, entryB.request.postData),
+      responseBody: diffBodies(responseA.content, responseB.content),
+      timing: diffTiming(entryA, entryB, settings)
+    };
+    
+    if (Object.values(changes).some(Boolean)) {
+      changed.push({
+        method: entryA.request.method,
+        template: urlTemplate(entryA.request.url),
+        urlA: entryA.request.url,
+        urlB: entryB.request.url,
+        ...changes
+      });
+    }
+  }
+  
+  return {
+    summary: {
+      paired: pairs.length,
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length
+    },
+    added: added.map(describe),
+    removed: removed.map(describe),
+    changed
+  };
+}
+
+/**
+ * Check whether a report contains any differences
+ * @param {Object} report - Report from diffHar
+ * @returns {boolean} True if anything differs
+ */
+function hasDifferences(report) {
+  return report.summary.added + report.summary.removed + report.summary.changed > 0;
+}
+
+module.exports = {
+  DEFAULT_IGNORED_HEADERS,
+  entryKey,
+  pairEntries,
+  diffHeaders,
+  jsonShape,
+  diffShapes,
+  diffBodies,
+  diffHar,
+  hasDifferences
+};
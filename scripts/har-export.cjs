@@ -0,0 +1,192 @@
+// ABOUTME: Turns HAR entries into runnable curl, httpie and fetch commands
+// ABOUTME: Reproduces the method, headers and body of each recorded request exactly as captured
+
+// Headers the client works out for itself or that describe the connection; copying them
+// breaks the command (a stale Content-Length, HTTP/2 pseudo-headers) or fetch rejects them
+const DROPPED_HEADERS = [
+  'accept-encoding',
+  'connection',
+  'content-length',
+  'expect',
+  'host',
+  'keep-alive',
+  'proxy-connection',
+  'te',
+  'transfer-encoding',
+  'upgrade'
+];
+
+const EXPORT_FORMATS = ['curl', 'httpie', 'fetch'];
+
+/**
+ * Quote a value for a POSIX shell
+ * @param {string} value - Value
+ * @returns {string} Single-quoted value
+ */
+function shellQuote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Get the headers a command should send
+ * @param {Object} request - HAR request
+ * @returns {Array<{name: string, value: string}>} Headers in recorded order
+ */
+function exportedHeaders(request) {
+  return (request.headers || []).filter(header =>
+    !header.name.startsWith(':') && !DROPPED_HEADERS.includes(header.name.toLowerCase())
+  );
+}
+
+/**
+ * Get the body a command should send
+ * @param {Object} request - HAR request
+ * @returns {string|null} Body text as captured, or null if the request had none
+ */
+function exportedBody(request) {
+  const { postData } = request;
+  if (!postData) return null;
+  if (typeof postData.text === 'string') return postData.text;
+  
+  // HAR allows form bodies as params alone
+  if (Array.isArray(postData.params)) {
+    return new URLSearchParams(postData.params.map(param => [param.name, param.value || ''])).toString();
+  }
+  return null;
+}
+
+/**
+ * Check whether the request asked for a compressed response
+ * @param {Object} request - HAR request
+ * @returns {boolean} True if an Accept-Encoding header was sent
+ */
+function acceptsCompression(request) {
+  return (request.headers || []).some(header => header.name.toLowerCase() === 'accept-encoding');
+}
+
+/**
+ * Build a curl command for a request
+ * @param {Object} request - HAR request
+ * @returns {string} Command
+ */
+function toCurl(request) {
+  const body = exportedBody(request);
+  const command = ['curl'];
+  
+  // curl -X HEAD waits for a body that never comes
+  if (request.method === 'HEAD') {
+    command.push('--head');
+  } else if (request.method !== (body === null ? 'GET' : 'POST')) {
+    command.push(`--request ${request.method}`);
+  }
+  command.push(shellQuote(request.url));
+  
+  if (request.httpVersion === 'HTTP/2') command.push('--http2');
+  
+  // --compressed sends curl's own Accept-Encoding and decodes the response
+  if (acceptsCompression(request)) command.push('--compressed');
+  
+  const parts = [command.join(' ')];
+  
+  for (const { name, value } of exportedHeaders(request)) {
+    // "Name;" is how curl sends a header with an empty value
+    parts.push(`--header ${shellQuote(value ? `${name}: ${value}` : `${name};`)}`);
+  }
+  
+  // --data-raw sends the text as is, without treating a leading @ as a file name
+  if (body !== null) parts.push(`--data-raw ${shellQuote(body)}`);
+  
+  return parts.join(' \\\n  ');
+}
+
+/**
+ * Build an httpie command for a request
+ * @param {Object} request - HAR request
+ * @returns {string} Command
+ */
+function toHttpie(request) {
+  const body = exportedBody(request);
+  const parts = [`http ${request.method} ${shellQuote(request.url)}`];
+  
+  for (const { name, value } of exportedHeaders(request)) {
+    // "Name;" is how httpie sends a header with an empty value
+    parts.push(shellQuote(value ? `${name}:${value}` : `${name};`));
+  }
+  
+  // --raw (httpie 3) sends the body as is instead of building JSON from request items
+  if (body !== null) parts.push(`--raw ${shellQuote(body)}`);
+  
+  return parts.join(' \\\n  ');
+}
+
+/**
+ * Build a fetch() call for a request
+ * @param {Object} request - HAR request
+ * @returns {string} JavaScript statement
+ */
+function toFetch(request) {
+  const body = exportedBody(request);
+  const init = [`  method: ${JSON.stringify(request.method)}`];
+  
+  const headers = exportedHeaders(request);
+  if (headers.length > 0) {
+    const lines = headers.map(({ name, value }) => `    ${JSON.stringify(name)}: ${JSON.stringify(value)}`);
+    init.push(`  headers: {\n${lines.join(',\n')}\n  }`);
+  }
+  
+  if (body !== null) init.push(`  body: ${JSON.stringify(body)}`);
+  
+  return `await fetch(${JSON.stringify(request.url)}, {\n${init.join(',\n')}\n});`;
+}
+
+/**
+ * Turn one HAR entry into a command
+ * @param {Object} entry - HAR entry
+ * @param {string} format - curl, httpie or fetch
+ * @returns {string} Command
+ */
+function exportEntry(entry, format) {
+  switch (format) {
+    case 'curl':
+      return toCurl(entry.request);
+    case 'httpie':
+      return toHttpie(entry.request);
+    case 'fetch':
+      return toFetch(entry.request);
+    default:
+      throw new Error(`Unknown export format: ${format} (use one of ${EXPORT_FORMATS.join(', ')})`);
+  }
+}
+
+/**
+ * Turn HAR entries into commands, each after a comment naming the request
+ * @param {Array<{entry: Object, number: number}>} selected - Entries with their number in the listing
+ * @param {string} format - curl, httpie or fetch
+ * @returns {string} Commands separated by blank lines
+ */
+function exportEntries(selected, format) {
+  const comment = format === 'fetch' ? '//' : '#';
+  
+  return selected.map(({ entry, number }) => {
+    const lines = [`${comment} ${number}. ${entry.request.method} ${entry.request.url}`];
+    
+    // The captured body is all there is to send, so say when it is not the whole body
+    const { postData } = entry.request;
+    if (postData && postData.comment) {
+      lines.push(`${comment} Warning: the body below is incomplete (${postData.comment})`);
+    }
+    
+    lines.push(exportEntry(entry, format));
+    return lines.join('\n');
+  }).join('\n\n');
+}
+
+module.exports = {
+  DROPPED_HEADERS,
+  EXPORT_FORMATS,
+  shellQuote,
+  exportedHeaders,
+  exportedBody,
+  exportEntry,
+  exportEntries
+};
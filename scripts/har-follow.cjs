@@ -0,0 +1,86 @@
+// ABOUTME: Follows a HAR file while node-traffic-logger is still writing it
+// ABOUTME: Polls the file (or the newest HAR in a log directory) and reports entries as they complete
+
+const fs = require('fs');
+const path = require('path');
+const { readCompletedEntries } = require('../src/har-writer.cjs');
+
+/**
+ * Find the most recently modified HAR file in a directory
+ * @param {string} dir - Log directory
+ * @returns {string|null} Path of the newest HAR file
+ */
+function newestHarFile(dir) {
+  let newest = null;
+  let newestTime = -Infinity;
+  
+  for (const name of fs.readdirSync(dir)) {
+    if (!name.endsWith('.har')) continue;
+    
+    const filePath = path.join(dir, name);
+    const mtime = fs.statSync(filePath).mtimeMs;
+    if (mtime > newestTime) {
+      newest = filePath;
+      newestTime = mtime;
+    }
+  }
+  
+  return newest;
+}
+
+/**
+ * Follow a HAR file or log directory, like `tail -f`
+ *
+ * A directory is followed by switching to the newest HAR file in it, so a new
+ * run of the target is picked up without restarting the viewer. Each file's
+ * read position is kept, so switching back to a file that was written again
+ * (child process HARs sit next to the main one) reports only its new entries.
+ * @param {string} target - HAR file or log directory
+ * @param {Function} onEntry - Called with each completed entry
+ * @param {Object} [options] - Follow options
+ * @param {number} [options.interval=250] - Polling interval in milliseconds
+ * @param {Function} [options.onFile] - Called with the path of each file that is followed
+ * @param {Function} [options.onError] - Called with read errors (other than a missing file)
+ * @returns {{poll: Function, stop: Function}} Controls for the follower
+ */
+function followHar(target, onEntry, options = {}) {
+  const { interval = 250, onFile = () => {}, onError = () => {} } = options;
+  let filePath = null;
+  const offsets = new Map(); // Read position of each file followed so far
+  let timer = null;
+  
+  const poll = () => {
+    try {
+      const isDirectory = fs.existsSync(target) && fs.statSync(target).isDirectory();
+      const current = isDirectory ? newestHarFile(target) : target;
+      if (current !== filePath) {
+        filePath = current;
+        if (filePath) onFile(filePath);
+      }
+      if (!filePath || !fs.existsSync(filePath)) return;
+      
+      const result = readCompletedEntries(filePath, offsets.get(filePath) || 0);
+      offsets.set(filePath, result.offset);
+      result.entries.forEach(entry => onEntry(entry, filePath));
+    } catch (error) {
+      onError(error);
+    }
+  };
+  
+  const stop = () => {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+  
+  poll();
+  timer = setInterval(poll, interval);
+  
+  return { poll, stop };
+}
+
+module.exports = {
+  newestHarFile,
+  followHar
+};
@@ -0,0 +1,572 @@
+// ABOUTME: Infers an OpenAPI 3 document from captured HAR entries
+// ABOUTME: Groups calls into path templates and infers parameters, JSON schemas, status codes and security schemes
+
+const http = require('http');
+const { segmentPlaceholder } = require('../src/url-template.cjs');
+
+const OPENAPI_VERSION = '3.0.3';
+
+// Headers every client or server sends, which say nothing about the API itself
+const TRANSPORT_HEADERS = [
+  'accept',
+  'accept-encoding',
+  'accept-language',
+  'age',
+  'alt-svc',
+  'cache-control',
+  'connection',
+  'content-encoding',
+  'content-length',
+  'content-type',
+  'cookie',
+  'date',
+  'expect',
+  'host',
+  'keep-alive',
+  'pragma',
+  'proxy-connection',
+  'sec-fetch-mode',
+  'server',
+  'set-cookie',
+  'strict-transport-security',
+  'te',
+  'transfer-encoding',
+  'upgrade',
+  'user-agent',
+  'vary',
+  'via',
+  'x-powered-by'
+];
+
+// Request headers carrying credentials, described as security schemes instead of parameters
+const API_KEY_HEADERS = ['x-api-key', 'api-key', 'x-auth-token'];
+
+// Schemas of path parameters by the placeholder url-template gives their segment
+const PLACEHOLDER_SCHEMAS = {
+  id: { type: 'integer' },
+  uuid: { type: 'string', format: 'uuid' },
+  hash: { type: 'string' },
+  token: { type: 'string' }
+};
+
+// String formats recognized in bodies, in the order they are tried
+const STRING_FORMATS = [
+  { format: 'date-time', pattern: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/ },
+  { format: 'date', pattern: /^\d{4}-\d{2}-\d{2}$/ },
+  { format: 'uuid', pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i },
+  { format: 'email', pattern: /^[^@\s]+@[^@\s]+\.[^@\s]+$/ },
+  { format: 'uri', pattern: /^https?:\/\/\S+$/ }
+];
+
+/**
+ * Infer the schema of one JSON value
+ * @param {*} value - JSON value
+ * @returns {Object} Schema; null is kept as {type: 'null'} until the document is finished
+ */
+function schemaOf(value) {
+  if (value === null) return { type: 'null' };
+  if (Array.isArray(value)) {
+    // Empty arrays leave the items unknown (null) until another value shows them
+    return { type: 'array', items: value.map(schemaOf).reduce(mergeSchemas, null) };
+  }
+  
+  switch (typeof value) {
+    case 'object': {
+      const properties = {};
+      for (const [key, child] of Object.entries(value)) {
+        properties[key] = schemaOf(child);
+      }
+      return { type: 'object', properties, required: Object.keys(properties) };
+    }
+    case 'number':
+      return { type: Number.isInteger(value) ? 'integer' : 'number' };
+    case 'string': {
+      const match = STRING_FORMATS.find(({ pattern }) => pattern.test(value));
+      return match ? { type: 'string', format: match.format } : { type: 'string' };
+    }
+    default:
+      return { type: typeof value };
+  }
+}
+
+/**
+ * Merge two schemas into one that accepts the values of both
+ * @param {Object|null} a - First schema
+ * @param {Object|null} b - Second schema
+ * @returns {Object|null} Merged schema
+ */
+function mergeSchemas(a, b) {
+  if (!a) return b;
+  if (!b) return a;
+  
+  // OpenAPI 3.0 has no null type, so null only makes the other type nullable
+  if (a.type === 'null' && b.type === 'null') return a;
+  if (a.type === 'null') return { ...b, nullable: true };
+  if (b.type === 'null') return { ...a, nullable: true };
+  
+  const nullable = a.nullable || b.nullable ? { nullable: true } : {};
+  
+  if (a.oneOf || b.oneOf || !sameKind(a, b)) {
+    const members = [...(a.oneOf || [a]), ...(b.oneOf || [b])].map(({ nullable: ignored, ...member }) => member);
+    const merged = [];
+    for (const member of members) {
+      const index = merged.findIndex(candidate => sameKind(candidate, member));
+      if (index >= 0) {
+        merged[index] = mergeSchemas(merged[index], member);
+      } else {
+        merged.push(member);
+      }
+    }
+    return merged.length === 1 ? { ...merged[0], ...nullable } : { oneOf: merged, ...nullable };
+  }
+  
+  if (a.type === 'object') {
+    const properties = { ...a.properties };
+    for (const [key, schema] of Object.entries(b.properties)) {
+      properties[key] = mergeSchemas(properties[key], schema);
+    }
+    // A property is required only if every observed object had it
+    const required = a.required.filter(key => b.required.includes(key));
+    return { type: 'object', properties, required, ...nullable };
+  }
+  
+  if (a.type === 'array') {
+    return { type: 'array', items: mergeSchemas(a.items, b.items), ...nullable };
+  }
+  
+  // Integers seen next to fractions are numbers
+  const type = a.type === b.type ? a.type : 'number';
+  const format = a.format && a.format === b.format ? { format: a.format } : {};
+  return { type, ...format, ...nullable };
+}
+
+/**
+ * Check whether two schemas describe the same kind of value (integers and numbers count as one)
+ * @param {Object} a - First schema
+ * @param {Object} b - Second schema
+ * @returns {boolean} True if they can be merged without oneOf
+ */
+function sameKind(a, b) {
+  const kind = schema => (schema.type === 'integer' ? 'number' : schema.type);
+  return kind(a) === kind(b);
+}
+
+/**
+ * Turn an inferred schema into an OpenAPI schema: drop the internal null type and empty lists
+ * @param {Object} schema - Inferred schema
+ * @returns {Object} OpenAPI schema
+ */
+function finishSchema(schema) {
+  if (!schema) return {};
+  if (schema.type === 'null') return { nullable: true };
+  
+  const result = { ...schema };
+  if (result.oneOf) result.oneOf = result.oneOf.map(finishSchema);
+  if (result.type === 'array') result.items = finishSchema(result.items);
+  if (result.properties) {
+    result.properties = Object.fromEntries(Object.entries(result.properties).map(([key, child]) => [key, finishSchema(child)]));
+  }
+  if (result.required && result.required.length === 0) delete result.required;
+  return result;
+}
+
+/**
+ * Infer the schema of query parameter or header values
+ * @param {string[]} values - Observed values
+ * @returns {Object} Schema
+ */
+function valueSchema(values) {
+  if (values.length > 0 && values.every(value => /^-?\d+$/.test(value))) return { type: 'integer' };
+  if (values.length > 0 && values.every(value => /^-?\d+(\.\d+)?$/.test(value))) return { type: 'number' };
+  if (values.length > 0 && values.every(value => value === 'true' || value === 'false')) return { type: 'boolean' };
+  return { type: 'string' };
+}
+
+/**
+ * Template a URL path for OpenAPI, naming each variable segment after the segment before it
+ * @param {string} pathname - URL path (e.g. "/users/42/orders/7")
+ * @returns {{path: string, parameters: Array<{name: string, schema: Object}>}} Template (e.g.
+ *   "/users/{userId}/orders/{orderId}") and its path parameters
+ */
+function openApiPath(pathname) {
+  const parameters = [];
+  let previous = null;
+  
+  const segments = pathname.split('/').map(segment => {
+    if (!segment) return segment;
+    
+    let decoded = segment;
+    try {
+      decoded = decodeURIComponent(segment);
+    } catch (e) {
+      // Keep malformed escapes as they are
+    }
+    
+    const placeholder = segmentPlaceholder(decoded);
+    if (!placeholder) {
+      previous = decoded;
+      return segment;
+    }
+    
+    // "users" gives "userId"; names stay unique within the path
+    const base = previous
+      ? `${previous.replace(/ies$/, 'y').replace(/s$/, '').replace(/[^a-zA-Z0-9]+(.)?/g, (m, c) => (c ? c.toUpperCase() : ''))}Id`
+      : 'id';
+    let name = base;
+    for (let n = 2; parameters.some(parameter => parameter.name === name); n++) {
+      name = `${base}${n}`;
+    }
+    
+    parameters.push({ name, schema: PLACEHOLDER_SCHEMAS[placeholder] });
+    return `{${name}}`;
+  });
+  
+  return { path: segments.join('/'), parameters };
+}
+
+/**
+ * Get the media type of a Content-Type value
+ * @param {string} mimeType - Content-Type (e.g. "application/json; charset=utf-8")
+ * @returns {string} Media type (e.g. "application/json")
+ */
+function mediaType(mimeType) {
+  return (mimeType || '').split(';')[0].trim().toLowerCase() || 'application/octet-stream';
+}
+
+/**
+ * Infer the schema of a body
+ * @param {string} text - Body text
+ * @param {string} type - Media type
+ * @param {string} [encoding] - HAR content encoding (base64 for binary bodies)
+ * @returns {Object|null} Schema, or null if the body tells nothing (e.g. cut off JSON)
+ */
+function bodySchema(text, type, encoding) {
+  if (encoding === 'base64') return { type: 'string', format: 'binary' };
+  if (!/[/+]json$/.test(type)) return { type: 'string' };
+  
+  try {
+    return schemaOf(JSON.parse(text));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Add a body to the content map of a request body or response
+ * @param {Object} content - Map of media type to {schema}
+ * @param {string} text - Body text
+ * @param {string} mimeType - Content-Type
+ * @param {string} [encoding] - HAR content encoding
+ */
+function addContent(content, text, mimeType, encoding) {
+  const type = mediaType(mimeType);
+  const schema = bodySchema(text, type, encoding);
+  content[type] = content[type] || { schema: null };
+  content[type].schema = mergeSchemas(content[type].schema, schema);
+}
+
+/**
+ * Get the headers of a HAR message by lower-case name
+ * @param {Array<{name: string, value: string}>} headers - HAR headers
+ * @returns {Map<string, {name: string, value: string}>} Headers by lower-case name
+ */
+function headerMap(headers) {
+  return new Map((headers || []).map(header => [header.name.toLowerCase(), header]));
+}
+
+/**
+ * Work out which security schemes a request used
+ * @param {Map} headers - Request headers by lower-case name
+ * @returns {Object} Map of scheme name to security scheme
+ */
+function securityOf(headers) {
+  const schemes = {};
+  const authorization = headers.get('authorization');
+  if (authorization) {
+    const scheme = authorization.value.split(' ')[0].toLowerCase();
+    if (scheme === 'bearer') schemes.bearerAuth = { type: 'http', scheme: 'bearer' };
+    else if (scheme === 'basic') schemes.basicAuth = { type: 'http', scheme: 'basic' };
+  }
+  for (const name of API_KEY_HEADERS) {
+    if (headers.has(name)) {
+      schemes.apiKeyAuth = { type: 'apiKey', in: 'header', name: headers.get(name).name };
+    }
+  }
+  return schemes;
+}
+
+/**
+ * Build an operationId from the method and path template
+ * @param {string} method - HTTP method
+ * @param {string} path - Path template
+ * @returns {string} operationId (e.g. "getUsersUserId")
+ */
+function operationId(method, path) {
+  const words = path.split(/[^a-zA-Z0-9]+/).filter(Boolean);
+  return method.toLowerCase() + words.map(word => word[0].toUpperCase() + word.slice(1)).join('');
+}
+
+/**
+ * Infer an OpenAPI document from HAR entries
+ * @param {Object[]} entries - HAR entries, from one or more archives
+ * @param {Object} [options] - Document options
+ * @param {string} [options.title] - API title
+ * @returns {Object} OpenAPI document
+ */
+function inferOpenApi(entries, options = {}) {
+  const servers = new Set();
+  const operations = new Map();
+  const securitySchemes = {};
+  let count = 0;
+  
+  for (const entry of entries) {
+    let url;
+    try {
+      url = new URL(entry.request.url);
+    } catch (e) {
+      continue;
+    }
+    count++;
+    servers.add(url.origin);
+    
+    const method = entry.request.method.toLowerCase();
+    const { path, parameters } = openApiPath(url.pathname);
+    const key = `${method} ${path}`;
+    
+    if (!operations.has(key)) {
+      operations.set(key, {
+        method,
+        path,
+        pathParameters: parameters,
+        calls: 0,
+        query: new Map(),
+        headers: new Map(),
+        bodies: 0,
+        requestContent: {},
+        responses: new Map(),
+        security: {}
+      });
+    }
+    const operation = operations.get(key);
+    operation.calls++;
+    
+    // Track each query parameter and header with its values and how many calls sent it
+    for (const name of new Set(url.searchParams.keys())) {
+      const seen = operation.query.get(name) || { name, values: [], calls: 0 };
+      seen.values.push(...url.searchParams.getAll(name));
+      seen.calls++;
+      operation.query.set(name, seen);
+    }
+    
+    const requestHeaders = headerMap(entry.request.headers);
+    for (const [lower, header] of requestHeaders) {
+      if (lower.startsWith(':') || TRANSPORT_HEADERS.includes(lower) || lower === 'authorization' ||
+          lower === 'proxy-authorization' || API_KEY_HEADERS.includes(lower)) {
+        continue;
+      }
+      const seen = operation.headers.get(lower) || { name: header.name, values: [], calls: 0 };
+      seen.values.push(header.value);
+      seen.calls++;
+      operation.headers.set(lower, seen);
+    }
+    
+    const schemes = securityOf(requestHeaders);
+    Object.assign(operation.security, schemes);
+    Object.assign(securitySchemes, schemes);
+    
+    const { postData } = entry.request;
+    if (postData && typeof postData.text === 'string' && postData.text.length > 0) {
+      operation.bodies++;
+      addContent(operation.requestContent, postData.text, postData.mimeType);
+    }
+    
+    // Failed requests have no response to describe
+    const { response } = entry;
+    if (!response || !response.status || entry._error) continue;
+    
+    const status = String(response.status);
+    if (!operation.responses.has(status)) {
+      operation.responses.set(status, { statusText: response.statusText, content: {}, headers: new Map() });
+    }
+    const observed = operation.responses.get(status);
+    
+    const content = response.content || {};
+    if (content.text) {
+      addContent(observed.content, content.text, content.mimeType, content.encoding);
+    }
+    
+    for (const [lower, header] of headerMap(response.headers)) {
+      if (!TRANSPORT_HEADERS.includes(lower)) {
+        observed.headers.set(lower, header.name);
+      }
+    }
+  }
+  
+  const paths = {};
+  for (const operation of operations.values()) {
+    paths[operation.path] = paths[operation.path] || {};
+    paths[operation.path][operation.method] = buildOperation(operation);
+  }
+  
+  const document = {
+    openapi: OPENAPI_VERSION,
+    info: {
+      title: options.title || 'Inferred API',
+      version: '1.0.0',
+      description: `Inferred by node-traffic-logger from ${count} captured requests`
+    },
+    servers: [...servers].map(url => ({ url })),
+    paths
+  };
+  
+  if (Object.keys(securitySchemes).length > 0) {
+    document.components = { securitySchemes };
+  }
+  
+  return document;
+}
+
+/**
+ * Build the OpenAPI operation object from what was observed of it
+ * @param {Object} operation - Observations collected by inferOpenApi
+ * @returns {Object} Operation object
+ */
+function buildOperation(operation) {
+  const result = {
+    operationId: operationId(operation.method, operation.path)
+  };
+  
+  const parameters = [
+    ...operation.pathParameters.map(({ name, schema }) => ({ name, in: 'path', required: true, schema })),
+    ...[...operation.query.values()].map(({ name, values, calls }) => ({
+      name,
+      in: 'query',
+      required: calls === operation.calls,
+      schema: valueSchema(values)
+    })),
+    ...[...operation.headers.values()].map(({ name, values, calls }) => ({
+      name,
+      in: 'header',
+      required: calls === operation.calls,
+      schema: valueSchema(values)
+    }))
+  ];
+  if (parameters.length > 0) result.parameters = parameters;
+  
+  if (operation.bodies > 0) {
+    result.requestBody = {
+      required: operation.bodies === operation.calls,
+      content: finishContent(operation.requestContent)
+    };
+  }
+  
+  result.responses = {};
+  const statuses = [...operation.responses.keys()].sort();
+  for (const status of statuses) {
+    const observed = operation.responses.get(status);
+    const response = { description: http.STATUS_CODES[status] || observed.statusText || 'Response' };
+    
+    if (observed.headers.size > 0) {
+      response.headers = {};
+      for (const name of observed.headers.values()) {
+        response.headers[name] = { schema: { type: 'string' } };
+      }
+    }
+    if (Object.keys(observed.content).length > 0) {
+      response.content = finishContent(observed.content);
+    }
+    result.responses[status] = response;
+  }
+  
+  // Every call failed, but OpenAPI needs at least one response
+  if (statuses.length === 0) {
+    result.responses.default = { description: 'No response was captured' };
+  }
+  
+  const security = Object.keys(operation.security);
+  if (security.length > 0) {
+    result.security = security.map(name => ({ [name]: [] }));
+  }
+  
+  return result;
+}
+
+/**
+ * Finish the schemas of a content map
+ * @param {Object} content - Map of media type to {schema}
+ * @returns {Object} Content map with OpenAPI schemas
+ */
+function finishContent(content) {
+  return Object.fromEntries(Object.entries(content).map(([type, { schema }]) => [type, { schema: finishSchema(schema) }]));
+}
+
+/**
+ * Write a scalar for YAML, quoting it unless it reads back as the same string
+ * @param {*} value - Scalar
+ * @returns {string} YAML scalar
+ */
+function yamlScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value !== 'string') return String(value);
+  
+  const plain = /^[A-Za-z_/][\w/. -]*$/.test(value) &&
+    !/ $/.test(value) &&
+    !/^(true|false|null|yes|no|on|off|y|n)$/i.test(value);
+  
+  // JSON strings are valid YAML double-quoted scalars
+  return plain ? value : JSON.stringify(value);
+}
+
+/**
+ * Serialize a JSON value as block-style YAML
+ * @param {*} value - JSON value
+ * @param {number} [indent=0] - Indentation of nested lines
+ * @returns {string} YAML
+ */
+function toYaml(value, indent = 0) {
+  const pad = ' '.repeat(indent);
+  
+  const entry = (prefix, child) => {
+    if (child !== null && typeof child === 'object' && Object.keys(child).length > 0) {
+      if (Array.isArray(child)) return `${pad}${prefix}\n${toYaml(child, indent)}`;
+      return `${pad}${prefix}\n${toYaml(child, indent + 2)}`;
+    }
+    return `${pad}${prefix} ${yamlInline(child)}`;
+  };
+  
+  if (Array.isArray(value)) {
+    return value.map(item => {
+      if (item !== null && typeof item === 'object' && !Array.isArray(item) && Object.keys(item).length > 0) {
+        // The first key of a mapping goes on the dash line
+        return `${pad}- ${toYaml(item, indent + 2).slice(indent + 2)}`;
+      }
+      if (Array.isArray(item) && item.length > 0) {
+        return `${pad}-\n${toYaml(item, indent + 2)}`;
+      }
+      return `${pad}- ${yamlInline(item)}`;
+    }).join('\n');
+  }
+  
+  return Object.entries(value).map(([key, child]) => entry(`${yamlScalar(key)}:`, child)).join('\n');
+}
+
+/**
+ * Write an empty collection or a scalar on one line
+ * @param {*} value - Value
+ * @returns {string} YAML
+ */
+function yamlInline(value) {
+  if (Array.isArray(value)) return '[]';
+  if (value !== null && typeof value === 'object') return '{}';
+  return yamlScalar(value);
+}
+
+module.exports = {
+  OPENAPI_VERSION,
+  schemaOf,
+  mergeSchemas,
+  finishSchema,
+  openApiPath,
+  inferOpenApi,
+  toYaml
+};
@@ -0,0 +1,211 @@
+// ABOUTME: Builds a Postman v2.1 collection from HAR entries, which Insomnia imports as well
+// ABOUTME: Groups requests into folders by host, moves base URLs and credentials into variables and keeps responses as examples
+
+const crypto = require('crypto');
+const { urlTemplate, templatePath } = require('../src/url-template.cjs');
+const { exportedHeaders, exportedBody } = require('./har-export.cjs');
+
+const POSTMAN_SCHEMA = 'https://schema.getpostman.com/json/collection/v2.1.0/collection.json';
+
+// Headers carrying credentials that are moved into collection variables, with the variable name to use
+const CREDENTIAL_HEADERS = {
+  'authorization': 'authorization',
+  'proxy-authorization': 'proxyAuthorization',
+  'x-api-key': 'apiKey',
+  'api-key': 'apiKey',
+  'x-auth-token': 'authToken'
+};
+
+/**
+ * Create the variable table of a collection
+ * Each distinct value gets one variable, so a token used by many requests is set in one place
+ * @returns {{variables: Array, define: Function}} Variables and a function naming a value
+ */
+function createVariables() {
+  const variables = [];
+  const byValue = new Map();
+  
+  /**
+   * Get the variable holding a value, defining it on first use
+   * @param {string} name - Preferred variable name; a number is added if it is taken by another value
+   * @param {string} value - Value
+   * @returns {string} Variable name
+   */
+  function define(name, value) {
+    const known = byValue.get(`${name}\n${value}`);
+    if (known) return known;
+    
+    let key = name;
+    for (let n = 2; variables.some(variable => variable.key === key); n++) {
+      key = `${name}${n}`;
+    }
+    variables.push({ key, value, type: 'string' });
+    byValue.set(`${name}\n${value}`, key);
+    return key;
+  }
+  
+  return { variables, define };
+}
+
+/**
+ * Guess the language Postman should highlight a body as
+ * @param {string} mimeType - MIME type
+ * @returns {string} json, xml, html or text
+ */
+function bodyLanguage(mimeType) {
+  const type = (mimeType || '').toLowerCase();
+  if (type.includes('json')) return 'json';
+  if (type.includes('html')) return 'html';
+  if (type.includes('xml')) return 'xml';
+  return 'text';
+}
+
+/**
+ * Build the Postman request of a HAR entry
+ * @param {Object} entry - HAR entry
+ * @param {Object} vars - Variable table from createVariables
+ * @param {boolean} singleOrigin - Whether every request goes to the same origin
+ * @returns {Object} Postman request
+ */
+function postmanRequest(entry, vars, singleOrigin) {
+  const { request } = entry;
+  const url = new URL(request.url);
+  
+  // One base URL per origin, so the collection can be pointed at another environment
+  const baseName = singleOrigin ? 'baseUrl' : `baseUrl_${url.host.replace(/[^a-zA-Z0-9]/g, '_')}`;
+  const base = `{{${vars.define(baseName, url.origin)}}}`;
+  
+  const result = {
+    method: request.method,
+    header: [],
+    url: {
+      raw: `${base}${url.pathname}${url.search}`,
+      host: [base],
+      path: url.pathname.split('/').slice(1)
+    }
+  };
+  
+  if (url.search) {
+    result.url.query = [...url.searchParams].map(([key, value]) => ({ key, value }));
+  }
+  
+  for (const { name, value } of exportedHeaders(request)) {
+    const variable = CREDENTIAL_HEADERS[name.toLowerCase()];
+    const bearer = /^bearer\s+(.+)$/i.exec(value);
+    
+    if (variable && bearer && name.toLowerCase() === 'authorization') {
+      // Postman sends bearer tokens itself from the request's auth settings
+      result.auth = {
+        type: 'bearer',
+        bearer: [{ key: 'token', value: `{{${vars.define('authToken', bearer[1])}}}`, type: 'string' }]
+      };
+    } else if (variable) {
+      result.header.push({ key: name, value: `{{${vars.define(variable, value)}}}` });
+    } else {
+      result.header.push({ key: name, value });
+    }
+  }
+  
+  const body = exportedBody(request);
+  if (body !== null) {
+    const mimeType = (request.postData && request.postData.mimeType) || '';
+    if (mimeType.includes('application/x-www-form-urlencoded')) {
+      result.body = {
+        mode: 'urlencoded',
+        urlencoded: [...new URLSearchParams(body)].map(([key, value]) => ({ key, value }))
+      };
+    } else {
+      result.body = { mode: 'raw', raw: body, options: { raw: { language: bodyLanguage(mimeType) } } };
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Build a saved example response from a HAR entry
+ * @param {Object} entry - HAR entry
+ * @param {Object} originalRequest - Postman request of the same entry
+ * @returns {Object|null} Postman response, or null if no response arrived
+ */
+function postmanExample(entry, originalRequest) {
+  const { response } = entry;
+  if (!response || !response.status) return null;
+  
+  const content = response.content || {};
+  
+  // Postman keeps bodies as text; binary bodies are left out rather than saved garbled
+  const body = content.encoding === 'base64' ? '' : (content.text || '');
+  
+  return {
+    name: `${response.status} ${response.statusText || ''}`.trim(),
+    originalRequest,
+    status: response.statusText || '',
+    code: response.status,
+    _postman_previewlanguage: bodyLanguage(content.mimeType),
+    header: (response.headers || []).map(({ name, value }) => ({ key: name, value })),
+    cookie: [],
+    body
+  };
+}
+
+/**
+ * Build a Postman v2.1 collection from HAR entries
+ * Requests with the same method and URL template (/users/42 and /users/57) become one
+ * request with an example response for each recorded call
+ * @param {Object[]} entries - HAR entries
+ * @param {Object} [options] - Collection options
+ * @param {string} [options.name] - Collection name
+ * @returns {Object} Collection
+ */
+function toPostmanCollection(entries, options = {}) {
+  const vars = createVariables();
+  const origins = new Set();
+  const usable = entries.filter(entry => {
+    try {
+      origins.add(new URL(entry.request.url).origin);
+      return true;
+    } catch (e) {
+      return false;
+    }
+  });
+  
+  const folders = new Map();
+  for (const entry of usable) {
+    const url = new URL(entry.request.url);
+    const request = postmanRequest(entry, vars, origins.size === 1);
+    
+    if (!folders.has(url.host)) {
+      folders.set(url.host, { name: url.host, item: [], byKey: new Map() });
+    }
+    const folder = folders.get(url.host);
+    
+    const key = `${entry.request.method} ${urlTemplate(entry.request.url)}`;
+    let item = folder.byKey.get(key);
+    if (!item) {
+      item = { name: `${entry.request.method} ${templatePath(url.pathname)}`, request, response: [] };
+      folder.byKey.set(key, item);
+      folder.item.push(item);
+    }
+    
+    const example = postmanExample(entry, request);
+    if (example) item.response.push(example);
+  }
+  
+  return {
+    info: {
+      _postman_id: crypto.randomUUID(),
+      name: options.name || 'node-traffic-logger capture',
+      description: `Generated by node-traffic-logger from ${usable.length} captured requests`,
+      schema: POSTMAN_SCHEMA
+    },
+    item: [...folders.values()].map(({ name, item }) => ({ name, item })),
+    variable: vars.variables
+  };
+}
+
+module.exports = {
+  POSTMAN_SCHEMA,
+  CREDENTIAL_HEADERS,
+  toPostmanCollection
+};
@@ -0,0 +1,216 @@
+// ABOUTME: Mock HTTP server that answers requests with responses recorded in HAR files
+// ABOUTME: Picks the best-matching entry, replays repeated calls in order and reports requests nothing matches
+
+const http = require('http');
+const { templatePath } = require('../src/url-template.cjs');
+const {
+  NULL_BODY_STATUSES,
+  parseMatchSpec,
+  entryMatches,
+  getResponseBody,
+  getReplayHeaders
+} = require('../src/replay.cjs');
+
+/**
+ * Get the path of a URL
+ * @param {string} url - Absolute URL or path
+ * @returns {string} Path without the query
+ */
+function pathOf(url) {
+  try {
+    return new URL(url, 'http://relative.invalid').pathname;
+  } catch (e) {
+    return String(url).split('?')[0];
+  }
+}
+
+/**
+ * Ways an entry can answer a request, from best to worst
+ * Recorded hosts are ignored: the mock server stands in for all of them
+ */
+const MATCH_TIERS = [
+  // Same method, path and query, plus any --match keys such as the body
+  { name: 'exact', matches: (entry, request, keys) => entryMatches(entry, request, keys, true) },
+  // Same method and path, another query
+  {
+    name: 'path',
+    matches: (entry, request) => entryMatches(entry, request, ['method'], false) &&
+      pathOf(entry.request.url) === pathOf(request.url)
+  },
+  // Same method and endpoint, another ID (/users/42 answers /users/57)
+  {
+    name: 'template',
+    matches: (entry, request) => entryMatches(entry, request, ['method'], false) &&
+      templatePath(pathOf(entry.request.url)) === templatePath(pathOf(request.url))
+  }
+];
+
+/**
+ * Create the state a mock server keeps between requests
+ * @param {Object[]} entries - HAR entries with responses
+ * @param {Object} [options] - Matching options
+ * @param {string|string[]} [options.match] - Extra match keys, as for --replay-match (body, header:<name>)
+ * @param {boolean} [options.loop=false] - Start over at the first recording once repeated calls used them all,
+ *   instead of repeating the last one
+ * @returns {Object} Mock state
+ */
+function createMockState(entries, options = {}) {
+  // Recorded hosts do not matter here, so the URL is compared by path and query
+  const keys = parseMatchSpec(options.match || '').map(key => (key === 'url' ? 'path' : key));
+  
+  return {
+    entries: entries.filter(entry => entry.response && entry.response.status > 0),
+    keys,
+    loop: Boolean(options.loop),
+    // How often each group of matching entries has answered, by the indexes in the group
+    rounds: new Map(),
+    // Requests nothing matched, by "METHOD path"
+    unmatched: new Map()
+  };
+}
+
+/**
+ * Find the entry that answers a request
+ * Repeated calls are answered by successive recordings in recorded order
+ * @param {Object} state - Mock state from createMockState
+ * @param {Object} request - Request with method, url (path and query), headers and body
+ * @returns {{entry: Object, index: number, tier: string}|null} Entry, its index and how well it matched
+ */
+function selectResponse(state, request) {
+  for (const tier of MATCH_TIERS) {
+    const matches = [];
+    state.entries.forEach((entry, index) => {
+      if (tier.matches(entry, request, state.keys)) matches.push(index);
+    });
+    if (matches.length === 0) continue;
+    
+    const group = `${tier.name}:${matches.join(',')}`;
+    const round = state.rounds.get(group) || 0;
+    state.rounds.set(group, round + 1);
+    
+    const position = state.loop ? round % matches.length : Math.min(round, matches.length - 1);
+    const index = matches[position];
+    return { entry: state.entries[index], index, tier: tier.name };
+  }
+  
+  return null;
+}
+
+/**
+ * Write a recorded response
+ * @param {http.ServerResponse} res - Server response
+ * @param {Object} entry - HAR entry
+ * @param {boolean} isHead - Whether the request was a HEAD request
+ */
+function writeRecorded(res, entry, isHead) {
+  const { status, statusText } = entry.response;
+  
+  // Repeated headers such as Set-Cookie are sent as separate lines
+  const headers = {};
+  for (const { name, value } of getReplayHeaders(entry)) {
+    const key = name.toLowerCase();
+    headers[key] = key in headers ? [].concat(headers[key], value) : value;
+  }
+  for (const [name, value] of Object.entries(headers)) {
+    res.setHeader(name, value);
+  }
+  
+  const body = NULL_BODY_STATUSES.includes(status) ? Buffer.alloc(0) : getResponseBody(entry);
+  if (!NULL_BODY_STATUSES.includes(status)) res.setHeader('content-length', body.length);
+  res.writeHead(status, statusText || undefined);
+  res.end(isHead ? undefined : body);
+}
+
+/**
+ * Create an HTTP server answering from HAR entries
+ * @param {Object[]} entries - HAR entries
+ * @param {Object} [options] - Server options
+ * @param {string|string[]} [options.match] - Extra match keys (body, header:<name>)
+ * @param {boolean} [options.loop=false] - Cycle through the recordings of repeated calls
+ * @param {number} [options.latency=0] - Wait this multiple of each entry's recorded time before answering
+ * @param {boolean} [options.cors=false] - Allow cross-origin requests from any page and answer preflights
+ * @param {Function} [options.onRequest] - Called with {method, url, status, match} after each request
+ * @returns {http.Server} Server with a `mock` property holding the mock state
+ */
+function createMockServer(entries, options = {}) {
+  const state = createMockState(entries, options);
+  const latency = Number(options.latency) || 0;
+  const onRequest = options.onRequest || (() => {});
+  
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const request = {
+        method: req.method,
+        url: req.url,
+        headers: req.headers,
+        body: Buffer.concat(chunks).toString()
+      };
+      
+      if (options.cors) {
+        // Browsers reject credentials allowed for any origin, so they are only allowed for the caller's
+        if (req.headers.origin) {
+          res.setHeader('access-control-allow-origin', req.headers.origin);
+          res.setHeader('access-control-allow-credentials', 'true');
+        } else {
+          res.setHeader('access-control-allow-origin', '*');
+        }
+        res.setHeader('vary', 'Origin');
+      }
+      
+      const match = selectResponse(state, request);
+      
+      if (!match && options.cors && req.method === 'OPTIONS' && req.headers['access-control-request-method']) {
+        // Browsers ask before cross-origin calls; a recording rarely has the preflight
+        res.setHeader('access-control-allow-methods', req.headers['access-control-request-method']);
+        res.setHeader('access-control-allow-headers', req.headers['access-control-request-headers'] || '*');
+        res.writeHead(204);
+        res.end();
+        onRequest({ method: req.method, url: req.url, status: 204, match: null });
+        return;
+      }
+      
+      if (!match) {
+        const key = `${req.method} ${pathOf(req.url)}`;
+        state.unmatched.set(key, (state.unmatched.get(key) || 0) + 1);
+        
+        const recorded = [...new Set(state.entries.map(entry => `${entry.request.method} ${pathOf(entry.request.url)}`))];
+        const body = JSON.stringify({
+          error: 'No recorded response matches this request',
+          method: req.method,
+          url: req.url,
+          recorded
+        }, null, 2);
+        res.writeHead(404, { 'content-type': 'application/json', 'content-length': Buffer.byteLength(body) });
+        res.end(body);
+        onRequest({ method: req.method, url: req.url, status: 404, match: null });
+        return;
+      }
+      
+      const respond = () => {
+        // The client may have given up while we waited
+        if (res.destroyed) return;
+        writeRecorded(res, match.entry, req.method === 'HEAD');
+        onRequest({ method: req.method, url: req.url, status: match.entry.response.status, match });
+      };
+      
+      const delay = latency * (match.entry.time || 0);
+      if (delay > 0) {
+        setTimeout(respond, delay);
+      } else {
+        respond();
+      }
+    });
+  });
+  
+  server.mock = state;
+  return server;
+}
+
+module.exports = {
+  MATCH_TIERS,
+  createMockState,
+  selectResponse,
+  createMockServer
+};
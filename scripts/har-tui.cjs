@@ -0,0 +1,721 @@
+// ABOUTME: Interactive terminal UI for browsing HAR files
+// ABOUTME: Keyboard-driven entry list with a detail pane, incremental search and status/method filters
+
+const path = require('path');
+const { fileURLToPath } = require('url');
+const readline = require('readline');
+const chalk = require('chalk');
+const streamDecoder = require('../src/stream-decoder.cjs');
+const jsonFormatter = require('../src/json-formatter.cjs');
+
+// Status filters cycled with "s"; "failed" is a request that errored, timed out or was aborted
+const STATUS_FILTERS = [null, '2xx', '3xx', '4xx', '5xx', 'failed'];
+
+// Detail pane tabs, selectable with Tab, the arrow keys or their number
+const DETAIL_TABS = ['headers', 'request', 'response', 'timings', 'stream'];
+
+// HAR timing phases in the order they happen
+const TIMING_PHASES = ['blocked', 'dns', 'connect', 'ssl', 'send', 'wait', 'receive'];
+
+// Column widths of the entry list
+const COLUMNS = { index: 5, method: 8, status: 15, size: 10, time: 9 };
+
+/**
+ * Create the viewer state for a HAR file
+ * @param {Object} harData - Parsed HAR data
+ * @param {Object} options - Viewer options
+ * @param {string} [options.filePath] - File name shown in the title bar
+ * @param {string} [options.streamDisplay] - Stream tab mode (reconstructed, events, raw)
+ * @returns {Object} Viewer state
+ */
+function createState(harData, options = {}) {
+  const entries = harData.log.entries || [];
+  
+  const state = {
+    filePath: options.filePath || '',
+    streamDisplay: options.streamDisplay || 'reconstructed',
+    entries,
+    methods: [null, ...new Set(entries.map(entry => entry.request.method))],
+    visible: [],        // Indices into entries that pass the filters
+    selected: 0,        // Position of the selected entry in visible
+    listOffset: 0,      // First visible row of the list
+    listHeight: 10,     // Updated on every render
+    detailHeight: 10,   // Updated on every render
+    detailOffset: 0,    // First visible line of the detail pane
+    focus: 'list',
+    tab: DETAIL_TABS[0],
+    search: '',
+    searching: false,
+    statusFilter: null,
+    methodFilter: null
+  };
+  
+  applyFilters(state);
+  return state;
+}
+
+/**
+ * Check whether an entry's status matches a status filter
+ * @param {Object} entry - HAR entry
+ * @param {string|null} filter - Status filter
+ * @returns {boolean} True if it matches
+ */
+function statusMatches(entry, filter) {
+  if (!filter) return true;
+  
+  const status = entry.response ? entry.response.status : 0;
+  if (filter === 'failed') return !status || Boolean(entry._error);
+  return Math.floor(status / 100) === Number(filter[0]);
+}
+
+/**
+ * Label for an entry's status column: the status code, or why the request failed
+ * @param {Object} entry - HAR entry
+ * @returns {string|number} Status code, error code (e.g. ECONNREFUSED), ABORTED, or ERR without details
+ */
+function statusLabel(entry) {
+  const error = entry._error;
+  if (error) return error.type === 'aborted' ? 'ABORTED' : error.code;
+  return (entry.response && entry.response.status) || 'ERR';
+}
+
+/**
+ * Group entries by the HAR page they belong to, in page order
+ * @param {Object[]} pages - HAR pages
+ * @param {Object[]} entries - HAR entries
+ * @returns {{page: Object|null, entries: Object[]}[]} Pages that have entries; entries of unknown pages come last
+ *   under a null page
+ */
+function groupByPage(pages, entries) {
+  const groups = new Map((pages || []).map(page => [page.id, { page, entries: [] }]));
+  const unpaged = { page: null, entries: [] };
+  
+  for (const entry of entries) {
+    (groups.get(entry.pageref) || unpaged).entries.push(entry);
+  }
+  
+  return [...groups.values(), unpaged].filter(group => group.entries.length > 0);
+}
+
+/**
+ * Number entries in the order the dump-har table lists them, so numbers given to --entry match the table
+ * @param {Object[]} pages - HAR pages
+ * @param {Object[]} entries - Listed HAR entries
+ * @param {string} [groupBy='page'] - Grouping of the table, 'page' or 'initiator'
+ * @returns {{page?: Object|null, file?: string|null, entries: {entry: Object, number: number}[]}[]} Groups of
+ *   groupByPage or groupByInitiator, with entries numbered from 1 across groups
+ */
+function numberEntries(pages, entries, groupBy = 'page') {
+  const groups = groupBy === 'initiator' ? groupByInitiator(entries) : groupByPage(pages, entries);
+  let number = 0;
+  return groups.map(group => ({
+    ...group,
+    entries: group.entries.map(entry => ({ entry, number: ++number }))
+  }));
+}
+
+/**
+ * Show a script URL as a path relative to the working directory where possible
+ * @param {string} url - File URL, or any other script URL
+ * @returns {string} Path or URL
+ */
+function displayPath(url) {
+  if (!url || !url.startsWith('file:')) return url || '';
+  
+  const file = fileURLToPath(url);
+  const relative = path.relative(process.cwd(), file);
+  return relative.startsWith('..') ? file : relative;
+}
+
+/**
+ * Describe a frame of an initiator stack
+ * @param {Object} frame - Frame with functionName, url and zero-based lineNumber and columnNumber
+ * @returns {string} e.g. "loadUser (src/users.js:12:5)", with one-based line and column
+ */
+function formatFrame(frame) {
+  const location = `${displayPath(frame.url)}:${frame.lineNumber + 1}:${frame.columnNumber + 1}`;
+  return frame.functionName ? `${frame.functionName} (${location})` : location;
+}
+
+/**
+ * Describe the call site that made an entry's request
+ * @param {Object} entry - HAR entry
+ * @returns {string|null} The initiator's own frame, or null without an _initiator
+ */
+function formatInitiator(entry) {
+  const initiator = entry._initiator;
+  if (!initiator || !initiator.url) return null;
+  
+  const frames = (initiator.stack && initiator.stack.callFrames) || [];
+  const origin = frames.find(frame => frame.url === initiator.url &&
+    frame.lineNumber === initiator.lineNumber && frame.columnNumber === initiator.columnNumber);
+  return formatFrame(origin || { functionName: '', columnNumber: 0, ...initiator });
+}
+
+/**
+ * Group entries by the file their requests were made from, in order of first appearance
+ * @param {Object[]} entries - HAR entries
+ * @returns {{file: string|null, entries: Object[]}[]} Groups; entries without an _initiator come last under a null file
+ */
+function groupByInitiator(entries) {
+  const groups = new Map();
+  const unknown = { file: null, entries: [] };
+  
+  for (const entry of entries) {
+    const file = entry._initiator && entry._initiator.url ? displayPath(entry._initiator.url) : null;
+    if (file === null) {
+      unknown.entries.push(entry);
+      continue;
+    }
+    if (!groups.has(file)) groups.set(file, { file, entries: [] });
+    groups.get(file).entries.push(entry);
+  }
+  
+  return [...groups.values(), unknown].filter(group => group.entries.length > 0);
+}
+
+/**
+ * Check whether an entry matches the search text
+ * @param {Object} entry - HAR entry
+ * @param {string} search - Search text
+ * @returns {boolean} True if it matches
+ */
+function searchMatches(entry, search) {
+  if (!search) return true;
+  
+  const haystack = `${entry.request.method} ${entry.request.url} ${statusLabel(entry)}`;
+  return haystack.toLowerCase().includes(search.toLowerCase());
+}
+
+/**
+ * Recompute the visible entries, keeping the selected entry selected if it is still visible
+ * @param {Object} state - Viewer state
+ */
+function applyFilters(state) {
+  const previous = state.visible[state.selected];
+  
+  state.visible = [];
+  state.entries.forEach((entry, index) => {
+    if ((!state.methodFilter || entry.request.method === state.methodFilter) &&
+        statusMatches(entry, state.statusFilter) &&
+        searchMatches(entry, state.search)) {
+      state.visible.push(index);
+    }
+  });
+  
+  const kept = state.visible.indexOf(previous);
+  if (kept !== state.selected) {
+    state.selected = kept >= 0 ? kept : 0;
+    state.detailOffset = 0;
+  }
+  clampList(state);
+}
+
+/**
+ * Keep the selection inside the list and scrolled into view
+ * @param {Object} state - Viewer state
+ */
+function clampList(state) {
+  state.selected = Math.max(0, Math.min(state.selected, state.visible.length - 1));
+  
+  if (state.selected < state.listOffset) {
+    state.listOffset = state.selected;
+  } else if (state.selected >= state.listOffset + state.listHeight) {
+    state.listOffset = state.selected - state.listHeight + 1;
+  }
+  state.listOffset = Math.max(0, Math.min(state.listOffset, state.visible.length - state.listHeight));
+}
+
+/**
+ * Get the selected entry
+ * @param {Object} state - Viewer state
+ * @returns {Object|null} HAR entry
+ */
+function selectedEntry(state) {
+  return state.visible.length > 0 ? state.entries[state.visible[state.selected]] : null;
+}
+
+/**
+ * Advance to the next value of a cyclic filter
+ * @param {Array} values - Possible values
+ * @param {any} current - Current value
+ * @returns {any} Next value
+ */
+function cycle(values, current) {
+  return values[(values.indexOf(current) + 1) % values.length];
+}
+
+/**
+ * Move the selection or scroll the detail pane, depending on focus
+ * @param {Object} state - Viewer state
+ * @param {number} delta - Lines to move (Infinity for the end)
+ */
+function move(state, delta) {
+  if (state.focus === 'detail') {
+    const lineCount = buildDetailLines(state).length;
+    const maxOffset = Math.max(0, lineCount - state.detailHeight);
+    state.detailOffset = Math.max(0, Math.min(state.detailOffset + delta, maxOffset));
+    return;
+  }
+  
+  const previous = state.selected;
+  state.selected = delta === Infinity ? state.visible.length - 1 : state.selected + delta;
+  clampList(state);
+  if (state.selected !== previous) {
+    state.detailOffset = 0;
+  }
+}
+
+/**
+ * Switch the detail pane tab
+ * @param {Object} state - Viewer state
+ * @param {string} tab - Tab name
+ */
+function selectTab(state, tab) {
+  if (state.tab !== tab) {
+    state.tab = tab;
+    state.detailOffset = 0;
+  }
+}
+
+/**
+ * Handle a keypress
+ * @param {Object} state - Viewer state
+ * @param {string} str - Character typed, if any
+ * @param {Object} key - Key description from readline's keypress event
+ * @returns {string|undefined} 'quit' when the viewer should exit
+ */
+function handleKey(state, str, key = {}) {
+  if (key.ctrl && key.name === 'c') return 'quit';
+  
+  // Incremental search: every keystroke refilters the list
+  if (state.searching) {
+    if (key.name === 'return' || key.name === 'enter') {
+      state.searching = false;
+    } else if (key.name === 'escape') {
+      state.searching = false;
+      state.search = '';
+    } else if (key.name === 'backspace') {
+      state.search = state.search.slice(0, -1);
+    } else if (str && !key.ctrl && !key.meta && str >= ' ') {
+      state.search += str;
+    }
+    applyFilters(state);
+    return undefined;
+  }
+  
+  const page = state.focus === 'detail' ? state.detailHeight : state.listHeight;
+  const tabIndex = DETAIL_TABS.indexOf(state.tab);
+  
+  switch (key.name || str) {
+    case 'q':
+      return 'quit';
+    case 'up':
+    case 'k':
+      move(state, -1);
+      break;
+    case 'down':
+    case 'j':
+      move(state, 1);
+      break;
+    case 'pageup':
+      move(state, -page);
+      break;
+    case 'pagedown':
+    case 'space':
+      move(state, page);
+      break;
+    case 'home':
+      move(state, -Infinity);
+      break;
+    case 'end':
+      move(state, Infinity);
+      break;
+    case 'g':
+      move(state, key.shift ? Infinity : -Infinity);
+      break;
+    case 'return':
+    case 'enter':
+      state.focus = 'detail';
+      break;
+    case 'escape':
+      if (state.focus === 'detail') {
+        state.focus = 'list';
+      } else if (state.search) {
+        state.search = '';
+        applyFilters(state);
+      }
+      break;
+    case 'tab':
+    case 'right':
+    case 'left': {
+      const step = key.name === 'left' || key.shift ? -1 : 1;
+      selectTab(state, DETAIL_TABS[(tabIndex + step + DETAIL_TABS.length) % DETAIL_TABS.length]);
+      break;
+    }
+    case '/':
+      state.searching = true;
+      break;
+    case 's':
+      state.statusFilter = cycle(STATUS_FILTERS, state.statusFilter);
+      applyFilters(state);
+      break;
+    case 'm':
+      state.methodFilter = cycle(state.methods, state.methodFilter);
+      applyFilters(state);
+      break;
+    case 'c':
+      state.search = '';
+      state.statusFilter = null;
+      state.methodFilter = null;
+      applyFilters(state);
+      break;
+    default:
+      if (str >= '1' && str <= String(DETAIL_TABS.length)) {
+        selectTab(state, DETAIL_TABS[Number(str) - 1]);
+      }
+  }
+  
+  return undefined;
+}
+
+/**
+ * Format file size in a human-readable format
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size
+ */
+function formatSize(bytes) {
+  if (bytes === undefined || bytes < 0) return '-';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Format a duration in a human-readable format
+ * @param {number} timeMs - Time in milliseconds
+ * @returns {string} Formatted time
+ */
+function formatTime(timeMs) {
+  if (typeof timeMs !== 'number' || timeMs < 0) return '-';
+  if (timeMs < 10) return `${timeMs.toFixed(1)}ms`;
+  if (timeMs < 1000) return `${Math.round(timeMs)}ms`;
+  return `${(timeMs / 1000).toFixed(2)}s`;
+}
+
+/**
+ * Pad or cut a string to an exact width
+ * @param {string} str - Text
+ * @param {number} width - Column width
+ * @returns {string} Text of exactly that width
+ */
+function fit(str, width) {
+  const text = String(str).replace(/\t/g, '  ').replace(/[\x00-\x1f\x7f]/g, '');
+  if (width <= 0) return '';
+  if (text.length > width) return width > 1 ? `${text.slice(0, width - 1)}…` : text.slice(0, width);
+  return text + ' '.repeat(width - text.length);
+}
+
+/**
+ * Split body text into display lines, pretty-printing JSON
+ * @param {string} text - Body text
+ * @param {string} mimeType - MIME type
+ * @returns {string[]} Lines
+ */
+function bodyLines(text, mimeType) {
+  return jsonFormatter.formatContent(text, mimeType).split(/\r?\n/);
+}
+
+/**
+ * Build the lines of the detail pane for the selected entry and tab
+ * @param {Object} state - Viewer state
+ * @returns {Array<{text: string, style: string}>} Lines with a style name
+ */
+function buildDetailLines(state) {
+  const entry = selectedEntry(state);
+  if (!entry) return [{ text: 'No entries match the current filters', style: 'dim' }];
+  
+  const { request, response = {} } = entry;
+  const content = response.content || {};
+  const lines = [];
+  const add = (text, style = 'plain') => lines.push({ text, style });
+  const addHeaders = headers => {
+    if (!headers || headers.length === 0) add('(no headers)', 'dim');
+    (headers || []).forEach(header => add(`${header.name}: ${header.value}`));
+  };
+  
+  switch (state.tab) {
+    case 'headers':
+      add(`${request.method} ${request.url} ${request.httpVersion || ''}`.trim(), 'heading');
+      addHeaders(request.headers);
+      add('');
+      if (entry._initiator && entry._initiator.stack) {
+        add('Initiator', 'heading');
+        entry._initiator.stack.callFrames.forEach(frame => add(formatFrame(frame)));
+        add('');
+      }
+      if (entry._error) {
+        const { type, code, message, phase, elapsed } = entry._error;
+        add(`${type === 'error' ? 'Failed' : type === 'timeout' ? 'Timed out' : 'Aborted'}: ${code} ${message || ''}`.trim(), 'heading');
+        add(`in the ${phase || 'unknown'} phase after ${formatTime(elapsed)}`, 'dim');
+        add('');
+      }
+      add(response.status ? `${response.status} ${response.statusText || ''}`.trim() : 'No response', 'heading');
+      addHeaders(response.headers);
+      break;
+    
+    case 'request':
+      if (request.queryString && request.queryString.length > 0) {
+        add('Query string', 'heading');
+        request.queryString.forEach(param => add(`${param.name} = ${param.value}`));
+        add('');
+      }
+      if (request.postData && request.postData.text) {
+        add(`Body (${request.postData.mimeType || 'unknown type'})`, 'heading');
+        bodyLines(request.postData.text, request.postData.mimeType).forEach(line => add(line));
+      } else {
+        add('(no request body)', 'dim');
+      }
+      break;
+    
+    case 'response':
+      if (content.text) {
+        add(`Body (${content.mimeType || 'unknown type'}, ${formatSize(content.size)})`, 'heading');
+        const text = content.encoding === 'base64' ? `(base64) ${content.text}` : content.text;
+        bodyLines(text, content.mimeType).forEach(line => add(line));
+      } else {
+        add('(no response body)', 'dim');
+      }
+      break;
+    
+    case 'timings': {
+      const timings = entry.timings || {};
+      const total = TIMING_PHASES.reduce((sum, phase) => sum + Math.max(0, timings[phase] || 0), 0);
+      add(`Started ${entry.startedDateTime || 'unknown'}, total ${formatTime(entry.time)}`, 'heading');
+      if (entry.serverIPAddress) add(`Server ${entry.serverIPAddress}`);
+      add('');
+      
+      // Bars are scaled to the total so the slow phase stands out
+      TIMING_PHASES.forEach(phase => {
+        const value = timings[phase];
+        const bar = value > 0 && total > 0 ? '█'.repeat(Math.max(1, Math.round((value / total) * 40))) : '';
+        add(`${fit(phase, 9)}${fit(value === -1 || value === undefined ? 'n/a' : formatTime(value), 10)}${bar}`,
+          value > 0 ? 'timing' : 'dim');
+      });
+      break;
+    }
+    
+    case 'stream': {
+      if (!streamDecoder.isSSEStream(response) || !content.text) {
+        add('Not a server-sent event stream', 'dim');
+        break;
+      }
+      
+      const parsed = streamDecoder.parseSSEStream(content.text, {
+        eventTimes: content._eventTimes,
+        startedDateTime: entry.startedDateTime
+      });
+      const summary = streamDecoder.getEventSummary(parsed.events);
+      add(`${summary.total} events: ${Object.entries(summary.by_type).map(([type, count]) => `${type} ×${count}`).join(', ')}`, 'heading');
+      add('');
+      
+      if (state.streamDisplay === 'raw') {
+        content.text.split(/\r?\n/).forEach(line => add(line));
+      } else if (state.streamDisplay === 'events') {
+        parsed.events.forEach((event, index) => {
+          const arrived = event.time !== undefined ? ` +${formatTime(event.time)}` : '';
+          add(`[${index}] ${event.type}${event.id ? ` #${event.id}` : ''}${arrived}`, 'heading');
+          const data = typeof event.data === 'string' ? event.data : jsonFormatter.formatJson(event.data);
+          data.split('\n').forEach(line => add(`  ${line}`));
+        });
+      } else {
+        add(`Reconstructed message (${parsed.reconstructor})`, 'heading');
+        jsonFormatter.formatJson(parsed.reconstructedMessage).split('\n').forEach(line => add(line));
+      }
+      break;
+    }
+  }
+  
+  return lines;
+}
+
+/**
+ * Color a status code
+ * @param {number} status - HTTP status
+ * @returns {Function} chalk style
+ */
+function statusStyle(status) {
+  if (!status || status >= 400) return chalk.red;
+  if (status >= 300) return chalk.yellow;
+  return chalk.green;
+}
+
+/**
+ * Render one row of the entry list
+ * @param {Object} state - Viewer state
+ * @param {number} position - Position in the visible list
+ * @param {number} cols - Terminal width
+ * @returns {string} Rendered row
+ */
+function renderListRow(state, position, cols) {
+  const index = state.visible[position];
+  const entry = state.entries[index];
+  const { request, response = {} } = entry;
+  const content = response.content || {};
+  const isStream = streamDecoder.isSSEStream(response);
+  const fixedWidth = Object.values(COLUMNS).reduce((sum, width) => sum + width, 0);
+  
+  const cells = [
+    chalk.gray(fit(index + 1, COLUMNS.index)),
+    chalk.blue(fit(request.method, COLUMNS.method)),
+    statusStyle(entry._error ? 0 : response.status)(fit(statusLabel(entry), COLUMNS.status)),
+    chalk.yellow(fit(isStream ? 'stream' : formatSize(content.size), COLUMNS.size)),
+    chalk.magenta(fit(formatTime(entry.time), COLUMNS.time)),
+    fit(request.url, cols - fixedWidth)
+  ];
+  
+  const row = cells.join('');
+  if (position !== state.selected) return row;
+  return state.focus === 'list' ? chalk.inverse(row) : chalk.bold(row);
+}
+
+/**
+ * Render the whole screen
+ * @param {Object} state - Viewer state
+ * @param {number} rows - Terminal height
+ * @param {number} cols - Terminal width
+ * @returns {string[]} Exactly `rows` lines
+ */
+function renderScreen(state, rows, cols) {
+  // Title, list header, tab bar and status line take four rows; the list gets 40% of the rest
+  const available = Math.max(2, rows - 4);
+  state.listHeight = Math.max(1, Math.floor(available * 0.4));
+  state.detailHeight = Math.max(1, available - state.listHeight);
+  clampList(state);
+  
+  const lines = [];
+  
+  // Title bar with active filters
+  const filters = [
+    state.statusFilter && `status=${state.statusFilter}`,
+    state.methodFilter && `method=${state.methodFilter}`,
+    state.search && `search="${state.search}"`
+  ].filter(Boolean).join(' ');
+  lines.push(chalk.bold(fit(
+    `${state.filePath}  ${state.visible.length} of ${state.entries.length} entries${filters ? `  [${filters}]` : ''}`,
+    cols
+  )));
+  
+  lines.push(chalk.gray(fit(
+    `${fit('#', COLUMNS.index)}${fit('Method', COLUMNS.method)}${fit('Status', COLUMNS.status)}` +
+    `${fit('Size', COLUMNS.size)}${fit('Time', COLUMNS.time)}URL`,
+    cols
+  )));
+  
+  for (let row = 0; row < state.listHeight; row++) {
+    const position = state.listOffset + row;
+    lines.push(position < state.visible.length ? renderListRow(state, position, cols) : '');
+  }
+  
+  // Tab bar doubles as the separator between the panes
+  const tabs = DETAIL_TABS.map((tab, index) => {
+    const label = ` ${index + 1}:${tab} `;
+    return tab === state.tab ? chalk.inverse(label) : chalk.gray(label);
+  }).join('');
+  const tabsWidth = DETAIL_TABS.reduce((sum, tab, index) => sum + ` ${index + 1}:${tab} `.length, 0);
+  lines.push(tabs + chalk.gray('─'.repeat(Math.max(0, cols - tabsWidth))));
+  
+  const styles = {
+    plain: text => text,
+    dim: chalk.gray,
+    heading: chalk.cyan.bold,
+    timing: chalk.magenta
+  };
+  const detail = buildDetailLines(state);
+  for (let row = 0; row < state.detailHeight; row++) {
+    const line = detail[state.detailOffset + row];
+    lines.push(line ? styles[line.style](fit(line.text, cols).trimEnd()) : '');
+  }
+  
+  // Status line: search prompt while typing, key help otherwise
+  if (state.searching) {
+    lines.push(fit(`/${state.search}█`, cols));
+  } else {
+    lines.push(chalk.gray(fit(
+      '↑↓ move  Enter detail  Esc back  Tab/1-5 tab  / search  s status  m method  c clear  q quit',
+      cols
+    )));
+  }
+  
+  return lines;
+}
+
+/**
+ * Run the interactive viewer until the user quits
+ * @param {Object} harData - Parsed HAR data
+ * @param {Object} options - Viewer options (see createState)
+ * @param {Object} [options.input] - Input stream (defaults to stdin)
+ * @param {Object} [options.output] - Output stream (defaults to stdout)
+ * @returns {Promise<void>} Resolves when the viewer exits
+ */
+function runTui(harData, options = {}) {
+  const input = options.input || process.stdin;
+  const output = options.output || process.stdout;
+  
+  if (!input.isTTY || !output.isTTY) {
+    return Promise.reject(new Error('--tui needs an interactive terminal'));
+  }
+  
+  const state = createState(harData, options);
+  
+  const draw = () => {
+    const lines = renderScreen(state, output.rows || 24, output.columns || 80);
+    // Home the cursor and overwrite in place instead of clearing, which flickers
+    output.write(`\x1b[H${lines.map(line => `${line}\x1b[K`).join('\r\n')}`);
+  };
+  
+  return new Promise(resolve => {
+    const onKeypress = (str, key) => {
+      if (handleKey(state, str, key || {}) === 'quit') {
+        finish();
+      } else {
+        draw();
+      }
+    };
+    
+    const finish = () => {
+      input.removeListener('keypress', onKeypress);
+      output.removeListener('resize', draw);
+      input.setRawMode(false);
+      input.pause();
+      // Show the cursor and leave the alternate screen
+      output.write('\x1b[?25h\x1b[?1049l');
+      resolve();
+    };
+    
+    readline.emitKeypressEvents(input);
+    input.setRawMode(true);
+    input.on('keypress', onKeypress);
+    output.on('resize', draw);
+    input.resume();
+    
+    // Use the alternate screen so the shell is restored on exit, and hide the cursor
+    output.write('\x1b[?1049h\x1b[?25l');
+    draw();
+  });
+}
+
+module.exports = {
+  DETAIL_TABS,
+  statusLabel,
+  groupByPage,
+  numberEntries,
+  formatInitiator,
+  groupByInitiator,
+  createState,
+  applyFilters,
+  handleKey,
+  buildDetailLines,
+  renderScreen,
+  runTui
+};
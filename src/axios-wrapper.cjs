@@ -2,6 +2,10 @@
 // ABOUTME: Captures and logs all Axios HTTP requests and responses
 
 const logger = require('./har-logger.cjs');
+const config = require('./config.cjs');
+
+// Marks axios modules that already have our interceptors
+const INSTRUMENTED = Symbol.for('node-traffic-logger.axios');
 
 /**
  * Instrument an Axios instance for HTTP traffic logging using interceptors
@@ -14,12 +18,6 @@ function instrumentAxios(axios) {
   
   // Add request interceptor to capture and log requests
   axios.interceptors.request.use(function (config) {
-    // Create unique request ID
-    const requestId = logger.createRequestId();
-    
-    // Add request ID to the config for correlating with response
-    config.requestId = requestId;
-    
     // Get request details
     const method = (config.method || 'get').toUpperCase();
     let url = config.url || '';
@@ -40,6 +38,18 @@ function instrumentAxios(axios) {
       }
     }
     
+    // Filtered-out requests are marked so the response interceptors leave them alone
+    if (!logger.shouldCapture(method, host, path)) {
+      config.captureSkipped = true;
+      return config;
+    }
+    
+    // Create unique request ID
+    const requestId = logger.createRequestId();
+    
+    // Add request ID to the config for correlating with response
+    config.requestId = requestId;
+    
     // Determine if HTTPS
     const isHttps = (url.startsWith('https:') || 
                    (config.baseURL && config.baseURL.startsWith('https:')));
@@ -87,10 +97,16 @@ function instrumentAxios(axios) {
   }, function (error) {
     logger.logSystem(`Axios request interceptor error: ${error.message}`);
     return Promise.reject(error);
+  }, {
+    // Run in the call to axios, while the code that made the request is still on the stack for its initiator.
+    // Axios only does so when no other request interceptor is asynchronous
+    synchronous: true
   });
   
   // Add response interceptor to capture and log responses
   axios.interceptors.response.use(function (response) {
+    if (response.config.captureSkipped) return response;
+    
     // Get the request ID from the config
     const requestId = response.config.requestId;
     if (!requestId) {
@@ -153,9 +169,14 @@ function instrumentAxios(axios) {
       logger.logResponseBody(responseBodyStr, contentType, requestId);
     }
     
+    logger.completeRequest(requestId);
     return response;
   }, function (error) {
     // Handle error responses (4xx, 5xx)
+    if (error.config && error.config.captureSkipped) {
+      return Promise.reject(error);
+    }
+    
     if (error.response && error.config) {
       const requestId = error.config.requestId;
       if (!requestId) {
@@ -219,8 +240,13 @@ function instrumentAxios(axios) {
         // Pass requestId for proper correlation
         logger.logResponseBody(responseBodyStr, contentType, requestId);
       }
+      
+      logger.completeRequest(requestId);
+    } else if (error.config && error.config.requestId) {
+      // Network errors, timeouts and cancellations where no response exists
+      logger.logError(error.config.requestId, error);
+      logger.completeRequest(error.config.requestId);
     } else {
-      // Network errors, etc. where no response exists
       logger.logSystem(`Axios error without response: ${error.message}`);
     }
     
@@ -237,6 +263,27 @@ function instrumentAxios(axios) {
   return axios;
 }
 
-// Export the instrumentation function
+/**
+ * Instrument a loaded axios module once, unless the configuration turns the axios interceptor off
+ * Used by the require hook and the ESM import shim, which can both see the same module
+ * @param {Object} axios - Default export of the axios package
+ * @return {Object} The same module
+ */
+function instrumentAxiosModule(axios) {
+  if (!axios || !axios.interceptors || axios[INSTRUMENTED] || !config.getConfig().interceptors.axios) {
+    return axios;
+  }
+  Object.defineProperty(axios, INSTRUMENTED, { value: true });
+  
+  logger.logSystem('Detected Axios import, instrumenting automatically');
+  try {
+    instrumentAxios(axios);
+  } catch (err) {
+    logger.logSystem(`Failed to instrument Axios: ${err.message}`);
+  }
+  return axios;
+}
+
+// Export the instrumentation functions
 
-module.exports = { instrumentAxios };
\ No newline at end of file
+module.exports = { instrumentAxios, instrumentAxiosModule };
\ No newline at end of file
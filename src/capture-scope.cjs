@@ -0,0 +1,51 @@
+// ABOUTME: Async context of withCapture() scopes, shared by the logger and the HAR formatter
+// ABOUTME: Tells which scope, if any, an outgoing request was made in and whether unscoped requests are recorded
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Scope of the withCapture() call the current async context runs in
+const scopeStorage = new AsyncLocalStorage();
+
+// When set, only requests made inside a scope are recorded
+let scopedOnly = false;
+
+/**
+ * Run a function inside a capture scope
+ * @param {Object} scope - Scope with name and pageId
+ * @param {Function} fn - Function to run; everything it starts belongs to the scope
+ * @returns {any} What fn returns
+ */
+function runInScope(scope, fn) {
+  return scopeStorage.run(scope, fn);
+}
+
+/**
+ * Get the capture scope of the current async context
+ * @returns {Object|null} Scope, or null outside of withCapture()
+ */
+function currentScope() {
+  return scopeStorage.getStore() || null;
+}
+
+/**
+ * Record only requests made inside a scope, or all of them again
+ * @param {boolean} enabled - Whether unscoped requests are left alone
+ */
+function setScopedOnly(enabled) {
+  scopedOnly = Boolean(enabled);
+}
+
+/**
+ * Check whether a request made in the current async context is recorded
+ * @returns {boolean} False for requests outside a scope while only scoped requests are recorded
+ */
+function isInCapturedContext() {
+  return !scopedOnly || currentScope() !== null;
+}
+
+module.exports = {
+  runInScope,
+  currentScope,
+  setScopedOnly,
+  isInCapturedContext
+};
@@ -0,0 +1,420 @@
+// ABOUTME: Configuration file support for node-traffic-logger
+// ABOUTME: Discovers, validates and holds the settings shared by the CLI, the runner, the preload script and instrument()
+
+const fs = require('fs');
+const path = require('path');
+
+// Files looked up in the working directory and its parents, in this order
+const CONFIG_FILES = [
+  '.trafficloggerrc',
+  '.trafficloggerrc.json',
+  'traffic-logger.config.js',
+  'traffic-logger.config.cjs'
+];
+
+// Clients that can be instrumented, all enabled by default
+const INTERCEPTORS = ['http', 'https', 'http2', 'fetch', 'axios'];
+
+// Output formats; the HAR file is always written
+const FORMATS = ['har', 'jsonl'];
+
+/**
+ * Build the default configuration
+ * @returns {Object} Default settings
+ */
+function defaultConfig() {
+  return {
+    configFile: null,
+    logsDir: null,            // Falls back to ./http-logs
+    fileName: 'http-archive-{timestamp}.har',
+    hosts: { include: [], exclude: [] },
+    paths: { include: [], exclude: [] },
+    methods: { include: [], exclude: [] },
+    redact: null,             // Built-in redaction rules only
+    maxBodySize: 0,           // Bodies are stored in full
+    interceptors: Object.fromEntries(INTERCEPTORS.map(name => [name, true])),
+    formats: ['har'],
+    children: true            // Child processes are instrumented too (worker threads always are)
+  };
+}
+
+// Active configuration read by the logger and the interceptors
+let activeConfig = defaultConfig();
+
+// Host and path patterns of the active configuration, compiled once instead of on every request
+let activeFilters = compileFilters(activeConfig);
+
+/**
+ * Find a configuration file in a directory or any of its parents
+ * @param {string} [startDir=process.cwd()] - Directory to start from
+ * @returns {string|null} Absolute path of the configuration file
+ */
+function findConfigFile(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+  
+  while (true) {
+    for (const name of CONFIG_FILES) {
+      const candidate = path.join(dir, name);
+      if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+        return candidate;
+      }
+    }
+    
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Read the raw settings from a configuration file
+ * @param {string} filePath - .trafficloggerrc (JSON) or traffic-logger.config.js (module)
+ * @returns {Object} Raw settings
+ */
+function readConfigFile(filePath) {
+  const resolved = path.resolve(filePath);
+  
+  if (/\.c?js$/.test(resolved)) {
+    // Load fresh so edits are picked up by long-lived processes and tests
+    delete require.cache[require.resolve(resolved)];
+    return require(resolved);
+  }
+  
+  try {
+    return JSON.parse(fs.readFileSync(resolved, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid configuration file ${resolved}: ${e.message}`);
+  }
+}
+
+/**
+ * Check that a value is a list of strings
+ * @param {any} value - Value to check
+ * @param {string} name - Setting name for the error message
+ * @returns {string[]} The list
+ */
+function stringList(value, name) {
+  if (value === undefined) return [];
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+    throw new Error(`Invalid configuration: ${name} must be a list of strings`);
+  }
+  return value;
+}
+
+/**
+ * Check a capture filter setting: an object with include and exclude lists
+ * @param {any} value - Value to check
+ * @param {string} name - Setting name for the error messages
+ * @returns {{include: string[], exclude: string[]}} The lists
+ */
+function filterLists(value, name) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new Error(`Invalid configuration: ${name} must be an object with include and exclude lists`);
+  }
+  return {
+    include: stringList(value.include, `${name}.include`),
+    exclude: stringList(value.exclude, `${name}.exclude`)
+  };
+}
+
+/**
+ * Check that every pattern of a list is a valid regular expression
+ * @param {string[]} patterns - Patterns to check
+ * @param {string} name - Setting name for the error message
+ */
+function checkPatterns(patterns, name) {
+  for (const pattern of patterns) {
+    try {
+      new RegExp(pattern);
+    } catch (e) {
+      throw new Error(`Invalid configuration: ${name}: ${e.message}`);
+    }
+  }
+}
+
+/**
+ * Validate raw settings and merge them over the defaults
+ * @param {Object} settings - Raw settings
+ * @param {string} [baseDir=process.cwd()] - Directory relative paths are resolved against
+ * @returns {Object} Resolved configuration
+ */
+function resolveConfig(settings = {}, baseDir = process.cwd()) {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new Error('Invalid configuration: expected an object');
+  }
+  
+  const config = defaultConfig();
+  const known = Object.keys(config).filter(key => key !== 'configFile');
+  const unknown = Object.keys(settings).filter(key => !known.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Invalid configuration: unknown setting ${unknown.join(', ')}`);
+  }
+  
+  if (settings.logsDir !== undefined) {
+    if (typeof settings.logsDir !== 'string') {
+      throw new Error('Invalid configuration: logsDir must be a string');
+    }
+    config.logsDir = path.resolve(baseDir, settings.logsDir);
+  }
+  
+  if (settings.fileName !== undefined) {
+    if (typeof settings.fileName !== 'string' || settings.fileName.includes('/')) {
+      throw new Error('Invalid configuration: fileName must be a file name');
+    }
+    config.fileName = settings.fileName;
+  }
+  
+  if (settings.hosts !== undefined) {
+    config.hosts = filterLists(settings.hosts, 'hosts');
+  }
+  
+  if (settings.paths !== undefined) {
+    config.paths = filterLists(settings.paths, 'paths');
+    checkPatterns(config.paths.include, 'paths.include');
+    checkPatterns(config.paths.exclude, 'paths.exclude');
+  }
+  
+  if (settings.methods !== undefined) {
+    const { include, exclude } = filterLists(settings.methods, 'methods');
+    config.methods = {
+      include: include.map(method => method.toUpperCase()),
+      exclude: exclude.map(method => method.toUpperCase())
+    };
+  }
+  
+  if (settings.redact !== undefined) {
+    if (!settings.redact || typeof settings.redact !== 'object') {
+      throw new Error('Invalid configuration: redact must be an object');
+    }
+    const { headers, queryParams, jsonPaths, patterns, defaults } = settings.redact;
+    config.redact = {
+      headers: stringList(headers, 'redact.headers'),
+      queryParams: stringList(queryParams, 'redact.queryParams'),
+      jsonPaths: stringList(jsonPaths, 'redact.jsonPaths'),
+      patterns: stringList(patterns, 'redact.patterns'),
+      defaults: defaults !== false
+    };
+    checkPatterns(config.redact.patterns, 'redact.patterns');
+  }
+  
+  if (settings.maxBodySize !== undefined) {
+    if (!Number.isInteger(settings.maxBodySize) || settings.maxBodySize < 0) {
+      throw new Error('Invalid configuration: maxBodySize must be a number of bytes (0 for no limit)');
+    }
+    config.maxBodySize = settings.maxBodySize;
+  }
+  
+  if (settings.interceptors !== undefined) {
+    if (!settings.interceptors || typeof settings.interceptors !== 'object') {
+      throw new Error('Invalid configuration: interceptors must be an object');
+    }
+    for (const [name, enabled] of Object.entries(settings.interceptors)) {
+      if (!INTERCEPTORS.includes(name) || typeof enabled !== 'boolean') {
+        throw new Error(`Invalid configuration: interceptors.${name} must be one of ${INTERCEPTORS.join(', ')} set to true or false`);
+      }
+      config.interceptors[name] = enabled;
+    }
+  }
+  
+  if (settings.formats !== undefined) {
+    const formats = stringList(settings.formats, 'formats');
+    const invalid = formats.filter(format => !FORMATS.includes(format));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid configuration: unknown format ${invalid.join(', ')} (supported: ${FORMATS.join(', ')})`);
+    }
+    // The HAR file is the primary output and is always written
+    config.formats = [...new Set(['har', ...formats])];
+  }
+  
+  if (settings.children !== undefined) {
+    if (typeof settings.children !== 'boolean') {
+      throw new Error('Invalid configuration: children must be true or false');
+    }
+    config.children = settings.children;
+  }
+  
+  return config;
+}
+
+/**
+ * Load the configuration and make it the active one
+ * Lookup order: the given file, NODE_TRAFFIC_LOGGER_CONFIG, then discovery from the working directory
+ * @param {Object} [options] - Load options
+ * @param {string|Object} [options.config] - Configuration file path or settings object
+ * @param {string} [options.cwd=process.cwd()] - Directory to discover the configuration file from
+ * @returns {Object} Active configuration
+ */
+function loadConfig(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  
+  if (options.config && typeof options.config === 'object') {
+    return activateConfig(resolveConfig(options.config, cwd));
+  }
+  
+  const configFile = options.config
+    ? path.resolve(cwd, options.config)
+    : process.env.NODE_TRAFFIC_LOGGER_CONFIG || findConfigFile(cwd);
+  
+  if (!configFile) {
+    return activateConfig(applyFilterFromEnv(defaultConfig()));
+  }
+  
+  if (!fs.existsSync(configFile)) {
+    throw new Error(`Configuration file not found: ${configFile}`);
+  }
+  
+  // Relative paths in a configuration file are relative to the file itself
+  const config = resolveConfig(readConfigFile(configFile), path.dirname(configFile));
+  config.configFile = configFile;
+  return activateConfig(applyFilterFromEnv(config));
+}
+
+/**
+ * Make a configuration the active one and compile its capture filter
+ * @param {Object} config - Resolved configuration
+ * @returns {Object} The same configuration
+ */
+function activateConfig(config) {
+  activeConfig = config;
+  activeFilters = compileFilters(config);
+  return config;
+}
+
+/**
+ * Replace the capture filter with the one the CLI passes in NODE_TRAFFIC_LOGGER_FILTER (JSON)
+ * The CLI has already merged the configured lists with its own options
+ * @param {Object} config - Resolved configuration
+ * @returns {Object} The same configuration
+ */
+function applyFilterFromEnv(config) {
+  if (process.env.NODE_TRAFFIC_LOGGER_FILTER) {
+    const filter = resolveConfig(JSON.parse(process.env.NODE_TRAFFIC_LOGGER_FILTER));
+    config.hosts = filter.hosts;
+    config.paths = filter.paths;
+    config.methods = filter.methods;
+  }
+  return config;
+}
+
+/**
+ * Get the active configuration
+ * @returns {Object} Active configuration (defaults until loadConfig is called)
+ */
+function getConfig() {
+  return activeConfig;
+}
+
+/**
+ * Restore the default configuration
+ */
+function resetConfig() {
+  activateConfig(defaultConfig());
+}
+
+/**
+ * Expand the placeholders of a file name template
+ * Supports {timestamp} (milliseconds since the epoch), {date} (YYYY-MM-DD) and {pid}
+ * @param {string} template - File name template
+ * @param {Date} [now=new Date()] - Time to use
+ * @returns {string} File name
+ */
+function formatFileName(template, now = new Date()) {
+  return template
+    .replace(/\{timestamp\}/g, String(now.getTime()))
+    .replace(/\{date\}/g, now.toISOString().slice(0, 10))
+    .replace(/\{pid\}/g, String(process.pid));
+}
+
+/**
+ * Check whether a host matches a glob pattern such as "*.example.com"
+ * @param {string} host - Host name, optionally with a port
+ * @param {string} pattern - Glob pattern; "*" matches any run of characters
+ * @returns {boolean} True if it matches
+ */
+function hostMatches(host, pattern) {
+  return hostRegExp(pattern).test(hostnameOf(host));
+}
+
+/**
+ * Compile a host glob pattern
+ * @param {string} pattern - Glob pattern; "*" matches any run of characters
+ * @returns {RegExp} Case-insensitive expression matching whole host names
+ */
+function hostRegExp(pattern) {
+  return new RegExp(`^${pattern.toLowerCase().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*')}$`);
+}
+
+/**
+ * Get the lower-cased host name of a host without its port
+ * @param {string} host - Host name, optionally with a port
+ * @returns {string} Host name
+ */
+function hostnameOf(host) {
+  return String(host).toLowerCase().replace(/:\d+$/, '');
+}
+
+/**
+ * Compile the host and path patterns of a configuration's capture filter
+ * @param {Object} config - Resolved configuration
+ * @returns {{hosts: {include: RegExp[], exclude: RegExp[]}, paths: {include: RegExp[], exclude: RegExp[]}}} Compiled lists
+ */
+function compileFilters({ hosts, paths }) {
+  const compile = (lists, toRegExp) => ({ include: lists.include.map(toRegExp), exclude: lists.exclude.map(toRegExp) });
+  return {
+    hosts: compile(hosts, hostRegExp),
+    paths: compile(paths, pattern => new RegExp(pattern))
+  };
+}
+
+/**
+ * Apply include and exclude lists: with an include list a value must match it, and it must never match the exclude list
+ * @param {{include: Array, exclude: Array}} lists - Filter lists of patterns or compiled expressions
+ * @param {Function} matches - Called with each list item, returns whether the value matches it
+ * @returns {boolean} True if the value passes the filter
+ */
+function passesFilter(lists, matches) {
+  if (lists.include.length > 0 && !lists.include.some(matches)) {
+    return false;
+  }
+  return !lists.exclude.some(matches);
+}
+
+/**
+ * Check whether traffic to a host should be captured under the active configuration
+ * @param {string} host - Host name, optionally with a port
+ * @returns {boolean} True if the host is included and not excluded
+ */
+function isHostCaptured(host) {
+  const hostname = hostnameOf(host);
+  return passesFilter(activeFilters.hosts, regex => regex.test(hostname));
+}
+
+/**
+ * Check whether a request should be captured under the active configuration
+ * Interceptors call this before logging anything, so excluded requests are never recorded or buffered
+ * @param {string} method - HTTP method
+ * @param {string} host - Host name, optionally with a port
+ * @param {string} requestPath - Path with optional query string; path patterns are tested against it
+ * @returns {boolean} True if the host, path and method all pass the filters
+ */
+function shouldCapture(method, host, requestPath) {
+  const { methods } = activeConfig;
+  
+  return isHostCaptured(host) &&
+    passesFilter(activeFilters.paths, regex => regex.test(requestPath || '/')) &&
+    passesFilter(methods, pattern => pattern === String(method || 'GET').toUpperCase());
+}
+
+module.exports = {
+  CONFIG_FILES,
+  INTERCEPTORS,
+  findConfigFile,
+  resolveConfig,
+  loadConfig,
+  getConfig,
+  resetConfig,
+  formatFileName,
+  hostMatches,
+  isHostCaptured,
+  shouldCapture
+};
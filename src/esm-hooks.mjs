@@ -0,0 +1,62 @@
+// ABOUTME: module.register loader hooks for node-traffic-logger
+// ABOUTME: Swaps imports of client packages for a shim that instruments the module before the application sees it
+
+import { fileURLToPath } from 'node:url';
+
+// Query parameter that marks a shim URL; its value is the package name
+const SHIM_PARAM = 'node-traffic-logger-shim';
+
+// Packages whose ESM build never goes through require, with the CommonJS helper that instruments them
+const SHIMMED_PACKAGES = {
+  axios: { helper: fileURLToPath(new URL('./axios-wrapper.cjs', import.meta.url)), instrument: 'instrumentAxiosModule' }
+};
+
+/**
+ * Resolve hook: point imports of a shimmed package at its shim
+ * @param {string} specifier - Import specifier
+ * @param {Object} context - Resolve context
+ * @param {Function} nextResolve - Next resolve hook
+ * @returns {Promise<Object>} Resolution
+ */
+export async function resolve(specifier, context, nextResolve) {
+  const result = await nextResolve(specifier, context);
+  
+  if (!Object.hasOwn(SHIMMED_PACKAGES, specifier)) {
+    return result;
+  }
+  
+  // The shim imports the package by its resolved URL, so this never matches it twice
+  const url = new URL(result.url);
+  url.searchParams.set(SHIM_PARAM, specifier);
+  return { ...result, url: url.href, format: 'module' };
+}
+
+/**
+ * Load hook: generate the shim, which re-exports the package after instrumenting its default export
+ * The shim runs in the application thread, where the interceptors and the HAR file live
+ * @param {string} url - Module URL
+ * @param {Object} context - Load context
+ * @param {Function} nextLoad - Next load hook
+ * @returns {Promise<Object>} Module source
+ */
+export async function load(url, context, nextLoad) {
+  const parsed = URL.canParse(url) ? new URL(url) : null;
+  const name = parsed && parsed.searchParams.get(SHIM_PARAM);
+  if (!name) {
+    return nextLoad(url, context);
+  }
+  
+  parsed.searchParams.delete(SHIM_PARAM);
+  const original = JSON.stringify(parsed.href);
+  const { helper, instrument } = SHIMMED_PACKAGES[name];
+  
+  const source = [
+    "import { createRequire } from 'node:module';",
+    `import client from ${original};`,
+    `export * from ${original};`,
+    `const { ${instrument} } = createRequire(import.meta.url)(${JSON.stringify(helper)});`,
+    `export default ${instrument}(client);`
+  ].join('\n');
+  
+  return { format: 'module', source, shortCircuit: true };
+}
@@ -0,0 +1,16 @@
+// ABOUTME: ES module entry point for node-traffic-logger, loaded with `node --import`
+// ABOUTME: Starts the interceptors and registers loader hooks so clients are instrumented however they are imported
+
+import { createRequire } from 'node:module';
+
+const require = createRequire(import.meta.url);
+
+// Same setup as --require; when the CLI passes both flags the second load is a no-op
+require('./preload-interceptor.cjs');
+
+const { registerEsmHooks, syncBuiltinExports } = require('./esm-support.cjs');
+
+// Builtins were patched through their CommonJS exports; named ESM imports must see the patched functions
+syncBuiltinExports();
+
+registerEsmHooks();
@@ -0,0 +1,71 @@
+// ABOUTME: ES module support for node-traffic-logger
+// ABOUTME: Registers the loader hooks that instrument imported clients and keeps builtin ESM bindings in sync
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+const Module = require('module');
+const workerThreads = require('worker_threads');
+const logger = require('./har-logger.cjs');
+
+// Entry point for node --import; starts the interceptors and registers the hooks
+const ESM_REGISTER_PATH = path.join(__dirname, 'esm-register.mjs');
+
+// Loader hooks module, run by Node in its own thread
+const ESM_HOOKS_PATH = path.join(__dirname, 'esm-hooks.mjs');
+
+// Hooks are registered once per process
+let hooksRegistered = false;
+
+/**
+ * Check whether this Node.js version can register loader hooks (module.register, Node 18.19 / 20.6 and later)
+ * @returns {boolean} True if module.register is available
+ */
+function supportsModuleRegister() {
+  return typeof Module.register === 'function';
+}
+
+/**
+ * Check whether the code runs in a thread Node starts for itself, such as the one hosting loader hooks
+ * Worker threads started by the application have a parentPort; Node's internal threads do not
+ * @returns {boolean} True in an internal thread
+ */
+function isInternalThread() {
+  if (typeof workerThreads.isInternalThread === 'boolean') {
+    return workerThreads.isInternalThread;
+  }
+  return !workerThreads.isMainThread && !workerThreads.parentPort;
+}
+
+/**
+ * Update the named exports of builtin ES modules after their CommonJS exports were patched
+ * Without this, `import { request } from 'node:http'` can keep the unpatched function
+ */
+function syncBuiltinExports() {
+  Module.syncBuiltinESMExports();
+}
+
+/**
+ * Register the loader hooks so clients loaded with import are instrumented like required ones
+ * @returns {boolean} True if the hooks are registered
+ */
+function registerEsmHooks() {
+  if (hooksRegistered) return true;
+  
+  if (!supportsModuleRegister()) {
+    logger.logSystem(`module.register is not available in Node.js ${process.version}, imported axios modules will not be instrumented`);
+    return false;
+  }
+  
+  Module.register(pathToFileURL(ESM_HOOKS_PATH).href);
+  hooksRegistered = true;
+  logger.logSystem('ESM loader hooks registered');
+  return true;
+}
+
+module.exports = {
+  ESM_REGISTER_PATH,
+  supportsModuleRegister,
+  isInternalThread,
+  syncBuiltinExports,
+  registerEsmHooks
+};
@@ -0,0 +1,566 @@
+// ABOUTME: Fault injection for node-traffic-logger, for exercising retry and timeout logic
+// ABOUTME: Delays responses, answers with synthetic errors, resets connections or truncates bodies according to rules
+
+const fs = require('fs');
+const http = require('http');
+const { AsyncLocalStorage } = require('async_hooks');
+const { hostMatches } = require('./config.cjs');
+const replay = require('./replay.cjs');
+
+// Kinds of fault a rule can inject
+const FAULT_TYPES = ['delay', 'status', 'reset', 'truncate'];
+
+// Active fault configuration, or null when no faults are injected
+let faultState = null;
+
+// Fault picked by the fetch hook, read by the undici capture when it logs the request
+const fetchFaultContext = new AsyncLocalStorage();
+
+/**
+ * Validate fault rules and fill in their defaults
+ * @param {Object[]} rules - Rules such as { host: '*.example.com', path: '^/api', method: 'POST',
+ *   probability: 0.2, fault: 'status', status: 503 }
+ * @returns {Object[]} Normalized rules
+ */
+function parseFaultRules(rules) {
+  if (!Array.isArray(rules)) {
+    throw new Error('Invalid fault rules: expected a list of rules');
+  }
+  
+  return rules.map((rule, index) => {
+    const name = `Invalid fault rule ${index + 1}`;
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`${name}: expected an object`);
+    }
+    if (!FAULT_TYPES.includes(rule.fault)) {
+      throw new Error(`${name}: fault must be one of ${FAULT_TYPES.join(', ')}`);
+    }
+    
+    const probability = rule.probability === undefined ? 1 : rule.probability;
+    if (typeof probability !== 'number' || probability < 0 || probability > 1) {
+      throw new Error(`${name}: probability must be a number from 0 to 1`);
+    }
+    
+    const delay = rule.delay === undefined ? 0 : rule.delay;
+    if (typeof delay !== 'number' || delay < 0) {
+      throw new Error(`${name}: delay must be a number of milliseconds`);
+    }
+    if (rule.fault === 'delay' && delay === 0) {
+      throw new Error(`${name}: a delay fault needs a delay`);
+    }
+    
+    const status = rule.fault === 'status' ? (rule.status === undefined ? 503 : rule.status) : undefined;
+    if (status !== undefined && (!Number.isInteger(status) || status < 200 || status > 599)) {
+      throw new Error(`${name}: status must be an HTTP status code from 200 to 599`);
+    }
+    
+    const bytes = rule.fault === 'truncate' ? (rule.bytes === undefined ? 0 : rule.bytes) : undefined;
+    if (bytes !== undefined && (!Number.isInteger(bytes) || bytes < 0)) {
+      throw new Error(`${name}: bytes must be a number of body bytes to send`);
+    }
+    
+    let path = null;
+    if (rule.path !== undefined) {
+      try {
+        path = new RegExp(rule.path);
+      } catch (e) {
+        throw new Error(`${name}: ${e.message}`);
+      }
+    }
+    
+    return {
+      fault: rule.fault,
+      host: rule.host || null,
+      path,
+      methods: rule.method ? [].concat(rule.method).map(method => String(method).toUpperCase()) : null,
+      probability,
+      delay,
+      status,
+      headers: rule.headers || {},
+      body: rule.body === undefined ? null : String(rule.body),
+      bytes
+    };
+  });
+}
+
+/**
+ * Enable fault injection
+ * @param {Object} options - Fault options
+ * @param {Object[]|string} options.rules - Rules, or a JSON file holding them
+ * @param {Function} [options.random=Math.random] - Source of numbers in [0, 1) for rule probabilities
+ * @returns {Object} The active fault configuration
+ */
+function configureFaults(options) {
+  let rules = options && options.rules;
+  let file = null;
+  
+  if (typeof rules === 'string') {
+    file = rules;
+    try {
+      rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+      throw new Error(`Invalid fault rules file ${file}: ${e.message}`);
+    }
+    // A file may hold the list itself or an object with a rules list
+    if (rules && !Array.isArray(rules)) rules = rules.rules;
+  }
+  
+  faultState = {
+    file,
+    rules: parseFaultRules(rules),
+    random: (options && options.random) || Math.random
+  };
+  
+  return faultState;
+}
+
+/**
+ * Read fault rules from the file named by the environment variable set by the CLI
+ * @returns {Object|null} The active fault configuration, or null if not requested
+ */
+function configureFaultsFromEnv() {
+  if (!process.env.NODE_TRAFFIC_LOGGER_FAULTS) {
+    return null;
+  }
+  
+  return configureFaults({ rules: process.env.NODE_TRAFFIC_LOGGER_FAULTS });
+}
+
+/**
+ * Disable fault injection
+ */
+function disableFaults() {
+  faultState = null;
+}
+
+/**
+ * Check whether fault injection is active
+ * @returns {boolean} True if fault rules are configured
+ */
+function isFaultInjectionEnabled() {
+  return faultState !== null;
+}
+
+/**
+ * Pick the fault to inject into a request
+ * Matching rules are tried in order and the first whose probability comes up applies
+ * @param {Object} request - Request with method and url
+ * @returns {Object|null} Fault: the rule with its index, or null to leave the request alone
+ */
+function pickFault(request) {
+  if (!faultState) return null;
+  
+  let url;
+  try {
+    url = new URL(request.url);
+  } catch (e) {
+    return null;
+  }
+  const method = String(request.method || 'GET').toUpperCase();
+  
+  for (const [index, rule] of faultState.rules.entries()) {
+    if (rule.host && !hostMatches(url.host, rule.host)) continue;
+    if (rule.path && !rule.path.test(url.pathname + url.search)) continue;
+    if (rule.methods && !rule.methods.includes(method)) continue;
+    if (faultState.random() >= rule.probability) continue;
+    
+    return { ...rule, index };
+  }
+  
+  return null;
+}
+
+/**
+ * Describe an injected fault for the HAR entry's _meta
+ * @param {Object} fault - Fault from pickFault
+ * @returns {Object} Fault details
+ */
+function describeFault(fault) {
+  const details = { type: fault.fault, rule: fault.index };
+  if (fault.delay > 0) details.delay = fault.delay;
+  if (fault.status !== undefined) details.status = fault.status;
+  if (fault.bytes !== undefined) details.bytes = fault.bytes;
+  return details;
+}
+
+/**
+ * Build the synthetic response of a status fault
+ * @param {Object} fault - Fault from pickFault
+ * @returns {{status: number, statusText: string, headers: Object, body: string}} Response
+ */
+function syntheticResponse(fault) {
+  const statusText = http.STATUS_CODES[fault.status] || '';
+  const headers = { 'content-type': 'text/plain', ...fault.headers };
+  const body = fault.body === null ? `${fault.status} ${statusText} (injected fault)` : fault.body;
+  return { status: fault.status, statusText, headers, body };
+}
+
+/**
+ * Serialize the synthetic response of a status fault as raw HTTP/1.1 bytes
+ * @param {Object} fault - Fault from pickFault
+ * @returns {Buffer} Raw HTTP response
+ */
+function serializeSyntheticResponse(fault) {
+  const { status, statusText, headers, body } = syntheticResponse(fault);
+  return replay.serializeResponse({
+    response: {
+      status,
+      statusText,
+      headers: Object.entries(headers).map(([name, value]) => ({ name, value: String(value) })),
+      content: { text: body }
+    }
+  });
+}
+
+/**
+ * Create the error a reset connection fails with
+ * @returns {Error} Error with code ECONNRESET
+ */
+function createResetError() {
+  const error = new Error('read ECONNRESET (injected fault)');
+  error.code = 'ECONNRESET';
+  error.syscall = 'read';
+  return error;
+}
+
+/**
+ * Socket that holds back or cuts off the response it plays back
+ */
+class FaultSocket extends replay.ReplaySocket {
+  /**
+   * @param {Object} fault - Fault from pickFault
+   */
+  constructor(fault) {
+    super();
+    this.fault = fault;
+    this.held = null;
+    this.head = Buffer.alloc(0);
+    this.bodyBytes = null;
+    this.cut = false;
+    this.idle = { timeout: 0, timer: null };
+    this.once('close', () => clearTimeout(this.idle.timer));
+  }
+  
+  /**
+   * Emit 'timeout' after a period without traffic, like net.Socket, so client timeouts fire
+   * while a response is held back
+   * @param {number} timeout - Milliseconds; 0 disables the timeout
+   * @param {Function} [callback] - Called on timeout
+   * @returns {FaultSocket} This socket
+   */
+  setTimeout(timeout, callback) {
+    this.idle.timeout = timeout;
+    if (callback) {
+      if (timeout > 0) this.once('timeout', callback);
+      else this.removeListener('timeout', callback);
+    }
+    this.touch();
+    return this;
+  }
+  
+  /**
+   * Restart the idle timer after traffic
+   */
+  touch() {
+    clearTimeout(this.idle.timer);
+    if (this.idle.timeout > 0 && !this.destroyed) {
+      this.idle.timer = setTimeout(() => this.emit('timeout'), this.idle.timeout);
+    }
+  }
+  
+  _write(chunk, encoding, callback) {
+    this.touch();
+    super._write(chunk, encoding, callback);
+  }
+  
+  /**
+   * Hold back the response for a while
+   * @param {number} delay - Milliseconds
+   */
+  holdFor(delay) {
+    this.held = [];
+    const timer = setTimeout(() => {
+      const held = this.held;
+      this.held = null;
+      for (const chunk of held) this.push(chunk);
+    }, delay);
+    this.once('close', () => clearTimeout(timer));
+  }
+  
+  push(chunk) {
+    if (this.held) {
+      this.held.push(chunk);
+      return true;
+    }
+    if (this.cut) return false;
+    this.touch();
+    if (chunk === null || this.fault.fault !== 'truncate') {
+      return super.push(chunk);
+    }
+    
+    // Let the status line and headers through, then only the allowed number of body bytes
+    let body = chunk;
+    if (this.bodyBytes === null) {
+      this.head = Buffer.concat([this.head, chunk]);
+      const end = this.head.indexOf('\r\n\r\n');
+      if (end === -1) return super.push(chunk);
+      body = this.head.subarray(end + 4);
+      this.bodyBytes = 0;
+      super.push(chunk.subarray(0, chunk.length - body.length));
+    }
+    
+    const allowed = this.fault.bytes - this.bodyBytes;
+    if (body.length < allowed) {
+      this.bodyBytes += body.length;
+      return super.push(body);
+    }
+    
+    // The server closes the connection part way through the body
+    this.cut = true;
+    super.push(body.subarray(0, allowed));
+    return super.push(null);
+  }
+}
+
+/**
+ * Prepare fault injection for an http/https request
+ * Returns null when no rule applies to the request
+ * @param {Object} request - Request details, as for replay.createReplaySession
+ * @returns {Object|null} Fault session with patchArguments() and complete()
+ */
+function createFaultSession(request) {
+  const fault = pickFault(request);
+  if (!fault) return null;
+  
+  const socket = new FaultSocket(fault);
+  
+  // Delayed and truncated responses come from the recording in replay mode, otherwise from the server
+  const replaySession = fault.fault === 'delay' || fault.fault === 'truncate'
+    ? replay.createReplaySession(request, socket)
+    : null;
+  
+  return {
+    /**
+     * Route the request through the fault socket
+     * @param {IArguments|Array} args - Arguments passed to http.request
+     * @returns {Array} Patched arguments
+     */
+    patchArguments(args) {
+      return replay.routeThroughSocket(args, socket);
+    },
+    
+    /**
+     * Inject the fault once the request body has been written
+     * @param {Buffer} body - Request body
+     * @returns {Object} Metadata for the HAR entry
+     */
+    complete(body) {
+      const meta = { fault: describeFault(fault) };
+      if (socket.destroyed) return meta;
+      
+      if (fault.fault === 'status' || fault.fault === 'reset') {
+        const inject = () => {
+          if (socket.destroyed) return;
+          if (fault.fault === 'status') {
+            socket.respond(serializeSyntheticResponse(fault));
+          } else {
+            socket.destroy(createResetError());
+          }
+        };
+        if (fault.delay > 0) {
+          const timer = setTimeout(inject, fault.delay);
+          socket.once('close', () => clearTimeout(timer));
+        } else {
+          inject();
+        }
+        return meta;
+      }
+      
+      if (fault.delay > 0) {
+        socket.holdFor(fault.delay);
+      }
+      
+      if (replaySession) {
+        const replayed = replaySession.complete(body);
+        if (replayed) meta.replay = replayed;
+      } else {
+        const url = new URL(request.url);
+        socket.forward({
+          ...request.options,
+          host: url.hostname,
+          port: Number(url.port) || (request.isHttps ? 443 : 80),
+          isHttps: request.isHttps
+        });
+      }
+      return meta;
+    }
+  };
+}
+
+/**
+ * Wait, unless the request is aborted first
+ * @param {number} delay - Milliseconds
+ * @param {AbortSignal} [signal] - Signal of the request
+ * @returns {Promise<void>} Resolves after the delay, rejects with the abort reason
+ */
+function sleep(delay, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+    const timer = setTimeout(resolve, delay);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(signal.reason);
+      }, { once: true });
+    }
+  });
+}
+
+/**
+ * Give a fetch response a body that ends part way through
+ * @param {Response} response - Original response
+ * @param {number} bytes - Body bytes to deliver before failing
+ * @returns {Response} Response whose body fails like a dropped connection
+ */
+function truncateResponse(response, bytes) {
+  let remaining = bytes;
+  const reader = response.body ? response.body.getReader() : null;
+  
+  const body = new ReadableStream({
+    async pull(controller) {
+      const { done, value } = reader ? await reader.read() : { done: true };
+      if (!done && value.length < remaining) {
+        remaining -= value.length;
+        controller.enqueue(value);
+        return;
+      }
+      
+      if (!done && remaining > 0) controller.enqueue(value.subarray(0, remaining));
+      if (reader) reader.cancel().catch(() => {});
+      
+      // undici fails reads of a body whose connection closed early the same way
+      controller.error(new TypeError('terminated', { cause: createResetError() }));
+    }
+  });
+  
+  const truncated = new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers
+  });
+  Object.defineProperty(truncated, 'url', { value: response.url });
+  return truncated;
+}
+
+/**
+ * Get the fault the fetch hook injects into the fetch call being logged
+ * @returns {Object|null} Fault details for the HAR entry's _meta
+ */
+function currentFetchFault() {
+  return fetchFaultContext.getStore() || null;
+}
+
+/**
+ * Replace global fetch with a version that injects faults
+ * @returns {Function} Function that restores the original fetch
+ */
+function installFetchFaults() {
+  const originalFetch = globalThis.fetch;
+  if (typeof originalFetch !== 'function') {
+    return () => {};
+  }
+  
+  const logger = require('./har-logger.cjs');
+  
+  globalThis.fetch = async function faultFetch(input, init) {
+    if (!faultState) {
+      return originalFetch.apply(this, arguments);
+    }
+    
+    const request = replay.inspectFetchRequest(input, init);
+    const requestUrl = new URL(request.url);
+    
+    // Faults are only injected into requests that are captured, so each one is recorded
+    if (!logger.shouldCapture(request.method, requestUrl.host, requestUrl.pathname + requestUrl.search)) {
+      return originalFetch.apply(this, arguments);
+    }
+    
+    const fault = pickFault({ method: request.method, url: request.url });
+    if (!fault) {
+      return originalFetch.apply(this, arguments);
+    }
+    
+    const details = describeFault(fault);
+    
+    if (fault.fault === 'delay' || fault.fault === 'truncate') {
+      // The request is sent and logged as usual; the logged entry picks up the fault from the context
+      const response = await fetchFaultContext.run(details, () => originalFetch.apply(this, arguments));
+      if (fault.delay > 0) {
+        await sleep(fault.delay, request.signal);
+      }
+      return fault.fault === 'truncate' ? truncateResponse(response, fault.bytes) : response;
+    }
+    
+    // Synthetic responses and resets never reach undici, so log them here
+    const headers = {};
+    request.headers.forEach((value, name) => { headers[name] = value; });
+    const body = request.body ? await request.clone().text() : '';
+    
+    const requestId = logger.createRequestId();
+    logger.logRequest(request.method, requestUrl.host, requestUrl.pathname + requestUrl.search, headers, requestId, requestUrl.protocol === 'https:', 'fetch');
+    if (body) {
+      logger.logRequestBody(body, headers['content-type'] || '', requestId);
+    }
+    logger.annotateEntry(requestId, { fault: details });
+    
+    try {
+      if (fault.delay > 0) {
+        await sleep(fault.delay, request.signal);
+      }
+    } catch (error) {
+      logger.logError(requestId, error, { phase: 'wait', aborted: true });
+      logger.completeRequest(requestId);
+      throw error;
+    }
+    
+    if (fault.fault === 'reset') {
+      const error = createResetError();
+      logger.logError(requestId, error, { phase: 'wait' });
+      logger.completeRequest(requestId);
+      throw new TypeError('fetch failed', { cause: error });
+    }
+    
+    const response = syntheticResponse(fault);
+    logger.logResponse(requestId, request.method, request.url, response.status, response.statusText, response.headers);
+    if (response.body) {
+      logger.logResponseBody(response.body, response.headers['content-type'] || '', requestId);
+    }
+    logger.completeRequest(requestId);
+    
+    return new Response(replay.NULL_BODY_STATUSES.includes(response.status) ? null : response.body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers
+    });
+  };
+  
+  return function restoreFetch() {
+    globalThis.fetch = originalFetch;
+  };
+}
+
+module.exports = {
+  FAULT_TYPES,
+  parseFaultRules,
+  configureFaults,
+  configureFaultsFromEnv,
+  disableFaults,
+  isFaultInjectionEnabled,
+  pickFault,
+  createFaultSession,
+  currentFetchFault,
+  installFetchFaults
+};
@@ -24,6 +24,21 @@ function isFetchAvailable() {
   return typeof globalThis.fetch === 'function';
 }
 
+/**
+ * Check whether the request behind a fetch response passes the capture filter
+ * @param {Object} response - Fetch response
+ * @returns {boolean} True if the request should have been captured
+ */
+function isCapturedResponse(response) {
+  try {
+    const urlObj = new URL(response.url);
+    const method = (response.request && response.request.method) || 'GET';
+    return logger.shouldCapture(method, urlObj.host, urlObj.pathname + urlObj.search);
+  } catch (e) {
+    return true;
+  }
+}
+
 /**
  * Setup fetch interception using fetch-intercept
  * @returns {Function} Cleanup function to unregister the interceptors
@@ -37,18 +52,8 @@ function setupFetchInterception() {
   // Register the interceptors
   const unregister = fetchIntercept.register({
     request: function(url, config) {
-      // Create unique request ID
-      const requestId = logger.createRequestId();
-      
-      // Add tracking ID to config
-      if (!config) config = {};
-      if (!config.headers) config.headers = {};
-      
-      // Store our request ID in a custom header for correlation
-      config.headers['X-Request-Tracking-ID'] = requestId;
-      
       // Extract request information
-      const method = (config.method || 'GET').toUpperCase();
+      const method = ((config && config.method) || 'GET').toUpperCase();
       
       // Parse URL
       let host, path;
@@ -61,6 +66,21 @@ function setupFetchInterception() {
         path = '/';
       }
       
+      // Filtered-out requests are sent as they are, without a tracking header
+      if (!logger.shouldCapture(method, host, path)) {
+        return [url, config];
+      }
+      
+      // Create unique request ID
+      const requestId = logger.createRequestId();
+      
+      // Add tracking ID to config
+      if (!config) config = {};
+      if (!config.headers) config.headers = {};
+      
+      // Store our request ID in a custom header for correlation
+      config.headers['X-Request-Tracking-ID'] = requestId;
+      
       // Determine if HTTPS
       const isHttps = url.startsWith('https:');
       
@@ -120,7 +140,10 @@ function setupFetchInterception() {
       }
       
       if (!requestId) {
-        logger.logSystem('Fetch response has no requestId - cannot correlate');
+        // Requests left out by the capture filter have no tracking header on purpose
+        if (isCapturedResponse(response)) {
+          logger.logSystem('Fetch response has no requestId - cannot correlate');
+        }
         return response;
       }
       
@@ -161,9 +184,12 @@ function setupFetchInterception() {
           logger.logResponseBody(formattedBody, contentType, requestId);
         }).catch(error => {
           logger.logSystem(`Error reading fetch response body: ${error.message}`);
+        }).finally(() => {
+          logger.completeRequest(requestId);
         });
       } else {
         logger.logResponseBody(`[Binary ${contentType} content]`, contentType, requestId);
+        logger.completeRequest(requestId);
       }
       
       return response;
@@ -9,10 +9,15 @@ const url = require('url');
 const harSchema = require('har-schema');
 const crypto = require('crypto');
 const EventEmitter = require('events');
+const { HarWriter } = require('./har-writer.cjs');
+
+// log.comment is rewritten with every write, so the system log it holds is kept this short
+const MAX_SYSTEM_LOG_LINES = 200;
 
 /**
  * HAR formatter for node-traffic-logger
  * Implements HTTP Archive (HAR) format 1.2 for HTTP traffic logging
+ * Emits entry-request, entry-response, entry-error and entry-complete with the HAR entry
  */
 class HarFormatter extends EventEmitter {
   constructor() {
@@ -27,16 +32,25 @@ class HarFormatter extends EventEmitter {
           version: this.getPackageVersion()
         },
         pages: [],
-        entries: []
+        entries: [] // Entries still in flight; completed entries live only in the file
       }
     };
     
     this.logFile = null;
-    this.requestMap = new Map(); // Maps requestId to entry index
+    this.writer = null; // Appends completed entries to logFile
     this.requestTimings = new Map(); // Store request start times
-    this.pageRef = `page_${Date.now()}`;
+    this.pageRef = `page_${Date.now()}`; // Page new entries belong to
+    this.pageCount = 1; // Pages started so far, the default one included
     this.startTime = Date.now();
-    this.entryMap = new Map(); // Maps requestId to entry
+    this.entryMap = new Map(); // Maps requestId to in-flight entry
+    this.paused = false; // Requests started while paused are tracked but never recorded
+    this.unrecorded = new Set(); // Request IDs of in-flight entries started while paused
+    this.archives = new Map(); // Maps page ID to a separate archive its entries are written to
+    this.systemMessages = new Set(); // Messages already in log.comment
+    this.systemLogFull = false; // Set once log.comment holds MAX_SYSTEM_LOG_LINES messages
+    
+    // Flush the tail on any exit, including process.exit() which skips beforeExit
+    this.exitHandler = () => this.saveHar();
     
     // Add default page
     this.addPage({
@@ -65,6 +79,8 @@ class HarFormatter extends EventEmitter {
    * Initialize HAR log
    * @param {string} logsDir - Directory to save HAR files
    * @param {Object} options - Optional configuration
+   * @param {string} [options.fileName] - HAR file name (default: timestamped http-archive-*.har)
+   * @param {Object} [options.session] - Capture session the file belongs to, recorded as log._session
    * @returns {string} Path to HAR file
    */
   initializeLog(logsDir, options = {}) {
@@ -73,8 +89,8 @@ class HarFormatter extends EventEmitter {
       fs.mkdirSync(logsDir, { recursive: true });
     }
     
-    // Create HAR file with timestamp
-    this.logFile = path.join(logsDir, `http-archive-${Date.now()}.har`);
+    // Create HAR file with timestamp unless a name was requested (e.g. a replay cassette)
+    this.logFile = path.join(logsDir, options.fileName || `http-archive-${Date.now()}.har`);
     
     // Add browser and system info
     this.harData.log.browser = {
@@ -82,10 +98,32 @@ class HarFormatter extends EventEmitter {
       version: process.version
     };
     
+    // Sibling files written by child processes and workers share the session id
+    if (options.session) {
+      this.harData.log._session = options.session;
+    } else {
+      delete this.harData.log._session;
+    }
+    
+    // Start a new append-only file; entries completed earlier belong to the previous one
+    if (this.writer) {
+      this.writer.close();
+    }
+    const { version, creator, browser, _session } = this.harData.log;
+    this.writer = new HarWriter(this.logFile, { version, creator, browser, _session });
+    process.removeListener('exit', this.exitHandler);
+    process.on('exit', this.exitHandler);
+    
     // Setup auto-save if enabled
+    if (this.autoSaveInterval) {
+      clearInterval(this.autoSaveInterval);
+      this.autoSaveInterval = null;
+    }
     if (options.autoSave !== false) {
       const interval = options.autoSaveInterval || 10000; // Default: 10 seconds
       this.autoSaveInterval = setInterval(() => this.saveHar(), interval);
+      // The exit handler writes the tail, so saving must not keep the application alive
+      this.autoSaveInterval.unref();
     }
     
     // Save initial HAR file
@@ -103,6 +141,9 @@ class HarFormatter extends EventEmitter {
       this.autoSaveInterval = null;
     }
     
+    // The current page ends with the capture
+    this.endPage(this.pageRef);
+    
     // Final save
     this.saveHar();
   }
@@ -113,7 +154,37 @@ class HarFormatter extends EventEmitter {
    * @returns {string} Page ID
    */
   addPage(pageData) {
-    const page = {
+    const page = this.createPage(pageData);
+    this.harData.log.pages.push(page);
+    return page.id;
+  }
+  
+  /**
+   * End the current page and group the requests started from now on under a new one
+   * @param {Object} [pageData] - Page information, as for addPage (default title: Page <n>)
+   * @returns {string} Page ID
+   */
+  startPage(pageData = {}) {
+    this.endPage(this.pageRef);
+    
+    this.pageCount++;
+    this.pageRef = this.addPage({
+      id: pageData.id || `page_${Date.now()}_${this.pageCount}`,
+      title: pageData.title || `Page ${this.pageCount}`
+    });
+    
+    // The page shows up in the file before its first entry does
+    this.saveHar();
+    return this.pageRef;
+  }
+  
+  /**
+   * Build a HAR page
+   * @param {Object} pageData - Page information (id, title)
+   * @returns {Object} Page
+   */
+  createPage(pageData) {
+    return {
       startedDateTime: new Date().toISOString(),
       id: pageData.id || `page_${Date.now()}`,
       title: pageData.title || 'Untitled Page',
@@ -122,9 +193,52 @@ class HarFormatter extends EventEmitter {
         onLoad: -1
       }
     };
+  }
+  
+  /**
+   * Write the entries of a page to a separate HAR file instead of the main one
+   * @param {string} filePath - HAR file to create
+   * @param {Object} pageData - Page information, as for addPage
+   * @returns {string} Page ID
+   */
+  openArchive(filePath, pageData) {
+    const page = this.createPage(pageData);
+    const { id } = page;
     
-    this.harData.log.pages.push(page);
-    return page.id;
+    const { version, creator, browser, _session } = this.harData.log;
+    const writer = new HarWriter(filePath, { version, creator, browser, _session });
+    this.archives.set(id, { filePath, writer, pages: [page], entries: [], closing: false });
+    writer.writeTail([], { pages: [page] });
+    
+    return id;
+  }
+  
+  /**
+   * Finish the archive of a page once its last in-flight entry completes
+   * @param {string} pageId - Page ID returned by openArchive
+   */
+  closeArchive(pageId) {
+    const archive = this.archives.get(pageId);
+    if (!archive) return;
+    
+    archive.closing = true;
+    if (archive.entries.length > 0) return;
+    
+    archive.writer.writeTail([], { pages: archive.pages });
+    archive.writer.close();
+    this.archives.delete(pageId);
+  }
+  
+  /**
+   * Record how long the operation behind a page took, as its onLoad timing
+   * @param {string} pageId - Page ID
+   */
+  endPage(pageId) {
+    const archive = this.archives.get(pageId);
+    const page = (archive ? archive.pages : this.harData.log.pages).find(candidate => candidate.id === pageId);
+    if (page) {
+      page.pageTimings.onLoad = Date.now() - new Date(page.startedDateTime).getTime();
+    }
   }
   
   /**
@@ -135,14 +249,16 @@ class HarFormatter extends EventEmitter {
   startRequest(requestId, timingData = {}) {
     this.requestTimings.set(requestId, {
       startTime: Date.now(),
+      // dns/connect/ssl stay -1 unless measured (not applicable per HAR spec);
+      // send/wait/receive stay null until an interceptor reports them
       phases: {
         blocked: -1,
         dns: -1,
         connect: -1,
         ssl: -1,
-        send: timingData.send || 0,
-        wait: 0,
-        receive: 0
+        send: timingData.send !== undefined ? timingData.send : null,
+        wait: null,
+        receive: null
       },
       ...timingData
     });
@@ -158,7 +274,178 @@ class HarFormatter extends EventEmitter {
     const timing = this.requestTimings.get(requestId);
     if (timing && timing.phases) {
       timing.phases[phase] = duration;
+      return;
+    }
+    
+    // Phases that end after the response headers (e.g. receive) arrive once
+    // the timings have already been written to the entry
+    const entry = this.entryMap.get(requestId);
+    if (entry && entry.timings) {
+      entry.timings[phase] = duration;
+      entry.time = this.calculateEntryTime(entry.timings);
+    }
+  }
+  
+  /**
+   * Mark an entry as complete: append it to the HAR file and release it from memory
+   * Later updates for the request are ignored
+   * @param {string} requestId - Request ID
+   * @returns {Object|null} The completed entry, or null if it is unknown or already complete
+   */
+  completeEntry(requestId) {
+    const entry = this.entryMap.get(requestId);
+    if (!entry) return null;
+    
+    this.entryMap.delete(requestId);
+    this.requestTimings.delete(requestId);
+    
+    if (this.unrecorded.delete(requestId)) {
+      return null;
+    }
+    
+    const archive = this.archives.get(entry.pageref);
+    if (archive) {
+      archive.entries.splice(archive.entries.indexOf(entry), 1);
+      archive.writer.appendEntry(entry, archive.entries, { pages: archive.pages });
+      if (archive.closing && archive.entries.length === 0) {
+        this.closeArchive(entry.pageref);
+      }
+      this.emit('entry-complete', entry);
+      return entry;
+    }
+    
+    // Without a file there is nowhere to stream to, so the entry stays in memory
+    if (this.writer) {
+      const index = this.harData.log.entries.indexOf(entry);
+      if (index >= 0) {
+        this.harData.log.entries.splice(index, 1);
+      }
+      
+      const { pages, comment } = this.harData.log;
+      this.writer.appendEntry(entry, this.harData.log.entries, { pages, comment });
     }
+    
+    this.emit('entry-complete', entry);
+    return entry;
+  }
+  
+  /**
+   * Stop recording new requests until resume() is called
+   * Requests already in flight are still recorded
+   */
+  pause() {
+    this.paused = true;
+  }
+  
+  /**
+   * Record new requests again after pause()
+   */
+  resume() {
+    this.paused = false;
+  }
+  
+  /**
+   * Merge extra metadata into an entry's _meta field
+   * @param {string} requestId - Request ID
+   * @param {Object} meta - Metadata to merge (e.g. { replay: {...} })
+   */
+  annotateEntry(requestId, meta) {
+    const entry = this.entryMap.get(requestId);
+    if (entry) {
+      entry._meta = { ...entry._meta, ...meta };
+    }
+  }
+  
+  /**
+   * Record why a request failed in the entry's _error field
+   * The time until the failure is attributed to the phase the request was in, so
+   * entry.time says how long the request ran before it failed
+   * @param {string} requestId - Request ID
+   * @param {Object} errorData - Failure details
+   * @param {string} errorData.type - error, timeout or aborted
+   * @param {string} errorData.code - Error code, e.g. ECONNREFUSED, ETIMEDOUT or ABORT_ERR
+   * @param {string} errorData.message - Error message
+   * @param {string} [errorData.phase] - HAR timing phase the request was in (blocked, dns, connect, ssl, send, wait, receive)
+   * @returns {Object|null} The updated entry, or null if the request is unknown or already complete
+   */
+  addError(requestId, { type, code, message, phase }) {
+    const entry = this.entryMap.get(requestId);
+    if (!entry) return null;
+    
+    const elapsed = Math.max(0, Date.now() - new Date(entry.startedDateTime).getTime());
+    
+    // Before the response the timings only exist as measured phases
+    const timing = this.requestTimings.get(requestId);
+    const timings = timing ? {
+      ...timing.phases,
+      send: timing.phases.send === null ? 0 : timing.phases.send,
+      wait: timing.phases.wait === null ? 0 : timing.phases.wait,
+      receive: timing.phases.receive === null ? 0 : timing.phases.receive
+    } : { ...entry.timings };
+    this.requestTimings.delete(requestId);
+    
+    const accounted = Object.entries(timings)
+      .filter(([name, time]) => name !== 'ssl' && time > 0)
+      .reduce((sum, [, time]) => sum + time, 0);
+    const remainder = Math.max(0, elapsed - accounted);
+    if (phase && timings[phase] !== undefined) {
+      timings[phase] = Math.max(0, timings[phase]) + remainder;
+      // connect includes ssl
+      if (phase === 'ssl') {
+        timings.connect = Math.max(0, timings.connect) + remainder;
+      }
+    }
+    entry.timings = timings;
+    entry.time = this.calculateEntryTime(timings);
+    
+    entry._error = { type, code, message, phase: phase || null, elapsed };
+    
+    if (!this.unrecorded.has(requestId)) {
+      this.emit('entry-error', entry);
+    }
+    return entry;
+  }
+  
+  /**
+   * Build HAR timings from the measured request phases
+   * @param {Object} phases - Measured phase durations (null when not measured)
+   * @param {number} elapsed - Milliseconds between request start and response headers
+   * @returns {Object} HAR timings object
+   */
+  buildTimings(phases, elapsed) {
+    const timings = {
+      blocked: phases.blocked,
+      dns: phases.dns,
+      connect: phases.connect,
+      ssl: phases.ssl,
+      send: phases.send === null ? 0 : phases.send,
+      wait: phases.wait,
+      receive: phases.receive === null ? 0 : phases.receive
+    };
+    
+    // Without socket-level data (e.g. Axios or fetch interceptors) everything we
+    // could not attribute to another phase was spent waiting for the response
+    if (timings.wait === null) {
+      const accounted = ['blocked', 'dns', 'connect', 'send']
+        .map(phase => timings[phase])
+        .filter(time => time > 0)
+        .reduce((sum, time) => sum + time, 0);
+      timings.wait = Math.max(0, elapsed - accounted);
+    }
+    
+    return timings;
+  }
+  
+  /**
+   * Calculate the total entry time from HAR timings
+   * @param {Object} timings - HAR timings object
+   * @returns {number} Total time in milliseconds
+   */
+  calculateEntryTime(timings) {
+    // ssl is already included in connect, so it must not be counted twice
+    return Math.max(1, Object.entries(timings)
+      .filter(([phase, time]) => phase !== 'ssl' && time >= 0)
+      .reduce((sum, [, time]) => sum + time, 0));
   }
   
   /**
@@ -347,7 +634,10 @@ class HarFormatter extends EventEmitter {
       body = null,
       httpVersion = 'HTTP/1.1',
       isHttps = false,
-      interceptorType = 'http' // Default to http if not specified
+      interceptorType = 'http', // Default to http if not specified
+      connection = null,
+      pageref = this.pageRef,
+      initiator = null
     } = requestData;
     
     // Start timing for this request
@@ -358,7 +648,7 @@ class HarFormatter extends EventEmitter {
     
     // Create HAR entry for this request
     const entry = {
-      pageref: this.pageRef,
+      pageref,
       startedDateTime: new Date().toISOString(),
       time: 0, // Will be updated when response is received
       request: {
@@ -374,7 +664,7 @@ class HarFormatter extends EventEmitter {
       response: {
         status: 0,
         statusText: '',
-        httpVersion: 'HTTP/1.1',
+        httpVersion,
         cookies: [],
         headers: [],
         content: {
@@ -405,6 +695,16 @@ class HarFormatter extends EventEmitter {
       }
     };
     
+    // Streams multiplexed over one connection (e.g. HTTP/2) share a connection ID
+    if (connection) {
+      entry.connection = String(connection);
+    }
+    
+    // The application code that made the request, in the format Chrome uses
+    if (initiator) {
+      entry._initiator = initiator;
+    }
+    
     // If we have a request body, add post data
     if (body) {
       const contentType = headers['Content-Type'] || headers['content-type'] || '';
@@ -436,8 +736,16 @@ class HarFormatter extends EventEmitter {
     
     // Store entry by request ID for later correlation with response
     this.entryMap.set(requestId, entry);
-    this.requestMap.set(requestId, this.harData.log.entries.length);
-    this.harData.log.entries.push(entry);
+    
+    // The interceptors still need the entry while paused, but it never reaches the file
+    if (this.paused) {
+      this.unrecorded.add(requestId);
+      return entry;
+    }
+    
+    const archive = this.archives.get(pageref);
+    (archive ? archive.entries : this.harData.log.entries).push(entry);
+    this.emit('entry-request', entry);
     
     return entry;
   }
@@ -458,13 +766,12 @@ class HarFormatter extends EventEmitter {
     } = responseData;
     
     // Find the entry with this request ID
-    const entryIndex = this.requestMap.get(requestId);
-    if (entryIndex === undefined) {
+    const entry = this.entryMap.get(requestId);
+    if (!entry) {
       console.error(`No matching request found for response with ID ${requestId}`);
       return null;
     }
     
-    const entry = this.harData.log.entries[entryIndex];
     const timing = this.requestTimings.get(requestId);
     
     // Format headers for HAR
@@ -480,22 +787,10 @@ class HarFormatter extends EventEmitter {
     if (timing) {
       totalTime = Date.now() - timing.startTime;
       
-      // Distribute time across phases based on what we know
-      // In a real implementation we'd collect true timing data during request/response
-      entry.timings = {
-        blocked: timing.phases.blocked || -1,
-        dns: timing.phases.dns || -1,
-        connect: timing.phases.connect || -1,
-        ssl: timing.phases.ssl || -1,
-        send: timing.phases.send || Math.round(totalTime * 0.1), // Default 10% for send
-        wait: timing.phases.wait || Math.round(totalTime * 0.7), // Default 70% for wait
-        receive: timing.phases.receive || Math.round(totalTime * 0.2) // Default 20% for receive
-      };
-      
-      // Update the total time
-      entry.time = Math.max(1, Object.values(entry.timings)
-        .filter(time => time >= 0)
-        .reduce((sum, time) => sum + time, 0));
+      // Use the phases reported by the interceptor; receive is usually
+      // reported later through updateTiming once the body has been read
+      entry.timings = this.buildTimings(timing.phases, totalTime);
+      entry.time = this.calculateEntryTime(entry.timings);
     }
     
     // Set response properties
@@ -527,27 +822,36 @@ class HarFormatter extends EventEmitter {
     // Clean up timing data
     this.requestTimings.delete(requestId);
     
-    // Save HAR file with updates
-    this.saveHar();
-    
-    // Emit entry completion event
-    this.emit('entry-complete', entry);
+    if (!this.unrecorded.has(requestId)) {
+      this.emit('entry-response', entry);
+    }
     
+    // The entry is written once it completes (see completeEntry)
     return entry;
   }
   
   /**
    * Add a simple system log entry (not proper HAR format, but useful)
+   * Each message is kept once, at its first occurrence, and the log stops growing at MAX_SYSTEM_LOG_LINES,
+   * so per-response diagnostics do not make every write of the tail longer
    * @param {string} message - System message
    */
   addSystemLog(message) {
-    if (!message) return;
+    if (!message || this.systemMessages.has(message)) return;
     
     // Add a comment to the log
     if (!this.harData.log.comment) {
       this.harData.log.comment = '';
     }
     
+    if (this.systemLogFull) return;
+    if (this.systemMessages.size >= MAX_SYSTEM_LOG_LINES) {
+      this.systemLogFull = true;
+      this.harData.log.comment += `${new Date().toISOString()} - System log limit reached, further messages are dropped\n`;
+      return;
+    }
+    
+    this.systemMessages.add(message);
     this.harData.log.comment += `${new Date().toISOString()} - ${message}\n`;
     
     // We don't autosave here to avoid too many file writes
@@ -555,17 +859,18 @@ class HarFormatter extends EventEmitter {
   
   /**
    * Save the HAR file
+   * Completed entries are already on disk, so this only rewrites the tail
+   * (in-flight entries, pages and comment) and costs the same however long the log is
    */
   saveHar() {
-    if (this.logFile) {
+    for (const archive of this.archives.values()) {
+      archive.writer.writeTail(archive.entries, { pages: archive.pages });
+    }
+    
+    if (this.writer) {
       try {
-        // Ensure the directory exists
-        const dir = path.dirname(this.logFile);
-        if (!fs.existsSync(dir)) {
-          fs.mkdirSync(dir, { recursive: true });
-        }
-        
-        fs.writeFileSync(this.logFile, JSON.stringify(this.harData, null, 2));
+        const { pages, comment } = this.harData.log;
+        this.writer.writeTail(this.harData.log.entries, { pages, comment });
       } catch (error) {
         console.error(`Error saving HAR file: ${error.message}`);
       }
@@ -577,21 +882,25 @@ class HarFormatter extends EventEmitter {
    * @returns {string} HAR data JSON string
    */
   getHarString() {
+    if (this.writer) {
+      this.saveHar();
+      return fs.readFileSync(this.logFile, 'utf8');
+    }
     return JSON.stringify(this.harData, null, 2);
   }
   
   /**
-   * Get a single entry as JSON Lines format
+   * Get a single in-flight entry as JSON Lines format
    * @param {string} requestId - Request ID
    * @returns {string} Entry as JSON string
    */
   getEntryAsJsonl(requestId) {
-    const entryIndex = this.requestMap.get(requestId);
-    if (entryIndex === undefined) {
+    const entry = this.entryMap.get(requestId);
+    if (!entry) {
       return '';
     }
     
-    return JSON.stringify(this.harData.log.entries[entryIndex]);
+    return JSON.stringify(entry);
   }
   
   /**
@@ -6,43 +6,102 @@ const path = require('path');
 const zlib = require('zlib');
 const util = require('util');
 const harFormatter = require('./har-formatter.cjs');
+const redaction = require('./redaction.cjs');
+const config = require('./config.cjs');
+const session = require('./session.cjs');
+const streamDecoder = require('./stream-decoder.cjs');
+const captureScope = require('./capture-scope.cjs');
+const { currentInitiator } = require('./initiator.cjs');
 
 // Configure logging
 let logsDir;
 let logFile = null;
 
 // Maps and Sets to track request-response pairs
-const requestMap = new Map();
+// Request objects are held weakly so finished requests can be garbage collected
+const requestMap = new WeakMap();
 const requestUrlMap = new Map();
 const requestMethodMap = new Map();
 const loggedRequests = new Set();
 const loggedResponses = new Set();
 const pendingRequestIds = new Set();
 
+// Listener that mirrors completed entries to a JSON Lines file
+let jsonlListener = null;
+
 // Additional tracking for Axios requests
 const axiosRequestIdMap = new Map();
 
+// Error codes that mean the client gave up waiting (undici reports timeouts with its own codes)
+const TIMEOUT_CODES = ['ETIMEDOUT', 'ECONNABORTED', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT'];
+
+// Error codes of requests the application cancelled (AbortSignal, undici, axios CancelToken)
+const ABORT_CODES = ['ABORT_ERR', 'UND_ERR_ABORTED', 'ERR_CANCELED'];
+
+// Error codes raised before a connection exists, by the HAR phase they fail in
+const CONNECTION_ERROR_PHASES = {
+  ENOTFOUND: 'dns',
+  EAI_AGAIN: 'dns',
+  ECONNREFUSED: 'connect',
+  EHOSTUNREACH: 'connect',
+  ENETUNREACH: 'connect',
+  UND_ERR_CONNECT_TIMEOUT: 'connect'
+};
+
 /**
  * Initialize logging with optional custom directory
  * @param {string} customLogsDir - Optional custom logs directory
+ * @param {Object} [options] - Logging options
+ * @param {string} [options.logFile] - Exact HAR file to write (e.g. a cassette to record)
  * @returns {string} The path to the log file
  */
-function initializeLogging(customLogsDir = null) {
-  // Set up logs directory - check environment variable first, then parameter, then default
-  if (process.env.NODE_TRAFFIC_LOGGER_DIR) {
+function initializeLogging(customLogsDir = null, options = {}) {
+  // A recording target names the exact file, overriding the logs directory
+  const recordFile = options.logFile || process.env.NODE_TRAFFIC_LOGGER_RECORD;
+  
+  const settings = config.getConfig();
+  
+  // Set up logs directory - check environment variable first, then parameter, then configuration, then default
+  if (recordFile) {
+    logsDir = path.dirname(path.resolve(recordFile));
+  } else if (process.env.NODE_TRAFFIC_LOGGER_DIR) {
     logsDir = process.env.NODE_TRAFFIC_LOGGER_DIR;
   } else if (customLogsDir) {
     logsDir = customLogsDir;
+  } else if (settings.logsDir) {
+    logsDir = settings.logsDir;
   } else {
     logsDir = path.join(process.cwd(), 'http-logs');
   }
   
+  // Rules passed by the CLI replace the defaults; without them the configured rules or the defaults apply
+  if (!redaction.configureRedactionFromEnv() && settings.redact) {
+    redaction.configureRedaction(settings.redact);
+  }
+  
+  // Child processes and workers write sibling files instead of overwriting the session's file
+  const fileName = recordFile ? path.basename(recordFile) : config.formatFileName(settings.fileName);
+  
   // Initialize the HAR formatter
   logFile = harFormatter.initializeLog(logsDir, {
+    fileName: session.siblingFileName(fileName),
+    session: session.getSession(),
     autoSave: true,
     autoSaveInterval: 5000 // Save every 5 seconds
   });
   
+  // Mirror completed entries to a JSON Lines file next to the HAR file
+  if (jsonlListener) {
+    harFormatter.removeListener('entry-complete', jsonlListener);
+    jsonlListener = null;
+  }
+  if (settings.formats.includes('jsonl')) {
+    const jsonlFile = logFile.replace(/\.har$/, '') + '.jsonl';
+    fs.writeFileSync(jsonlFile, '');
+    jsonlListener = entry => fs.appendFileSync(jsonlFile, `${JSON.stringify(entry)}\n`);
+    harFormatter.on('entry-complete', jsonlListener);
+  }
+  
   // Add system log message
   harFormatter.addSystemLog('HTTP traffic logging initialized');
   
@@ -279,7 +338,8 @@ function getResponseKey(requestId, statusCode) {
 function trackRequest(req, requestId, url, method) {
   req.__requestId = requestId;
   requestMap.set(req, requestId);
-  requestUrlMap.set(requestId, url);
+  // URLs end up in system log messages (e.g. orphaned requests), so keep them redacted
+  requestUrlMap.set(requestId, redaction.redactUrl(url));
   requestMethodMap.set(requestId, method);
   pendingRequestIds.add(requestId);
   
@@ -316,9 +376,12 @@ function untrackRequest(requestId) {
  * @param {string} requestId - Request ID
  * @param {boolean} isHttps - Whether request is HTTPS
  * @param {string} [interceptorType='http'] - Type of interceptor that caught this request
+ * @param {Object} [details] - Protocol details
+ * @param {string} [details.httpVersion='HTTP/1.1'] - HTTP version used on the wire
+ * @param {string} [details.connection] - ID of the connection carrying the request
  * @returns {boolean} Whether this is a duplicate request
  */
-function logRequest(method, host, path, headers, requestId, isHttps, interceptorType = 'http') {
+function logRequest(method, host, path, headers, requestId, isHttps, interceptorType = 'http', details = {}) {
   const requestKey = getRequestKey(method, host, path);
   const isDuplicate = loggedRequests.has(requestKey);
   
@@ -326,15 +389,22 @@ function logRequest(method, host, path, headers, requestId, isHttps, interceptor
   const protocol = isHttps ? 'https' : 'http';
   const fullUrl = `${protocol}://${host}${path}`;
   
-  // Create HAR request entry
+  // Requests made inside withCapture() go to the scope's page
+  const scope = captureScope.currentScope();
+  
+  // Create HAR request entry with secrets redacted before anything is stored
   harFormatter.addRequest({
     requestId,
     method,
-    url: fullUrl,
-    headers,
-    httpVersion: 'HTTP/1.1',
+    url: redaction.redactUrl(fullUrl),
+    headers: redaction.redactHeaders(headers),
+    httpVersion: details.httpVersion || 'HTTP/1.1',
     isHttps,
-    interceptorType // Add the interceptor type to the request data
+    interceptorType, // Add the interceptor type to the request data
+    connection: details.connection,
+    pageref: scope ? scope.pageId : undefined,
+    // Logging happens while the application's call is still on the stack, except for fetch
+    initiator: currentInitiator()
   });
   
   if (!isDuplicate) {
@@ -344,6 +414,69 @@ function logRequest(method, host, path, headers, requestId, isHttps, interceptor
   return isDuplicate;
 }
 
+/**
+ * Record the measured duration of a request phase
+ * @param {string} requestId - Request ID
+ * @param {string} phase - HAR timing phase (blocked, dns, connect, ssl, send, wait, receive)
+ * @param {number} duration - Duration in milliseconds
+ */
+function updateTiming(requestId, phase, duration) {
+  harFormatter.updateTiming(requestId, phase, duration);
+}
+
+/**
+ * Attach extra metadata to a request's HAR entry
+ * @param {string} requestId - Request ID
+ * @param {Object} meta - Metadata merged into the entry's _meta field
+ */
+function annotateEntry(requestId, meta) {
+  harFormatter.annotateEntry(requestId, meta);
+}
+
+/**
+ * Find the in-flight HAR entry for a request
+ * @param {string} [requestId] - Request ID; without one the latest entry is used (legacy behavior)
+ * @returns {Object|null} HAR entry, or null if the request is unknown or already complete
+ */
+function findEntry(requestId) {
+  if (requestId) {
+    return harFormatter.entryMap.get(requestId) || null;
+  }
+  
+  const entries = harFormatter.harData.log.entries;
+  return entries.length > 0 ? entries[entries.length - 1] : null;
+}
+
+/**
+ * Apply the configured body size limit
+ * @param {string} text - Body text as it will be stored
+ * @returns {{text: string, comment?: string}} Stored text, with a comment if it was cut
+ */
+function limitBody(text) {
+  const { maxBodySize } = config.getConfig();
+  const size = Buffer.byteLength(text);
+  
+  if (!maxBodySize || size <= maxBodySize) {
+    return { text };
+  }
+  
+  // Cutting at a byte offset can split a character; drop the broken remainder
+  const cut = Buffer.from(text).subarray(0, maxBodySize).toString('utf8').replace(/\uFFFD$/, '');
+  return { text: cut, comment: `Truncated to ${maxBodySize} of ${size} bytes` };
+}
+
+/**
+ * Check whether a request should be captured, before anything about it is logged
+ * @param {string} method - HTTP method
+ * @param {string} host - Host name, optionally with a port
+ * @param {string} path - Path with optional query string
+ * @returns {boolean} True if the configured capture filter lets the request through, and the request
+ *   was made inside withCapture() when only scoped requests are recorded
+ */
+function shouldCapture(method, host, path) {
+  return captureScope.isInCapturedContext() && config.shouldCapture(method, host, path);
+}
+
 /**
  * Log request body
  * @param {string} body - Request body string
@@ -357,33 +490,18 @@ function logRequestBody(body, contentType, requestId) {
     logSystem('Warning: logRequestBody called without requestId, body may be incorrectly associated');
   }
   
-  // Get the entry by request ID if provided
-  const entryIndex = requestId ? harFormatter.requestMap.get(requestId) : -1;
-  let entry = null;
-  
-  if (entryIndex !== undefined && entryIndex >= 0) {
-    // Get entry by ID
-    entry = harFormatter.harData.log.entries[entryIndex];
-  } else if (!requestId) {
-    // Fallback to latest entry if no ID provided (legacy behavior)
-    const entries = harFormatter.harData.log.entries;
-    if (entries.length > 0) {
-      entry = entries[entries.length - 1];
-    }
-  }
+  // Get the in-flight entry by request ID if provided
+  const entry = findEntry(requestId);
   
   if (entry) {
     // Add body to the request
     entry.request.postData = {
       mimeType: contentType || 'text/plain',
-      text: body
+      ...limitBody(redaction.redactBody(body, contentType))
     };
     
-    // Update the bodySize
+    // Update the bodySize (of the body that was actually sent)
     entry.request.bodySize = Buffer.byteLength(body);
-    
-    // Save the updated HAR file
-    harFormatter.saveHar();
   } else if (requestId) {
     logSystem(`Could not find entry for request ID ${requestId} to log request body`);
   }
@@ -397,9 +515,11 @@ function logRequestBody(body, contentType, requestId) {
  * @param {number} statusCode - HTTP status code
  * @param {string} statusMessage - HTTP status message
  * @param {Object} headers - Response headers
+ * @param {Object} [details] - Protocol details
+ * @param {string} [details.httpVersion='HTTP/1.1'] - HTTP version used on the wire
  * @returns {boolean} Whether this is a duplicate response
  */
-function logResponse(requestId, method, url, statusCode, statusMessage, headers) {
+function logResponse(requestId, method, url, statusCode, statusMessage, headers, details = {}) {
   const responseKey = getResponseKey(requestId, statusCode);
   const isDuplicate = loggedResponses.has(responseKey);
   
@@ -414,8 +534,8 @@ function logResponse(requestId, method, url, statusCode, statusMessage, headers)
     requestId,
     statusCode,
     statusText: statusMessage,
-    headers,
-    httpVersion: 'HTTP/1.1'
+    headers: redaction.redactHeaders(headers),
+    httpVersion: details.httpVersion || 'HTTP/1.1'
   });
   
   return false;
@@ -426,47 +546,107 @@ function logResponse(requestId, method, url, statusCode, statusMessage, headers)
  * @param {string} body - Response body string
  * @param {string} contentType - Content-Type header
  * @param {string} requestId - Request ID to correlate with the response
+ * @param {Array<{size: number, time: number}>} [arrivals] - Byte size and arrival time of each body chunk,
+ *   for bodies logged as received (not decompressed); event streams keep the arrival time of each event
  */
-function logResponseBody(body, contentType, requestId) {
+function logResponseBody(body, contentType, requestId, arrivals) {
   if (!body || body.length === 0) return;
   
   if (!requestId) {
     logSystem('Warning: logResponseBody called without requestId, body may be incorrectly associated');
   }
   
-  // Get the entry by request ID if provided
-  const entryIndex = requestId ? harFormatter.requestMap.get(requestId) : -1;
-  let entry = null;
-  
-  if (entryIndex !== undefined && entryIndex >= 0) {
-    // Get entry by ID
-    entry = harFormatter.harData.log.entries[entryIndex];
-  } else if (!requestId) {
-    // Fallback to latest entry if no ID provided (legacy behavior)
-    const entries = harFormatter.harData.log.entries;
-    if (entries.length > 0) {
-      entry = entries[entries.length - 1];
-    }
-  }
+  // Get the in-flight entry by request ID if provided
+  const entry = findEntry(requestId);
   
   if (entry && entry.response) {
     // Add body to the response content
     entry.response.content = {
       size: Buffer.byteLength(body),
       mimeType: contentType || 'text/plain',
-      text: body
+      ...limitBody(redaction.redactBody(body, contentType))
     };
     
     // Update the bodySize
     entry.response.bodySize = Buffer.byteLength(body);
     
-    // Save the updated HAR file
-    harFormatter.saveHar();
+    // Keep when each event of a stream arrived, in milliseconds after the request started
+    if (arrivals && /text\/event-stream/i.test(contentType || '')) {
+      const startedAt = new Date(entry.startedDateTime).getTime();
+      const eventTimes = streamDecoder.eventArrivalTimes(body, arrivals).map(time => Math.max(0, time - startedAt));
+      if (eventTimes.length > 0) {
+        entry.response.content._eventTimes = eventTimes;
+      }
+    }
   } else if (requestId) {
     logSystem(`Could not find valid entry for request ID ${requestId} to log response body`);
   }
 }
 
+/**
+ * Classify a request failure
+ * @param {Error|null} error - Error the request failed with; a bare abort has none
+ * @param {Object} details - What the interceptor observed
+ * @returns {string} error, timeout or aborted
+ */
+function failureType(error, details) {
+  if (details.timedOut) return 'timeout';
+  if (error && (error.name === 'TimeoutError' || TIMEOUT_CODES.includes(error.code))) return 'timeout';
+  // AbortSignal.timeout() aborts with the timeout as the cause
+  if (error && error.cause && error.cause.name === 'TimeoutError') return 'timeout';
+  if (details.aborted) return 'aborted';
+  if (error && (error.name === 'AbortError' || ABORT_CODES.includes(error.code))) return 'aborted';
+  return 'error';
+}
+
+/**
+ * Record a failed, timed out or aborted request in its HAR entry as _error
+ * The entry keeps status 0 unless a response had already arrived; call completeRequest afterwards
+ * @param {string} requestId - Request ID
+ * @param {Error|null} error - Error the request failed with; a bare abort has none
+ * @param {Object} [details] - What the interceptor observed
+ * @param {string} [details.phase] - HAR timing phase the request was in when it failed; connection
+ *   errors are placed by their code unless a response had arrived
+ * @param {boolean} [details.timedOut] - The request was cut off after a timeout
+ * @param {boolean} [details.aborted] - The application aborted the request
+ */
+function logError(requestId, error, details = {}) {
+  const type = failureType(error, details);
+  
+  // A request destroyed after a timeout or by the application fails with "socket hang up";
+  // report why it was destroyed instead
+  const consequence = details.timedOut || details.aborted;
+  const code = (!consequence && error && typeof error.code === 'string' && error.code)
+    || { timeout: 'ETIMEDOUT', aborted: 'ABORT_ERR', error: 'ERR_UNKNOWN' }[type];
+  
+  const fallback = { timeout: 'Request timed out', aborted: 'Request aborted', error: 'Request failed' }[type];
+  const message = redaction.redactPatterns((error && error.message) || fallback);
+  
+  const connectionPhase = error && CONNECTION_ERROR_PHASES[error.code];
+  const phase = connectionPhase && details.phase !== 'receive' ? connectionPhase : details.phase;
+  
+  harFormatter.addError(requestId, { type, code, message, phase });
+  logSystem(`${type === 'error' ? 'Error' : type === 'timeout' ? 'Timeout' : 'Aborted'} for request ${requestId}: ${code} ${message}`);
+}
+
+/**
+ * Mark a request as finished once nothing more will be logged for it
+ * The entry is appended to the HAR file and all tracking state for it is released
+ * @param {string} requestId - Request ID
+ */
+function completeRequest(requestId) {
+  harFormatter.completeEntry(requestId);
+  
+  pendingRequestIds.delete(requestId);
+  requestUrlMap.delete(requestId);
+  requestMethodMap.delete(requestId);
+  for (const key of loggedResponses) {
+    if (key.startsWith(`${requestId}:`)) {
+      loggedResponses.delete(key);
+    }
+  }
+}
+
 /**
  * Get request method and URL from request ID
  * @param {string} requestId - Request ID
@@ -518,6 +698,10 @@ function registerExitHandler() {
         const requestUrl = requestUrlMap.get(orphanedId) || 'unknown URL';
         const requestMethod = requestMethodMap.get(orphanedId) || 'unknown method';
         logSystem(`- Orphaned request: ${requestMethod} ${requestUrl} (ID: ${orphanedId})`);
+        
+        // Nothing is left that could answer them, so they go into the file as failed entries
+        logError(orphanedId, { message: 'The process was about to exit before a response arrived' }, { aborted: true });
+        completeRequest(orphanedId);
       }
     }
     
@@ -558,10 +742,15 @@ module.exports = {
   getResponseKey,
   trackRequest,
   untrackRequest,
+  shouldCapture,
   logRequest,
+  logError,
+  updateTiming,
+  annotateEntry,
   logRequestBody,
   logResponse,
   logResponseBody,
+  completeRequest,
   getRequestInfo,
   isRequestMapped,
   getRequestIdFromAxiosId,
@@ -0,0 +1,237 @@
+// ABOUTME: Append-only HAR file writer for node-traffic-logger
+// ABOUTME: Streams completed entries to disk one line at a time and keeps the file recoverable after a crash
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Writes a HAR file incrementally
+ *
+ * File layout:
+ *   {"log":{"version":...,"creator":...,"entries":[     <- header line
+ *   {...entry...},                                      <- one completed entry per line
+ *   {...entry...}
+ *   ],"pages":[...],"comment":"..."}}                   <- tail, rewritten in place
+ *
+ * Completed entries are only ever appended. The tail (in-flight entries, pages and
+ * comment) sits after the last completed entry and is rewritten with every write,
+ * so the cost of a write never depends on how many entries were logged before it
+ * and the file is a valid HAR between writes.
+ */
+class HarWriter {
+  /**
+   * @param {string} filePath - HAR file to create
+   * @param {Object} logHeader - Fixed log fields written once (version, creator, browser)
+   */
+  constructor(filePath, logHeader) {
+    this.filePath = filePath;
+    this.entryCount = 0;
+    
+    const dir = path.dirname(filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    
+    // Serialize an empty entries array and cut it open after the bracket
+    const emptyLog = JSON.stringify({ log: { ...logHeader, entries: [] } });
+    const header = `${emptyLog.slice(0, -3)}\n`;
+    
+    this.fd = fs.openSync(filePath, 'w');
+    fs.writeSync(this.fd, header, 0);
+    
+    // Everything before this offset is final; the tail starts here
+    this.committedOffset = Buffer.byteLength(header);
+  }
+  
+  /**
+   * Serialize an entry line, including the separator from the previous entry
+   * @param {Object} entry - HAR entry
+   * @param {boolean} first - Whether this is the first entry in the array
+   * @returns {string} Text to write
+   */
+  formatEntry(entry, first) {
+    return `${first ? '' : ',\n'}${JSON.stringify(entry)}`;
+  }
+  
+  /**
+   * Serialize the tail that follows the completed entries
+   * @param {Array} pendingEntries - Entries still in flight
+   * @param {Object} logFooter - Log fields that change over time (pages, comment)
+   * @returns {string} Tail text
+   */
+  formatTail(pendingEntries, logFooter) {
+    let text = '';
+    let first = this.entryCount === 0;
+    for (const entry of pendingEntries) {
+      // Marked so readers can tell they may still change
+      text += this.formatEntry({ ...entry, _meta: { ...entry._meta, pending: true } }, first);
+      first = false;
+    }
+    
+    const footer = JSON.stringify(logFooter);
+    return `${text}\n],${footer.slice(1)}}\n`;
+  }
+  
+  /**
+   * Append a completed entry; it is never rewritten afterwards
+   * @param {Object} entry - Completed HAR entry
+   * @param {Array} pendingEntries - Entries still in flight
+   * @param {Object} logFooter - Log fields that change over time (pages, comment)
+   */
+  appendEntry(entry, pendingEntries, logFooter) {
+    if (this.fd === null) return;
+    
+    const entryText = this.formatEntry(entry, this.entryCount === 0);
+    const entryBytes = Buffer.byteLength(entryText);
+    this.entryCount++;
+    
+    // Entry and tail go out in one write so the file never lacks its tail
+    const bytes = fs.writeSync(this.fd, entryText + this.formatTail(pendingEntries, logFooter), this.committedOffset);
+    fs.ftruncateSync(this.fd, this.committedOffset + bytes);
+    this.committedOffset += entryBytes;
+  }
+  
+  /**
+   * Rewrite the tail after the completed entries
+   * @param {Array} pendingEntries - Entries still in flight
+   * @param {Object} logFooter - Log fields that change over time (pages, comment)
+   */
+  writeTail(pendingEntries, logFooter) {
+    if (this.fd === null) return;
+    
+    const bytes = fs.writeSync(this.fd, this.formatTail(pendingEntries, logFooter), this.committedOffset);
+    fs.ftruncateSync(this.fd, this.committedOffset + bytes);
+  }
+  
+  /**
+   * Close the file
+   */
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+/**
+ * Read a HAR file, recovering the completed entries of a file whose tail
+ * was never written (e.g. the process crashed)
+ * @param {string} filePath - HAR file to read
+ * @returns {Object} Parsed HAR data
+ */
+function readHarFile(filePath) {
+  const content = fs.readFileSync(filePath, 'utf8');
+  
+  try {
+    return JSON.parse(content);
+  } catch (e) {
+    // Fall through to line-by-line recovery
+  }
+  
+  const lines = content.split('\n');
+  let harData;
+  try {
+    harData = JSON.parse(`${lines[0]}]}}`);
+  } catch (e) {
+    throw new Error(`Not a HAR file written by node-traffic-logger: ${filePath}`);
+  }
+  
+  for (const line of lines.slice(1)) {
+    if (line.startsWith(']')) {
+      // A complete tail carries pages and comments
+      try {
+        Object.assign(harData.log, JSON.parse(`{${line.slice(2, -1)}`));
+      } catch (e) {
+        // Partially written tail
+      }
+      break;
+    }
+    
+    try {
+      harData.log.entries.push(JSON.parse(line.replace(/,$/, '')));
+    } catch (e) {
+      // Entry cut off by the crash
+    }
+  }
+  
+  harData.log.pages = harData.log.pages || [];
+  harData.log.comment = `${harData.log.comment || ''}Recovered from an incomplete HAR file\n`;
+  
+  return harData;
+}
+
+/**
+ * Read the entries completed since a byte offset, for following a file while it is written
+ *
+ * Completed entries never move, so the returned offset (just past the last completed
+ * entry) stays valid across calls. Pending entries and the tail are left for later.
+ * @param {string} filePath - HAR file written by HarWriter
+ * @param {number} [offset=0] - Offset returned by the previous call, 0 to start at the beginning
+ * @returns {{entries: Object[], offset: number}} New completed entries and the offset to resume from
+ */
+function readCompletedEntries(filePath, offset = 0) {
+  const fd = fs.openSync(filePath, 'r');
+  let text;
+  try {
+    const size = fs.fstatSync(fd).size;
+    // A file shorter than the offset was replaced, so start over
+    const start = size < offset ? 0 : offset;
+    const buffer = Buffer.alloc(size - start);
+    fs.readSync(fd, buffer, 0, buffer.length, start);
+    text = buffer.toString('utf8');
+    offset = start;
+  } finally {
+    fs.closeSync(fd);
+  }
+  
+  let pos = 0;
+  if (offset === 0) {
+    const headerEnd = text.indexOf('\n');
+    if (headerEnd < 0) return { entries: [], offset: 0 };
+    if (!text.slice(0, headerEnd).endsWith('"entries":[')) {
+      throw new Error(`Not a HAR file written by node-traffic-logger: ${filePath}`);
+    }
+    // Resume from the header's newline, which works like an entry separator
+    pos = headerEnd;
+  }
+  
+  const entries = [];
+  let consumed = pos;
+  while (true) {
+    // Each entry is preceded by a separator: "\n" for the first, ",\n" for the rest
+    const separator = /^,?\n/.exec(text.slice(pos, pos + 2));
+    if (!separator) break;
+    
+    const lineStart = pos + separator[0].length;
+    const lineEnd = text.indexOf('\n', lineStart);
+    // Only whole lines are read; a partial one is still being written
+    if (lineEnd < 0 || text[lineStart] === ']') break;
+    
+    const json = text.slice(lineStart, lineEnd).replace(/,$/, '');
+    let entry;
+    try {
+      entry = JSON.parse(json);
+    } catch (e) {
+      break;
+    }
+    
+    // Pending entries come after every completed one
+    if (entry._meta && entry._meta.pending) break;
+    
+    entries.push(entry);
+    pos = lineStart + json.length;
+    consumed = pos;
+  }
+  
+  return {
+    entries,
+    offset: offset + Buffer.byteLength(text.slice(0, consumed))
+  };
+}
+
+module.exports = {
+  HarWriter,
+  readHarFile,
+  readCompletedEntries
+};
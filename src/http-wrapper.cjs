@@ -15,10 +15,15 @@ const loggerInterface = {
   createRequestId: logger.createRequestId,
   trackRequest: logger.trackRequest,
   untrackRequest: logger.untrackRequest,
+  shouldCapture: logger.shouldCapture,
   logRequest: logger.logRequest,
+  logError: logger.logError,
+  updateTiming: logger.updateTiming,
+  annotateEntry: logger.annotateEntry,
   logRequestBody: logger.logRequestBody,
   logResponse: logger.logResponse,
   logResponseBody: logger.logResponseBody,
+  completeRequest: logger.completeRequest,
   getRequestInfo: logger.getRequestInfo,
   decompressResponseBody: logger.decompressResponseBody
 };
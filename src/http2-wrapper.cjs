@@ -0,0 +1,283 @@
+// ABOUTME: HTTP/2 client instrumentation for node-traffic-logger
+// ABOUTME: Wraps http2.connect so every ClientHttp2Session stream is logged as a HAR entry
+
+const http = require('http');
+
+// Counter used to give each HTTP/2 session a stable connection ID
+let sessionCounter = 0;
+
+/**
+ * Split HTTP/2 headers into pseudo-headers and regular headers
+ * @param {Object} headers - HTTP/2 headers object (may include :method, :path, :status, ...)
+ * @return {Object} Object with pseudo (without the leading colon) and regular headers
+ */
+function splitPseudoHeaders(headers) {
+  const pseudo = {};
+  const regular = {};
+  
+  for (const [name, value] of Object.entries(headers || {})) {
+    if (name.startsWith(':')) {
+      pseudo[name.substring(1)] = value;
+    } else if (Array.isArray(value)) {
+      regular[name] = [...value];
+    } else {
+      regular[name] = value;
+    }
+  }
+  
+  return { pseudo, regular };
+}
+
+/**
+ * Get the origin of a session from the authority passed to http2.connect
+ * @param {string|URL|Object} authority - URL, URL string (the scheme may be left out, as in "localhost:8443"),
+ *   or URL-like object with protocol, hostname or host, and port
+ * @param {Object} [options] - Options passed to http2.connect; their protocol applies to objects without one
+ * @return {URL} Origin URL; https unless told otherwise
+ */
+function toAuthorityUrl(authority, options) {
+  if (authority instanceof URL) {
+    return authority;
+  }
+  if (typeof authority === 'string') {
+    return new URL(/^[a-z][a-z\d+.-]*:\/\//i.test(authority) ? authority : `https://${authority}`);
+  }
+  
+  const protocol = authority.protocol || (options && options.protocol) || 'https:';
+  let host = authority.hostname || authority.host || 'localhost';
+  if (host.includes(':') && !host.startsWith('[')) {
+    host = `[${host}]`;
+  }
+  const url = new URL(`${protocol}//${host}`);
+  if (authority.port !== undefined && authority.port !== '') {
+    url.port = String(authority.port);
+  }
+  return url;
+}
+
+/**
+ * Instrument a ClientHttp2Session so that its streams are logged
+ * @param {Object} session - ClientHttp2Session returned by http2.connect
+ * @param {string|URL|Object} authority - Authority passed to http2.connect
+ * @param {Object} [options] - Options passed to http2.connect
+ * @param {Object} logger - Logger instance with tracking functions
+ * @return {Object} The instrumented session
+ */
+function instrumentSession(session, authority, options, logger) {
+  const connectionId = `h2-${process.pid}-${++sessionCounter}`;
+  const authorityUrl = toAuthorityUrl(authority, options);
+  
+  // Record when the session finishes connecting so streams opened before
+  // that point can report a connect phase
+  let connectedAt = session.connecting === false ? 0 : null;
+  session.once('connect', () => { connectedAt = Date.now(); });
+  
+  const originalRequest = session.request;
+  session.request = function wrappedRequest(headers, options) {
+    const stream = originalRequest.apply(this, arguments);
+    
+    try {
+      instrumentStream(stream, headers, options, {
+        authorityUrl,
+        connectionId,
+        waitingForConnect: connectedAt === null,
+        getConnectedAt: () => connectedAt
+      }, logger);
+    } catch (error) {
+      logger.logSystem(`Failed to instrument HTTP/2 stream: ${error.message}`);
+    }
+    
+    return stream;
+  };
+  
+  logger.logSystem(`HTTP/2 session ${connectionId} instrumented for ${authorityUrl.origin}`);
+  return session;
+}
+
+/**
+ * Log a single HTTP/2 request stream and its response
+ * @param {Object} stream - ClientHttp2Stream
+ * @param {Object} headers - Request headers passed to session.request
+ * @param {Object} options - Options passed to session.request
+ * @param {Object} context - Session details shared by all streams
+ * @param {Object} logger - Logger instance with tracking functions
+ */
+function instrumentStream(stream, headers, options, context, logger) {
+  const startedAt = Date.now();
+  const { pseudo, regular } = splitPseudoHeaders(headers);
+  
+  const method = String(pseudo.method || 'GET').toUpperCase();
+  const scheme = pseudo.scheme || context.authorityUrl.protocol.replace(/:$/, '');
+  const host = pseudo.authority || context.authorityUrl.host;
+  const path = pseudo.path || '/';
+  
+  // Filtered-out streams are left alone
+  if (!logger.shouldCapture(method, host, path)) return;
+  
+  const requestId = logger.createRequestId();
+  const url = `${scheme}://${host}${path}`;
+  const details = { httpVersion: 'HTTP/2', connection: context.connectionId };
+  
+  logger.logRequest(method, host, path, regular, requestId, scheme === 'https', 'http2', details);
+  logger.trackRequest(stream, requestId, url, method);
+  
+  // Capture the request body as it is written to the stream
+  const chunks = [];
+  const originalWrite = stream.write;
+  stream.write = function(chunk) {
+    if (chunk && typeof chunk !== 'function') {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk)));
+    }
+    return originalWrite.apply(this, arguments);
+  };
+  
+  const originalEnd = stream.end;
+  stream.end = function(chunk) {
+    if (chunk && typeof chunk !== 'function') {
+      chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk)));
+    }
+    
+    if (chunks.length > 0) {
+      try {
+        const contentType = regular['content-type'] || '';
+        const jsonFormatter = require('./json-formatter.cjs');
+        const bodyString = Buffer.concat(chunks).toString();
+        logger.logRequestBody(jsonFormatter.formatContent(bodyString, contentType), contentType, requestId);
+      } catch (error) {
+        logger.log(`Error processing HTTP/2 request body: ${error.message}`);
+      }
+    }
+    
+    return originalEnd.apply(this, arguments);
+  };
+  
+  // How the stream ended, so failures can be told apart from timeouts and aborts
+  const outcome = { finished: false, responded: false, timedOut: false, aborted: false };
+  stream.once('timeout', () => { outcome.timedOut = true; });
+  
+  // The session closes streams itself by destroying them; close() comes from the application
+  const originalClose = stream.close;
+  stream.close = function() {
+    if (!outcome.finished) {
+      outcome.aborted = true;
+    }
+    return originalClose.apply(this, arguments);
+  };
+  
+  /**
+   * Record the failure in the HAR entry and finish the request, once
+   * @param {Error|null} error - Error the stream failed with
+   */
+  const fail = (error) => {
+    if (outcome.finished) return;
+    outcome.finished = true;
+    
+    let phase = 'wait';
+    if (outcome.responded) {
+      phase = 'receive';
+    } else if (context.getConnectedAt() === null) {
+      phase = 'connect';
+    } else if (!stream.writableFinished) {
+      phase = 'send';
+    }
+    
+    logger.untrackRequest(requestId);
+    logger.logError(requestId, error, { phase, timedOut: outcome.timedOut, aborted: outcome.aborted });
+    logger.completeRequest(requestId);
+  };
+  
+  stream.on('response', (responseHeaders) => {
+    const firstByteAt = Date.now();
+    outcome.responded = true;
+    const { pseudo: responsePseudo, regular: responseRegular } = splitPseudoHeaders(responseHeaders);
+    const statusCode = Number(responsePseudo.status) || 0;
+    
+    // Streams opened while the session was still connecting waited for it
+    const connectedAt = context.getConnectedAt();
+    if (context.waitingForConnect && connectedAt !== null) {
+      logger.updateTiming(requestId, 'connect', Math.max(0, connectedAt - startedAt));
+    }
+    
+    logger.untrackRequest(requestId);
+    logger.logResponse(
+      requestId,
+      method,
+      url,
+      statusCode,
+      http.STATUS_CODES[statusCode] || '',
+      responseRegular,
+      { httpVersion: 'HTTP/2' }
+    );
+    
+    const responseChunks = [];
+    const arrivals = [];
+    stream.on('data', (chunk) => {
+      responseChunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+      arrivals.push({ size: typeof chunk === 'string' ? Buffer.byteLength(chunk) : chunk.length, time: Date.now() });
+    });
+    
+    stream.on('end', async () => {
+      if (outcome.finished) return;
+      outcome.finished = true;
+      
+      logger.updateTiming(requestId, 'receive', Date.now() - firstByteAt);
+      
+      if (responseChunks.length > 0) {
+        try {
+          const responseBuffer = Buffer.concat(responseChunks);
+          const contentEncoding = responseRegular['content-encoding'] || '';
+          const contentType = responseRegular['content-type'] || '';
+          const responseBody = await logger.decompressResponseBody(responseBuffer, contentEncoding);
+          logger.logResponseBody(responseBody, contentType, requestId, contentEncoding ? undefined : arrivals);
+        } catch (error) {
+          logger.log(`Error processing HTTP/2 response body: ${error.message}`);
+        }
+      }
+      
+      logger.completeRequest(requestId);
+    });
+  });
+  
+  stream.on('error', fail);
+  
+  // A stream reset by the peer or closed by the application ends without an error event
+  stream.on('close', () => setImmediate(() => {
+    const error = stream.rstCode ? { code: 'ERR_HTTP2_STREAM_ERROR', message: `Stream closed with RST_STREAM code ${stream.rstCode}` } : null;
+    fail(error);
+  }));
+}
+
+/**
+ * Creates a wrapped version of http2.connect that instruments every session
+ * @param {Function} originalConnect - Original http2.connect function
+ * @param {Object} logger - Logger instance with tracking functions
+ * @return {Function} Wrapped connect function
+ */
+function createHttp2ConnectWrapper(originalConnect, logger) {
+  // Wrapping twice would log every stream twice
+  if (originalConnect.__trafficLoggerInstrumented) {
+    return originalConnect;
+  }
+  
+  const wrappedConnect = function wrappedConnect(authority, options) {
+    const session = originalConnect.apply(this, arguments);
+    
+    try {
+      // The listener may take the place of the options
+      instrumentSession(session, authority, typeof options === 'object' ? options : null, logger);
+    } catch (error) {
+      logger.logSystem(`Failed to instrument HTTP/2 session: ${error.message}`);
+    }
+    
+    return session;
+  };
+  
+  wrappedConnect.__trafficLoggerInstrumented = true;
+  return wrappedConnect;
+}
+
+module.exports = {
+  splitPseudoHeaders,
+  toAuthorityUrl,
+  createHttp2ConnectWrapper
+};
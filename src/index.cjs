@@ -6,9 +6,30 @@
 const fs = require('fs');
 const path = require('path');
 const logger = require('./har-logger.cjs');
+const harFormatter = require('./har-formatter.cjs');
+const { TrafficController } = require('./traffic-controller.cjs');
+const { runInScope, setScopedOnly } = require('./capture-scope.cjs');
 const { createRequestWrapper, createGetWrapper } = require('./request-wrapper.cjs');
+const { createHttp2ConnectWrapper } = require('./http2-wrapper.cjs');
 const { instrumentAxios } = require('./axios-wrapper.cjs');
 const { setupFetchInterception, isFetchAvailable, cleanupFetchInterception } = require('./fetch-wrapper.cjs');
+const { setupUndiciDiagnostics, isUndiciDiagnosticsAvailable } = require('./undici-diagnostics.cjs');
+const { installFetchInitiators } = require('./initiator.cjs');
+const {
+  configureReplay,
+  configureReplayFromEnv,
+  disableReplay,
+  installFetchReplay
+} = require('./replay.cjs');
+const {
+  configureFaults,
+  configureFaultsFromEnv,
+  disableFaults,
+  installFetchFaults
+} = require('./faults.cjs');
+const { configureRedaction } = require('./redaction.cjs');
+const config = require('./config.cjs');
+const { syncBuiltinExports } = require('./esm-support.cjs');
 
 // Logging initialization is now centralized in initializeLogging() function
 
@@ -19,32 +40,49 @@ const loggerInterface = {
   createRequestId: logger.createRequestId,
   trackRequest: logger.trackRequest,
   untrackRequest: logger.untrackRequest,
+  shouldCapture: logger.shouldCapture,
   logRequest: logger.logRequest,
+  logError: logger.logError,
+  updateTiming: logger.updateTiming,
+  annotateEntry: logger.annotateEntry,
   logRequestBody: logger.logRequestBody,
   logResponse: logger.logResponse,
   logResponseBody: logger.logResponseBody,
+  completeRequest: logger.completeRequest,
   getRequestInfo: logger.getRequestInfo,
   decompressResponseBody: logger.decompressResponseBody,
   isRequestMapped: logger.isRequestMapped
 };
 
-// Set up CommonJS module interception
-function setupCommonJSInterception() {
+// Maps each instrumented function to the function it wraps
+const wrappedOriginals = new WeakMap();
+
+// Get the uninstrumented version of a possibly instrumented function
+function unwrap(fn) {
+  return wrappedOriginals.get(fn) || fn;
+}
+
+// Set up CommonJS module interception for the enabled interceptors
+function setupCommonJSInterception(interceptors = config.getConfig().interceptors) {
   try {
     const Module = require('module');
     const originalLoad = Module._load;
+    global.__moduleLoadRestore = () => { Module._load = originalLoad; };
     
     let httpPatched = false;
     let httpsPatched = false;
+    let http2Patched = false;
     
     Module._load = function(request, parent, isMain) {
       const originalModule = originalLoad.apply(this, arguments);
       
-      if ((request === 'http' || request === 'http/') && !httpPatched) {
+      if ((request === 'http' || request === 'http/') && interceptors.http && !httpPatched) {
         httpPatched = true;
         
         const instrumentedRequest = createRequestWrapper(originalModule.request, false, loggerInterface);
         const instrumentedGet = createGetWrapper(instrumentedRequest);
+        wrappedOriginals.set(instrumentedRequest, originalModule.request);
+        wrappedOriginals.set(instrumentedGet, originalModule.get);
         
         originalModule.request = instrumentedRequest;
         originalModule.get = instrumentedGet;
@@ -52,11 +90,13 @@ function setupCommonJSInterception() {
         logger.logSystem('HTTP module instrumented (CommonJS)');
       }
       
-      if ((request === 'https' || request === 'https/') && !httpsPatched) {
+      if ((request === 'https' || request === 'https/') && interceptors.https && !httpsPatched) {
         httpsPatched = true;
         
         const instrumentedRequest = createRequestWrapper(originalModule.request, true, loggerInterface);
         const instrumentedGet = createGetWrapper(instrumentedRequest);
+        wrappedOriginals.set(instrumentedRequest, originalModule.request);
+        wrappedOriginals.set(instrumentedGet, originalModule.get);
         
         originalModule.request = instrumentedRequest;
         originalModule.get = instrumentedGet;
@@ -64,6 +104,16 @@ function setupCommonJSInterception() {
         logger.logSystem('HTTPS module instrumented (CommonJS)');
       }
       
+      if ((request === 'http2' || request === 'node:http2') && interceptors.http2 && !http2Patched) {
+        http2Patched = true;
+        
+        const instrumentedConnect = createHttp2ConnectWrapper(originalModule.connect, loggerInterface);
+        wrappedOriginals.set(instrumentedConnect, originalModule.connect);
+        originalModule.connect = instrumentedConnect;
+        
+        logger.logSystem('HTTP2 module instrumented (CommonJS)');
+      }
+      
       return originalModule;
     };
     
@@ -76,6 +126,21 @@ function setupCommonJSInterception() {
 // Set up Fetch API interception
 function setupFetchAPI() {
   try {
+    // Prefer observing undici directly: it sees global fetch and direct undici
+    // calls without adding tracking headers to the outgoing requests
+    if (isUndiciDiagnosticsAvailable()) {
+      if (!global.__undiciDiagnosticsUnsubscribe) {
+        global.__undiciDiagnosticsUnsubscribe = setupUndiciDiagnostics();
+        logger.logSystem('Fetch API instrumented for HTTP traffic logging using undici diagnostics channels');
+      }
+      // undici reports fetch requests once the caller has left the stack; the hook remembers the call site.
+      // It wraps the replay and fault hooks, so their synthetic entries get the call site too
+      if (!global.__fetchInitiatorsRestore) {
+        global.__fetchInitiatorsRestore = installFetchInitiators();
+      }
+      return;
+    }
+    
     // Check if native fetch is available
     if (isFetchAvailable()) {
       try {
@@ -98,25 +163,29 @@ function setupFetchAPI() {
   }
 }
 
-// Create global trackers for modules
-function setupGlobalTrackers() {
+// Create global trackers for the enabled modules
+function setupGlobalTrackers(interceptors = config.getConfig().interceptors) {
   try {
     // Import the modules to get their original functions
     const httpModule = require('http');
     const httpsModule = require('https');
+    const http2Module = require('http2');
     
-    // Store original functions before instrumentation
-    const originalHttpRequest = httpModule.request;
-    const originalHttpGet = httpModule.get;
-    const originalHttpsRequest = httpsModule.request;
-    const originalHttpsGet = httpsModule.get;
+    // Store original functions before instrumentation; requiring the modules above may
+    // already have instrumented them through the module interception, which must not count twice
+    const originalHttpRequest = unwrap(httpModule.request);
+    const originalHttpGet = unwrap(httpModule.get);
+    const originalHttpsRequest = unwrap(httpsModule.request);
+    const originalHttpsGet = unwrap(httpsModule.get);
+    const originalHttp2Connect = unwrap(http2Module.connect);
     
     // Create instrumented versions
-    const httpRequest = createRequestWrapper(httpModule.request, false, loggerInterface);
-    const httpsRequest = createRequestWrapper(httpsModule.request, true, loggerInterface);
+    const httpRequest = createRequestWrapper(originalHttpRequest, false, loggerInterface);
+    const httpsRequest = createRequestWrapper(originalHttpsRequest, true, loggerInterface);
     
     const httpGet = createGetWrapper(httpRequest);
     const httpsGet = createGetWrapper(httpsRequest);
+    const http2Connect = createHttp2ConnectWrapper(originalHttp2Connect, loggerInterface);
     
     // Store references globally
     global.__httpTracker = {
@@ -124,6 +193,7 @@ function setupGlobalTrackers() {
       httpGet,
       httpsRequest,
       httpsGet,
+      http2Connect,
       // Add a flag to indicate if a module is already using the instrumented version
       isUsingInstrumented: new Map(),
       // Store original functions for cleanup
@@ -131,7 +201,8 @@ function setupGlobalTrackers() {
         httpRequest: originalHttpRequest,
         httpGet: originalHttpGet,
         httpsRequest: originalHttpsRequest,
-        httpsGet: originalHttpsGet
+        httpsGet: originalHttpsGet,
+        http2Connect: originalHttp2Connect
       }
     };
     
@@ -145,17 +216,24 @@ function setupGlobalTrackers() {
       global.https = httpsModule;
       
       // Override the key methods
-      global.http.request = httpRequest;
-      global.http.get = httpGet;
-      global.https.request = httpsRequest;
-      global.https.get = httpsGet;
+      if (interceptors.http) {
+        global.http.request = httpRequest;
+        global.http.get = httpGet;
+      }
+      if (interceptors.https) {
+        global.https.request = httpsRequest;
+        global.https.get = httpsGet;
+      }
+      if (interceptors.http2) {
+        http2Module.connect = http2Connect;
+      }
       
       logger.logSystem('Applied global interception mechanisms');
     } catch (error) {
       logger.logSystem(`Error setting up global interception: ${error.message}`);
     }
     
-    logger.logSystem('HTTP/HTTPS trackers registered globally');
+    logger.logSystem('HTTP/HTTPS/HTTP2 trackers registered globally');
   } catch (error) {
     logger.logSystem(`Global trackers error: ${error.message}`);
   }
@@ -189,6 +267,7 @@ function cleanupGlobalTrackers() {
         httpModule.get = original.httpGet;
         httpsModule.request = original.httpsRequest;
         httpsModule.get = original.httpsGet;
+        require('http2').connect = original.http2Connect;
       }
       
       // Clean up global objects
@@ -198,16 +277,82 @@ function cleanupGlobalTrackers() {
       logger.logSystem('Cleaned up global HTTP/HTTPS trackers');
     }
     
+    // Stop instrumenting modules as they are loaded
+    if (global.__moduleLoadRestore) {
+      global.__moduleLoadRestore();
+      delete global.__moduleLoadRestore;
+    }
+    
+    // Clean up undici diagnostics subscriptions
+    if (global.__undiciDiagnosticsUnsubscribe) {
+      global.__undiciDiagnosticsUnsubscribe();
+      delete global.__undiciDiagnosticsUnsubscribe;
+    }
+    
     // Clean up fetch interception
     if (global.__fetchInterceptUnregister) {
       cleanupFetchInterception(global.__fetchInterceptUnregister);
       delete global.__fetchInterceptUnregister;
     }
+    
+    // The call site hook wraps the fault and replay hooks
+    if (global.__fetchInitiatorsRestore) {
+      global.__fetchInitiatorsRestore();
+      delete global.__fetchInitiatorsRestore;
+    }
+    
+    // Stop injecting faults; the fault hook wraps the replay hook, so it is removed first
+    if (global.__fetchFaultsRestore) {
+      global.__fetchFaultsRestore();
+      delete global.__fetchFaultsRestore;
+    }
+    disableFaults();
+    
+    // Stop replaying recorded responses
+    if (global.__fetchReplayRestore) {
+      global.__fetchReplayRestore();
+      delete global.__fetchReplayRestore;
+    }
+    disableReplay();
   } catch (error) {
     logger.logSystem(`Error cleaning up global trackers: ${error.message}`);
   }
 }
 
+// Enable replay mode from instrument() options or the CLI environment variables
+// Must run before logging starts so that recording cannot overwrite the cassette first
+function setupReplay(options = {}) {
+  const state = options.replay
+    ? configureReplay({
+      file: options.replay,
+      match: options.replayMatch,
+      unmatched: options.replayUnmatched
+    })
+    : configureReplayFromEnv();
+  
+  // Replayed fetch calls never reach undici, so fetch needs its own hook
+  if (state && !global.__fetchReplayRestore) {
+    global.__fetchReplayRestore = installFetchReplay();
+  }
+  
+  return state;
+}
+
+// Enable fault injection from instrument() options or the CLI environment variable
+// Runs after setupReplay so that faults can delay or cut off replayed fetch responses too
+function setupFaults(options = {}) {
+  const state = options.faults
+    ? configureFaults({ rules: options.faults })
+    : configureFaultsFromEnv();
+  
+  // Synthetic fetch responses and resets never reach undici, so fetch needs its own hook
+  if (state && !global.__fetchFaultsRestore) {
+    global.__fetchFaultsRestore = installFetchFaults();
+  }
+  
+  return state;
+}
+
 // Register orphaned request check on exit
 function registerExitHandler() {
   logger.registerExitHandler();
@@ -219,10 +364,10 @@ let logFilePath = null;
 let exitHandlerRegistered = false;
 
 // Initialize logging (now with singleton pattern)
-function initializeLogging(customLogsDir = null) {
+function initializeLogging(customLogsDir = null, options = {}) {
   // Only initialize once
   if (!loggingInitialized) {
-    logFilePath = logger.initializeLogging(customLogsDir);
+    logFilePath = logger.initializeLogging(customLogsDir, options);
     loggingInitialized = true;
     logger.logSystem('Logging initialized (singleton pattern)');
     
@@ -257,21 +402,105 @@ function cleanupLogging() {
 }
 
 // Main instrumentation function
+// Returns a TrafficController: listen for request, response, entry and error events, or pause, resume, flush and stop the capture
 function instrument(options = {}) {
   const customLogsDir = options.logsDir || null;
   
+  // options.config is a file path or a settings object; without it a configuration file is looked up
+  const { interceptors } = config.loadConfig({ config: options.config });
+  
+  // With options.scoped only the requests made inside withCapture() are recorded
+  setScopedOnly(options.scoped);
+  
+  // Load the replay cassette, if any, before the log file is created
+  const replayState = setupReplay(options);
+  const faultState = setupFaults(options);
+  
   // Initialize logging (using the singleton pattern)
-  const logFilePath = initializeLogging(customLogsDir);
+  const logFilePath = initializeLogging(customLogsDir, { logFile: options.record });
+  
+  // Explicit rules replace the configured ones; either way they are in place before the first entry is stored
+  if (options.redact) {
+    configureRedaction(options.redact);
+  }
+  
+  if (replayState) {
+    logger.logSystem(`Replaying ${replayState.entries.length} recorded entries from ${replayState.file} (unmatched requests: ${replayState.unmatched})`);
+  }
+  
+  if (faultState) {
+    logger.logSystem(`Injecting faults from ${faultState.rules.length} rules${faultState.file ? ` in ${faultState.file}` : ''}`);
+  }
   
   // Apply all interception techniques
-  setupCommonJSInterception();
-  setupGlobalTrackers();
-  setupFetchAPI(); // Add fetch interception
+  setupCommonJSInterception(interceptors);
+  setupGlobalTrackers(interceptors);
+  if (interceptors.fetch) {
+    setupFetchAPI(); // Add fetch interception
+  }
+  
+  // Named imports of the builtins (import { request } from 'node:http') see the patched functions
+  syncBuiltinExports();
   
   // Register exit handler
   registerExitHandler();
   
-  return logFilePath;
+  return new TrafficController({
+    logFile: logFilePath,
+    formatter: harFormatter,
+    onStop: () => {
+      setScopedOnly(false);
+      cleanupGlobalTrackers();
+      syncBuiltinExports();
+      harFormatter.cleanup();
+      cleanupLogging();
+    }
+  });
+}
+
+// Keeps the page IDs of concurrent scopes apart
+let scopeCounter = 0;
+
+// Record the requests one async operation makes into its own HAR page, or a separate HAR file with options.file
+// A process that is not instrumented yet is instrumented on first use and records only the requests made in scopes
+async function withCapture(name, fn, options = {}) {
+  if (!loggingInitialized) {
+    instrument({ scoped: true });
+  }
+  
+  const pageData = { id: `scope_${++scopeCounter}_${Date.now()}`, title: name };
+  const pageId = options.file
+    ? harFormatter.openArchive(path.resolve(options.file), pageData)
+    : harFormatter.addPage(pageData);
+  
+  try {
+    return await runInScope({ name, pageId }, fn);
+  } finally {
+    harFormatter.endPage(pageId);
+    // Requests still in flight are added to the archive before it is finished
+    if (options.file) {
+      harFormatter.closeArchive(pageId);
+    }
+  }
+}
+
+// Group the requests started from now on under a new HAR page, titled "Page <n>" without a title
+// The page before it ends here, and its onLoad timing is set to how long it lasted
+function startPage(title) {
+  const pageId = harFormatter.startPage({ title });
+  logger.logSystem(`Started page ${pageId}${title ? ` (${title})` : ''}`);
+  return pageId;
+}
+
+// Let the CLI start pages from outside the application: SIGUSR2 starts the next numbered page
+// There is no IPC hook, as listening for messages would keep a forked application from exiting
+function setupPageSignals() {
+  if (global.__pageSignalsInstalled) {
+    return;
+  }
+  global.__pageSignalsInstalled = true;
+  
+  process.on('SIGUSR2', () => startPage());
 }
 
 // Run a target module with instrumentation
@@ -310,8 +539,13 @@ function runInstrumented(targetFilePath, args = []) {
 // Export CommonJS module
 module.exports = {
   instrument,
+  withCapture,
+  startPage,
+  setupPageSignals,
   runInstrumented,
   initializeLogging,
+  setupReplay,
+  setupFaults,
   cleanupGlobalTrackers,
   cleanupLogging
 };
\ No newline at end of file
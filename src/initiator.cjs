@@ -0,0 +1,142 @@
+// ABOUTME: Captures the JavaScript call site that started a request, for the HAR entry's _initiator field
+// ABOUTME: Trims the stack to application frames, maps them through source maps and carries fetch call sites into undici
+
+const path = require('path');
+const { findSourceMap } = require('module');
+const { pathToFileURL } = require('url');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Frames kept in an initiator stack
+const MAX_FRAMES = 10;
+
+// Frames captured before trimming; node internals and our wrappers take up many of them
+const CAPTURED_FRAMES = 50;
+
+// Frames in this directory belong to the logger, not to the application
+const OWN_DIR = __dirname + path.sep;
+
+// Call site of the fetch call whose request undici is about to report
+const fetchInitiatorContext = new AsyncLocalStorage();
+
+/**
+ * Check whether a stack frame belongs to the application
+ * @param {string|null} fileName - File of the frame
+ * @returns {boolean} False for node internals, native code and the logger's own frames
+ */
+function isApplicationFrame(fileName) {
+  if (!fileName || fileName.startsWith('node:') || !/[/\\]/.test(fileName)) return false;
+  
+  const filePath = fileName.startsWith('file:') ? decodeURIComponent(new URL(fileName).pathname) : fileName;
+  return !filePath.startsWith(OWN_DIR);
+}
+
+/**
+ * Get the file URL of a frame's file
+ * @param {string} fileName - Path or URL as V8 reports it
+ * @returns {string} URL
+ */
+function toUrl(fileName) {
+  return path.isAbsolute(fileName) ? pathToFileURL(fileName).href : fileName;
+}
+
+/**
+ * Describe a stack frame, mapped to the original source when the file has a source map
+ * Source maps are only loaded when Node.js runs with --enable-source-maps
+ * @param {Object} callSite - V8 call site
+ * @returns {{functionName: string, url: string, lineNumber: number, columnNumber: number}} Frame with
+ *   zero-based line and column, as in Chrome's HAR files
+ */
+function describeFrame(callSite) {
+  const fileName = callSite.getFileName();
+  const frame = {
+    functionName: callSite.getFunctionName() || '',
+    url: toUrl(fileName),
+    lineNumber: (callSite.getLineNumber() || 1) - 1,
+    columnNumber: (callSite.getColumnNumber() || 1) - 1
+  };
+  
+  let sourceMap;
+  try {
+    sourceMap = findSourceMap(fileName);
+  } catch (e) {
+    sourceMap = undefined;
+  }
+  const original = sourceMap && sourceMap.findEntry(frame.lineNumber, frame.columnNumber);
+  if (original && original.originalSource) {
+    frame.url = toUrl(original.originalSource);
+    frame.lineNumber = original.originalLine;
+    frame.columnNumber = original.originalColumn;
+    if (original.name) frame.functionName = original.name;
+  }
+  
+  return frame;
+}
+
+/**
+ * Capture the application code that is making a request right now
+ * @returns {Object|null} HAR _initiator of type script, with the innermost frame outside node_modules
+ *   (or the innermost frame, if all are in packages) as url, lineNumber and columnNumber;
+ *   null when no application frame is on the stack
+ */
+function captureInitiator() {
+  const { prepareStackTrace, stackTraceLimit } = Error;
+  const holder = {};
+  let callSites;
+  try {
+    Error.stackTraceLimit = CAPTURED_FRAMES;
+    Error.prepareStackTrace = (error, sites) => sites;
+    Error.captureStackTrace(holder, captureInitiator);
+    callSites = holder.stack;
+  } finally {
+    Error.prepareStackTrace = prepareStackTrace;
+    Error.stackTraceLimit = stackTraceLimit;
+  }
+  
+  if (!Array.isArray(callSites)) return null;
+  
+  const callFrames = callSites
+    .filter(callSite => isApplicationFrame(callSite.getFileName()))
+    .slice(0, MAX_FRAMES)
+    .map(describeFrame);
+  if (callFrames.length === 0) return null;
+  
+  // Client libraries such as axios sit between the application and us
+  const origin = callFrames.find(frame => !/[/\\]node_modules[/\\]/.test(frame.url)) || callFrames[0];
+  const { url, lineNumber, columnNumber } = origin;
+  return { type: 'script', url, lineNumber, columnNumber, stack: { callFrames } };
+}
+
+/**
+ * Get the initiator of the request being logged
+ * Requests fetch makes are reported by undici after the application's code has left the stack,
+ * so the fetch hook captures the call site up front
+ * @returns {Object|null} HAR _initiator
+ */
+function currentInitiator() {
+  return fetchInitiatorContext.getStore() || captureInitiator();
+}
+
+/**
+ * Replace global fetch with a version that remembers where it was called from
+ * @returns {Function} Function that restores the original fetch
+ */
+function installFetchInitiators() {
+  const originalFetch = globalThis.fetch;
+  if (typeof originalFetch !== 'function') {
+    return () => {};
+  }
+  
+  globalThis.fetch = function initiatorFetch() {
+    return fetchInitiatorContext.run(captureInitiator(), () => originalFetch.apply(this, arguments));
+  };
+  
+  return function restoreFetch() {
+    globalThis.fetch = originalFetch;
+  };
+}
+
+module.exports = {
+  captureInitiator,
+  currentInitiator,
+  installFetchInitiators
+};
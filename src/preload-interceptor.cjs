@@ -7,7 +7,9 @@ const fs = require('fs');
 const path = require('path');
 const http = require('http');
 const https = require('https');
+const http2 = require('http2');
 const Module = require('module');
+const workerThreads = require('worker_threads');
 
 // Import shared request wrapper utility
 const { 
@@ -16,30 +18,121 @@ const {
   createGetWrapper 
 } = require('./request-wrapper.cjs');
 
+const { createHttp2ConnectWrapper } = require('./http2-wrapper.cjs');
+
 // Import the HAR logger
 const logger = require('./har-logger.cjs');
 
 // Import the index module for centralized logging initialization
 const loggerManager = require('./index.cjs');
 
+const config = require('./config.cjs');
+
+const { isInternalThread } = require('./esm-support.cjs');
+
+const session = require('./session.cjs');
+
+// Node also runs --require preloads in the thread that hosts the ESM loader hooks;
+// that thread makes no requests of its own and must not open a second HAR file
+if (isInternalThread()) {
+  return;
+}
+
 // Initialize directly (simpler than deferring)
 try {
   // Save original request methods
   const originalHttpRequest = http.request;
   const originalHttpsRequest = https.request;
   
+  // The CLI passes the configuration file it validated; otherwise look for one from the working directory
+  let settings;
+  try {
+    settings = config.loadConfig();
+  } catch (err) {
+    console.error(`Failed to load configuration: ${err.message}`);
+    process.exit(1);
+  }
+  const { interceptors } = settings;
+  
+  // Turning children off only keeps child processes out; worker threads are part of this process
+  const children = settings.children && process.env.NODE_TRAFFIC_LOGGER_CHILDREN !== 'false';
+  
+  // Load the replay cassette before logging creates (or records over) any file.
+  // A broken cassette must stop the run rather than let requests hit the network
+  let replayState = null;
+  try {
+    replayState = loggerManager.setupReplay();
+  } catch (err) {
+    console.error(`Failed to load replay file: ${err.message}`);
+    process.exit(1);
+  }
+  
+  let faultState = null;
+  try {
+    faultState = loggerManager.setupFaults();
+  } catch (err) {
+    console.error(`Failed to load fault rules: ${err.message}`);
+    process.exit(1);
+  }
+  
   // Use the centralized logging initialization
-  loggerManager.initializeLogging();
+  const logFile = loggerManager.initializeLogging();
+  
+  // Node.js processes and workers started from here load this preload too and write sibling HAR files
+  if (children && workerThreads.isMainThread) {
+    session.propagateToChildren({ logsDir: path.dirname(logFile), configFile: settings.configFile });
+  } else if (workerThreads.isMainThread) {
+    session.shareWithWorkers();
+  }
+  
+  if (replayState) {
+    logger.logSystem(`Replaying ${replayState.entries.length} recorded entries from ${replayState.file} (unmatched requests: ${replayState.unmatched})`);
+  }
+  
+  if (faultState) {
+    logger.logSystem(`Injecting faults from ${faultState.rules.length} rules in ${faultState.file}`);
+  }
+  
+  if (settings.configFile) {
+    logger.logSystem(`Using configuration file ${settings.configFile}`);
+  }
+  
+  const { id, root, parentPid } = session.getSession();
+  logger.logSystem(root ? `Capture session ${id} started` : `Joined capture session ${id} (parent process ${parentPid})`);
   
   // Apply wrappers using the shared utility functions
-  http.request = createRequestWrapper(originalHttpRequest, false, logger);
-  http.get = createGetWrapper(http.request);
-  https.request = createRequestWrapper(originalHttpsRequest, true, logger);
-  https.get = createGetWrapper(https.request);
+  if (interceptors.http) {
+    http.request = createRequestWrapper(originalHttpRequest, false, logger);
+    http.get = createGetWrapper(http.request);
+  }
+  if (interceptors.https) {
+    https.request = createRequestWrapper(originalHttpsRequest, true, logger);
+    https.get = createGetWrapper(https.request);
+  }
+  if (interceptors.http2) {
+    http2.connect = createHttp2ConnectWrapper(http2.connect, logger);
+  }
+  
+  // Capture global fetch and undici traffic through diagnostics channels
+  const { setupUndiciDiagnostics, isUndiciDiagnosticsAvailable } = require('./undici-diagnostics.cjs');
+  if (!interceptors.fetch) {
+    logger.logSystem('fetch instrumentation disabled by configuration');
+  } else if (isUndiciDiagnosticsAvailable()) {
+    setupUndiciDiagnostics();
+    // Installed after the replay and fault hooks so that it wraps them
+    global.__fetchInitiatorsRestore = require('./initiator.cjs').installFetchInitiators();
+  } else {
+    logger.logSystem('undici diagnostics channels not available, skipping fetch instrumentation');
+  }
   
   // Register exit handler
   logger.registerExitHandler();
   
+  // Signals only reach the main thread
+  if (workerThreads.isMainThread) {
+    loggerManager.setupPageSignals();
+  }
+  
   // Add Axios detection and instrumentation
   const originalRequire = Module.prototype.require;
   
@@ -49,13 +142,8 @@ try {
     
     // When Axios is imported, automatically instrument it
     if (id === 'axios') {
-      logger.logSystem('Detected Axios import, instrumenting automatically');
-      try {
-        const { instrumentAxios } = require('./axios-wrapper.cjs');
-        return instrumentAxios(module);
-      } catch (err) {
-        logger.logSystem(`Failed to instrument Axios: ${err.message}`);
-      }
+      const { instrumentAxiosModule } = require('./axios-wrapper.cjs');
+      return instrumentAxiosModule(module);
     }
     
     return module;
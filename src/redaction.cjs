@@ -0,0 +1,312 @@
+// ABOUTME: Redaction rules for node-traffic-logger
+// ABOUTME: Masks secrets in headers, URLs and bodies before they are written to the HAR file
+
+const jsonFormatter = require('./json-formatter.cjs');
+
+// Replacement for every redacted value
+const REDACTED = '[REDACTED]';
+
+// Headers that carry credentials in common APIs
+const DEFAULT_HEADERS = [
+  'authorization',
+  'proxy-authorization',
+  'cookie',
+  'set-cookie',
+  'x-api-key',
+  'api-key',
+  'x-auth-token',
+  'x-access-token',
+  'x-csrf-token',
+  'x-xsrf-token',
+  'x-amz-security-token'
+];
+
+// Query parameters that carry credentials in common APIs
+const DEFAULT_QUERY_PARAMS = [
+  'access_token',
+  'api_key',
+  'apikey',
+  'client_secret'
+];
+
+// Active rules; defaults apply until configureRedaction is called
+let rules = buildRules({});
+
+/**
+ * Parse a JSON path such as "$.user.password", "items[*].token" or "$..secret"
+ * @param {string} jsonPath - Path expression
+ * @returns {Array} Path segments ({ key }, { index }, { wildcard } or { descend })
+ */
+function parseJsonPath(jsonPath) {
+  const segments = [];
+  const expression = String(jsonPath).trim().replace(/^\$/, '');
+  const pattern = /(\.\.)([^.[\]]+)|\.?([^.[\]]+)|\[(\*|\d+|'[^']*'|"[^"]*")\]/g;
+  let match;
+  
+  while ((match = pattern.exec(expression)) !== null) {
+    if (match[1]) {
+      segments.push({ descend: match[2] });
+    } else if (match[3] !== undefined) {
+      segments.push(match[3] === '*' ? { wildcard: true } : { key: match[3] });
+    } else if (match[4] === '*') {
+      segments.push({ wildcard: true });
+    } else if (/^\d+$/.test(match[4])) {
+      segments.push({ index: Number(match[4]) });
+    } else {
+      segments.push({ key: match[4].slice(1, -1) });
+    }
+  }
+  
+  return segments;
+}
+
+/**
+ * Build the active rule set from user configuration
+ * @param {Object} config - Redaction configuration
+ * @returns {Object} Normalized rules
+ */
+function buildRules(config) {
+  const useDefaults = config.defaults !== false;
+  
+  return {
+    headers: new Set([
+      ...(useDefaults ? DEFAULT_HEADERS : []),
+      ...(config.headers || []).map(name => String(name).toLowerCase())
+    ]),
+    queryParams: new Set([
+      ...(useDefaults ? DEFAULT_QUERY_PARAMS : []),
+      ...(config.queryParams || []).map(name => String(name).toLowerCase())
+    ]),
+    jsonPaths: (config.jsonPaths || []).map(parseJsonPath),
+    patterns: (config.patterns || []).map(pattern => {
+      const regex = pattern instanceof RegExp ? pattern : new RegExp(pattern);
+      // Every occurrence must be replaced, so the pattern is always global
+      return regex.global ? regex : new RegExp(regex.source, regex.flags + 'g');
+    })
+  };
+}
+
+/**
+ * Set the redaction rules
+ * @param {Object} [config] - Redaction configuration
+ * @param {string[]} [config.headers] - Header names whose values are redacted
+ * @param {string[]} [config.queryParams] - Query and form parameter names whose values are redacted
+ * @param {string[]} [config.jsonPaths] - JSON paths redacted in JSON bodies (e.g. "$.password", "$..token")
+ * @param {Array<string|RegExp>} [config.patterns] - Patterns redacted anywhere in headers, URLs and bodies
+ * @param {boolean} [config.defaults=true] - Whether to include the default secret headers and parameters
+ */
+function configureRedaction(config = {}) {
+  rules = buildRules(config);
+}
+
+/**
+ * Read redaction rules from the NODE_TRAFFIC_LOGGER_REDACT environment variable (JSON)
+ * @returns {boolean} True if rules were found in the environment
+ */
+function configureRedactionFromEnv() {
+  if (!process.env.NODE_TRAFFIC_LOGGER_REDACT) {
+    return false;
+  }
+  
+  configureRedaction(JSON.parse(process.env.NODE_TRAFFIC_LOGGER_REDACT));
+  return true;
+}
+
+/**
+ * Replace every match of the configured patterns in a string
+ * @param {string} text - Text to redact
+ * @returns {string} Redacted text
+ */
+function redactPatterns(text) {
+  if (typeof text !== 'string') return text;
+  return rules.patterns.reduce((result, regex) => result.replace(regex, REDACTED), text);
+}
+
+/**
+ * Redact the values of cookie pairs while keeping their names
+ * @param {string} value - Cookie or Set-Cookie header value
+ * @param {boolean} isSetCookie - Whether trailing attributes should be kept
+ * @returns {string} Redacted header value
+ */
+function redactCookieValue(value, isSetCookie) {
+  const parts = String(value).split(';');
+  const redactPair = part => {
+    const eqPos = part.indexOf('=');
+    return eqPos >= 0 ? `${part.slice(0, eqPos)}=${REDACTED}` : part;
+  };
+  
+  // Set-Cookie attributes (Path, Expires, ...) are not secret
+  return isSetCookie
+    ? [redactPair(parts[0]), ...parts.slice(1)].join(';')
+    : parts.map(redactPair).join(';');
+}
+
+/**
+ * Redact a single header value
+ * @param {string} name - Header name
+ * @param {string|string[]} value - Header value
+ * @returns {string|string[]} Redacted value
+ */
+function redactHeaderValue(name, value) {
+  const lowerName = String(name).toLowerCase();
+  
+  if (Array.isArray(value)) {
+    return value.map(item => redactHeaderValue(name, item));
+  }
+  if (value === null || value === undefined) {
+    return value;
+  }
+  if (rules.headers.has(lowerName)) {
+    // Keep cookie names so the HAR still shows which cookies were sent
+    if (lowerName === 'cookie' || lowerName === 'set-cookie') {
+      return redactCookieValue(value, lowerName === 'set-cookie');
+    }
+    return REDACTED;
+  }
+  
+  return redactPatterns(String(value));
+}
+
+/**
+ * Redact a headers object
+ * @param {Object} headers - Headers object
+ * @returns {Object} New headers object with secrets redacted
+ */
+function redactHeaders(headers) {
+  if (!headers || typeof headers !== 'object') return headers;
+  
+  const result = {};
+  for (const [name, value] of Object.entries(headers)) {
+    result[name] = redactHeaderValue(name, value);
+  }
+  return result;
+}
+
+/**
+ * Redact configured parameters in a query or form-encoded string
+ * Values are replaced in place so the rest of the string is left exactly as sent
+ * @param {string} query - Query string without the leading "?"
+ * @returns {string} Redacted query string
+ */
+function redactParams(query) {
+  return query.split('&').map(pair => {
+    const eqPos = pair.indexOf('=');
+    if (eqPos < 0) return pair;
+    
+    let name;
+    try {
+      name = decodeURIComponent(pair.slice(0, eqPos).replace(/\+/g, ' '));
+    } catch (e) {
+      name = pair.slice(0, eqPos);
+    }
+    
+    return rules.queryParams.has(name.toLowerCase()) ? `${pair.slice(0, eqPos)}=${REDACTED}` : pair;
+  }).join('&');
+}
+
+/**
+ * Redact a URL or path
+ * @param {string} url - Full URL or path with optional query string
+ * @returns {string} Redacted URL
+ */
+function redactUrl(url) {
+  if (typeof url !== 'string') return url;
+  
+  const queryPos = url.indexOf('?');
+  let result = url;
+  if (queryPos >= 0) {
+    const hashPos = url.indexOf('#', queryPos);
+    const queryEnd = hashPos >= 0 ? hashPos : url.length;
+    result = url.slice(0, queryPos + 1) + redactParams(url.slice(queryPos + 1, queryEnd)) + url.slice(queryEnd);
+  }
+  
+  return redactPatterns(result);
+}
+
+/**
+ * Redact the values addressed by a parsed JSON path
+ * @param {any} node - Current JSON value
+ * @param {Array} segments - Remaining path segments
+ * @returns {boolean} True if anything was redacted
+ */
+function redactJsonPath(node, segments) {
+  if (!node || typeof node !== 'object' || segments.length === 0) return false;
+  
+  const [segment, ...rest] = segments;
+  let changed = false;
+  
+  const visit = (container, key) => {
+    if (rest.length === 0) {
+      container[key] = REDACTED;
+      changed = true;
+    } else {
+      changed = redactJsonPath(container[key], rest) || changed;
+    }
+  };
+  
+  if (segment.descend !== undefined) {
+    // Recursive descent: match the key at any depth
+    for (const key of Object.keys(node)) {
+      if (key === segment.descend) {
+        visit(node, key);
+      } else {
+        changed = redactJsonPath(node[key], segments) || changed;
+      }
+    }
+  } else if (segment.wildcard) {
+    for (const key of Object.keys(node)) {
+      visit(node, key);
+    }
+  } else if (segment.index !== undefined) {
+    if (Array.isArray(node) && segment.index < node.length) {
+      visit(node, segment.index);
+    }
+  } else if (Object.prototype.hasOwnProperty.call(node, segment.key)) {
+    visit(node, segment.key);
+  }
+  
+  return changed;
+}
+
+/**
+ * Redact a request or response body
+ * @param {string} body - Body text
+ * @param {string} [contentType] - Content-Type of the body
+ * @returns {string} Redacted body
+ */
+function redactBody(body, contentType = '') {
+  if (typeof body !== 'string' || body.length === 0) return body;
+  
+  let result = body;
+  const type = String(contentType).toLowerCase();
+  
+  if (rules.jsonPaths.length > 0 && (type.includes('json') || jsonFormatter.isLikelyJson(body))) {
+    try {
+      const data = JSON.parse(body);
+      const changed = rules.jsonPaths.reduce((any, segments) => redactJsonPath(data, segments) || any, false);
+      
+      // Keep the layout of the logged body: pretty-printed bodies stay pretty-printed
+      if (changed) {
+        result = body.includes('\n') ? jsonFormatter.formatJson(data) : JSON.stringify(data);
+      }
+    } catch (e) {
+      // Not valid JSON, fall through to pattern redaction
+    }
+  } else if (type.includes('application/x-www-form-urlencoded')) {
+    result = redactParams(body);
+  }
+  
+  return redactPatterns(result);
+}
+
+module.exports = {
+  REDACTED,
+  DEFAULT_HEADERS,
+  parseJsonPath,
+  configureRedaction,
+  configureRedactionFromEnv,
+  redactHeaders,
+  redactUrl,
+  redactBody,
+  redactPatterns
+};
@@ -0,0 +1,595 @@
+// ABOUTME: Record-and-replay support for node-traffic-logger
+// ABOUTME: Answers outgoing requests from matching entries of a previously recorded HAR file
+
+const net = require('net');
+const tls = require('tls');
+const { Duplex } = require('stream');
+const { REDACTED } = require('./redaction.cjs');
+const { readHarFile } = require('./har-writer.cjs');
+
+// Statuses that must not carry a response body
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+// Response headers that describe the original wire encoding rather than the stored body
+const WIRE_HEADERS = ['content-length', 'transfer-encoding', 'content-encoding', 'connection', 'keep-alive'];
+
+// Active replay configuration, or null when replay is disabled
+let replayState = null;
+
+/**
+ * Parse a match specification into a list of match keys
+ * @param {string|string[]} spec - e.g. "method,url,body,header:x-api-key"
+ * @returns {string[]} Normalized match keys
+ */
+function parseMatchSpec(spec) {
+  const keys = Array.isArray(spec) ? spec : String(spec || '').split(',');
+  const normalized = keys
+    .map(key => key.trim())
+    .filter(Boolean)
+    .map(key => key.toLowerCase().startsWith('header:') ? `header:${key.slice(7).trim().toLowerCase()}` : key.toLowerCase());
+  
+  // Method and URL are always part of the match
+  for (const required of ['url', 'method']) {
+    if (!normalized.includes(required)) normalized.unshift(required);
+  }
+  
+  return normalized;
+}
+
+/**
+ * Load the replayable entries from a HAR file
+ * @param {string} filePath - Path to the HAR file
+ * @returns {Array} HAR entries that carry a response
+ */
+function loadCassette(filePath) {
+  const harData = readHarFile(filePath);
+  const entries = (harData.log && harData.log.entries) || [];
+  
+  // Entries without a status never received a response and cannot be replayed
+  return entries.filter(entry => entry.response && entry.response.status > 0);
+}
+
+/**
+ * Enable replay mode
+ * @param {Object} options - Replay options
+ * @param {string} options.file - HAR file to replay from
+ * @param {string|string[]} [options.match='method,url'] - Match keys
+ * @param {string} [options.unmatched='fail'] - 'fail' or 'passthrough' for requests without a recording
+ * @returns {Object} The active replay configuration
+ */
+function configureReplay(options) {
+  if (!options || !options.file) {
+    throw new Error('A HAR file is required for replay mode');
+  }
+  
+  const unmatched = options.unmatched || 'fail';
+  if (unmatched !== 'fail' && unmatched !== 'passthrough') {
+    throw new Error(`Invalid unmatched request mode: ${unmatched} (expected fail or passthrough)`);
+  }
+  
+  replayState = {
+    file: options.file,
+    entries: loadCassette(options.file),
+    match: parseMatchSpec(options.match || 'method,url'),
+    unmatched,
+    usage: new Map() // Maps entry index to number of times it was replayed
+  };
+  
+  return replayState;
+}
+
+/**
+ * Read replay configuration from environment variables set by the CLI
+ * @returns {Object|null} The active replay configuration, or null if not requested
+ */
+function configureReplayFromEnv() {
+  if (!process.env.NODE_TRAFFIC_LOGGER_REPLAY) {
+    return null;
+  }
+  
+  return configureReplay({
+    file: process.env.NODE_TRAFFIC_LOGGER_REPLAY,
+    match: process.env.NODE_TRAFFIC_LOGGER_REPLAY_MATCH,
+    unmatched: process.env.NODE_TRAFFIC_LOGGER_REPLAY_UNMATCHED
+  });
+}
+
+/**
+ * Disable replay mode
+ */
+function disableReplay() {
+  replayState = null;
+}
+
+/**
+ * Check whether replay mode is active
+ * @returns {boolean} True if outgoing requests are answered from a HAR file
+ */
+function isReplayEnabled() {
+  return replayState !== null;
+}
+
+/**
+ * Compare a recorded value with a live one
+ * Values redacted when the cassette was recorded match anything
+ * @param {any} recorded - Value from the HAR file
+ * @param {any} actual - Value from the live request
+ * @returns {boolean} True if the values match
+ */
+function valuesMatch(recorded, actual) {
+  if (recorded === REDACTED) return true;
+  
+  if (recorded && actual && typeof recorded === 'object' && typeof actual === 'object') {
+    const recordedKeys = Object.keys(recorded);
+    if (Array.isArray(recorded) !== Array.isArray(actual) || recordedKeys.length !== Object.keys(actual).length) {
+      return false;
+    }
+    return recordedKeys.every(key => valuesMatch(recorded[key], actual[key]));
+  }
+  
+  return recorded === actual;
+}
+
+/**
+ * Compare a recorded URL with a live one, parameter by parameter
+ * @param {string} recorded - URL from the HAR file
+ * @param {string} actual - URL of the live request
+ * @returns {boolean} True if the URLs match
+ */
+function urlsMatch(recorded, actual) {
+  try {
+    const recordedUrl = new URL(recorded);
+    const actualUrl = new URL(actual);
+    return recordedUrl.origin === actualUrl.origin &&
+      recordedUrl.pathname === actualUrl.pathname &&
+      valuesMatch([...recordedUrl.searchParams], [...actualUrl.searchParams]);
+  } catch (e) {
+    return String(recorded) === String(actual);
+  }
+}
+
+/**
+ * Compare the path and query of a recorded URL with a live one, whatever host either names
+ * @param {string} recorded - URL from the HAR file
+ * @param {string} actual - URL or path of the live request
+ * @returns {boolean} True if path and query match
+ */
+function pathsMatch(recorded, actual) {
+  try {
+    const recordedUrl = new URL(recorded, 'http://relative.invalid');
+    const actualUrl = new URL(actual, 'http://relative.invalid');
+    return recordedUrl.pathname === actualUrl.pathname &&
+      valuesMatch([...recordedUrl.searchParams], [...actualUrl.searchParams]);
+  } catch (e) {
+    return String(recorded) === String(actual);
+  }
+}
+
+/**
+ * Compare a recorded body with a live one, ignoring JSON formatting
+ * @param {string} recorded - Body text from the HAR file
+ * @param {string} actual - Body text of the live request
+ * @returns {boolean} True if the bodies match
+ */
+function bodiesMatch(recorded, actual) {
+  const recordedText = recorded === null || recorded === undefined ? '' : String(recorded);
+  const actualText = actual === null || actual === undefined ? '' : String(actual);
+  try {
+    return valuesMatch(JSON.parse(recordedText), JSON.parse(actualText));
+  } catch (e) {
+    return recordedText === actualText;
+  }
+}
+
+/**
+ * Look up a header value case-insensitively
+ * @param {Object|Array} headers - Headers object or HAR headers array
+ * @param {string} name - Lowercase header name
+ * @returns {string} Header value, or an empty string
+ */
+function getHeaderValue(headers, name) {
+  if (Array.isArray(headers)) {
+    const values = headers.filter(h => String(h.name).toLowerCase() === name).map(h => h.value);
+    return values.join(', ');
+  }
+  
+  for (const [key, value] of Object.entries(headers || {})) {
+    if (key.toLowerCase() === name) {
+      return Array.isArray(value) ? value.join(', ') : String(value);
+    }
+  }
+  
+  return '';
+}
+
+/**
+ * Check if a recorded entry matches a request on the configured keys
+ * @param {Object} entry - HAR entry
+ * @param {Object} request - Request with method, url, headers and optional body
+ * @param {string[]} keys - Match keys (url compares the whole URL, path only its path and query)
+ * @param {boolean} includeBody - Whether the body key should be compared
+ * @returns {boolean} True if every key matches
+ */
+function entryMatches(entry, request, keys, includeBody) {
+  return keys.every(key => {
+    if (key === 'method') {
+      return String(entry.request.method).toUpperCase() === String(request.method).toUpperCase();
+    }
+    if (key === 'url') {
+      return urlsMatch(entry.request.url, request.url);
+    }
+    if (key === 'path') {
+      return pathsMatch(entry.request.url, request.url);
+    }
+    if (key === 'body') {
+      const recorded = entry.request.postData ? entry.request.postData.text : '';
+      return !includeBody || bodiesMatch(recorded, request.body);
+    }
+    if (key.startsWith('header:')) {
+      const name = key.slice(7);
+      return valuesMatch(getHeaderValue(entry.request.headers, name), getHeaderValue(request.headers, name));
+    }
+    return true;
+  });
+}
+
+/**
+ * Check whether any recorded entry could answer a request, ignoring its body
+ * @param {Object} request - Request with method, url and headers
+ * @returns {boolean} True if at least one entry matches
+ */
+function hasCandidates(request) {
+  if (!replayState) return false;
+  return replayState.entries.some(entry => entryMatches(entry, request, replayState.match, false));
+}
+
+/**
+ * Find the recorded entry that answers a request
+ * Repeated identical requests are answered by successive recordings in order;
+ * once they are used up the last recording keeps being replayed
+ * @param {Object} request - Request with method, url, headers and body
+ * @returns {Object|null} Object with the entry and its index, or null if nothing matches
+ */
+function selectEntry(request) {
+  if (!replayState) return null;
+  
+  const matches = [];
+  replayState.entries.forEach((entry, index) => {
+    if (entryMatches(entry, request, replayState.match, true)) {
+      matches.push(index);
+    }
+  });
+  
+  if (matches.length === 0) return null;
+  
+  const index = matches.find(i => !replayState.usage.has(i)) ?? matches[matches.length - 1];
+  replayState.usage.set(index, (replayState.usage.get(index) || 0) + 1);
+  
+  return { entry: replayState.entries[index], index };
+}
+
+/**
+ * Get the recorded response body as a Buffer
+ * @param {Object} entry - HAR entry
+ * @returns {Buffer} Response body
+ */
+function getResponseBody(entry) {
+  const content = entry.response.content || {};
+  if (!content.text) return Buffer.alloc(0);
+  return content.encoding === 'base64'
+    ? Buffer.from(content.text, 'base64')
+    : Buffer.from(content.text);
+}
+
+/**
+ * Get the recorded response headers without wire-encoding headers
+ * @param {Object} entry - HAR entry
+ * @returns {Array} HAR headers array
+ */
+function getReplayHeaders(entry) {
+  return (entry.response.headers || [])
+    .filter(h => !WIRE_HEADERS.includes(String(h.name).toLowerCase()));
+}
+
+/**
+ * Serialize a recorded response as raw HTTP/1.1 bytes
+ * @param {Object} entry - HAR entry
+ * @returns {Buffer} Raw HTTP response
+ */
+function serializeResponse(entry) {
+  const { status, statusText } = entry.response;
+  const body = NULL_BODY_STATUSES.includes(status) ? Buffer.alloc(0) : getResponseBody(entry);
+  
+  const lines = [`HTTP/1.1 ${status} ${statusText || ''}`.trimEnd()];
+  for (const header of getReplayHeaders(entry)) {
+    lines.push(`${header.name}: ${header.value}`);
+  }
+  lines.push(`content-length: ${body.length}`);
+  lines.push('connection: close');
+  
+  return Buffer.concat([Buffer.from(lines.join('\r\n') + '\r\n\r\n'), body]);
+}
+
+/**
+ * Create the error reported for requests that have no recording
+ * @param {string} method - HTTP method
+ * @param {string} url - Request URL
+ * @returns {Error} Error with code ERR_REPLAY_NO_MATCH
+ */
+function createUnmatchedError(method, url) {
+  const error = new Error(`No recorded response in ${replayState ? replayState.file : 'cassette'} matches ${method} ${url}`);
+  error.code = 'ERR_REPLAY_NO_MATCH';
+  return error;
+}
+
+/**
+ * In-memory socket that collects the request bytes and plays back a response
+ */
+class ReplaySocket extends Duplex {
+  constructor() {
+    super();
+    this.written = [];
+    this.remoteAddress = '127.0.0.1';
+    this.remotePort = 0;
+  }
+  
+  _write(chunk, encoding, callback) {
+    this.written.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding));
+    callback();
+  }
+  
+  _read() {
+    // Data is pushed when a response is available
+  }
+  
+  // net.Socket methods that the HTTP client may call
+  setTimeout() { return this; }
+  setNoDelay() { return this; }
+  setKeepAlive() { return this; }
+  ref() { return this; }
+  unref() { return this; }
+  
+  /**
+   * Play back a raw HTTP response
+   * @param {Buffer} rawResponse - Serialized response
+   */
+  respond(rawResponse) {
+    this.push(rawResponse);
+    this.push(null);
+  }
+  
+  /**
+   * Send the collected request to the real server and relay its response
+   * @param {Object} target - Connection details (host, port, isHttps and TLS options)
+   */
+  forward(target) {
+    const connection = target.isHttps
+      ? tls.connect({
+        host: target.host,
+        port: target.port,
+        servername: target.servername || target.host,
+        ca: target.ca,
+        cert: target.cert,
+        key: target.key,
+        rejectUnauthorized: target.rejectUnauthorized
+      })
+      : net.connect({ host: target.host, port: target.port });
+    
+    connection.write(Buffer.concat(this.written));
+    connection.on('data', chunk => this.push(chunk));
+    connection.on('end', () => this.push(null));
+    connection.on('error', error => this.destroy(error));
+    this.once('close', () => connection.destroy());
+  }
+}
+
+/**
+ * Route an http.request call through a given socket instead of the network
+ * @param {IArguments|Array} args - Arguments passed to http.request
+ * @param {Duplex} socket - Socket the request is written to and its response read from
+ * @returns {Array} Patched arguments
+ */
+function routeThroughSocket(args, socket) {
+  const patched = Array.from(args);
+  const optionsIndex = typeof patched[0] === 'string' || (patched[0] && typeof patched[0].href === 'string')
+    ? 1
+    : 0;
+  const options = patched[optionsIndex] && typeof patched[optionsIndex] === 'object'
+    ? { ...patched[optionsIndex] }
+    : {};
+  
+  // Without an agent the HTTP client uses createConnection for its socket,
+  // which is also where net.Socket would apply the timeout option
+  delete options.agent;
+  options.createConnection = (connectOptions) => {
+    if (connectOptions && connectOptions.timeout) socket.setTimeout(connectOptions.timeout);
+    return socket;
+  };
+  
+  if (optionsIndex === 1 && typeof patched[1] !== 'object') {
+    patched.splice(1, 0, options);
+  } else {
+    patched[optionsIndex] = options;
+  }
+  return patched;
+}
+
+/**
+ * Prepare replay for an http/https request
+ * Returns null when the request should go to the network untouched
+ * @param {Object} request - Request details
+ * @param {string} request.method - HTTP method
+ * @param {string} request.url - Full request URL
+ * @param {Object} request.headers - Request headers
+ * @param {boolean} request.isHttps - Whether the HTTPS module was used
+ * @param {Object} request.options - Normalized request options
+ * @param {ReplaySocket} [socket] - Socket to play the response through, e.g. one that injects faults
+ * @returns {Object|null} Replay session with patchArguments() and complete()
+ */
+function createReplaySession(request, socket = new ReplaySocket()) {
+  if (!replayState) return null;
+  
+  const candidates = hasCandidates(request);
+  if (!candidates && replayState.unmatched === 'passthrough') {
+    return null;
+  }
+  
+  // Without any recording there is nothing to wait for
+  if (!candidates) {
+    process.nextTick(() => socket.destroy(createUnmatchedError(request.method, request.url)));
+  }
+  
+  return {
+    /**
+     * Route the request through the replay socket instead of the network
+     * @param {IArguments|Array} args - Arguments passed to http.request
+     * @returns {Array} Patched arguments
+     */
+    patchArguments(args) {
+      return routeThroughSocket(args, socket);
+    },
+    
+    /**
+     * Answer the request once its body has been written
+     * @param {Buffer} body - Request body
+     * @returns {Object|null} Replay details for the HAR entry, or null if not replayed
+     */
+    complete(body) {
+      if (!candidates || socket.destroyed) return null;
+      
+      const match = selectEntry({ ...request, body: body.toString() });
+      if (match) {
+        socket.respond(serializeResponse(match.entry));
+        return { file: replayState.file, entryIndex: match.index };
+      }
+      
+      if (replayState.unmatched === 'passthrough') {
+        const url = new URL(request.url);
+        socket.forward({
+          ...request.options,
+          host: url.hostname,
+          port: Number(url.port) || (request.isHttps ? 443 : 80),
+          isHttps: request.isHttps
+        });
+      } else {
+        socket.destroy(createUnmatchedError(request.method, request.url));
+      }
+      return null;
+    }
+  };
+}
+
+/**
+ * Build the Request a fetch hook inspects, leaving the caller's arguments usable for the real fetch
+ * Constructing a Request from a Request consumes its body, so a Request input is cloned first
+ * @param {string|URL|Request} input - First argument of fetch
+ * @param {Object} [init] - Second argument of fetch
+ * @returns {Request} Request to read the method, URL, headers and body from
+ */
+function inspectFetchRequest(input, init) {
+  return new Request(input instanceof Request ? input.clone() : input, init);
+}
+
+/**
+ * Replace global fetch with a version that answers from the HAR file
+ * @returns {Function} Function that restores the original fetch
+ */
+function installFetchReplay() {
+  const originalFetch = globalThis.fetch;
+  if (typeof originalFetch !== 'function') {
+    return () => {};
+  }
+  
+  const logger = require('./har-logger.cjs');
+  
+  globalThis.fetch = async function replayFetch(input, init) {
+    if (!replayState) {
+      return originalFetch.apply(this, arguments);
+    }
+    
+    const request = inspectFetchRequest(input, init);
+    const requestUrl = new URL(request.url);
+    
+    // Requests left out by the capture filter were never recorded, so they go to the network
+    if (!logger.shouldCapture(request.method, requestUrl.host, requestUrl.pathname + requestUrl.search)) {
+      return originalFetch.apply(this, arguments);
+    }
+    
+    const headers = {};
+    request.headers.forEach((value, name) => { headers[name] = value; });
+    const body = request.body ? await request.clone().text() : '';
+    
+    const match = selectEntry({ method: request.method, url: request.url, headers, body });
+    if (!match) {
+      if (replayState.unmatched === 'passthrough') {
+        return originalFetch.apply(this, arguments);
+      }
+      throw new TypeError('fetch failed', { cause: createUnmatchedError(request.method, request.url) });
+    }
+    
+    // Replayed requests never reach undici, so log them here
+    const { entry } = match;
+    const requestId = logger.createRequestId();
+    logger.logRequest(request.method, requestUrl.host, requestUrl.pathname + requestUrl.search, headers, requestId, requestUrl.protocol === 'https:', 'fetch');
+    if (body) {
+      logger.logRequestBody(body, headers['content-type'] || '', requestId);
+    }
+    
+    const responseHeaders = new Headers();
+    const loggedHeaders = {};
+    for (const header of getReplayHeaders(entry)) {
+      try {
+        responseHeaders.append(header.name, header.value);
+        loggedHeaders[header.name] = header.value;
+      } catch (e) {
+        // Skip headers that the Response constructor does not accept
+      }
+    }
+    
+    const status = entry.response.status;
+    const responseBody = NULL_BODY_STATUSES.includes(status) ? null : getResponseBody(entry);
+    
+    logger.logResponse(requestId, request.method, request.url, status, entry.response.statusText || '', loggedHeaders);
+    if (responseBody && responseBody.length > 0) {
+      logger.logResponseBody(responseBody.toString(), responseHeaders.get('content-type') || '', requestId);
+    }
+    logger.annotateEntry(requestId, { replay: { file: replayState.file, entryIndex: match.index } });
+    
+    // A delay or truncation injected into the replayed response
+    const fault = require('./faults.cjs').currentFetchFault();
+    if (fault) {
+      logger.annotateEntry(requestId, { fault });
+    }
+    logger.completeRequest(requestId);
+    
+    return new Response(responseBody, {
+      status,
+      statusText: entry.response.statusText || '',
+      headers: responseHeaders
+    });
+  };
+  
+  return function restoreFetch() {
+    globalThis.fetch = originalFetch;
+  };
+}
+
+module.exports = {
+  NULL_BODY_STATUSES,
+  parseMatchSpec,
+  loadCassette,
+  entryMatches,
+  getResponseBody,
+  getReplayHeaders,
+  configureReplay,
+  configureReplayFromEnv,
+  disableReplay,
+  isReplayEnabled,
+  selectEntry,
+  serializeResponse,
+  ReplaySocket,
+  routeThroughSocket,
+  createReplaySession,
+  inspectFetchRequest,
+  installFetchReplay
+};
@@ -1,13 +1,112 @@
 // ABOUTME: CommonJS version of request-wrapper for use in preload context
 // ABOUTME: Core functionality for intercepting Node.js HTTP traffic
 
+const { performance } = require('perf_hooks');
+const replay = require('./replay.cjs');
+const faults = require('./faults.cjs');
+
+/**
+ * Current high-resolution time in milliseconds
+ * @return {number} Milliseconds since process start
+ */
+function now() {
+  return performance.now();
+}
+
+/**
+ * Milliseconds between two timeline marks, rounded to microseconds
+ * @param {number} from - Start mark
+ * @param {number} to - End mark
+ * @return {number} Non-negative duration in milliseconds
+ */
+function elapsed(from, to) {
+  return Math.max(0, Math.round((to - from) * 1000) / 1000);
+}
+
+/**
+ * Record socket lifecycle marks for a request so that real HAR phase
+ * timings can be reported instead of estimates
+ * @param {Object} req - ClientRequest to observe
+ * @return {Object} Timeline of high-resolution marks
+ */
+function trackRequestTimeline(req) {
+  const timeline = { start: now() };
+  
+  req.once('socket', (socket) => {
+    timeline.socket = now();
+    timeline.tls = Boolean(socket.encrypted);
+    
+    // A reused keep-alive socket is already connected, so this request
+    // has no dns/connect/ssl phases of its own
+    if (!socket.connecting) {
+      timeline.reused = true;
+      return;
+    }
+    
+    socket.once('lookup', (error) => {
+      timeline.lookup = now();
+      timeline.lookupFailed = Boolean(error);
+    });
+    socket.once('connect', () => { timeline.connect = now(); });
+    socket.once('secureConnect', () => { timeline.secureConnect = now(); });
+  });
+  
+  req.once('finish', () => { timeline.finish = now(); });
+  
+  return timeline;
+}
+
+/**
+ * Convert timeline marks into HAR phase durations up to the first response byte
+ * @param {Object} timeline - Marks collected by trackRequestTimeline
+ * @return {Object} Phase durations; -1 for phases that did not happen
+ */
+function computePhaseTimings(timeline) {
+  const socketAt = timeline.socket !== undefined ? timeline.socket : timeline.start;
+  const connectStart = timeline.lookup !== undefined ? timeline.lookup : socketAt;
+  const connectEnd = timeline.secureConnect !== undefined ? timeline.secureConnect : timeline.connect;
+  const readyAt = connectEnd !== undefined ? connectEnd : socketAt;
+  const sentAt = timeline.finish !== undefined ? timeline.finish : readyAt;
+  
+  return {
+    blocked: elapsed(timeline.start, socketAt),
+    dns: timeline.lookup !== undefined ? elapsed(socketAt, timeline.lookup) : -1,
+    // Per the HAR spec, connect includes the TLS handshake reported in ssl
+    connect: connectEnd !== undefined ? elapsed(connectStart, connectEnd) : -1,
+    ssl: timeline.secureConnect !== undefined && timeline.connect !== undefined
+      ? elapsed(timeline.connect, timeline.secureConnect)
+      : -1,
+    send: elapsed(readyAt, sentAt),
+    wait: elapsed(Math.max(readyAt, sentAt), timeline.firstByte)
+  };
+}
+
+/**
+ * Find the HAR phase a request was in from the marks it reached
+ * @param {Object} timeline - Marks collected by trackRequestTimeline
+ * @return {string} HAR timing phase (blocked, dns, connect, ssl, send, wait or receive)
+ */
+function currentPhase(timeline) {
+  if (timeline.firstByte !== undefined) return 'receive';
+  if (timeline.socket === undefined) return 'blocked';
+  
+  if (!timeline.reused) {
+    if (timeline.lookupFailed) return 'dns';
+    if (timeline.connect === undefined) return 'connect';
+    if (timeline.tls && timeline.secureConnect === undefined) return 'ssl';
+  }
+  
+  return timeline.finish === undefined ? 'send' : 'wait';
+}
+
 /**
  * Normalizes HTTP request parameters from different calling patterns
  * @param {string|URL|Object} urlOrOptions - URL string, URL object, or options object
  * @param {Object|Function} [optionsOrCallback] - Options object or callback function
+ * @param {boolean} [isHttps=false] - Whether the request is made through the HTTPS module
  * @return {Object} Normalized request parameters
  */
-function normalizeRequestParams(urlOrOptions, optionsOrCallback) {
+function normalizeRequestParams(urlOrOptions, optionsOrCallback, isHttps = false) {
   let url, options, method, host, path, headers;
   
   // Handle different function signatures
@@ -29,6 +128,13 @@ function normalizeRequestParams(urlOrOptions, optionsOrCallback) {
   } else {
     method = options.method || 'GET';
     host = options.host || options.hostname || 'localhost';
+    
+    // Keep non-default ports so the URL identifies the server that was called
+    const defaultPort = (options._isHttps || isHttps) ? 443 : 80;
+    if (options.port && Number(options.port) !== defaultPort) {
+      host = `${host}:${options.port}`;
+    }
+    
     path = options.path || '/';
     headers = options.headers || {};
     url = options.href || null;
@@ -36,7 +142,7 @@ function normalizeRequestParams(urlOrOptions, optionsOrCallback) {
   
   // Construct full URL if not provided
   if (!url) {
-    const protocol = options._isHttps ? 'https' : 'http';
+    const protocol = (options._isHttps || isHttps) ? 'https' : 'http';
     url = `${protocol}://${host}${path}`;
   }
   
@@ -56,12 +162,25 @@ function createRequestWrapper(originalFn, isHttps, logger) {
     const requestId = logger.createRequestId();
     
     // Normalize the request parameters
-    const { url, method, host, path, headers } = normalizeRequestParams(
-      arguments[0], arguments[1]
+    const { url, method, host, path, headers, options } = normalizeRequestParams(
+      arguments[0], arguments[1], isHttps
     );
     
+    // Filtered-out requests go straight to the network without being tracked or buffered
+    if (!logger.shouldCapture(method, host, path)) {
+      return originalFn.apply(this, arguments);
+    }
+    
+    // A fault rule takes over the request; otherwise in replay mode it is answered from a recorded HAR entry
+    const faultSession = faults.createFaultSession({ method, url, headers, isHttps, options });
+    const replaySession = faultSession ? null : replay.createReplaySession({ method, url, headers, isHttps, options });
+    const session = faultSession || replaySession;
+    
     // Make the original request first to make sure Node.js sets up the internal structures
-    const req = originalFn.apply(this, arguments);
+    const req = originalFn.apply(this, session ? session.patchArguments(arguments) : arguments);
+    
+    // Observe socket events from the start so no phase is missed
+    const timeline = trackRequestTimeline(req);
     
     // For some requests like GET, the headers may come from internal Node.js defaults
     // that aren't in the options object, so we need to try to get them from the request
@@ -127,6 +246,58 @@ function createRequestWrapper(originalFn, isHttps, logger) {
     // Track request body chunks
     const chunks = [];
     
+    // How the request ended, so failures can be told apart from timeouts and aborts
+    const outcome = { finished: false, timedOut: false, aborted: false };
+    req.once('timeout', () => { outcome.timedOut = true; });
+    req.once('abort', () => { outcome.aborted = true; });
+    
+    // Node destroys requests itself only through emitted errors; a destroy() call comes from the application
+    const originalDestroy = req.destroy;
+    req.destroy = function() {
+      if (!outcome.finished) {
+        outcome.aborted = true;
+      }
+      return originalDestroy.apply(this, arguments);
+    };
+    
+    /**
+     * Record the failure in the HAR entry and finish the request, once
+     * @param {Error|null} error - Error the request failed with; a bare abort has none
+     */
+    const fail = (error) => {
+      if (outcome.finished) return;
+      outcome.finished = true;
+      
+      // Report the phases completed before the failure; wait only ends with the response
+      const phase = currentPhase(timeline);
+      for (const [name, duration] of Object.entries(computePhaseTimings(timeline))) {
+        if (name !== 'wait' || timeline.firstByte !== undefined) {
+          logger.updateTiming(requestId, name, duration);
+        }
+      }
+      
+      logger.untrackRequest(requestId);
+      logger.logError(requestId, error, { phase, timedOut: outcome.timedOut, aborted: outcome.aborted });
+      logger.completeRequest(requestId);
+    };
+    
+    // Replay can only pick a recording once the whole body has been written
+    if (replaySession) {
+      req.once('finish', () => {
+        const replayed = replaySession.complete(Buffer.concat(chunks));
+        if (replayed) {
+          logger.annotateEntry(requestId, { replay: replayed });
+        }
+      });
+    }
+    
+    // Faults are injected once the request is on its way, like a failing server would
+    if (faultSession) {
+      req.once('finish', () => {
+        logger.annotateEntry(requestId, faultSession.complete(Buffer.concat(chunks)));
+      });
+    }
+    
     // Intercept write to capture request body
     const originalWrite = req.write;
     req.write = function(chunk, encoding, callback) {
@@ -171,6 +342,14 @@ function createRequestWrapper(originalFn, isHttps, logger) {
       
       // Intercept response
       req.on('response', async (res) => {
+        // Response headers mark the first byte of the response
+        timeline.firstByte = now();
+        
+        // Report measured phases before the response finalizes the timings
+        for (const [phase, duration] of Object.entries(computePhaseTimings(timeline))) {
+          logger.updateTiming(requestId, phase, duration);
+        }
+        
         // Get response info
         const statusCode = res.statusCode;
         const statusMessage = res.statusMessage || '';
@@ -203,12 +382,22 @@ function createRequestWrapper(originalFn, isHttps, logger) {
         
         // Collect response body
         const responseChunks = [];
+        const arrivals = [];
         
         res.on('data', (chunk) => {
           responseChunks.push(chunk);
+          arrivals.push({ size: typeof chunk === 'string' ? Buffer.byteLength(chunk) : chunk.length, time: Date.now() });
         });
         
+        // The connection can drop after the headers, leaving the body incomplete
+        res.on('error', fail);
+        
         res.on('end', async () => {
+          if (outcome.finished) return;
+          outcome.finished = true;
+          
+          logger.updateTiming(requestId, 'receive', elapsed(timeline.firstByte, now()));
+          
           if (responseChunks.length > 0) {
             try {
               // Make sure all chunks are Buffer instances before using Buffer.concat
@@ -231,8 +420,9 @@ function createRequestWrapper(originalFn, isHttps, logger) {
               // Decompress the response body
               const responseBody = await logger.decompressResponseBody(responseBuffer, contentEncoding);
               
-              // Log the response body with requestId for proper correlation
-              logger.logResponseBody(responseBody, contentType, requestId);
+              // Log the response body with requestId for proper correlation; chunk arrival
+              // times only line up with the body when it was not compressed
+              logger.logResponseBody(responseBody, contentType, requestId, contentEncoding ? undefined : arrivals);
               
               // If this is a chunked response, also log the reconstructed body
               if (isChunked) {
@@ -249,13 +439,17 @@ function createRequestWrapper(originalFn, isHttps, logger) {
               logger.log(`Error processing response body: ${error.message}`);
             }
           }
+          
+          // Nothing more will be logged for this request
+          logger.completeRequest(requestId);
         });
       });
       
-      // Log errors
-      req.on('error', (error) => {
-        logger.log(`Error for request ${requestId}: ${error.message}`);
-      });
+      // Errors, timeouts and aborts become failed entries. A request can close without an
+      // error (e.g. the deprecated req.abort()), and a dropped response reports its error
+      // after the request closes, so closing only counts once those had their turn
+      req.on('error', fail);
+      req.on('close', () => setImmediate(() => fail(null)));
       
       return originalEnd.apply(this, arguments);
     };
@@ -308,6 +502,7 @@ function normalizeHeaderValue(header) {
 // Export CommonJS module
 module.exports = {
   normalizeRequestParams,
+  computePhaseTimings,
   createRequestWrapper,
   createGetWrapper,
   normalizeHeaderValue
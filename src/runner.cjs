@@ -4,7 +4,10 @@
 const path = require('path');
 const fs = require('fs');
 const os = require('os');
+const { pathToFileURL } = require('url');
 const { spawnSync } = require('child_process');
+const { loadConfig } = require('./config.cjs');
+const { supportsModuleRegister } = require('./esm-support.cjs');
 
 // Process arguments
 const args = process.argv.slice(2);
@@ -28,6 +31,20 @@ const absoluteTargetPath = path.isAbsolute(targetPath)
   ? targetPath
   : path.resolve(process.cwd(), targetPath);
 
+// When started without the CLI, find and check the configuration file here so the
+// instrumented process uses the same one even if it changes its working directory
+if (!process.env.NODE_TRAFFIC_LOGGER_CONFIG) {
+  try {
+    const { configFile } = loadConfig();
+    if (configFile) {
+      process.env.NODE_TRAFFIC_LOGGER_CONFIG = configFile;
+    }
+  } catch (e) {
+    console.error(`Error: ${e.message}`);
+    process.exit(1);
+  }
+}
+
 console.log(`Instrumenting HTTP traffic from ${absoluteTargetPath}`);
 
 // Create a temp directory for our preload script
@@ -47,6 +64,13 @@ require(${JSON.stringify(preloadInterceptorPath)});
 // Write the preload script
 fs.writeFileSync(preloadPath, preloadContent);
 
+// --require covers CommonJS; --import adds the loader hooks that instrument clients loaded with import
+const esmRegisterPath = path.resolve(projectRoot, 'src', 'esm-register.mjs');
+const preloadArgs = ['--require', preloadPath];
+if (supportsModuleRegister()) {
+  preloadArgs.push('--import', pathToFileURL(esmRegisterPath).href);
+}
+
 try {
   // Determine if the target is a JS file or executable
   const isJsFile = targetPath.endsWith('.js') || targetPath.endsWith('.mjs') || targetPath.endsWith('.cjs');
@@ -55,7 +79,7 @@ try {
   // For JS files, use Node with --require flag to preload our interceptor
   if (isJsFile) {
     result = spawnSync('node', [
-      '--require', preloadPath,
+      ...preloadArgs,
       absoluteTargetPath,
       ...targetArgs
     ], {
@@ -73,7 +97,7 @@ try {
           fileContent.includes('node\n')) {
         // Use Node.js with the --require flag for the preload script
         result = spawnSync('node', [
-          '--require', preloadPath,
+          ...preloadArgs,
           absoluteTargetPath,
           ...targetArgs
         ], {
@@ -0,0 +1,116 @@
+// ABOUTME: Capture sessions spanning child processes and worker threads
+// ABOUTME: Passes the preload to Node.js children through NODE_OPTIONS and links their sibling HAR files by session id
+
+const path = require('path');
+const crypto = require('crypto');
+const { pathToFileURL } = require('url');
+const workerThreads = require('worker_threads');
+
+// Environment variable carrying the session id from the first instrumented process to its descendants
+const SESSION_ENV = 'NODE_TRAFFIC_LOGGER_SESSION';
+
+const PRELOAD_PATH = path.join(__dirname, 'preload-interceptor.cjs');
+
+// Session of this process or thread, decided on first use
+let session = null;
+
+/**
+ * Get the session this process or thread belongs to
+ * The first instrumented main thread starts the session; processes and workers it starts join it
+ * @returns {{id: string, root: boolean, pid: number, parentPid: number, threadId: number}} Session details
+ */
+function getSession() {
+  if (!session) {
+    const inherited = process.env[SESSION_ENV];
+    const root = !inherited && workerThreads.isMainThread;
+    
+    session = {
+      id: inherited || crypto.randomUUID(),
+      root,
+      pid: process.pid,
+      // A worker's parent is the process it runs in
+      parentPid: workerThreads.isMainThread ? process.ppid : process.pid,
+      threadId: workerThreads.threadId
+    };
+  }
+  return session;
+}
+
+/**
+ * Name the HAR file of a child process or worker after the session's file name
+ * so it sits next to it instead of overwriting it
+ * @param {string} fileName - HAR file name the root process would use
+ * @param {Object} [current=getSession()] - Session details
+ * @returns {string} File name, e.g. "api-pid4242.har" or "api-pid4242-worker1.har" (the root keeps the name)
+ */
+function siblingFileName(fileName, current = getSession()) {
+  if (current.root) return fileName;
+  
+  const ext = path.extname(fileName);
+  const base = ext ? fileName.slice(0, -ext.length) : fileName;
+  const worker = current.threadId ? `-worker${current.threadId}` : '';
+  return `${base}-pid${current.pid}${worker}${ext}`;
+}
+
+/**
+ * Quote a value for NODE_OPTIONS, which splits on spaces outside double quotes
+ * @param {string} value - Option value
+ * @returns {string} Quoted value
+ */
+function quoteNodeOption(value) {
+  return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Let worker threads started from now on join this session
+ * Workers inherit the preload from the process and copy its environment when they start
+ */
+function shareWithWorkers() {
+  process.env[SESSION_ENV] = getSession().id;
+}
+
+/**
+ * Make Node.js child processes load the interceptors and write into this session
+ * Worker threads inherit the preload from the process already. Children started
+ * with an explicit env that drops these variables are not instrumented.
+ * @param {Object} settings - What the children need to know
+ * @param {string} settings.logsDir - Directory the session's HAR files go to
+ * @param {string|null} [settings.configFile] - Configuration file the children should use
+ */
+function propagateToChildren({ logsDir, configFile }) {
+  shareWithWorkers();
+  
+  // Children may run in another working directory, so pin down where their logs and settings come from
+  process.env.NODE_TRAFFIC_LOGGER_DIR = process.env.NODE_TRAFFIC_LOGGER_DIR || logsDir;
+  if (configFile && !process.env.NODE_TRAFFIC_LOGGER_CONFIG) {
+    process.env.NODE_TRAFFIC_LOGGER_CONFIG = configFile;
+  }
+  
+  const nodeOptions = process.env.NODE_OPTIONS || '';
+  if (nodeOptions.includes(PRELOAD_PATH)) return;
+  
+  // Required here because esm-support needs the logger, which needs this module
+  const { ESM_REGISTER_PATH, supportsModuleRegister } = require('./esm-support.cjs');
+  const added = [`--require ${quoteNodeOption(PRELOAD_PATH)}`];
+  if (supportsModuleRegister()) {
+    added.push(`--import ${quoteNodeOption(pathToFileURL(ESM_REGISTER_PATH).href)}`);
+  }
+  process.env.NODE_OPTIONS = [nodeOptions, ...added].filter(Boolean).join(' ');
+}
+
+/**
+ * Forget the session so the next call starts over (for tests)
+ */
+function resetSession() {
+  session = null;
+}
+
+module.exports = {
+  SESSION_ENV,
+  getSession,
+  siblingFileName,
+  quoteNodeOption,
+  shareWithWorkers,
+  propagateToChildren,
+  resetSession
+};
@@ -1,5 +1,5 @@
-// ABOUTME: Decoder for a  server-sent event stream protocol
-// ABOUTME: Parses and reconstructs messages from SSE streams
+// ABOUTME: Decoder for server-sent event (SSE) streams
+// ABOUTME: Parses event streams per the HTML spec and reconstructs messages through pluggable reconstructors
 
 /**
  * Detect if a response is an SSE stream
@@ -25,62 +25,359 @@ function isSSEStream(response) {
          body.includes('event: message_stop');
 }
 
+// Reconstructors tried in order; the first whose detect() accepts the events builds the message
+const reconstructors = [];
+
+/**
+ * Split an event stream into events following the HTML event stream rules
+ * (https://html.spec.whatwg.org/multipage/server-sent-events.html#event-stream-interpretation):
+ * lines end in CRLF, LF or CR, lines starting with a colon are comments, a blank line dispatches
+ * the event, data lines are joined with newlines, and events without data are dropped.
+ * Unlike a browser, a final event without a trailing blank line is kept, because captured
+ * streams are often cut off mid-event.
+ * @param {string} content - Raw event stream text
+ * @returns {Array<{type: string, data: string, id: string, retry: (number|null), end: number}>} Events with the
+ *   byte offset of the line that dispatched them
+ */
+function splitEvents(content) {
+  const events = [];
+  let type = '';
+  let data = [];
+  let lastEventId = '';
+  let retry = null;
+  let offset = 0;
+  
+  const dispatch = () => {
+    if (data.length > 0) {
+      events.push({ type: type || 'message', data: data.join('\n'), id: lastEventId, retry, end: offset });
+    }
+    type = '';
+    data = [];
+    retry = null;
+  };
+  
+  // A leading byte order mark is not part of the first line
+  const text = content.replace(/^\uFEFF/, '');
+  const linePattern = /([^\r\n]*)(\r\n|\r|\n|$)/g;
+  let match;
+  while ((match = linePattern.exec(text)) !== null) {
+    const [whole, line, ending] = match;
+    offset += Buffer.byteLength(whole);
+    
+    if (line === '') {
+      if (ending) {
+        dispatch();
+        continue;
+      }
+      break;
+    }
+    
+    if (!line.startsWith(':')) {
+      const colon = line.indexOf(':');
+      const field = colon >= 0 ? line.slice(0, colon) : line;
+      const value = colon >= 0 ? line.slice(colon + 1).replace(/^ /, '') : '';
+      
+      if (field === 'event') {
+        type = value;
+      } else if (field === 'data') {
+        data.push(value);
+      } else if (field === 'id' && !value.includes('\0')) {
+        lastEventId = value;
+      } else if (field === 'retry' && /^\d+$/.test(value)) {
+        retry = Number(value);
+      }
+    }
+    
+    if (!ending) break;
+  }
+  dispatch();
+  
+  return events;
+}
+
+/**
+ * Decode an event's data field
+ * @param {string} data - Data field text
+ * @returns {*} Parsed JSON, the text itself when it is not JSON, or {raw, parse_error} for broken JSON objects
+ */
+function decodeData(data) {
+  try {
+    return JSON.parse(data);
+  } catch (e) {
+    return data.trimStart().startsWith('{') ? { raw: data, parse_error: e.message } : data;
+  }
+}
+
+/**
+ * Work out when each event arrived from the arrival times of the body chunks
+ * @param {string} body - Stream body as received (not re-encoded)
+ * @param {Array<{size: number, time: number}>} chunks - Byte size and arrival time of each chunk, in order
+ * @returns {number[]} Arrival time of each event: the time of the chunk that completed it
+ */
+function eventArrivalTimes(body, chunks) {
+  if (!body || !Array.isArray(chunks) || chunks.length === 0) return [];
+  
+  const times = [];
+  let chunkIndex = 0;
+  let chunkEnd = chunks[0].size;
+  for (const event of splitEvents(body)) {
+    while (chunkEnd < event.end && chunkIndex < chunks.length - 1) {
+      chunkIndex++;
+      chunkEnd += chunks[chunkIndex].size;
+    }
+    times.push(chunks[chunkIndex].time);
+  }
+  return times;
+}
+
+/**
+ * Register a reconstructor that rebuilds the final message of a streaming format
+ * @param {Object} reconstructor - Reconstructor
+ * @param {string} reconstructor.name - Name reported as parsed.reconstructor
+ * @param {Function} reconstructor.detect - (events) => boolean, whether the events are in its format
+ * @param {Function} reconstructor.reconstruct - (events) => Object, the reconstructed message
+ * @param {Object} [options] - Registration options
+ * @param {boolean} [options.first=false] - Try it before the reconstructors registered earlier
+ */
+function registerReconstructor(reconstructor, options = {}) {
+  if (!reconstructor || typeof reconstructor.detect !== 'function' || typeof reconstructor.reconstruct !== 'function') {
+    throw new Error('A reconstructor needs a name, a detect(events) function and a reconstruct(events) function');
+  }
+  
+  // Registering a name again replaces the earlier reconstructor
+  unregisterReconstructor(reconstructor.name);
+  if (options.first) {
+    reconstructors.unshift(reconstructor);
+  } else {
+    reconstructors.push(reconstructor);
+  }
+}
+
+/**
+ * Remove a registered reconstructor
+ * @param {string} name - Reconstructor name
+ * @returns {boolean} True if it was registered
+ */
+function unregisterReconstructor(name) {
+  const index = reconstructors.findIndex(reconstructor => reconstructor.name === name);
+  if (index < 0) return false;
+  reconstructors.splice(index, 1);
+  return true;
+}
+
+/**
+ * List the registered reconstructors in the order they are tried
+ * @returns {string[]} Reconstructor names
+ */
+function getReconstructors() {
+  return reconstructors.map(reconstructor => reconstructor.name);
+}
+
 /**
  * Parse SSE stream content
  * @param {string} content - Raw SSE stream content
- * @returns {Object} Parsed stream with events and reconstructed message
+ * @param {Object} [options] - Parse options
+ * @param {number[]} [options.eventTimes] - Arrival time of each event in milliseconds after the request
+ *   started, as recorded in the HAR entry's response.content._eventTimes
+ * @param {string} [options.startedDateTime] - Start of the request, to turn arrival times into timestamps
+ * @returns {Object} Parsed stream with events, the name of the reconstructor used and the reconstructed message
  */
-function parseSSEStream(content) {
+function parseSSEStream(content, options = {}) {
   if (!content || typeof content !== 'string') {
     return {
       events: [],
       reconstructedMessage: { content: [] }
     };
   }
-
-  // Split by double newlines (event boundaries)
-  const eventChunks = content.split(/\n\n/);
-  const events = [];
-  const reconstructedMessage = {
-    content: [],
-    metadata: {}
-  };
   
-  for (const chunk of eventChunks) {
-    // Skip empty chunks
-    if (!chunk.trim()) continue;
-    
-    // Extract event type and data
-    const eventMatch = chunk.match(/^event: (.+)$/m);
-    const dataMatch = chunk.match(/^data: (.+)$/m);
-    
-    if (!eventMatch || !dataMatch) continue;
-    
-    const eventType = eventMatch[1];
-    let eventData;
-    
+  const eventTimes = options.eventTimes || [];
+  const startedAt = options.startedDateTime ? new Date(options.startedDateTime).getTime() : NaN;
+  
+  const events = splitEvents(content).map(({ type, data, id, retry }, index) => {
+    const event = { type, data: decodeData(data) };
+    if (id) event.id = id;
+    if (retry !== null) event.retry = retry;
+    if (typeof eventTimes[index] === 'number') {
+      event.time = eventTimes[index];
+      if (!Number.isNaN(startedAt)) {
+        event.timestamp = new Date(startedAt + eventTimes[index]).toISOString();
+      }
+    }
+    return event;
+  });
+  
+  const reconstructor = reconstructors.find(candidate => {
     try {
-      eventData = JSON.parse(dataMatch[1]);
+      return candidate.detect(events);
     } catch (e) {
-      eventData = { raw: dataMatch[1], parse_error: e.message };
+      return false;
     }
-    
-    // Add to events array
-    events.push({
-      type: eventType,
-      data: eventData
-    });
-    
-    // Process based on event type
-    processEvent(eventType, eventData, reconstructedMessage);
+  }) || genericReconstructor;
+  
+  let reconstructedMessage;
+  try {
+    reconstructedMessage = reconstructor.reconstruct(events);
+  } catch (error) {
+    reconstructedMessage = { content: [], errors: [{ event_type: null, error: error.message }] };
   }
   
   return {
     events,
+    reconstructor: reconstructor.name,
     reconstructedMessage
   };
 }
 
+/**
+ * Fallback for streams no reconstructor recognizes: the data of every event, in order
+ */
+const genericReconstructor = {
+  name: 'generic',
+  detect: () => true,
+  reconstruct(events) {
+    const message = {
+      content: events.length > 0
+        ? [{ type: 'text', text: events.map(event => typeof event.data === 'string' ? event.data : JSON.stringify(event.data)).join('\n') }]
+        : []
+    };
+    
+    const last = events[events.length - 1];
+    if (last && last.id) message.last_event_id = last.id;
+    return message;
+  }
+};
+
+// Event types of content-block message streams (message_start, content_block_delta, ...)
+const CONTENT_BLOCK_EVENTS = ['message_start', 'content_block_start', 'content_block_delta', 'content_block_stop', 'message_delta', 'message_stop', 'ping', 'error'];
+
+/**
+ * Reconstructor for content-block message streams
+ */
+const contentBlockReconstructor = {
+  name: 'content-blocks',
+  detect: events => events.length > 0 && events.every(event => CONTENT_BLOCK_EVENTS.includes(event.type)),
+  reconstruct(events) {
+    const message = {
+      content: [],
+      metadata: {}
+    };
+    for (const event of events) {
+      processEvent(event.type, event.data, message);
+    }
+    return message;
+  }
+};
+
+/**
+ * Check whether event data is a chat completion chunk (data: {"choices":[{"delta":...}]})
+ * @param {*} data - Decoded event data
+ * @returns {boolean} True for chat completion chunks
+ */
+function isChatCompletionChunk(data) {
+  if (!data || typeof data !== 'object') return false;
+  if (data.object === 'chat.completion.chunk') return true;
+  return Array.isArray(data.choices) && data.choices.some(choice => choice && choice.delta);
+}
+
+/**
+ * Reconstructor for OpenAI-style chat completion streams, which end with data: [DONE]
+ * Builds the chat.completion object the same request would have returned without streaming
+ */
+const chatCompletionReconstructor = {
+  name: 'chat-completions',
+  detect: events => events.some(event => isChatCompletionChunk(event.data)),
+  reconstruct(events) {
+    const message = {
+      object: 'chat.completion',
+      choices: []
+    };
+    for (const event of events) {
+      if (event.data && typeof event.data === 'object') {
+        processChatCompletionChunk(event.data, message);
+      }
+    }
+    // Chunks can arrive for choices out of order; drop the gaps left for choices that never came
+    message.choices = message.choices.filter(Boolean);
+    return message;
+  }
+};
+
+/**
+ * Fold one chat completion chunk into the reconstructed completion
+ * Content, refusals and reasoning are concatenated; tool calls and legacy function calls
+ * are assembled by index, with their arguments concatenated as streamed
+ * @param {Object} chunk - Chunk data
+ * @param {Object} message - Reconstructed completion to update
+ */
+function processChatCompletionChunk(chunk, message) {
+  try {
+    if (chunk.error) {
+      message.error = chunk.error;
+      return;
+    }
+    
+    for (const field of ['id', 'model', 'created', 'system_fingerprint', 'service_tier']) {
+      if (chunk[field] !== undefined && chunk[field] !== null) message[field] = chunk[field];
+    }
+    
+    // Sent in a final chunk with no choices when stream_options.include_usage is set
+    if (chunk.usage) message.usage = chunk.usage;
+    
+    for (const choiceDelta of chunk.choices || []) {
+      const index = choiceDelta.index || 0;
+      if (!message.choices[index]) {
+        message.choices[index] = {
+          index,
+          message: { role: 'assistant', content: null },
+          finish_reason: null
+        };
+      }
+      
+      const choice = message.choices[index];
+      const target = choice.message;
+      const delta = choiceDelta.delta || {};
+      
+      if (delta.role) target.role = delta.role;
+      for (const field of ['content', 'refusal', 'reasoning_content']) {
+        if (typeof delta[field] === 'string') {
+          target[field] = (target[field] || '') + delta[field];
+        }
+      }
+      
+      if (delta.function_call) {
+        target.function_call = target.function_call || { name: '', arguments: '' };
+        target.function_call.name += delta.function_call.name || '';
+        target.function_call.arguments += delta.function_call.arguments || '';
+      }
+      
+      for (const callDelta of delta.tool_calls || []) {
+        target.tool_calls = target.tool_calls || [];
+        const callIndex = callDelta.index !== undefined ? callDelta.index : target.tool_calls.length;
+        if (!target.tool_calls[callIndex]) {
+          target.tool_calls[callIndex] = { id: null, type: 'function', function: { name: '', arguments: '' } };
+        }
+        
+        const call = target.tool_calls[callIndex];
+        if (callDelta.id) call.id = callDelta.id;
+        if (callDelta.type) call.type = callDelta.type;
+        if (callDelta.function) {
+          call.function.name += callDelta.function.name || '';
+          call.function.arguments += callDelta.function.arguments || '';
+        }
+      }
+      
+      if (choiceDelta.finish_reason) choice.finish_reason = choiceDelta.finish_reason;
+    }
+  } catch (error) {
+    if (!message.errors) message.errors = [];
+    message.errors.push({
+      event_type: 'chunk',
+      error: error.message,
+      data: chunk
+    });
+  }
+}
+
 /**
  * Process a single event and update the reconstructed message
  * @param {string} eventType - Type of event
@@ -204,10 +501,18 @@ function getEventSummary(events) {
   return summary;
 }
 
+registerReconstructor(contentBlockReconstructor);
+registerReconstructor(chatCompletionReconstructor);
+
 module.exports = {
   isSSEStream,
   parseSSEStream,
+  eventArrivalTimes,
+  registerReconstructor,
+  unregisterReconstructor,
+  getReconstructors,
   processEvent,
+  processChatCompletionChunk,
   formatReconstructedMessage,
   getEventSummary
 };
@@ -0,0 +1,119 @@
+// ABOUTME: Controller returned by instrument() for reacting to captured traffic in-process
+// ABOUTME: Re-emits the HAR formatter's entry events and pauses, resumes, flushes and stops the capture
+
+const EventEmitter = require('events');
+
+// Formatter events and the controller events they become
+const FORWARDED_EVENTS = {
+  'entry-request': 'request',
+  'entry-response': 'response',
+  'entry-complete': 'entry',
+  'entry-error': 'error'
+};
+
+/**
+ * Handle on a running capture
+ * Events carry the HAR entry as it stands at that point:
+ * - request: the request has started; its body may still be on its way
+ * - response: the response headers have arrived; the body is added before the entry event
+ * - entry: the entry is complete and has been written to the HAR file
+ * - error: the request failed; the Error carries the code, type, phase and entry
+ */
+class TrafficController extends EventEmitter {
+  /**
+   * @param {Object} options - Controller options
+   * @param {string} options.logFile - HAR file the capture writes to
+   * @param {EventEmitter} options.formatter - HAR formatter whose events are re-emitted
+   * @param {Function} options.onStop - Undoes the instrumentation
+   */
+  constructor({ logFile, formatter, onStop }) {
+    super();
+    this.logFile = logFile;
+    this.formatter = formatter;
+    this.onStop = onStop;
+    this.stopped = false;
+    
+    this.subscriptions = Object.entries(FORWARDED_EVENTS).map(([source, event]) => {
+      const listener = entry => this.forward(event, entry);
+      formatter.on(source, listener);
+      return { source, listener };
+    });
+  }
+  
+  /**
+   * Emit an event without letting a failing listener break the request being captured
+   * @param {string} event - Controller event
+   * @param {Object} entry - HAR entry
+   */
+  forward(event, entry) {
+    // An unhandled 'error' event would throw inside the application's request
+    if (event === 'error' && this.listenerCount('error') === 0) return;
+    
+    try {
+      if (event === 'error') {
+        const { type, code, message, phase } = entry._error;
+        this.emit('error', Object.assign(new Error(message), { type, code, phase, entry }));
+      } else {
+        this.emit(event, entry);
+      }
+    } catch (error) {
+      process.emitWarning(`A node-traffic-logger '${event}' listener threw: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Stop recording new requests; requests already in flight are still recorded
+   * @returns {TrafficController} This controller
+   */
+  pause() {
+    this.formatter.pause();
+    return this;
+  }
+  
+  /**
+   * Record new requests again
+   * @returns {TrafficController} This controller
+   */
+  resume() {
+    this.formatter.resume();
+    return this;
+  }
+  
+  /**
+   * Write entries still in flight, pages and log comments to the HAR file now
+   * @returns {string} Path to the HAR file
+   */
+  flush() {
+    this.formatter.saveHar();
+    return this.logFile;
+  }
+  
+  /**
+   * Remove the instrumentation, write the HAR file a last time and stop emitting events
+   * @returns {string} Path to the HAR file
+   */
+  stop() {
+    if (this.stopped) return this.logFile;
+    this.stopped = true;
+    
+    for (const { source, listener } of this.subscriptions) {
+      this.formatter.removeListener(source, listener);
+    }
+    this.formatter.resume();
+    this.onStop();
+    return this.logFile;
+  }
+  
+  /**
+   * The HAR file path, for template literals and other string conversions
+   * APIs that need a string, such as fs and path, must be given logFile instead
+   * @returns {string} Path to the HAR file
+   */
+  toString() {
+    return this.logFile;
+  }
+}
+
+module.exports = {
+  TrafficController
+};
@@ -0,0 +1,301 @@
+// ABOUTME: undici diagnostics_channel capture backend for node-traffic-logger
+// ABOUTME: Logs global fetch and direct undici requests without modifying them on the wire
+
+const logger = require('./har-logger.cjs');
+const jsonFormatter = require('./json-formatter.cjs');
+const { currentFetchFault } = require('./faults.cjs');
+
+// undici publishes request lifecycle events on these channels
+const CHANNEL_NAMES = {
+  create: 'undici:request:create',
+  headers: 'undici:request:headers',
+  trailers: 'undici:request:trailers',
+  error: 'undici:request:error'
+};
+
+// Per-request capture state, keyed by undici's request object
+const captures = new WeakMap();
+
+/**
+ * Load diagnostics_channel if this Node.js version provides it
+ * @returns {Object|null} The diagnostics_channel module or null
+ */
+function getDiagnosticsChannel() {
+  try {
+    const diagnosticsChannel = require('diagnostics_channel');
+    return typeof diagnosticsChannel.channel === 'function' ? diagnosticsChannel : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Check whether undici requests can be observed through diagnostics_channel
+ * @returns {boolean} True if native fetch (undici) and diagnostics_channel are available
+ */
+function isUndiciDiagnosticsAvailable() {
+  return typeof globalThis.fetch === 'function' && getDiagnosticsChannel() !== null;
+}
+
+/**
+ * Convert undici header representations into a plain headers object
+ * Handles flat [name, value, ...] arrays (undici 6+) and raw "name: value\r\n" strings (undici 5)
+ * @param {Array|string} rawHeaders - Headers as exposed by undici
+ * @returns {Object} Headers object; repeated headers become arrays
+ */
+function parseUndiciHeaders(rawHeaders) {
+  const headers = {};
+  if (!rawHeaders) return headers;
+  
+  const pairs = [];
+  if (typeof rawHeaders === 'string') {
+    for (const line of rawHeaders.split('\r\n')) {
+      const colonPos = line.indexOf(':');
+      if (colonPos > 0) {
+        pairs.push([line.substring(0, colonPos).trim(), line.substring(colonPos + 1).trim()]);
+      }
+    }
+  } else if (Array.isArray(rawHeaders)) {
+    for (let i = 0; i + 1 < rawHeaders.length; i += 2) {
+      pairs.push([String(rawHeaders[i]), String(rawHeaders[i + 1])]);
+    }
+  }
+  
+  for (const [rawName, value] of pairs) {
+    const name = rawName.toLowerCase();
+    if (headers[name] === undefined) {
+      headers[name] = value;
+    } else if (Array.isArray(headers[name])) {
+      headers[name].push(value);
+    } else {
+      headers[name] = [headers[name], value];
+    }
+  }
+  
+  return headers;
+}
+
+/**
+ * Convert a body chunk reported by undici into a Buffer
+ * @param {Buffer|Uint8Array|string} chunk - Body chunk
+ * @returns {Buffer} Chunk as a Buffer
+ */
+function toBuffer(chunk) {
+  if (Buffer.isBuffer(chunk)) return chunk;
+  if (chunk instanceof Uint8Array) return Buffer.from(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+  return Buffer.from(String(chunk));
+}
+
+/**
+ * Wrap a handler method on an undici request instance to observe its first argument
+ * The request is left untouched on the wire; we only see what undici reports
+ * @param {Object} request - undici request object
+ * @param {string} methodName - Handler method to observe (e.g. onData)
+ * @param {Function} observer - Receives the handler's first argument
+ */
+function observeHandler(request, methodName, observer) {
+  const original = request[methodName];
+  if (typeof original !== 'function') return;
+  
+  request[methodName] = function(chunk) {
+    try {
+      observer(chunk);
+    } catch (e) {
+      // Never let logging interfere with the request
+    }
+    return original.apply(this, arguments);
+  };
+}
+
+/**
+ * Handle undici:request:create - log the outgoing request
+ * @param {Object} message - Channel message with the undici request
+ */
+function onRequestCreate({ request }) {
+  let url;
+  try {
+    url = new URL(request.path, request.origin);
+  } catch (e) {
+    logger.logSystem(`undici request with unparseable URL: ${request.origin}${request.path}`);
+    return;
+  }
+  
+  // Without a capture the other handlers ignore the request, so nothing is buffered for it
+  if (!logger.shouldCapture(request.method, url.host, url.pathname + url.search)) return;
+  
+  const requestId = logger.createRequestId();
+  const headers = parseUndiciHeaders(request.headers);
+  const capture = {
+    requestId,
+    url: url.href,
+    method: request.method,
+    requestHeaders: headers,
+    requestChunks: [],
+    responseChunks: [],
+    arrivals: [],
+    responseHeaders: {},
+    headersReceivedAt: 0
+  };
+  captures.set(request, capture);
+  
+  logger.logRequest(
+    request.method,
+    url.host,
+    url.pathname + url.search,
+    headers,
+    requestId,
+    url.protocol === 'https:',
+    'undici'
+  );
+  logger.trackRequest(request, requestId, url.href, request.method);
+  
+  // A delay or truncation the fetch hook is about to inject into this response
+  const fault = currentFetchFault();
+  if (fault) {
+    logger.annotateEntry(requestId, { fault });
+  }
+  
+  // undici reports each body chunk as it is written and each response chunk
+  // as it is parsed, which lets us capture streamed bodies without consuming them
+  observeHandler(request, 'onBodySent', chunk => {
+    capture.requestChunks.push(toBuffer(chunk));
+  });
+  observeHandler(request, 'onData', chunk => {
+    const buffer = toBuffer(chunk);
+    capture.responseChunks.push(buffer);
+    capture.arrivals.push({ size: buffer.length, time: Date.now() });
+  });
+  observeHandler(request, 'onRequestSent', () => {
+    capture.requestSent = true;
+  });
+}
+
+/**
+ * Handle undici:request:headers - log the request body and response status line
+ * @param {Object} message - Channel message with the undici request and response
+ */
+function onRequestHeaders({ request, response }) {
+  const capture = captures.get(request);
+  if (!capture) return;
+  
+  // The request body has been fully sent by the time the response starts
+  logCapturedRequestBody(capture);
+  
+  capture.headersReceivedAt = Date.now();
+  capture.responseHeaders = parseUndiciHeaders((response.headers || []).map(h => String(h)));
+  
+  logger.untrackRequest(capture.requestId);
+  logger.logResponse(
+    capture.requestId,
+    capture.method,
+    capture.url,
+    response.statusCode,
+    response.statusText || '',
+    capture.responseHeaders
+  );
+}
+
+/**
+ * Log the request body collected from onBodySent, once
+ * @param {Object} capture - Capture state for the request
+ */
+function logCapturedRequestBody(capture) {
+  if (capture.requestBodyLogged || capture.requestChunks.length === 0) return;
+  capture.requestBodyLogged = true;
+  
+  const contentType = capture.requestHeaders['content-type'] || '';
+  const bodyString = Buffer.concat(capture.requestChunks).toString();
+  logger.logRequestBody(jsonFormatter.formatContent(bodyString, contentType), contentType, capture.requestId);
+}
+
+/**
+ * Handle undici:request:trailers - the response has completed, log its body
+ * @param {Object} message - Channel message with the undici request
+ */
+async function onRequestTrailers({ request }) {
+  const capture = captures.get(request);
+  if (!capture) return;
+  captures.delete(request);
+  
+  if (capture.headersReceivedAt) {
+    logger.updateTiming(capture.requestId, 'receive', Date.now() - capture.headersReceivedAt);
+  }
+  
+  if (capture.responseChunks.length > 0) {
+    try {
+      const responseBuffer = Buffer.concat(capture.responseChunks);
+      const contentEncoding = capture.responseHeaders['content-encoding'] || '';
+      const contentType = capture.responseHeaders['content-type'] || '';
+      
+      // onData sees the bytes as received, before fetch decodes them
+      const responseBody = await logger.decompressResponseBody(responseBuffer, contentEncoding);
+      logger.logResponseBody(responseBody, contentType, capture.requestId, contentEncoding ? undefined : capture.arrivals);
+    } catch (error) {
+      logger.log(`Error processing undici response body: ${error.message}`);
+    }
+  }
+  
+  logger.completeRequest(capture.requestId);
+}
+
+/**
+ * Handle undici:request:error - record the failure
+ * @param {Object} message - Channel message with the undici request and error
+ */
+function onRequestError({ request, error }) {
+  const capture = captures.get(request);
+  if (!capture) return;
+  captures.delete(request);
+  
+  logCapturedRequestBody(capture);
+  
+  // Connection errors are placed in the dns or connect phase by their code
+  let phase = capture.requestSent ? 'wait' : 'send';
+  if (capture.headersReceivedAt) {
+    phase = 'receive';
+  }
+  
+  logger.untrackRequest(capture.requestId);
+  logger.logError(capture.requestId, error || null, { phase });
+  logger.completeRequest(capture.requestId);
+}
+
+/**
+ * Subscribe to undici diagnostics channels to capture fetch/undici traffic
+ * @returns {Function} Cleanup function that unsubscribes all channels
+ */
+function setupUndiciDiagnostics() {
+  const diagnosticsChannel = getDiagnosticsChannel();
+  if (!diagnosticsChannel) {
+    throw new Error('diagnostics_channel is not available in this Node.js version');
+  }
+  
+  const handlers = {
+    create: onRequestCreate,
+    headers: onRequestHeaders,
+    trailers: onRequestTrailers,
+    error: onRequestError
+  };
+  
+  // Keep strong references to the channel objects while subscribed
+  const subscriptions = Object.entries(handlers).map(([key, handler]) => {
+    const channel = diagnosticsChannel.channel(CHANNEL_NAMES[key]);
+    channel.subscribe(handler);
+    return { channel, handler };
+  });
+  
+  logger.logSystem('Subscribed to undici diagnostics channels');
+  
+  return function unsubscribe() {
+    for (const { channel, handler } of subscriptions) {
+      channel.unsubscribe(handler);
+    }
+    logger.logSystem('Unsubscribed from undici diagnostics channels');
+  };
+}
+
+module.exports = {
+  setupUndiciDiagnostics,
+  isUndiciDiagnosticsAvailable,
+  parseUndiciHeaders
+};
@@ -0,0 +1,75 @@
+// ABOUTME: URL templating for node-traffic-logger
+// ABOUTME: Replaces IDs, UUIDs and hashes in URLs with placeholders so calls to the same endpoint can be grouped
+
+// Segment patterns in the order they are tried; the first match names the placeholder
+const SEGMENT_PATTERNS = [
+  { name: 'uuid', pattern: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i },
+  { name: 'id', pattern: /^\d+$/ },
+  { name: 'hash', pattern: /^[0-9a-f]{16,}$/i },
+  // Long opaque identifiers mixing letters and digits (e.g. "cus_9s6XKzkNRiz8i3")
+  { name: 'token', pattern: /^(?=.*\d)(?=.*[A-Za-z])[A-Za-z0-9_-]{16,}$/ }
+];
+
+/**
+ * Get the placeholder name for a variable path segment
+ * @param {string} segment - Decoded path segment
+ * @returns {string|null} Placeholder name (id, uuid, hash or token), or null for a fixed segment
+ */
+function segmentPlaceholder(segment) {
+  const match = SEGMENT_PATTERNS.find(({ pattern }) => pattern.test(segment));
+  return match ? match.name : null;
+}
+
+/**
+ * Replace a variable value with its placeholder
+ * @param {string} value - Path segment or query value
+ * @returns {string} "{name}" for variable values, the value itself otherwise
+ */
+function templateValue(value) {
+  let decoded = value;
+  try {
+    decoded = decodeURIComponent(value);
+  } catch (e) {
+    // Keep malformed escapes as they are
+  }
+  
+  const placeholder = segmentPlaceholder(decoded);
+  return placeholder ? `{${placeholder}}` : value;
+}
+
+/**
+ * Template a URL path
+ * @param {string} pathname - URL path (e.g. "/users/42/orders")
+ * @returns {string} Templated path (e.g. "/users/{id}/orders")
+ */
+function templatePath(pathname) {
+  return pathname.split('/').map(segment => (segment ? templateValue(segment) : segment)).join('/');
+}
+
+/**
+ * Template a URL: variable path segments and query values become placeholders
+ * and query parameters are sorted by name
+ * @param {string} url - Absolute URL or path with optional query string
+ * @returns {string} URL template (e.g. "https://api.test/users/{id}?page={id}")
+ */
+function urlTemplate(url) {
+  let parsed;
+  try {
+    parsed = new URL(url, 'http://relative.invalid');
+  } catch (e) {
+    return url;
+  }
+  
+  const origin = parsed.origin === 'http://relative.invalid' ? '' : parsed.origin;
+  const params = [...parsed.searchParams.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([name, value]) => `${name}=${templateValue(value)}`);
+  
+  return `${origin}${templatePath(parsed.pathname)}${params.length > 0 ? `?${params.join('&')}` : ''}`;
+}
+
+module.exports = {
+  segmentPlaceholder,
+  templatePath,
+  urlTemplate
+};
@@ -188,6 +188,28 @@ describe('Axios Instrumentation', () => {
     }
   });
   
+  test('Should write Axios requests that fail without a response', async () => {
+    const inst = instrumentAxios(axios.create());
+    
+    // A port nothing listens on
+    const closedPort = await new Promise(resolve => {
+      const probe = http.createServer().listen(0, () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+      });
+    });
+    
+    await expect(inst.get(`http://localhost:${closedPort}/refused`)).rejects.toMatchObject({ code: 'ECONNREFUSED' });
+    
+    // Completed entries are appended to the file as they finish, without a save
+    const harData = JSON.parse(fs.readFileSync(logFile, 'utf8'));
+    const entry = harData.log.entries.find(e => e.request.url.includes(`localhost:${closedPort}/refused`));
+    
+    expect(entry).toBeDefined();
+    expect(entry.response.status).toBe(0);
+    expect(entry._error).toMatchObject({ type: 'error', code: 'ECONNREFUSED' });
+  });
+  
   test('Should propagate Axios request config correctly', async () => {
     // Create instrumented Axios instance with baseURL
     const axiosConfig = {
@@ -0,0 +1,46 @@
+// ABOUTME: Script used by the child process tests
+// ABOUTME: Makes a request, then starts a Node.js child process and a worker thread that make requests of their own
+
+const http = require('http');
+const { spawn } = require('child_process');
+const { Worker, isMainThread } = require('worker_threads');
+
+const baseUrl = process.env.TEST_SERVER_URL;
+const role = isMainThread ? (process.argv[2] || 'parent') : 'worker';
+
+/**
+ * Make a GET request and wait for the whole response
+ * @param {string} requestPath - Path on the test server
+ * @returns {Promise<void>} Resolves when the response has ended
+ */
+function get(requestPath) {
+  return new Promise((resolve, reject) => {
+    const req = http.get(`${baseUrl}${requestPath}`, { agent: false }, (res) => {
+      res.resume();
+      res.on('end', resolve);
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Wait for a child process or worker to exit
+ * @param {EventEmitter} child - Child process or worker
+ * @returns {Promise<void>} Resolves on exit
+ */
+function exited(child) {
+  return new Promise((resolve, reject) => {
+    child.on('error', reject);
+    child.on('exit', resolve);
+  });
+}
+
+(async () => {
+  await get(`/${role}`);
+  
+  if (role === 'parent') {
+    // A plain spawn of node, without fork's execArgv, only gets the preload through NODE_OPTIONS
+    await exited(spawn(process.execPath, [__filename, 'child'], { stdio: 'inherit' }));
+    await exited(new Worker(__filename));
+  }
+})();
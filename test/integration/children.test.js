@@ -0,0 +1,92 @@
+// ABOUTME: Integration tests for child process and worker thread capture
+// ABOUTME: Runs a script that starts a Node.js child process and a worker, and checks their sibling HAR files
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+const { SESSION_ENV } = require('../../src/session.cjs');
+
+const execFileAsync = promisify(execFile);
+const preloadPath = path.join(__dirname, '..', '..', 'src', 'preload-interceptor.cjs');
+const scriptPath = path.join(__dirname, 'children-client.cjs');
+
+describe('Child process and worker capture', () => {
+  let server;
+  let serverUrl;
+  let tempDir;
+  
+  beforeAll((done) => {
+    server = http.createServer((req, res) => {
+      res.end('ok');
+    });
+    server.listen(0, () => {
+      serverUrl = `http://localhost:${server.address().port}`;
+      done();
+    });
+  });
+  
+  afterAll((done) => {
+    server.close(done);
+  });
+  
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'children-test-'));
+  });
+  
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  
+  /**
+   * Run the script with the preload and read the HAR files it leaves behind
+   * @param {Object} [env] - Extra environment variables
+   * @returns {Promise<Array>} HAR logs, sorted by file name
+   */
+  async function runScript(env = {}) {
+    const childEnv = { ...process.env, NODE_TRAFFIC_LOGGER_DIR: tempDir, TEST_SERVER_URL: serverUrl, ...env };
+    delete childEnv[SESSION_ENV];
+    
+    await execFileAsync('node', ['--require', preloadPath, scriptPath], { env: childEnv, timeout: 20000 });
+    
+    return fs.readdirSync(tempDir)
+      .filter(name => name.endsWith('.har'))
+      .sort()
+      .map(name => ({ name, log: JSON.parse(fs.readFileSync(path.join(tempDir, name), 'utf8')).log }));
+  }
+  
+  test('should write sibling HAR files linked by the session id', async () => {
+    const files = await runScript();
+    expect(files).toHaveLength(3);
+    
+    const root = files.find(file => file.log._session.root);
+    const child = files.find(file => /-pid\d+\.har$/.test(file.name));
+    const worker = files.find(file => /-worker\d+\.har$/.test(file.name));
+    
+    expect(root.log.entries.map(entry => entry.request.url)).toEqual([`${serverUrl}/parent`]);
+    expect(child.log.entries.map(entry => entry.request.url)).toEqual([`${serverUrl}/child`]);
+    expect(worker.log.entries.map(entry => entry.request.url)).toEqual([`${serverUrl}/worker`]);
+    
+    // Everything belongs to the session the parent started
+    for (const file of [child, worker]) {
+      expect(file.log._session.id).toBe(root.log._session.id);
+      expect(file.log._session.root).toBe(false);
+    }
+    expect(child.log._session.parentPid).toBe(root.log._session.pid);
+    expect(worker.log._session.pid).toBe(root.log._session.pid);
+  }, 30000);
+  
+  test('should leave child processes out but keep workers when children are turned off', async () => {
+    const files = await runScript({ NODE_TRAFFIC_LOGGER_CHILDREN: 'false' });
+    expect(files).toHaveLength(2);
+    
+    const root = files.find(file => file.log._session.root);
+    const worker = files.find(file => /-worker\d+\.har$/.test(file.name));
+    
+    expect(root.log.entries.map(entry => entry.request.url)).toEqual([`${serverUrl}/parent`]);
+    expect(worker.log.entries.map(entry => entry.request.url)).toEqual([`${serverUrl}/worker`]);
+    expect(worker.log._session.id).toBe(root.log._session.id);
+  }, 30000);
+});
@@ -0,0 +1,137 @@
+// ABOUTME: Integration tests for the controller returned by instrument()
+// ABOUTME: Verifies traffic events, pausing, flushing and that stop() removes the instrumentation
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+
+const { instrument } = require('../../src/index.cjs');
+
+/**
+ * GET a URL and wait for the whole response
+ */
+function get(url) {
+  return new Promise((resolve, reject) => {
+    http.get(url, res => {
+      res.resume();
+      res.on('end', () => resolve(res.statusCode));
+    }).on('error', reject);
+  });
+}
+
+describe('instrument() controller', () => {
+  const originalRequest = http.request;
+  let tempDir;
+  let server;
+  let base;
+  let controller;
+  
+  beforeAll(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'controller-test-'));
+    server = http.createServer((req, res) => res.end(`ok ${req.url}`));
+    await new Promise(resolve => server.listen(0, resolve));
+    base = `http://localhost:${server.address().port}`;
+    
+    controller = instrument({ logsDir: tempDir });
+  });
+  
+  // Entries complete after the response has been read, so tests wait for them
+  const entryFor = urlPath => new Promise(resolve => {
+    const listener = entry => {
+      if (entry.request.url === `${base}${urlPath}`) {
+        controller.removeListener('entry', listener);
+        resolve(entry);
+      }
+    };
+    controller.on('entry', listener);
+  });
+  
+  afterAll(async () => {
+    controller.stop();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  
+  test('should emit request, response and entry events once per request', async () => {
+    const events = [];
+    const record = name => entry => events.push([name, entry.request.url.replace(base, '')]);
+    controller.on('request', record('request'));
+    controller.on('response', record('response'));
+    controller.on('entry', record('entry'));
+    
+    const done = entryFor('/one');
+    await get(`${base}/one`);
+    await done;
+    
+    const fetched = entryFor('/two');
+    await (await fetch(`${base}/two`)).text();
+    await fetched;
+    controller.removeAllListeners();
+    
+    expect(events).toEqual([
+      ['request', '/one'], ['response', '/one'], ['entry', '/one'],
+      ['request', '/two'], ['response', '/two'], ['entry', '/two']
+    ]);
+  });
+  
+  test('should emit failed requests as errors', async () => {
+    const errors = [];
+    controller.on('error', error => errors.push(error));
+    
+    await expect(get('http://localhost:1/refused')).rejects.toThrow();
+    controller.removeAllListeners();
+    
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toBeInstanceOf(Error);
+    expect(errors[0]).toMatchObject({ type: 'error', code: 'ECONNREFUSED', phase: 'connect' });
+    expect(errors[0].entry.request.url).toBe('http://localhost:1/refused');
+    
+    // Without an error listener a failure must not throw inside the application's request
+    await expect(get('http://localhost:1/refused-again')).rejects.toMatchObject({ code: 'ECONNREFUSED' });
+  });
+  
+  test('should not record requests started while paused', async () => {
+    const entries = [];
+    controller.on('entry', entry => entries.push(entry.request.url.replace(base, '')));
+    
+    controller.pause();
+    await get(`${base}/paused`);
+    controller.resume();
+    const resumed = entryFor('/resumed');
+    await get(`${base}/resumed`);
+    await resumed;
+    controller.removeAllListeners();
+    
+    expect(entries).toEqual(['/resumed']);
+    
+    const logFile = controller.flush();
+    const urls = JSON.parse(fs.readFileSync(logFile, 'utf8')).log.entries.map(entry => entry.request.url);
+    expect(urls).toContain(`${base}/resumed`);
+    expect(urls).not.toContain(`${base}/paused`);
+  });
+  
+  test('should keep working for listeners that throw', async () => {
+    const warning = jest.spyOn(process, 'emitWarning').mockImplementation(() => {});
+    controller.on('request', () => { throw new Error('listener bug'); });
+    
+    await expect(get(`${base}/throwing`)).resolves.toBe(200);
+    controller.removeAllListeners();
+    
+    expect(warning).toHaveBeenCalledWith("A node-traffic-logger 'request' listener threw: listener bug");
+    warning.mockRestore();
+  });
+  
+  test('should restore the original functions when stopped', async () => {
+    expect(`${controller}`).toBe(controller.logFile);
+    expect(http.request).not.toBe(originalRequest);
+    
+    const entries = [];
+    controller.on('entry', entry => entries.push(entry));
+    expect(controller.stop()).toBe(controller.logFile);
+    
+    expect(http.request).toBe(originalRequest);
+    await get(`${base}/after-stop`);
+    expect(entries).toEqual([]);
+  });
+});
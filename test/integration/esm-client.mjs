@@ -0,0 +1,22 @@
+// ABOUTME: ES module client used by the ESM loader tests
+// ABOUTME: Makes requests through a named node:http import and an imported axios module
+
+import { request } from 'node:http';
+import axios from 'axios';
+
+const baseUrl = process.env.TEST_SERVER_URL;
+
+await new Promise((resolve, reject) => {
+  const req = request(`${baseUrl}/esm/named-import`, (res) => {
+    res.resume();
+    res.on('end', resolve);
+  });
+  req.on('error', reject);
+  req.end();
+});
+
+const { data } = await axios.get(`${baseUrl}/esm/axios`);
+console.log(JSON.stringify({ axiosInstrumented: axios.interceptors.request.handlers.length > 0, data }));
+
+// The keep-alive sockets would hold the process open
+process.exit(0);
@@ -0,0 +1,86 @@
+// ABOUTME: Integration tests for the ESM loader hooks
+// ABOUTME: Runs an ES module client with --import and checks that imported clients are captured
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+const { pathToFileURL } = require('url');
+const { supportsModuleRegister } = require('../../src/esm-support.cjs');
+
+const execFileAsync = promisify(execFile);
+const registerUrl = pathToFileURL(path.join(__dirname, '..', '..', 'src', 'esm-register.mjs')).href;
+const preloadPath = path.join(__dirname, '..', '..', 'src', 'preload-interceptor.cjs');
+const clientPath = path.join(__dirname, 'esm-client.mjs');
+
+// module.register needs Node.js 18.19 / 20.6 or later
+const describeIfSupported = supportsModuleRegister() ? describe : describe.skip;
+
+describeIfSupported('ESM loader hooks', () => {
+  let server;
+  let serverUrl;
+  let tempDir;
+  
+  beforeAll((done) => {
+    server = http.createServer((req, res) => {
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({ path: req.url }));
+    });
+    server.listen(0, () => {
+      serverUrl = `http://localhost:${server.address().port}`;
+      done();
+    });
+  });
+  
+  afterAll((done) => {
+    server.close(done);
+  });
+  
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'esm-test-'));
+  });
+  
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  
+  test('should capture named builtin imports and imported axios', async () => {
+    // Same flags as the runner: Node also runs the --require preload in the hooks thread
+    const { stdout } = await execFileAsync('node', ['--require', preloadPath, '--import', registerUrl, clientPath], {
+      env: { ...process.env, NODE_TRAFFIC_LOGGER_DIR: tempDir, TEST_SERVER_URL: serverUrl },
+      timeout: 20000
+    });
+    
+    const result = JSON.parse(stdout.trim().split('\n').pop());
+    expect(result.axiosInstrumented).toBe(true);
+    expect(result.data).toEqual({ path: '/esm/axios' });
+    
+    // The loader hooks thread must not start a logger of its own
+    const harFiles = fs.readdirSync(tempDir).filter(name => name.endsWith('.har'));
+    expect(harFiles).toHaveLength(1);
+    
+    const harData = JSON.parse(fs.readFileSync(path.join(tempDir, harFiles[0]), 'utf8'));
+    const urls = harData.log.entries.map(entry => entry.request.url);
+    expect(urls).toContain(`${serverUrl}/esm/named-import`);
+    expect(urls).toContain(`${serverUrl}/esm/axios`);
+  }, 30000);
+  
+  test('should leave axios alone when the axios interceptor is turned off', async () => {
+    const configFile = path.join(tempDir, 'traffic-logger.json');
+    fs.writeFileSync(configFile, JSON.stringify({ interceptors: { axios: false } }));
+    
+    const { stdout } = await execFileAsync('node', ['--import', registerUrl, clientPath], {
+      env: {
+        ...process.env,
+        NODE_TRAFFIC_LOGGER_DIR: tempDir,
+        NODE_TRAFFIC_LOGGER_CONFIG: configFile,
+        TEST_SERVER_URL: serverUrl
+      },
+      timeout: 20000
+    });
+    
+    expect(JSON.parse(stdout.trim().split('\n').pop()).axiosInstrumented).toBe(false);
+  }, 30000);
+});
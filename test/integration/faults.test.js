@@ -0,0 +1,215 @@
+// ABOUTME: Integration tests for fault injection
+// ABOUTME: Verifies rules inject delays, synthetic responses, resets and truncated bodies and are recorded in the HAR entry
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+
+const harLogger = require('../../src/har-logger.cjs');
+const harFormatter = require('../../src/har-formatter.cjs');
+const { createRequestWrapper } = require('../../src/request-wrapper.cjs');
+const { setupUndiciDiagnostics, isUndiciDiagnosticsAvailable } = require('../../src/undici-diagnostics.cjs');
+const faults = require('../../src/faults.cjs');
+
+/**
+ * Send a request through the given request function and collect the response
+ */
+function send(requestFn, url, options = {}) {
+  return new Promise((resolve, reject) => {
+    const req = requestFn(url, options, (res) => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data }));
+      res.on('error', error => reject(Object.assign(error, { received: data })));
+    });
+    req.on('timeout', () => req.destroy(new Error('client timeout')));
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+describe('Fault injection', () => {
+  let tempDir;
+  let server;
+  let base;
+  let wrappedRequest;
+  let logFile;
+  let unsubscribe;
+  
+  beforeAll(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'faults-test-'));
+    
+    server = http.createServer((req, res) => {
+      let received = '';
+      req.on('data', chunk => { received += chunk; });
+      req.on('end', () => {
+        const body = JSON.stringify({ live: true, path: req.url, received, padding: 'x'.repeat(100) });
+        res.writeHead(200, { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body) });
+        res.end(body);
+      });
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+    base = `http://localhost:${server.address().port}`;
+    
+    logFile = harLogger.initializeLogging(tempDir);
+    wrappedRequest = createRequestWrapper(http.request, false, harLogger);
+    if (isUndiciDiagnosticsAvailable()) {
+      unsubscribe = setupUndiciDiagnostics();
+    }
+  });
+  
+  afterEach(() => {
+    faults.disableFaults();
+  });
+  
+  afterAll(async () => {
+    if (unsubscribe) unsubscribe();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  
+  const readEntry = (urlPart) => {
+    harFormatter.saveHar();
+    const harData = JSON.parse(fs.readFileSync(logFile, 'utf8'));
+    return harData.log.entries.filter(e => e.request.url.includes(urlPart)).pop();
+  };
+  
+  test('should validate rules', () => {
+    expect(() => faults.parseFaultRules([{ fault: 'explode' }])).toThrow('Invalid fault rule 1: fault must be one of delay, status, reset, truncate');
+    expect(() => faults.parseFaultRules([{ fault: 'delay' }])).toThrow('a delay fault needs a delay');
+    expect(() => faults.parseFaultRules([{ fault: 'reset', probability: 2 }])).toThrow('probability must be a number from 0 to 1');
+    expect(() => faults.parseFaultRules([{ fault: 'status', status: 99 }])).toThrow('status must be an HTTP status code');
+    expect(() => faults.parseFaultRules([{ fault: 'reset', path: '(' }])).toThrow('Invalid fault rule 1');
+    expect(faults.parseFaultRules([{ fault: 'status' }])[0]).toMatchObject({ status: 503, probability: 1, delay: 0 });
+  });
+  
+  test('should pick the first matching rule whose probability comes up', () => {
+    const rolls = [0.5, 0.1];
+    faults.configureFaults({
+      rules: [
+        { host: '*.example.test', path: '^/api/', method: ['post', 'PUT'], fault: 'reset' },
+        { host: '*.example.test', fault: 'status', status: 429, probability: 0.3 },
+        { fault: 'status', status: 500, probability: 0.3 }
+      ],
+      random: () => rolls.shift()
+    });
+    
+    // The POST rule does not apply to GET; 0.5 misses the 429 rule and 0.1 hits the 500 rule
+    expect(faults.pickFault({ method: 'GET', url: 'http://api.example.test/api/items' })).toMatchObject({ index: 2, status: 500 });
+    
+    faults.configureFaults({ rules: [{ host: '*.example.test', path: '^/api/', method: 'POST', fault: 'reset' }] });
+    expect(faults.pickFault({ method: 'POST', url: 'http://api.example.test/api/items' })).toMatchObject({ index: 0, fault: 'reset' });
+    expect(faults.pickFault({ method: 'POST', url: 'http://other.test/api/items' })).toBeNull();
+  });
+  
+  test('should answer with a synthetic error response', async () => {
+    faults.configureFaults({ rules: [{ path: '^/status', fault: 'status', status: 429, headers: { 'Retry-After': '1' } }] });
+    
+    const response = await send(wrappedRequest, `${base}/status`);
+    expect(response.status).toBe(429);
+    expect(response.headers['retry-after']).toBe('1');
+    expect(response.body).toBe('429 Too Many Requests (injected fault)');
+    
+    const entry = readEntry('/status');
+    expect(entry.response.status).toBe(429);
+    expect(entry._meta.fault).toEqual({ type: 'status', rule: 0, status: 429 });
+  });
+  
+  test('should reset the connection', async () => {
+    faults.configureFaults({ rules: [{ path: '^/reset', fault: 'reset' }] });
+    
+    await expect(send(wrappedRequest, `${base}/reset`)).rejects.toMatchObject({ code: 'ECONNRESET' });
+    
+    const entry = readEntry('/reset');
+    expect(entry._error).toMatchObject({ type: 'error', code: 'ECONNRESET' });
+    expect(entry._meta.fault).toEqual({ type: 'reset', rule: 0 });
+  });
+  
+  test('should hold back the server response', async () => {
+    faults.configureFaults({ rules: [{ path: '^/slow', fault: 'delay', delay: 150 }] });
+    
+    const started = Date.now();
+    const response = await send(wrappedRequest, `${base}/slow`);
+    expect(Date.now() - started).toBeGreaterThanOrEqual(140);
+    expect(JSON.parse(response.body)).toMatchObject({ live: true, path: '/slow' });
+    expect(readEntry('/slow')._meta.fault).toEqual({ type: 'delay', rule: 0, delay: 150 });
+    
+    // Client timeouts fire while the response is held back
+    await expect(send(wrappedRequest, `${base}/slow?again`, { timeout: 30 })).rejects.toThrow('client timeout');
+    expect(readEntry('/slow?again')._error.type).toBe('timeout');
+  });
+  
+  test('should cut off the response body', async () => {
+    faults.configureFaults({ rules: [{ path: '^/truncated', fault: 'truncate', bytes: 10 }] });
+    
+    const error = await send(wrappedRequest, `${base}/truncated`).catch(e => e);
+    expect(error.code).toBe('ECONNRESET');
+    expect(error.received).toBe('{"live":tr');
+    expect(readEntry('/truncated')._meta.fault).toEqual({ type: 'truncate', rule: 0, bytes: 10 });
+  });
+  
+  (isUndiciDiagnosticsAvailable() ? describe : describe.skip)('with fetch', () => {
+    let restoreFetch;
+    
+    beforeAll(() => {
+      restoreFetch = faults.installFetchFaults();
+    });
+    
+    afterAll(() => {
+      restoreFetch();
+    });
+    
+    test('should inject synthetic responses and resets', async () => {
+      faults.configureFaults({
+        rules: [
+          { path: '^/fetch-status', fault: 'status', status: 502, body: '{"error":"bad gateway"}', headers: { 'content-type': 'application/json' } },
+          { path: '^/fetch-reset', fault: 'reset' }
+        ]
+      });
+      
+      const response = await fetch(`${base}/fetch-status`);
+      expect(response.status).toBe(502);
+      expect(await response.json()).toEqual({ error: 'bad gateway' });
+      expect(readEntry('/fetch-status')).toMatchObject({
+        response: { status: 502 },
+        _meta: { interceptorType: 'fetch', fault: { type: 'status', rule: 0, status: 502 } }
+      });
+      
+      const error = await fetch(`${base}/fetch-reset`).catch(e => e);
+      expect(error).toBeInstanceOf(TypeError);
+      expect(error.cause.code).toBe('ECONNRESET');
+      expect(readEntry('/fetch-reset')._error.code).toBe('ECONNRESET');
+    });
+    
+    test('should delay and truncate real responses', async () => {
+      faults.configureFaults({
+        rules: [
+          { path: '^/fetch-slow', fault: 'delay', delay: 100 },
+          { path: '^/fetch-truncated', fault: 'truncate', bytes: 5 }
+        ]
+      });
+      
+      const started = Date.now();
+      const response = await fetch(`${base}/fetch-slow`);
+      expect(Date.now() - started).toBeGreaterThanOrEqual(90);
+      expect(await response.json()).toMatchObject({ live: true });
+      expect(readEntry('/fetch-slow')._meta).toMatchObject({ interceptorType: 'undici', fault: { type: 'delay', delay: 100 } });
+      
+      const truncated = await fetch(`${base}/fetch-truncated`);
+      expect(truncated.url).toBe(`${base}/fetch-truncated`);
+      await expect(truncated.text()).rejects.toThrow('terminated');
+      expect(readEntry('/fetch-truncated')._meta.fault).toEqual({ type: 'truncate', rule: 1, bytes: 5 });
+    });
+    
+    test('should send the body of a Request whether or not a rule matches', async () => {
+      faults.configureFaults({ rules: [{ path: '^/fetch-delayed-post', fault: 'delay', delay: 10 }] });
+      
+      // Inspecting a Request must not use up the body the network request sends
+      for (const requestPath of ['/fetch-unmatched-post', '/fetch-delayed-post']) {
+        const response = await fetch(new Request(`${base}${requestPath}`, { method: 'POST', body: 'abc' }));
+        expect(await response.json()).toMatchObject({ live: true, path: requestPath, received: 'abc' });
+      }
+    });
+  });
+});
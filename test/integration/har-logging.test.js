@@ -11,6 +11,7 @@ const harLogger = require('../../src/har-logger.cjs');
 const harFormatter = require('../../src/har-formatter.cjs');
 const { createRequestWrapper, createGetWrapper } = require('../../src/request-wrapper.cjs');
 const { instrumentAxios } = require('../../src/axios-wrapper.cjs');
+const config = require('../../src/config.cjs');
 
 // Create temp directory for test logs
 const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'har-integration-test-'));
@@ -21,12 +22,16 @@ describe('HAR Logging Integration', () => {
   let harFilePath;
   let originalHttpRequest;
   let originalHttpsRequest;
+  let originalHttpGet;
+  let originalHttpsGet;
   
   // Start a test server before all tests
   beforeAll((done) => {
     // Save original request functions
     originalHttpRequest = http.request;
     originalHttpsRequest = https.request;
+    originalHttpGet = http.get;
+    originalHttpsGet = https.get;
     
     // Create a simple server for testing
     server = http.createServer((req, res) => {
@@ -91,6 +96,8 @@ describe('HAR Logging Integration', () => {
     // Restore original request functions
     http.request = originalHttpRequest;
     https.request = originalHttpsRequest;
+    http.get = originalHttpGet;
+    https.get = originalHttpsGet;
     
     // Close the server
     server.close(() => {
@@ -626,4 +633,160 @@ describe('HAR Logging Integration', () => {
       throw err;
     }
   });
+  
+  test('should record socket phase timings for a fresh connection', async () => {
+    await new Promise((resolve, reject) => {
+      // agent: false forces a new socket so dns and connect actually happen
+      const req = http.request({
+        hostname: 'localhost',
+        port: serverPort,
+        path: '/api/test?timed=1',
+        method: 'GET',
+        agent: false
+      });
+      
+      req.on('response', (res) => {
+        res.resume();
+        res.on('end', resolve);
+        res.on('error', reject);
+      });
+      req.on('error', reject);
+      req.end();
+    });
+    
+    // Let the wrapper's own end handler record the receive phase
+    await new Promise(resolve => setImmediate(resolve));
+    harFormatter.saveHar();
+    
+    const harData = JSON.parse(fs.readFileSync(harFilePath, 'utf8'));
+    const entry = harData.log.entries.find(e => e.request.url.includes('/api/test?timed=1'));
+    
+    expect(entry).toBeDefined();
+    expect(entry.timings.blocked).toBeGreaterThanOrEqual(0);
+    expect(entry.timings.dns).toBeGreaterThanOrEqual(0);
+    expect(entry.timings.connect).toBeGreaterThanOrEqual(0);
+    expect(entry.timings.ssl).toBe(-1);
+    expect(entry.timings.wait).toBeGreaterThanOrEqual(0);
+    expect(entry.timings.receive).toBeGreaterThanOrEqual(0);
+    
+    const { blocked, dns, connect, send, wait, receive } = entry.timings;
+    const total = [blocked, dns, connect, send, wait, receive].reduce((sum, t) => sum + t, 0);
+    expect(entry.time).toBeCloseTo(Math.max(1, total), 5);
+  });
+  
+  test('should record failed, timed out and aborted requests as _error', async () => {
+    // A port nothing listens on
+    const closedPort = await new Promise(resolve => {
+      const probe = http.createServer().listen(0, () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+      });
+    });
+    
+    const failed = (options, configure = () => {}) => new Promise(resolve => {
+      const req = http.request({ hostname: 'localhost', agent: false, ...options });
+      req.on('error', resolve);
+      req.on('close', resolve);
+      configure(req);
+      req.end();
+    });
+    
+    // A server that never answers
+    const hangingServer = http.createServer(() => {});
+    await new Promise(resolve => hangingServer.listen(0, resolve));
+    const hangingPort = hangingServer.address().port;
+    
+    try {
+      await failed({ port: closedPort, path: '/api/test?fail=refused' });
+      await failed({ port: hangingPort, path: '/api/test?fail=timeout', timeout: 50 }, req => {
+        req.on('timeout', () => req.destroy());
+      });
+      const controller = new AbortController();
+      await failed({ port: hangingPort, path: '/api/test?fail=aborted', signal: controller.signal }, () => {
+        setTimeout(() => controller.abort(), 50);
+      });
+    } finally {
+      hangingServer.closeAllConnections();
+      hangingServer.close();
+    }
+    
+    await new Promise(resolve => setTimeout(resolve, 10));
+    harFormatter.saveHar();
+    
+    const entries = JSON.parse(fs.readFileSync(harFilePath, 'utf8')).log.entries;
+    const errorOf = query => entries.find(entry => entry.request.url.includes(query))._error;
+    
+    expect(errorOf('fail=refused')).toMatchObject({ type: 'error', code: 'ECONNREFUSED', phase: 'connect' });
+    expect(errorOf('fail=timeout')).toMatchObject({ type: 'timeout', code: 'ETIMEDOUT', phase: 'wait' });
+    expect(errorOf('fail=aborted')).toMatchObject({ type: 'aborted', code: 'ABORT_ERR', phase: 'wait' });
+    expect(errorOf('fail=timeout').elapsed).toBeGreaterThanOrEqual(45);
+    
+    // Failed requests are complete entries, not in-flight ones
+    for (const query of ['fail=refused', 'fail=timeout', 'fail=aborted']) {
+      const entry = entries.find(candidate => candidate.request.url.includes(query));
+      expect(entry.response.status).toBe(0);
+      expect(entry._meta.pending).toBeUndefined();
+    }
+  });
+  
+  test('should record when each server-sent event arrived', async () => {
+    // A server that sends its events 100ms apart
+    const streamServer = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write('data: first\n\n');
+      setTimeout(() => res.end('data: second\n\n'), 100);
+    });
+    await new Promise(resolve => streamServer.listen(0, resolve));
+    
+    try {
+      await new Promise((resolve, reject) => {
+        const req = http.get({ hostname: 'localhost', port: streamServer.address().port, path: '/stream', agent: false }, res => {
+          res.resume();
+          res.on('end', resolve);
+        });
+        req.on('error', reject);
+      });
+    } finally {
+      streamServer.close();
+    }
+    
+    await new Promise(resolve => setImmediate(resolve));
+    harFormatter.saveHar();
+    
+    const entries = JSON.parse(fs.readFileSync(harFilePath, 'utf8')).log.entries;
+    const { content } = entries.find(entry => entry.request.url.endsWith('/stream')).response;
+    
+    expect(content._eventTimes).toHaveLength(2);
+    expect(content._eventTimes[1] - content._eventTimes[0]).toBeGreaterThanOrEqual(90);
+  });
+  
+  test('should not capture requests left out by the capture filter', async () => {
+    config.loadConfig({ config: { paths: { exclude: ['^/api/echo'] }, methods: { exclude: ['delete'] } } });
+    
+    const request = (method, requestPath) => new Promise((resolve, reject) => {
+      const req = http.request({ hostname: 'localhost', port: serverPort, path: requestPath, method });
+      req.on('response', (res) => {
+        res.resume();
+        res.on('end', resolve);
+      });
+      req.on('error', reject);
+      req.end(method === 'POST' ? 'filtered body' : undefined);
+    });
+    
+    try {
+      await request('POST', '/api/echo?filtered=1');
+      await request('DELETE', '/api/test?filtered=2');
+      await request('GET', '/api/test?filtered=3');
+      
+      await new Promise(resolve => setImmediate(resolve));
+      harFormatter.saveHar();
+      
+      const urls = JSON.parse(fs.readFileSync(harFilePath, 'utf8')).log.entries.map(entry => entry.request.url);
+      expect(urls.some(url => url.includes('filtered=1'))).toBe(false);
+      expect(urls.some(url => url.includes('filtered=2'))).toBe(false);
+      expect(urls.some(url => url.includes('filtered=3'))).toBe(true);
+    } finally {
+      config.resetConfig();
+    }
+  });
 });
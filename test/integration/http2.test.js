@@ -0,0 +1,134 @@
+// ABOUTME: Integration tests for HTTP/2 client session instrumentation
+// ABOUTME: Verifies http2.connect streams are logged as HAR entries sharing a connection ID
+
+const http2 = require('http2');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const harLogger = require('../../src/har-logger.cjs');
+const harFormatter = require('../../src/har-formatter.cjs');
+const { createHttp2ConnectWrapper, splitPseudoHeaders, toAuthorityUrl } = require('../../src/http2-wrapper.cjs');
+
+describe('HTTP/2 Instrumentation', () => {
+  let server;
+  let port;
+  let tempDir;
+  let logFile;
+  let connect;
+  
+  beforeAll(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'http2-test-'));
+    
+    server = http2.createServer();
+    server.on('stream', (stream, headers) => {
+      let body = '';
+      stream.on('data', chunk => { body += chunk.toString(); });
+      stream.on('end', () => {
+        stream.respond({ ':status': headers[':path'] === '/missing' ? 404 : 200, 'content-type': 'application/json' });
+        stream.end(JSON.stringify({ path: headers[':path'], body }));
+      });
+    });
+    
+    await new Promise(resolve => {
+      server.listen(0, () => {
+        port = server.address().port;
+        resolve();
+      });
+    });
+    
+    logFile = harLogger.initializeLogging(tempDir);
+    connect = createHttp2ConnectWrapper(http2.connect, harLogger);
+  });
+  
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  
+  // Send one request on a session and resolve with the response body
+  const sendRequest = (session, headers, body) => new Promise((resolve, reject) => {
+    const stream = session.request(headers);
+    let data = '';
+    stream.setEncoding('utf8');
+    stream.on('data', chunk => { data += chunk; });
+    stream.on('end', () => resolve(data));
+    stream.on('error', reject);
+    stream.end(body);
+  });
+  
+  test('should split pseudo-headers from regular headers', () => {
+    const { pseudo, regular } = splitPseudoHeaders({
+      ':method': 'POST',
+      ':path': '/items',
+      'content-type': 'application/json'
+    });
+    
+    expect(pseudo).toEqual({ method: 'POST', path: '/items' });
+    expect(regular).toEqual({ 'content-type': 'application/json' });
+  });
+  
+  test('should read authorities with and without a scheme', () => {
+    expect(toAuthorityUrl('localhost:8443').href).toBe('https://localhost:8443/');
+    expect(toAuthorityUrl('http://localhost:8080/ignored').origin).toBe('http://localhost:8080');
+    expect(toAuthorityUrl({ hostname: 'example.test', port: 8443 }).origin).toBe('https://example.test:8443');
+    expect(toAuthorityUrl({ host: '::1', port: '8080' }, { protocol: 'http:' }).origin).toBe('http://[::1]:8080');
+  });
+  
+  test('should log streams of sessions connected with a URL-like object', async () => {
+    const session = connect({ hostname: 'localhost', port }, { protocol: 'http:' });
+    await sendRequest(session, { ':path': '/object-authority' });
+    session.close();
+    
+    await new Promise(resolve => setImmediate(resolve));
+    harFormatter.saveHar();
+    
+    const harData = JSON.parse(fs.readFileSync(logFile, 'utf8'));
+    const entry = harData.log.entries.find(e => e.request.url === `http://localhost:${port}/object-authority`);
+    expect(entry).toBeDefined();
+    expect(entry.response.status).toBe(200);
+  });
+  
+  test('should log streams with HTTP/2 details and a shared connection', async () => {
+    const session = connect(`http://localhost:${port}`);
+    
+    await Promise.all([
+      sendRequest(session, { ':method': 'POST', ':path': '/items', 'content-type': 'application/json' }, '{"name":"one"}'),
+      sendRequest(session, { ':path': '/missing' })
+    ]);
+    session.close();
+    
+    // Let the response body handlers run
+    await new Promise(resolve => setImmediate(resolve));
+    harFormatter.saveHar();
+    
+    const harData = JSON.parse(fs.readFileSync(logFile, 'utf8'));
+    const postEntry = harData.log.entries.find(e => e.request.url === `http://localhost:${port}/items`);
+    const getEntry = harData.log.entries.find(e => e.request.url === `http://localhost:${port}/missing`);
+    
+    expect(postEntry).toBeDefined();
+    expect(getEntry).toBeDefined();
+    
+    expect(postEntry.request.method).toBe('POST');
+    expect(postEntry.request.httpVersion).toBe('HTTP/2');
+    expect(postEntry.request.headers.some(h => h.name.startsWith(':'))).toBe(false);
+    expect(postEntry.request.postData.text).toContain('one');
+    expect(postEntry.response.status).toBe(200);
+    expect(postEntry.response.statusText).toBe('OK');
+    expect(postEntry.response.httpVersion).toBe('HTTP/2');
+    expect(postEntry.response.headers.some(h => h.name.startsWith(':'))).toBe(false);
+    expect(postEntry.response.content.text).toContain('/items');
+    expect(postEntry._meta.interceptorType).toBe('http2');
+    
+    expect(getEntry.request.method).toBe('GET');
+    expect(getEntry.response.status).toBe(404);
+    
+    // Both streams were multiplexed over the same session
+    expect(postEntry.connection).toBeDefined();
+    expect(getEntry.connection).toBe(postEntry.connection);
+  });
+  
+  test('should not wrap http2.connect twice', () => {
+    expect(createHttp2ConnectWrapper(connect, harLogger)).toBe(connect);
+  });
+});
@@ -0,0 +1,48 @@
+// ABOUTME: Script used by the initiator tests
+// ABOUTME: Makes a request with http, fetch and axios, each from a function of its own
+
+const http = require('http');
+const axios = require('axios');
+
+const baseUrl = process.env.TEST_SERVER_URL;
+
+/**
+ * Request with http.get
+ * @returns {Promise<void>} Resolves when the response has ended
+ */
+function loadWithHttp() {
+  return new Promise((resolve, reject) => {
+    http.get(`${baseUrl}/http`, (res) => {
+      res.resume();
+      res.on('end', resolve);
+    }).on('error', reject);
+  });
+}
+
+/**
+ * Request with fetch
+ * @returns {Promise<string>} Response body
+ */
+async function loadWithFetch() {
+  const response = await fetch(`${baseUrl}/fetch`);
+  return response.text();
+}
+
+/**
+ * Request with axios
+ * @returns {Promise<Object>} Axios response
+ */
+function loadWithAxios() {
+  return axios.get(`${baseUrl}/axios`);
+}
+
+async function main() {
+  await loadWithHttp();
+  await loadWithFetch();
+  await loadWithAxios();
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,99 @@
+// ABOUTME: Integration tests for recording the call site of each request in _initiator
+// ABOUTME: Runs scripts with the preload and checks the frames recorded for http, fetch, axios and source-mapped code
+
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { pathToFileURL } = require('url');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+const { SESSION_ENV } = require('../../src/session.cjs');
+
+const execFileAsync = promisify(execFile);
+const preloadPath = path.join(__dirname, '..', '..', 'src', 'preload-interceptor.cjs');
+const clientPath = path.join(__dirname, 'initiator-client.cjs');
+
+describe('Request initiators', () => {
+  let server;
+  let serverUrl;
+  let tempDir;
+  
+  beforeAll((done) => {
+    server = http.createServer((req, res) => {
+      res.end('ok');
+    });
+    server.listen(0, () => {
+      serverUrl = `http://localhost:${server.address().port}`;
+      done();
+    });
+  });
+  
+  afterAll((done) => {
+    server.close(done);
+  });
+  
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'initiator-test-'));
+  });
+  
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  
+  /**
+   * Run a script with the preload and read the entries it logged
+   * @param {string} script - Script path
+   * @param {string[]} [nodeArgs] - Extra Node.js options
+   * @returns {Promise<Object[]>} HAR entries
+   */
+  async function run(script, nodeArgs = []) {
+    const env = { ...process.env, NODE_TRAFFIC_LOGGER_DIR: path.join(tempDir, 'logs'), TEST_SERVER_URL: serverUrl };
+    delete env[SESSION_ENV];
+    
+    await execFileAsync('node', [...nodeArgs, '--require', preloadPath, script], { env, cwd: path.join(__dirname, '..', '..'), timeout: 20000 });
+    
+    const [file] = fs.readdirSync(path.join(tempDir, 'logs')).filter(name => name.endsWith('.har'));
+    return JSON.parse(fs.readFileSync(path.join(tempDir, 'logs', file), 'utf8')).log.entries;
+  }
+  
+  test('should record the function that made each request', async () => {
+    const entries = await run(clientPath);
+    const source = fs.readFileSync(clientPath, 'utf8').split('\n');
+    const clientUrl = pathToFileURL(clientPath).href;
+    
+    const expected = {
+      '/http': ['http', 'loadWithHttp', 'http.get('],
+      '/fetch': ['undici', 'loadWithFetch', 'await fetch('],
+      '/axios': ['axios', 'loadWithAxios', 'axios.get(']
+    };
+    for (const [requestPath, [interceptorType, functionName, call]] of Object.entries(expected)) {
+      const entry = entries.find(candidate => candidate.request.url.endsWith(requestPath) && candidate._meta.interceptorType === interceptorType);
+      const line = source.findIndex(text => text.includes(call));
+      
+      expect(entry._initiator).toMatchObject({ type: 'script', url: clientUrl, lineNumber: line });
+      expect(entry._initiator.stack.callFrames).toContainEqual(expect.objectContaining({ functionName, url: clientUrl }));
+      
+      // Node internals and the logger's own frames are left out
+      for (const frame of entry._initiator.stack.callFrames) {
+        expect(frame.url).not.toMatch(/^node:|\/src\/[^/]+\.cjs$/);
+      }
+    }
+  });
+  
+  test('should map frames through source maps', async () => {
+    // Generated line n comes from line n + 10 of src/client.ts
+    const map = { version: 3, sources: ['src/client.ts'], names: [], mappings: ['AAUA', 'AACA', 'AACA', 'AACA'].join(';') };
+    const script = path.join(tempDir, 'client.js');
+    fs.writeFileSync(script, [
+      "const http = require('http');",
+      '',
+      'http.get(`${process.env.TEST_SERVER_URL}/mapped`, res => res.resume());',
+      `//# sourceMappingURL=data:application/json;base64,${Buffer.from(JSON.stringify(map)).toString('base64')}`
+    ].join('\n'));
+    
+    const [entry] = await run(script, ['--enable-source-maps']);
+    
+    expect(entry._initiator).toMatchObject({ url: pathToFileURL(path.join(tempDir, 'src', 'client.ts')).href, lineNumber: 12 });
+  });
+});
@@ -0,0 +1,56 @@
+// ABOUTME: Script used by the page tests
+// ABOUTME: Makes requests between the SIGUSR2 signals its parent sends and one it sends itself
+
+const http = require('http');
+
+const baseUrl = process.env.TEST_SERVER_URL;
+
+/**
+ * Make a GET request and wait for the whole response
+ * @param {string} requestPath - Path on the test server
+ * @returns {Promise<void>} Resolves when the response has ended
+ */
+function get(requestPath) {
+  return new Promise((resolve, reject) => {
+    const req = http.get(`${baseUrl}${requestPath}`, (res) => {
+      res.resume();
+      res.on('end', resolve);
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Wait for the next SIGUSR2; the logger's listener was added first and has started the page by then
+ * @returns {Promise<void>} Resolves once the signal arrived
+ */
+function nextPage() {
+  // Signal listeners do not keep the process alive
+  const keepAlive = setInterval(() => {}, 1000);
+  return new Promise(resolve => process.once('SIGUSR2', () => {
+    clearInterval(keepAlive);
+    resolve();
+  }));
+}
+
+async function main() {
+  await get('/login');
+  
+  // Ask the parent to start the next page
+  const fromParent = nextPage();
+  console.log('ready');
+  await fromParent;
+  await get('/cart');
+  await get('/checkout');
+  
+  const fromSelf = nextPage();
+  process.kill(process.pid, 'SIGUSR2');
+  await fromSelf;
+  await new Promise(resolve => setTimeout(resolve, 100));
+  await get('/receipt');
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+// ABOUTME: Integration tests for starting HAR pages from outside the application
+// ABOUTME: Runs a script with the preload and sends it SIGUSR2 between its requests
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+const { SESSION_ENV } = require('../../src/session.cjs');
+
+const preloadPath = path.join(__dirname, '..', '..', 'src', 'preload-interceptor.cjs');
+const scriptPath = path.join(__dirname, 'pages-client.cjs');
+
+describe('HAR pages', () => {
+  let server;
+  let serverUrl;
+  let tempDir;
+  
+  beforeAll((done) => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pages-test-'));
+    server = http.createServer((req, res) => {
+      res.end('ok');
+    });
+    server.listen(0, () => {
+      serverUrl = `http://localhost:${server.address().port}`;
+      done();
+    });
+  });
+  
+  afterAll((done) => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    server.close(done);
+  });
+  
+  test('should start a page on SIGUSR2', async () => {
+    const env = { ...process.env, NODE_TRAFFIC_LOGGER_DIR: tempDir, TEST_SERVER_URL: serverUrl };
+    delete env[SESSION_ENV];
+    
+    const child = spawn('node', ['--require', preloadPath, scriptPath], { env, timeout: 20000 });
+    child.stdout.on('data', chunk => {
+      if (chunk.toString().includes('ready')) child.kill('SIGUSR2');
+    });
+    const code = await new Promise(resolve => child.on('exit', resolve));
+    expect(code).toBe(0);
+    
+    const [file] = fs.readdirSync(tempDir).filter(name => name.endsWith('.har'));
+    const { pages, entries } = JSON.parse(fs.readFileSync(path.join(tempDir, file), 'utf8')).log;
+    
+    expect(pages.map(page => page.title)).toEqual([expect.stringMatching(/^HTTP Traffic Log/), 'Page 2', 'Page 3']);
+    const pathsOn = page => entries.filter(entry => entry.pageref === page.id).map(entry => new URL(entry.request.url).pathname);
+    expect(pages.map(pathsOn)).toEqual([['/login'], ['/cart', '/checkout'], ['/receipt']]);
+    
+    // Every page has ended, the last one with the process
+    for (const page of pages) {
+      expect(page.pageTimings.onLoad).toBeGreaterThanOrEqual(0);
+    }
+    expect(pages[2].pageTimings.onLoad).toBeGreaterThanOrEqual(100);
+  });
+});
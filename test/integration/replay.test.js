@@ -0,0 +1,273 @@
+// ABOUTME: Integration tests for record-and-replay mode
+// ABOUTME: Verifies requests are answered from HAR entries and unmatched requests fail or pass through
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+
+const harLogger = require('../../src/har-logger.cjs');
+const harFormatter = require('../../src/har-formatter.cjs');
+const { createRequestWrapper } = require('../../src/request-wrapper.cjs');
+const replay = require('../../src/replay.cjs');
+const config = require('../../src/config.cjs');
+
+/**
+ * Build a minimal HAR entry for a cassette
+ */
+function harEntry(method, url, status, body, extra = {}) {
+  return {
+    request: {
+      method,
+      url,
+      headers: extra.requestHeaders || [],
+      ...(extra.requestBody !== undefined ? { postData: { mimeType: 'application/json', text: extra.requestBody } } : {})
+    },
+    response: {
+      status,
+      statusText: http.STATUS_CODES[status],
+      headers: [
+        { name: 'content-type', value: 'application/json' },
+        { name: 'content-encoding', value: 'gzip' },
+        { name: 'x-recorded', value: 'yes' }
+      ],
+      content: { mimeType: 'application/json', text: body }
+    }
+  };
+}
+
+/**
+ * Send a request through the given request function and collect the response
+ */
+function send(requestFn, url, options = {}, body) {
+  return new Promise((resolve, reject) => {
+    const req = requestFn(url, options, (res) => {
+      let data = '';
+      res.on('data', chunk => { data += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+describe('Record and replay', () => {
+  let tempDir;
+  let cassette;
+  let server;
+  let port;
+  let serverHits;
+  let wrappedRequest;
+  let logFile;
+  
+  beforeAll(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-test-'));
+    
+    serverHits = 0;
+    server = http.createServer((req, res) => {
+      serverHits++;
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ live: true, path: req.url, body }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+    port = server.address().port;
+    
+    cassette = path.join(tempDir, 'cassette.har');
+    const base = 'http://api.example.test';
+    fs.writeFileSync(cassette, JSON.stringify({
+      log: {
+        entries: [
+          harEntry('GET', `${base}/users/1`, 200, '{"id":1,"name":"Ada"}'),
+          harEntry('GET', `${base}/counter`, 200, '{"count":1}'),
+          harEntry('GET', `${base}/counter`, 200, '{"count":2}'),
+          harEntry('POST', `${base}/search`, 200, '{"hits":["a"]}', { requestBody: '{\n  "q": "a"\n}' }),
+          harEntry('POST', `${base}/search`, 200, '{"hits":["b"]}', { requestBody: '{"q":"b"}' }),
+          harEntry('GET', `${base}/empty`, 204, ''),
+          harEntry('POST', `${base}/token?access_token=[REDACTED]`, 200, '{"ok":true}', { requestBody: '{"user":"ada","password":"[REDACTED]"}' }),
+          harEntry('POST', `http://localhost:${port}/partial`, 200, '{"recorded":true}', { requestBody: 'expected' })
+        ]
+      }
+    }));
+    
+    logFile = harLogger.initializeLogging(tempDir);
+    wrappedRequest = createRequestWrapper(http.request, false, harLogger);
+  });
+  
+  afterEach(() => {
+    replay.disableReplay();
+  });
+  
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  
+  const readEntry = (urlPart) => {
+    harFormatter.saveHar();
+    const harData = JSON.parse(fs.readFileSync(logFile, 'utf8'));
+    return harData.log.entries.filter(e => e.request.url.includes(urlPart)).pop();
+  };
+  
+  test('should parse match specifications', () => {
+    expect(replay.parseMatchSpec('body, Header:X-Api-Key')).toEqual(['method', 'url', 'body', 'header:x-api-key']);
+    expect(replay.parseMatchSpec()).toEqual(['method', 'url']);
+  });
+  
+  test('should answer requests from the cassette without touching the network', async () => {
+    replay.configureReplay({ file: cassette });
+    
+    const response = await send(wrappedRequest, 'http://api.example.test/users/1');
+    
+    expect(response.status).toBe(200);
+    expect(JSON.parse(response.body)).toEqual({ id: 1, name: 'Ada' });
+    expect(response.headers['x-recorded']).toBe('yes');
+    // The stored body is already decoded, so the original encoding is dropped
+    expect(response.headers['content-encoding']).toBeUndefined();
+    
+    await new Promise(resolve => setImmediate(resolve));
+    const entry = readEntry('/users/1');
+    expect(entry.response.status).toBe(200);
+    expect(entry._meta.replay).toEqual({ file: cassette, entryIndex: 0 });
+  });
+  
+  test('should replay repeated recordings in order', async () => {
+    replay.configureReplay({ file: cassette });
+    
+    const bodies = [];
+    for (let i = 0; i < 3; i++) {
+      bodies.push((await send(wrappedRequest, 'http://api.example.test/counter')).body);
+    }
+    
+    // Once the recordings are used up the last one keeps being replayed
+    expect(bodies).toEqual(['{"count":1}', '{"count":2}', '{"count":2}']);
+  });
+  
+  test('should match on the request body when configured', async () => {
+    replay.configureReplay({ file: cassette, match: 'method,url,body' });
+    
+    const options = { method: 'POST', headers: { 'Content-Type': 'application/json' } };
+    const b = await send(wrappedRequest, 'http://api.example.test/search', options, '{"q":"b"}');
+    const a = await send(wrappedRequest, 'http://api.example.test/search', options, '{"q": "a"}');
+    
+    expect(b.body).toBe('{"hits":["b"]}');
+    expect(a.body).toBe('{"hits":["a"]}');
+  });
+  
+  test('should treat values redacted at record time as wildcards', async () => {
+    replay.configureReplay({ file: cassette, match: 'method,url,body' });
+    
+    const response = await send(
+      wrappedRequest,
+      'http://api.example.test/token?access_token=live-secret',
+      { method: 'POST' },
+      '{"user":"ada","password":"hunter2"}'
+    );
+    expect(response.body).toBe('{"ok":true}');
+    
+    await expect(send(wrappedRequest, 'http://api.example.test/token?access_token=x', { method: 'POST' }, '{"user":"bob","password":"pw"}'))
+      .rejects.toMatchObject({ code: 'ERR_REPLAY_NO_MATCH' });
+  });
+  
+  test('should not send a body for null-body statuses', async () => {
+    replay.configureReplay({ file: cassette });
+    
+    const response = await send(wrappedRequest, 'http://api.example.test/empty');
+    expect(response.status).toBe(204);
+    expect(response.body).toBe('');
+  });
+  
+  test('should fail unmatched requests loudly by default', async () => {
+    replay.configureReplay({ file: cassette });
+    
+    await expect(send(wrappedRequest, 'http://api.example.test/missing'))
+      .rejects.toMatchObject({ code: 'ERR_REPLAY_NO_MATCH' });
+    
+    // Only the body differs here, so the failure comes after the body is written
+    replay.configureReplay({ file: cassette, match: 'method,url,body' });
+    await expect(send(wrappedRequest, `http://localhost:${port}/partial`, { method: 'POST' }, 'other'))
+      .rejects.toMatchObject({ code: 'ERR_REPLAY_NO_MATCH' });
+    expect(serverHits).toBe(0);
+  });
+  
+  test('should pass unmatched requests through to the network when configured', async () => {
+    replay.configureReplay({ file: cassette, match: 'method,url,body', unmatched: 'passthrough' });
+    
+    const live = await send(wrappedRequest, `http://localhost:${port}/live`);
+    expect(JSON.parse(live.body)).toMatchObject({ live: true, path: '/live' });
+    
+    // A candidate exists for the URL but the body does not match
+    const forwarded = await send(wrappedRequest, `http://localhost:${port}/partial`, { method: 'POST' }, 'other');
+    expect(JSON.parse(forwarded.body)).toMatchObject({ live: true, body: 'other' });
+    
+    const replayed = await send(wrappedRequest, `http://localhost:${port}/partial`, { method: 'POST' }, 'expected');
+    expect(JSON.parse(replayed.body)).toEqual({ recorded: true });
+    
+    expect(serverHits).toBe(2);
+  });
+  
+  test('should replay fetch requests', async () => {
+    replay.configureReplay({ file: cassette });
+    const restoreFetch = replay.installFetchReplay();
+    
+    try {
+      const response = await fetch('http://api.example.test/users/1');
+      expect(response.status).toBe(200);
+      expect(await response.json()).toEqual({ id: 1, name: 'Ada' });
+      
+      await expect(fetch('http://api.example.test/missing')).rejects.toThrow('fetch failed');
+    } finally {
+      restoreFetch();
+    }
+    
+    const entry = readEntry('/users/1');
+    expect(entry._meta.interceptorType).toBe('fetch');
+    expect(entry._meta.replay.entryIndex).toBe(0);
+  });
+  
+  test('should pass unmatched fetch requests with a body through to the network', async () => {
+    replay.configureReplay({ file: cassette, unmatched: 'passthrough' });
+    const restoreFetch = replay.installFetchReplay();
+    const hitsBefore = serverHits;
+    
+    try {
+      // Inspecting a Request must not use up the body the network request sends
+      const response = await fetch(new Request(`http://localhost:${port}/live-fetch`, { method: 'POST', body: 'abc' }));
+      expect(await response.json()).toMatchObject({ live: true, path: '/live-fetch', body: 'abc' });
+    } finally {
+      restoreFetch();
+    }
+    
+    expect(serverHits).toBe(hitsBefore + 1);
+  });
+  
+  test('should send fetch requests left out by the capture filter to the network with their body', async () => {
+    replay.configureReplay({ file: cassette });
+    config.loadConfig({ config: { paths: { exclude: ['^/uncaptured'] } } });
+    const restoreFetch = replay.installFetchReplay();
+    
+    try {
+      const response = await fetch(new Request(`http://localhost:${port}/uncaptured`, { method: 'POST', body: 'abc' }));
+      expect(await response.json()).toMatchObject({ live: true, path: '/uncaptured', body: 'abc' });
+    } finally {
+      restoreFetch();
+      config.resetConfig();
+    }
+  });
+  
+  // Runs last: it switches the shared formatter to a new file
+  test('should record traffic to a named HAR file that can be replayed', () => {
+    const recorded = path.join(tempDir, 'recorded', 'api.har');
+    
+    const formatterFile = harFormatter.initializeLog(path.dirname(recorded), {
+      fileName: path.basename(recorded),
+      autoSave: false
+    });
+    
+    expect(formatterFile).toBe(recorded);
+    expect(() => replay.loadCassette(recorded)).not.toThrow();
+  });
+});
@@ -0,0 +1,106 @@
+// ABOUTME: Integration tests for withCapture()
+// ABOUTME: Verifies that only requests made inside a scope are recorded, each scope into its own page or HAR file
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+
+const { instrument, withCapture } = require('../../src/index.cjs');
+
+/**
+ * GET a URL and wait for the whole response
+ */
+function get(url) {
+  return new Promise((resolve, reject) => {
+    http.get(url, res => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve(body));
+    }).on('error', reject);
+  });
+}
+
+describe('Scoped capture', () => {
+  let tempDir;
+  let server;
+  let base;
+  let controller;
+  
+  beforeAll(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scoped-capture-test-'));
+    server = http.createServer((req, res) => {
+      // Slow responses make the requests of concurrent scopes overlap
+      setTimeout(() => res.end(`ok ${req.url}`), 20);
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+    base = `http://localhost:${server.address().port}`;
+    
+    controller = instrument({ logsDir: tempDir, scoped: true });
+  });
+  
+  afterAll(async () => {
+    controller.stop();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  
+  const readHar = file => {
+    controller.flush();
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  };
+  
+  test('should record each scope into its own page and leave other requests alone', async () => {
+    const job = async (name) => {
+      await get(`${base}/${name}/first`);
+      await Promise.all([get(`${base}/${name}/second`), (await fetch(`${base}/${name}/third`)).text()]);
+      return name;
+    };
+    
+    const results = await Promise.all([
+      withCapture('job a', () => job('a')),
+      withCapture('job b', () => job('b')),
+      get(`${base}/unscoped`)
+    ]);
+    expect(results).toEqual(['a', 'b', 'ok /unscoped']);
+    
+    const har = readHar(controller.logFile);
+    const pages = Object.fromEntries(har.log.pages.map(page => [page.title, page]));
+    expect(pages['job a'].pageTimings.onLoad).toBeGreaterThanOrEqual(40);
+    
+    const pathsOn = page => har.log.entries
+      .filter(entry => entry.pageref === page.id)
+      .map(entry => new URL(entry.request.url).pathname)
+      .sort();
+    expect(pathsOn(pages['job a'])).toEqual(['/a/first', '/a/second', '/a/third']);
+    expect(pathsOn(pages['job b'])).toEqual(['/b/first', '/b/second', '/b/third']);
+    expect(har.log.entries.some(entry => entry.request.url.includes('/unscoped'))).toBe(false);
+  });
+  
+  test('should write a scope into a separate HAR file', async () => {
+    const file = path.join(tempDir, 'checkout.har');
+    
+    await withCapture('checkout', async () => {
+      await get(`${base}/checkout/cart`);
+      // Still in flight when the scope ends; the file is finished once it completes
+      get(`${base}/checkout/late`);
+    }, { file });
+    await new Promise(resolve => setTimeout(resolve, 100));
+    
+    const archive = JSON.parse(fs.readFileSync(file, 'utf8'));
+    expect(archive.log.pages.map(page => page.title)).toEqual(['checkout']);
+    expect(archive.log.entries.map(entry => new URL(entry.request.url).pathname)).toEqual(['/checkout/cart', '/checkout/late']);
+    expect(archive.log.entries.every(entry => entry.pageref === archive.log.pages[0].id && !entry._meta.pending)).toBe(true);
+    
+    const main = readHar(controller.logFile);
+    expect(main.log.entries.some(entry => entry.request.url.includes('/checkout/'))).toBe(false);
+  });
+  
+  test('should pass on what the function returns or throws', async () => {
+    await expect(withCapture('sync', () => 42)).resolves.toBe(42);
+    await expect(withCapture('failing', async () => { throw new Error('job failed'); })).rejects.toThrow('job failed');
+    
+    const { pages } = readHar(controller.logFile).log;
+    expect(pages.find(page => page.title === 'failing').pageTimings.onLoad).toBeGreaterThanOrEqual(0);
+  });
+});
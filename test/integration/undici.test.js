@@ -0,0 +1,152 @@
+// ABOUTME: Integration tests for the undici diagnostics_channel capture backend
+// ABOUTME: Verifies global fetch traffic is logged without altering the outgoing requests
+
+const http = require('http');
+const zlib = require('zlib');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const harLogger = require('../../src/har-logger.cjs');
+const harFormatter = require('../../src/har-formatter.cjs');
+const {
+  setupUndiciDiagnostics,
+  isUndiciDiagnosticsAvailable,
+  parseUndiciHeaders
+} = require('../../src/undici-diagnostics.cjs');
+
+const describeIfAvailable = isUndiciDiagnosticsAvailable() ? describe : describe.skip;
+
+describe('parseUndiciHeaders', () => {
+  test('should parse flat header arrays and merge repeated headers', () => {
+    const headers = parseUndiciHeaders(['Content-Type', 'text/plain', 'set-cookie', 'a=1', 'Set-Cookie', 'b=2']);
+    expect(headers).toEqual({
+      'content-type': 'text/plain',
+      'set-cookie': ['a=1', 'b=2']
+    });
+  });
+  
+  test('should parse raw header strings', () => {
+    const headers = parseUndiciHeaders('accept: */*\r\nx-trace: abc\r\n');
+    expect(headers).toEqual({ accept: '*/*', 'x-trace': 'abc' });
+  });
+});
+
+describeIfAvailable('undici diagnostics capture', () => {
+  let server;
+  let port;
+  let tempDir;
+  let logFile;
+  let unsubscribe;
+  
+  beforeAll(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'undici-test-'));
+    
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk.toString(); });
+      req.on('end', () => {
+        if (req.url === '/gzip') {
+          res.writeHead(200, { 'Content-Type': 'application/json', 'Content-Encoding': 'gzip' });
+          res.end(zlib.gzipSync(JSON.stringify({ compressed: true })));
+          return;
+        }
+        
+        res.writeHead(201, 'Made It', { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ headers: req.headers, body }));
+      });
+    });
+    
+    await new Promise(resolve => {
+      server.listen(0, () => {
+        port = server.address().port;
+        resolve();
+      });
+    });
+    
+    logFile = harLogger.initializeLogging(tempDir);
+    unsubscribe = setupUndiciDiagnostics();
+  });
+  
+  afterAll(async () => {
+    unsubscribe();
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  
+  const readEntry = (urlPart) => {
+    harFormatter.saveHar();
+    const harData = JSON.parse(fs.readFileSync(logFile, 'utf8'));
+    return harData.log.entries.find(e => e.request.url.includes(urlPart));
+  };
+  
+  // Trailers are published after the body promise resolves, so give the
+  // subscriber a turn to record the response body
+  const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+  
+  test('should log fetch requests without adding headers', async () => {
+    const response = await fetch(`http://localhost:${port}/echo?x=1`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Signature': 'sig' },
+      body: JSON.stringify({ hello: 'world' })
+    });
+    const data = await response.json();
+    await settle();
+    
+    // The server must see exactly what the application sent
+    expect(Object.keys(data.headers).some(name => name.includes('tracking'))).toBe(false);
+    expect(data.body).toBe('{"hello":"world"}');
+    
+    const entry = readEntry('/echo?x=1');
+    expect(entry).toBeDefined();
+    expect(entry.request.method).toBe('POST');
+    expect(entry.request.headers.find(h => h.name === 'x-signature').value).toBe('sig');
+    expect(entry.request.postData.text).toContain('hello');
+    expect(entry.response.status).toBe(201);
+    expect(entry.response.statusText).toBe('Made It');
+    expect(entry.response.content.text).toContain('"body"');
+    expect(entry._meta.interceptorType).toBe('undici');
+  });
+  
+  test('should decompress encoded response bodies', async () => {
+    const response = await fetch(`http://localhost:${port}/gzip`);
+    expect(await response.json()).toEqual({ compressed: true });
+    await settle();
+    
+    const entry = readEntry('/gzip');
+    expect(entry).toBeDefined();
+    expect(entry.response.content.text).toBe('{"compressed":true}');
+  });
+  
+  // Find a port with nothing listening on it
+  const findClosedPort = async () => {
+    const probe = http.createServer();
+    await new Promise(resolve => probe.listen(0, resolve));
+    const { port: closedPort } = probe.address();
+    await new Promise(resolve => probe.close(resolve));
+    return closedPort;
+  };
+  
+  test('should record connection errors', async () => {
+    const closedPort = await findClosedPort();
+    
+    await expect(fetch(`http://localhost:${closedPort}/refused`)).rejects.toThrow();
+    
+    const entry = readEntry(`localhost:${closedPort}/refused`);
+    expect(entry).toBeDefined();
+    expect(entry.response.status).toBe(0);
+  });
+  
+  test('should complete the entry of a failing fetch', async () => {
+    const closedPort = await findClosedPort();
+    
+    await expect(fetch(`http://localhost:${closedPort}/failing`)).rejects.toThrow();
+    
+    // Completed entries are appended as they finish, so no save is needed to see it
+    const harData = JSON.parse(fs.readFileSync(logFile, 'utf8'));
+    const entry = harData.log.entries.find(e => e.request.url.includes(`localhost:${closedPort}/failing`));
+    expect(entry).toBeDefined();
+    expect(entry._error).toMatchObject({ type: 'error' });
+    expect(entry._meta.pending).toBeUndefined();
+  });
+});
@@ -0,0 +1,179 @@
+// ABOUTME: Unit tests for configuration file support
+// ABOUTME: Verifies discovery, validation and how the logger applies the configured settings
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const {
+  findConfigFile,
+  resolveConfig,
+  loadConfig,
+  getConfig,
+  resetConfig,
+  formatFileName,
+  hostMatches,
+  isHostCaptured,
+  shouldCapture
+} = require('../../src/config.cjs');
+
+describe('Configuration', () => {
+  let tempDir;
+  const originalEnv = process.env.NODE_TRAFFIC_LOGGER_CONFIG;
+  
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-test-'));
+    delete process.env.NODE_TRAFFIC_LOGGER_CONFIG;
+  });
+  
+  afterEach(() => {
+    resetConfig();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    if (originalEnv === undefined) {
+      delete process.env.NODE_TRAFFIC_LOGGER_CONFIG;
+    } else {
+      process.env.NODE_TRAFFIC_LOGGER_CONFIG = originalEnv;
+    }
+  });
+  
+  test('should find a configuration file in a parent directory', () => {
+    const nested = path.join(tempDir, 'packages', 'app');
+    fs.mkdirSync(nested, { recursive: true });
+    fs.writeFileSync(path.join(tempDir, '.trafficloggerrc'), '{}');
+    
+    expect(findConfigFile(nested)).toBe(path.join(tempDir, '.trafficloggerrc'));
+  });
+  
+  test('should load JSON and module configuration files', () => {
+    fs.writeFileSync(path.join(tempDir, '.trafficloggerrc'), JSON.stringify({ logsDir: 'logs', maxBodySize: 1024 }));
+    
+    const config = loadConfig({ cwd: tempDir });
+    expect(config.configFile).toBe(path.join(tempDir, '.trafficloggerrc'));
+    // Relative to the configuration file, not the working directory
+    expect(config.logsDir).toBe(path.join(tempDir, 'logs'));
+    expect(config.maxBodySize).toBe(1024);
+    expect(getConfig()).toBe(config);
+    
+    const modulePath = path.join(tempDir, 'traffic-logger.config.js');
+    fs.writeFileSync(modulePath, "module.exports = { interceptors: { axios: false }, formats: ['jsonl'] };");
+    
+    const fromModule = loadConfig({ config: modulePath });
+    expect(fromModule.interceptors).toEqual({ http: true, https: true, http2: true, fetch: true, axios: false });
+    expect(fromModule.formats).toEqual(['har', 'jsonl']);
+  });
+  
+  test('should prefer an explicit file, then NODE_TRAFFIC_LOGGER_CONFIG, then discovery', () => {
+    fs.writeFileSync(path.join(tempDir, '.trafficloggerrc'), JSON.stringify({ fileName: 'found.har' }));
+    const envFile = path.join(tempDir, 'env.json');
+    fs.writeFileSync(envFile, JSON.stringify({ fileName: 'env.har' }));
+    const explicitFile = path.join(tempDir, 'explicit.json');
+    fs.writeFileSync(explicitFile, JSON.stringify({ fileName: 'explicit.har' }));
+    
+    expect(loadConfig({ cwd: tempDir }).fileName).toBe('found.har');
+    
+    process.env.NODE_TRAFFIC_LOGGER_CONFIG = envFile;
+    expect(loadConfig({ cwd: tempDir }).fileName).toBe('env.har');
+    expect(loadConfig({ cwd: tempDir, config: 'explicit.json' }).fileName).toBe('explicit.har');
+  });
+  
+  test('should reject invalid settings', () => {
+    expect(() => resolveConfig({ logDir: 'typo' })).toThrow('unknown setting logDir');
+    expect(() => resolveConfig({ maxBodySize: -1 })).toThrow('maxBodySize');
+    expect(() => resolveConfig({ hosts: { exclude: 'localhost' } })).toThrow('hosts.exclude must be a list of strings');
+    expect(() => resolveConfig({ interceptors: { grpc: true } })).toThrow('interceptors.grpc');
+    expect(() => resolveConfig({ formats: ['csv'] })).toThrow('unknown format csv');
+    expect(() => resolveConfig({ redact: { patterns: ['('] } })).toThrow('redact.patterns');
+    expect(() => resolveConfig({ children: 'yes' })).toThrow('children must be true or false');
+    
+    fs.writeFileSync(path.join(tempDir, '.trafficloggerrc'), '{ not json');
+    expect(() => loadConfig({ cwd: tempDir })).toThrow('Invalid configuration file');
+    expect(() => loadConfig({ config: path.join(tempDir, 'missing.json') })).toThrow('Configuration file not found');
+  });
+  
+  test('should expand file name placeholders', () => {
+    const now = new Date('2024-05-06T07:08:09Z');
+    expect(formatFileName('run-{date}-{timestamp}.har', now)).toBe(`run-2024-05-06-${now.getTime()}.har`);
+    expect(formatFileName('run-{pid}.har', now)).toBe(`run-${process.pid}.har`);
+  });
+  
+  test('should match hosts against include and exclude globs', () => {
+    expect(hostMatches('api.example.com:443', '*.example.com')).toBe(true);
+    expect(hostMatches('example.com', '*.example.com')).toBe(false);
+    expect(hostMatches('API.Example.com', 'api.example.com')).toBe(true);
+    
+    loadConfig({ config: { hosts: { include: ['*.example.com'], exclude: ['metrics.example.com'] } } });
+    expect(isHostCaptured('api.example.com')).toBe(true);
+    expect(isHostCaptured('metrics.example.com')).toBe(false);
+    expect(isHostCaptured('other.test')).toBe(false);
+  });
+  
+  test('should filter requests by host, path and method', () => {
+    expect(shouldCapture('GET', 'api.test', '/health')).toBe(true);
+    
+    loadConfig({
+      config: {
+        hosts: { exclude: ['*.sentry.io'] },
+        paths: { include: ['^/v1/'], exclude: ['/health$'] },
+        methods: { exclude: ['options'] }
+      }
+    });
+    expect(shouldCapture('GET', 'api.test', '/v1/users?page=2')).toBe(true);
+    expect(shouldCapture('GET', 'o1.ingest.sentry.io', '/v1/envelope')).toBe(false);
+    expect(shouldCapture('GET', 'api.test', '/v2/users')).toBe(false);
+    expect(shouldCapture('GET', 'api.test', '/v1/health')).toBe(false);
+    expect(shouldCapture('OPTIONS', 'api.test', '/v1/users')).toBe(false);
+    
+    expect(() => resolveConfig({ paths: { include: ['('] } })).toThrow('paths.include');
+  });
+  
+  test('should take the capture filter from NODE_TRAFFIC_LOGGER_FILTER', () => {
+    fs.writeFileSync(path.join(tempDir, '.trafficloggerrc'), JSON.stringify({ hosts: { exclude: ['a.test'] } }));
+    process.env.NODE_TRAFFIC_LOGGER_FILTER = JSON.stringify({ hosts: { exclude: ['a.test', 'b.test'] }, methods: { include: ['GET'] } });
+    
+    try {
+      loadConfig({ cwd: tempDir });
+      expect(shouldCapture('GET', 'b.test', '/')).toBe(false);
+      expect(shouldCapture('POST', 'c.test', '/')).toBe(false);
+      expect(shouldCapture('GET', 'c.test', '/')).toBe(true);
+    } finally {
+      delete process.env.NODE_TRAFFIC_LOGGER_FILTER;
+    }
+  });
+  
+  test('should apply body limits and the JSON Lines output when logging', () => {
+    const harLogger = require('../../src/har-logger.cjs');
+    const harFormatter = require('../../src/har-formatter.cjs');
+    
+    try {
+      loadConfig({
+        config: {
+          fileName: 'configured.har',
+          maxBodySize: 8,
+          formats: ['jsonl']
+        }
+      });
+      const logFile = harLogger.initializeLogging(tempDir);
+      expect(path.basename(logFile)).toBe('configured.har');
+      
+      const kept = harLogger.createRequestId();
+      harLogger.logRequest('GET', 'api.test', '/items', {}, kept, true);
+      harLogger.logResponse(kept, 'GET', 'https://api.test/items', 200, 'OK', {});
+      harLogger.logResponseBody('0123456789abcdef', 'text/plain', kept);
+      harLogger.completeRequest(kept);
+      harFormatter.saveHar();
+      
+      const entries = JSON.parse(fs.readFileSync(logFile, 'utf8')).log.entries;
+      expect(entries.map(entry => entry.request.url)).toEqual(['https://api.test/items']);
+      expect(entries[0].response.content).toMatchObject({
+        size: 16,
+        text: '01234567',
+        comment: 'Truncated to 8 of 16 bytes'
+      });
+      
+      const lines = fs.readFileSync(path.join(tempDir, 'configured.jsonl'), 'utf8').trim().split('\n');
+      expect(lines.map(line => JSON.parse(line).request.url)).toEqual(['https://api.test/items']);
+    } finally {
+      harFormatter.cleanup();
+    }
+  });
+});
@@ -0,0 +1,114 @@
+// ABOUTME: Unit tests for comparing HAR archives
+// ABOUTME: Verifies entry pairing and the status, header, body and timing differences that are reported
+
+const { pairEntries, jsonShape, diffShapes, diffBodies, diffHar, hasDifferences } = require('../../scripts/har-diff.cjs');
+
+/**
+ * Build a minimal HAR entry
+ */
+function entry(method, url, status, extra = {}) {
+  return {
+    time: extra.time || 10,
+    request: {
+      method,
+      url,
+      headers: extra.requestHeaders || [],
+      ...(extra.requestBody ? { postData: { mimeType: 'application/json', text: extra.requestBody } } : {})
+    },
+    response: {
+      status,
+      headers: extra.responseHeaders || [],
+      content: { mimeType: 'application/json', text: extra.body || '' }
+    }
+  };
+}
+
+describe('HAR diff', () => {
+  test('should pair entries by method and URL template in order', () => {
+    const before = [
+      entry('GET', 'https://api.test/users/1', 200),
+      entry('GET', 'https://api.test/users/2', 200),
+      entry('DELETE', 'https://api.test/users/1', 204)
+    ];
+    const after = [
+      entry('GET', 'https://api.test/users/7', 200),
+      entry('POST', 'https://api.test/users', 201),
+      entry('GET', 'https://api.test/users/8', 200)
+    ];
+    
+    const { pairs, added, removed } = pairEntries(before, after);
+    expect(pairs.map(([a, b]) => [a.request.url, b.request.url])).toEqual([
+      ['https://api.test/users/1', 'https://api.test/users/7'],
+      ['https://api.test/users/2', 'https://api.test/users/8']
+    ]);
+    expect(added.map(e => e.request.method)).toEqual(['POST']);
+    expect(removed.map(e => e.request.method)).toEqual(['DELETE']);
+  });
+  
+  test('should report structural JSON differences', () => {
+    const a = jsonShape({ id: 1, name: 'a', tags: [{ x: 1 }, { y: 2 }], meta: { legacy: true } });
+    const b = jsonShape({ id: '1', name: 'b', tags: [{ x: 1 }], meta: {}, extra: null });
+    
+    expect(diffShapes(a, b)).toEqual([
+      { path: '$.id', change: 'type', from: 'number', to: 'string' },
+      { path: '$.tags[*].y', change: 'removed', from: 'number' },
+      { path: '$.meta.legacy', change: 'removed', from: 'boolean' },
+      { path: '$.extra', change: 'added', to: 'null' }
+    ]);
+    
+    // Values alone do not count, and neither do empty arrays
+    expect(diffShapes(jsonShape({ list: [1] }), jsonShape({ list: [] }))).toEqual([]);
+    expect(diffShapes(jsonShape({ constructor: 1 }), jsonShape({}))).toEqual([
+      { path: '$.constructor', change: 'removed', from: 'number' }
+    ]);
+    
+    expect(diffBodies({ text: '{"a":1}', mimeType: 'application/json' }, { text: 'oops', mimeType: 'text/plain' }))
+      .toEqual([{ path: '$', change: 'type', from: 'json', to: 'text' }]);
+    expect(diffBodies({ text: 'a' }, { text: 'b' })).toBeNull();
+  });
+  
+  test('should report status, header, body and timing changes', () => {
+    const before = { log: { entries: [
+      entry('GET', 'https://api.test/users/1', 200, {
+        body: '{"id":1,"name":"Ada"}',
+        requestHeaders: [{ name: 'User-Agent', value: 'axios/1.6.0' }],
+        responseHeaders: [{ name: 'date', value: 'Mon' }, { name: 'x-version', value: '1' }]
+      }),
+      entry('GET', 'https://api.test/health', 200, { time: 5 }),
+      entry('GET', 'https://api.test/slow', 200, { time: 100 })
+    ] } };
+    const after = { log: { entries: [
+      entry('GET', 'https://api.test/users/1', 404, {
+        body: '{"error":"not found"}',
+        requestHeaders: [{ name: 'user-agent', value: 'axios/1.9.0' }],
+        responseHeaders: [{ name: 'date', value: 'Tue' }, { name: 'x-cache', value: 'miss' }]
+      }),
+      entry('GET', 'https://api.test/health', 200, { time: 20 }),
+      entry('GET', 'https://api.test/slow', 200, { time: 300 })
+    ] } };
+    
+    const report = diffHar(before, after);
+    expect(report.summary).toEqual({ paired: 3, added: 0, removed: 0, changed: 2 });
+    
+    const [user, slow] = report.changed;
+    expect(user.status).toEqual({ from: 200, to: 404 });
+    expect(user.requestHeaders.changed).toEqual([{ name: 'user-agent', from: 'axios/1.6.0', to: 'axios/1.9.0' }]);
+    // The date header is ignored by default
+    expect(user.responseHeaders).toEqual({
+      added: [{ name: 'x-cache', value: 'miss' }],
+      removed: [{ name: 'x-version', value: '1' }],
+      changed: []
+    });
+    expect(user.responseBody.map(change => change.path)).toEqual(['$.id', '$.name', '$.error']);
+    expect(user.timing).toBeNull();
+    
+    // The health check is 4x slower but only by 15ms
+    expect(slow.template).toBe('https://api.test/slow');
+    expect(slow.timing).toEqual({ from: 100, to: 300 });
+    expect(hasDifferences(report)).toBe(true);
+    
+    const relaxed = diffHar(before, after, { ignoreHeaders: ['User-Agent', 'x-cache', 'x-version'], timingThreshold: 500 });
+    expect(relaxed.changed.map(call => call.template)).toEqual(['https://api.test/users/{id}']);
+    expect(hasDifferences(diffHar(before, before))).toBe(false);
+  });
+});
@@ -0,0 +1,98 @@
+// ABOUTME: Unit tests for exporting HAR entries as commands
+// ABOUTME: Verifies the curl, httpie and fetch output reproduces method, headers and body exactly
+
+const { shellQuote, exportedHeaders, exportedBody, exportEntry, exportEntries } = require('../../scripts/har-export.cjs');
+
+/**
+ * Build a minimal HAR entry
+ */
+function entry(method, url, headers = [], postData, extra = {}) {
+  return {
+    request: { method, url, httpVersion: 'HTTP/1.1', headers, ...(postData ? { postData } : {}), ...extra },
+    response: { status: 200, headers: [], content: { mimeType: 'text/plain', text: '' } }
+  };
+}
+
+describe('HAR export', () => {
+  const post = entry('POST', 'https://api.test/items?debug=1', [
+    { name: 'Host', value: 'api.test' },
+    { name: 'Content-Type', value: 'application/json' },
+    { name: 'Content-Length', value: '24' },
+    { name: 'Authorization', value: "Bearer it's" }
+  ], { mimeType: 'application/json', text: '{"name":"@file", "n": 1}' });
+  
+  test('should quote values for the shell', () => {
+    expect(shellQuote("it's $HOME")).toBe(`'it'\\''s $HOME'`);
+  });
+  
+  test('should leave out headers the client computes', () => {
+    const headers = exportedHeaders(entry('GET', 'https://api.test/', [
+      { name: ':authority', value: 'api.test' },
+      { name: 'Accept-Encoding', value: 'gzip' },
+      { name: 'Connection', value: 'keep-alive' },
+      { name: 'X-Trace', value: '1' }
+    ]).request);
+    
+    expect(headers).toEqual([{ name: 'X-Trace', value: '1' }]);
+  });
+  
+  test('should rebuild form bodies recorded as params', () => {
+    const request = entry('POST', 'https://api.test/login', [], {
+      mimeType: 'application/x-www-form-urlencoded',
+      params: [{ name: 'user', value: 'a b' }, { name: 'next', value: '/?x=1&y=2' }]
+    }).request;
+    
+    expect(exportedBody(request)).toBe('user=a+b&next=%2F%3Fx%3D1%26y%3D2');
+    expect(exportedBody(entry('GET', 'https://api.test/').request)).toBeNull();
+  });
+  
+  test('should build a curl command', () => {
+    expect(exportEntry(post, 'curl')).toBe([
+      `curl 'https://api.test/items?debug=1' \\`,
+      `  --header 'Content-Type: application/json' \\`,
+      `  --header 'Authorization: Bearer it'\\''s' \\`,
+      `  --data-raw '{"name":"@file", "n": 1}'`
+    ].join('\n'));
+    
+    const head = entry('HEAD', 'https://api.test/', [{ name: 'Accept-Encoding', value: 'br' }], undefined, { httpVersion: 'HTTP/2' });
+    expect(exportEntry(head, 'curl')).toBe(`curl --head 'https://api.test/' --http2 --compressed`);
+    expect(exportEntry(entry('DELETE', 'https://api.test/items/1'), 'curl')).toBe(`curl --request DELETE 'https://api.test/items/1'`);
+  });
+  
+  test('should build an httpie command', () => {
+    expect(exportEntry(post, 'httpie')).toBe([
+      `http POST 'https://api.test/items?debug=1' \\`,
+      `  'Content-Type:application/json' \\`,
+      `  'Authorization:Bearer it'\\''s' \\`,
+      `  --raw '{"name":"@file", "n": 1}'`
+    ].join('\n'));
+  });
+  
+  test('should build a fetch call', () => {
+    expect(exportEntry(post, 'fetch')).toBe([
+      'await fetch("https://api.test/items?debug=1", {',
+      '  method: "POST",',
+      '  headers: {',
+      '    "Content-Type": "application/json",',
+      '    "Authorization": "Bearer it\'s"',
+      '  },',
+      '  body: "{\\"name\\":\\"@file\\", \\"n\\": 1}"',
+      '});'
+    ].join('\n'));
+  });
+  
+  test('should name each request and warn about truncated bodies', () => {
+    const truncated = entry('PUT', 'https://api.test/upload', [], {
+      mimeType: 'text/plain',
+      text: 'abc',
+      comment: 'Truncated to 3 of 10 bytes'
+    });
+    
+    const output = exportEntries([{ entry: post, number: 2 }, { entry: truncated, number: 5 }], 'curl');
+    
+    expect(output).toContain('# 2. POST https://api.test/items?debug=1\ncurl ');
+    expect(output).toContain('\n\n# 5. PUT https://api.test/upload\n# Warning: the body below is incomplete (Truncated to 3 of 10 bytes)\ncurl ');
+    expect(exportEntries([{ entry: post, number: 1 }], 'fetch')).toMatch(/^\/\/ 1\. POST/);
+    expect(() => exportEntry(post, 'wget')).toThrow(/Unknown export format/);
+  });
+});
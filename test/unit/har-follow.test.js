@@ -0,0 +1,124 @@
+// ABOUTME: Unit tests for following HAR files while they are written
+// ABOUTME: Verifies completed entries are reported once and new files in a log directory are picked up
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawn } = require('child_process');
+const harFormatter = require('../../src/har-formatter.cjs');
+const { followHar } = require('../../scripts/har-follow.cjs');
+
+/**
+ * Log a complete request/response pair through the formatter
+ */
+function logExchange(requestId, url) {
+  harFormatter.addRequest({ requestId, method: 'GET', url, headers: {} });
+  harFormatter.addResponse({ requestId, statusCode: 200, statusText: 'OK', headers: {} });
+  harFormatter.completeEntry(requestId);
+}
+
+describe('HAR follow', () => {
+  let tempDir;
+  let follower;
+  
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'har-follow-test-'));
+  });
+  
+  afterEach(() => {
+    if (follower) follower.stop();
+    harFormatter.cleanup();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  
+  test('should report each completed entry once', () => {
+    const logFile = harFormatter.initializeLog(tempDir, { autoSave: false });
+    logExchange('f-1', 'http://example.test/before');
+    
+    const urls = [];
+    follower = followHar(logFile, entry => urls.push(entry.request.url), { interval: 60000 });
+    expect(urls).toEqual(['http://example.test/before']);
+    
+    logExchange('f-2', 'http://example.test/after');
+    follower.poll();
+    follower.poll();
+    expect(urls).toEqual(['http://example.test/before', 'http://example.test/after']);
+  });
+  
+  test('should switch to the newest HAR file in a directory', () => {
+    const files = [];
+    const urls = [];
+    follower = followHar(tempDir, entry => urls.push(entry.request.url), {
+      interval: 60000,
+      onFile: filePath => files.push(path.basename(filePath))
+    });
+    
+    // Nothing to follow until the target starts logging
+    expect(files).toEqual([]);
+    
+    harFormatter.initializeLog(tempDir, { fileName: 'first.har', autoSave: false });
+    logExchange('f-3', 'http://example.test/one');
+    follower.poll();
+    
+    harFormatter.initializeLog(tempDir, { fileName: 'second.har', autoSave: false });
+    // Make sure the new file is strictly newer even on coarse timestamps
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(path.join(tempDir, 'second.har'), later, later);
+    logExchange('f-4', 'http://example.test/two');
+    fs.utimesSync(path.join(tempDir, 'second.har'), later, later);
+    follower.poll();
+    
+    expect(files).toEqual(['first.har', 'second.har']);
+    expect(urls).toEqual(['http://example.test/one', 'http://example.test/two']);
+  });
+  
+  test('should not report entries again when switching back to a file', () => {
+    const urls = [];
+    follower = followHar(tempDir, entry => urls.push(entry.request.url), { interval: 60000 });
+    const touch = (name, offset) => {
+      const time = new Date(Date.now() + offset);
+      fs.utimesSync(path.join(tempDir, name), time, time);
+    };
+    
+    harFormatter.initializeLog(tempDir, { fileName: 'main.har', autoSave: false });
+    logExchange('f-7', 'http://example.test/main');
+    follower.poll();
+    
+    // A child process starts its own HAR next to the main one
+    harFormatter.initializeLog(tempDir, { fileName: 'child.har', autoSave: false });
+    logExchange('f-8', 'http://example.test/child');
+    touch('child.har', 5000);
+    follower.poll();
+    
+    // Saving the main file makes it the newest again, without new entries
+    touch('main.har', 10000);
+    follower.poll();
+    
+    expect(urls).toEqual(['http://example.test/main', 'http://example.test/child']);
+  });
+  
+  test('should number followed rows from 1 like the table', async () => {
+    const logFile = harFormatter.initializeLog(tempDir, { autoSave: false });
+    logExchange('f-5', 'http://example.test/first');
+    logExchange('f-6', 'http://example.test/second');
+    
+    const viewerPath = path.join(__dirname, '../../scripts/dump-har.cjs');
+    const viewer = spawn('node', [viewerPath, '--follow', logFile, '--summary'], { timeout: 20000 });
+    let output = '';
+    try {
+      await new Promise((resolve, reject) => {
+        viewer.stdout.on('data', chunk => {
+          output += chunk;
+          if (output.includes('/second')) resolve();
+        });
+        viewer.on('exit', () => reject(new Error(`Viewer exited early: ${output}`)));
+      });
+    } finally {
+      viewer.kill();
+    }
+    
+    const rows = output.split('\n').filter(line => line.includes('http://example.test/'));
+    expect(rows[0]).toMatch(/^1\s+GET\s.*\/first$/);
+    expect(rows[1]).toMatch(/^2\s+GET\s.*\/second$/);
+  });
+});
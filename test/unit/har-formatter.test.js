@@ -246,6 +246,145 @@ describe('HAR Formatter', () => {
     expect(response.response.status).toBe(302);
   });
   
+  test('should use measured phase timings instead of estimates', () => {
+    const requestId = 'test-req-timings';
+    harFormatter.addRequest({
+      requestId,
+      method: 'GET',
+      url: 'https://example.com/api/timed',
+      headers: {},
+      httpVersion: 'HTTP/1.1',
+      isHttps: true
+    });
+    
+    harFormatter.updateTiming(requestId, 'blocked', 1);
+    harFormatter.updateTiming(requestId, 'dns', 2);
+    harFormatter.updateTiming(requestId, 'connect', 15);
+    harFormatter.updateTiming(requestId, 'ssl', 10);
+    harFormatter.updateTiming(requestId, 'send', 3);
+    harFormatter.updateTiming(requestId, 'wait', 40);
+    
+    const entry = harFormatter.addResponse({
+      requestId,
+      statusCode: 200,
+      statusText: 'OK',
+      headers: { 'Content-Type': 'text/plain' },
+      body: 'ok',
+      httpVersion: 'HTTP/1.1'
+    });
+    
+    expect(entry.timings).toEqual({
+      blocked: 1,
+      dns: 2,
+      connect: 15,
+      ssl: 10,
+      send: 3,
+      wait: 40,
+      receive: 0
+    });
+    // ssl is part of connect and must not be counted twice
+    expect(entry.time).toBe(61);
+    
+    // Receive is reported once the body has been read
+    harFormatter.updateTiming(requestId, 'receive', 9);
+    expect(entry.timings.receive).toBe(9);
+    expect(entry.time).toBe(70);
+  });
+  
+  test('should not invent dns, connect or ssl timings when unmeasured', () => {
+    const requestId = 'test-req-unmeasured';
+    harFormatter.addRequest({
+      requestId,
+      method: 'GET',
+      url: 'https://example.com/api/untimed',
+      headers: {},
+      httpVersion: 'HTTP/1.1'
+    });
+    
+    const entry = harFormatter.addResponse({
+      requestId,
+      statusCode: 200,
+      statusText: 'OK',
+      headers: {},
+      body: '',
+      httpVersion: 'HTTP/1.1'
+    });
+    
+    expect(entry.timings.dns).toBe(-1);
+    expect(entry.timings.connect).toBe(-1);
+    expect(entry.timings.ssl).toBe(-1);
+    expect(entry.timings.send).toBe(0);
+    expect(entry.timings.receive).toBe(0);
+    expect(entry.timings.wait).toBeGreaterThanOrEqual(0);
+  });
+  
+  test('should record failures and attribute the time until them to the failing phase', () => {
+    const requestId = 'test-req-failed';
+    const entry = harFormatter.addRequest({
+      requestId,
+      method: 'GET',
+      url: 'https://example.com/api/slow',
+      headers: {},
+      httpVersion: 'HTTP/1.1'
+    });
+    entry.startedDateTime = new Date(Date.now() - 100).toISOString();
+    
+    harFormatter.updateTiming(requestId, 'blocked', 2);
+    harFormatter.updateTiming(requestId, 'connect', 8);
+    harFormatter.updateTiming(requestId, 'send', 1);
+    
+    harFormatter.addError(requestId, { type: 'timeout', code: 'ETIMEDOUT', message: 'socket hang up', phase: 'wait' });
+    
+    expect(entry.response.status).toBe(0);
+    expect(entry._error).toMatchObject({ type: 'timeout', code: 'ETIMEDOUT', message: 'socket hang up', phase: 'wait' });
+    expect(entry._error.elapsed).toBeGreaterThanOrEqual(100);
+    
+    // Everything not spent in earlier phases was spent waiting
+    expect(entry.timings.dns).toBe(-1);
+    expect(entry.timings.wait).toBe(entry._error.elapsed - 11);
+    expect(entry.time).toBe(entry._error.elapsed);
+    
+    // Unknown and completed requests are ignored
+    expect(harFormatter.addError('missing', { type: 'error', code: 'ECONNRESET', message: '' })).toBeNull();
+  });
+  
+  test('should group requests started after startPage under the new page', () => {
+    const before = harFormatter.addRequest({ requestId: 'test-req-page-1', method: 'GET', url: 'https://example.com/login', headers: {} });
+    const firstPage = harFormatter.pageRef;
+    
+    const pageId = harFormatter.startPage({ title: 'checkout flow' });
+    const after = harFormatter.addRequest({ requestId: 'test-req-page-2', method: 'GET', url: 'https://example.com/cart', headers: {} });
+    const numbered = harFormatter.startPage();
+    
+    expect(before.pageref).toBe(firstPage);
+    expect(after.pageref).toBe(pageId);
+    
+    const { pages } = JSON.parse(fs.readFileSync(logFile, 'utf8')).log;
+    const byId = Object.fromEntries(pages.map(page => [page.id, page]));
+    expect(byId[pageId].title).toBe('checkout flow');
+    expect(byId[numbered].title).toMatch(/^Page \d+$/);
+    
+    // Ended pages have their duration; the current one gets it when the capture ends
+    expect(byId[firstPage].pageTimings.onLoad).toBeGreaterThanOrEqual(0);
+    expect(byId[pageId].pageTimings.onLoad).toBeGreaterThanOrEqual(0);
+    expect(byId[numbered].pageTimings.onLoad).toBe(-1);
+  });
+  
+  test('should keep the system log in log.comment short', () => {
+    for (let i = 0; i < 5; i++) {
+      harFormatter.addSystemLog('Auto-detected gzip compression and decompressed successfully');
+    }
+    for (let i = 0; i < 300; i++) {
+      harFormatter.addSystemLog(`Distinct message ${i}`);
+    }
+    harFormatter.saveHar();
+    
+    const lines = JSON.parse(fs.readFileSync(logFile, 'utf8')).log.comment.trim().split('\n');
+    expect(lines.filter(line => line.includes('Auto-detected gzip')).length).toBeLessThanOrEqual(1);
+    expect(lines.length).toBeLessThanOrEqual(201);
+    expect(lines[lines.length - 1]).toContain('System log limit reached');
+  });
+  
   test('should validate HAR format', () => {
     // Add some entries to the HAR file
     const requestId = 'test-req-validate';
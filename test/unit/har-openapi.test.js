@@ -0,0 +1,136 @@
+// ABOUTME: Unit tests for inferring OpenAPI documents from HAR entries
+// ABOUTME: Verifies path templates, schema inference and merging, parameters, responses, security and YAML output
+
+const { schemaOf, mergeSchemas, finishSchema, openApiPath, inferOpenApi, toYaml } = require('../../scripts/har-openapi.cjs');
+
+/**
+ * Build a minimal HAR entry
+ */
+function entry(method, url, extra = {}) {
+  return {
+    request: {
+      method,
+      url,
+      headers: extra.requestHeaders || [],
+      ...(extra.requestBody ? { postData: { mimeType: 'application/json', text: extra.requestBody } } : {})
+    },
+    response: {
+      status: extra.status === undefined ? 200 : extra.status,
+      statusText: '',
+      headers: extra.responseHeaders || [],
+      content: { mimeType: 'application/json; charset=utf-8', text: extra.body || '' }
+    },
+    ...(extra.error ? { _error: extra.error } : {})
+  };
+}
+
+/**
+ * Infer the schema of several values the way bodies of one operation are merged
+ */
+const inferred = (...values) => finishSchema(values.map(schemaOf).reduce(mergeSchemas, null));
+
+describe('OpenAPI inference', () => {
+  test('should template paths with named parameters', () => {
+    expect(openApiPath('/users/42/orders/3fa85f64-5717-4562-b3fc-2c963f66afa6')).toEqual({
+      path: '/users/{userId}/orders/{orderId}',
+      parameters: [
+        { name: 'userId', schema: { type: 'integer' } },
+        { name: 'orderId', schema: { type: 'string', format: 'uuid' } }
+      ]
+    });
+    expect(openApiPath('/42/categories/7/7').path).toBe('/{id}/categories/{categoryId}/{categoryId2}');
+  });
+  
+  test('should infer and merge JSON schemas', () => {
+    expect(inferred(
+      { id: 1, name: 'a', email: 'a@b.test', tags: [], at: '2025-01-01T10:00:00Z' },
+      { id: 2, name: null, tags: ['x'], at: '2025-01-02T10:00:00.5Z', score: 0.5 }
+    )).toEqual({
+      type: 'object',
+      properties: {
+        id: { type: 'integer' },
+        name: { type: 'string', nullable: true },
+        email: { type: 'string', format: 'email' },
+        tags: { type: 'array', items: { type: 'string' } },
+        at: { type: 'string', format: 'date-time' },
+        score: { type: 'number' }
+      },
+      required: ['id', 'name', 'tags', 'at']
+    });
+    
+    expect(inferred([1, 2.5, 'x'])).toEqual({ type: 'array', items: { oneOf: [{ type: 'number' }, { type: 'string' }] } });
+    expect(inferred([])).toEqual({ type: 'array', items: {} });
+  });
+  
+  test('should describe operations from every call to them', () => {
+    const auth = { name: 'Authorization', value: 'Bearer t' };
+    const document = inferOpenApi([
+      entry('GET', 'https://api.test/items/1?page=1&expand=true', {
+        requestHeaders: [auth, { name: 'X-Tenant', value: 'acme' }, { name: 'User-Agent', value: 'x' }],
+        responseHeaders: [{ name: 'X-RateLimit-Remaining', value: '9' }, { name: 'Date', value: 'now' }],
+        body: '{"id":1}'
+      }),
+      entry('GET', 'https://api.test/items/2?page=2', { requestHeaders: [auth, { name: 'X-Tenant', value: 'acme' }], body: '{"id":2}' }),
+      entry('GET', 'https://api.test/items/3', { status: 404, body: '{"error":"not found"}' }),
+      entry('GET', 'https://api.test/items/4', { status: 0, error: { type: 'timeout' } }),
+      entry('POST', 'https://api.test/items', { status: 201, requestBody: '{"name":"a"}', body: '{"id":5}' })
+    ], { title: 'Items' });
+    
+    expect(document.info.title).toBe('Items');
+    expect(document.servers).toEqual([{ url: 'https://api.test' }]);
+    expect(Object.keys(document.paths)).toEqual(['/items/{itemId}', '/items']);
+    
+    const get = document.paths['/items/{itemId}'].get;
+    expect(get.operationId).toBe('getItemsItemId');
+    expect(get.parameters).toEqual([
+      { name: 'itemId', in: 'path', required: true, schema: { type: 'integer' } },
+      { name: 'page', in: 'query', required: false, schema: { type: 'integer' } },
+      { name: 'expand', in: 'query', required: false, schema: { type: 'boolean' } },
+      { name: 'X-Tenant', in: 'header', required: false, schema: { type: 'string' } }
+    ]);
+    expect(Object.keys(get.responses)).toEqual(['200', '404']);
+    expect(get.responses['200']).toEqual({
+      description: 'OK',
+      headers: { 'X-RateLimit-Remaining': { schema: { type: 'string' } } },
+      content: {
+        'application/json': {
+          schema: { type: 'object', properties: { id: { type: 'integer' } }, required: ['id'] }
+        }
+      }
+    });
+    expect(get.security).toEqual([{ bearerAuth: [] }]);
+    expect(document.components.securitySchemes).toEqual({ bearerAuth: { type: 'http', scheme: 'bearer' } });
+    
+    const post = document.paths['/items'].post;
+    expect(post.requestBody).toEqual({
+      required: true,
+      content: {
+        'application/json': {
+          schema: { type: 'object', properties: { name: { type: 'string' } }, required: ['name'] }
+        }
+      }
+    });
+    expect(post.responses['201'].description).toBe('Created');
+  });
+  
+  test('should write block YAML', () => {
+    expect(toYaml({
+      openapi: '3.0.3',
+      paths: { '/items/{id}': { get: { tags: ['a b', 'no'], parameters: [{ name: 'id', in: 'path' }], responses: {} } } },
+      empty: []
+    })).toBe([
+      'openapi: "3.0.3"',
+      'paths:',
+      '  "/items/{id}":',
+      '    get:',
+      '      tags:',
+      '      - a b',
+      '      - "no"',
+      '      parameters:',
+      '      - name: id',
+      '        in: path',
+      '      responses: {}',
+      'empty: []'
+    ].join('\n'));
+  });
+});
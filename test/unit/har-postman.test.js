@@ -0,0 +1,98 @@
+// ABOUTME: Unit tests for building Postman collections from HAR entries
+// ABOUTME: Verifies host folders, base URL and credential variables, request bodies and example responses
+
+const { POSTMAN_SCHEMA, toPostmanCollection } = require('../../scripts/har-postman.cjs');
+
+/**
+ * Build a minimal HAR entry
+ */
+function entry(method, url, extra = {}) {
+  return {
+    request: {
+      method,
+      url,
+      headers: extra.headers || [],
+      ...(extra.postData ? { postData: extra.postData } : {})
+    },
+    response: {
+      status: extra.status === undefined ? 200 : extra.status,
+      statusText: extra.statusText || 'OK',
+      headers: [{ name: 'Content-Type', value: 'application/json' }],
+      content: { mimeType: 'application/json', text: extra.body || '{}' }
+    }
+  };
+}
+
+describe('Postman export', () => {
+  test('should group requests by host and URL template with an example per call', () => {
+    const collection = toPostmanCollection([
+      entry('GET', 'https://api.test/users/42', { body: '{"id":42}' }),
+      entry('GET', 'https://api.test/users/57', { status: 404, statusText: 'Not Found' }),
+      entry('POST', 'https://auth.test/login'),
+      entry('GET', 'https://api.test/health', { status: 0 })
+    ], { name: 'checkout' });
+    
+    expect(collection.info).toMatchObject({ name: 'checkout', schema: POSTMAN_SCHEMA });
+    expect(collection.item.map(folder => folder.name)).toEqual(['api.test', 'auth.test']);
+    
+    const [users, health] = collection.item[0].item;
+    expect(users.name).toBe('GET /users/{id}');
+    expect(users.response.map(example => [example.name, example.code])).toEqual([['200 OK', 200], ['404 Not Found', 404]]);
+    expect(users.response[0]).toMatchObject({
+      body: '{"id":42}',
+      _postman_previewlanguage: 'json',
+      header: [{ key: 'Content-Type', value: 'application/json' }]
+    });
+    expect(users.response[1].originalRequest.url.path).toEqual(['users', '57']);
+    
+    // A request that never got a response has nothing to save as an example
+    expect(health.response).toEqual([]);
+  });
+  
+  test('should move base URLs into variables', () => {
+    const single = toPostmanCollection([entry('GET', 'http://localhost:3000/items?page=2&sort=name')]);
+    const { request } = single.item[0].item[0];
+    
+    expect(single.variable).toEqual([{ key: 'baseUrl', value: 'http://localhost:3000', type: 'string' }]);
+    expect(request.url).toEqual({
+      raw: '{{baseUrl}}/items?page=2&sort=name',
+      host: ['{{baseUrl}}'],
+      path: ['items'],
+      query: [{ key: 'page', value: '2' }, { key: 'sort', value: 'name' }]
+    });
+    
+    const several = toPostmanCollection([entry('GET', 'https://api.test/a'), entry('GET', 'https://auth.test:8443/b')]);
+    expect(several.variable.map(variable => variable.key)).toEqual(['baseUrl_api_test', 'baseUrl_auth_test_8443']);
+  });
+  
+  test('should move credentials into variables', () => {
+    const collection = toPostmanCollection([
+      entry('GET', 'https://api.test/a', { headers: [{ name: 'Authorization', value: 'Bearer token-1' }, { name: 'Accept', value: '*/*' }] }),
+      entry('GET', 'https://api.test/b', { headers: [{ name: 'Authorization', value: 'Bearer token-1' }] }),
+      entry('GET', 'https://api.test/c', { headers: [{ name: 'Authorization', value: 'Bearer token-2' }] }),
+      entry('GET', 'https://api.test/d', { headers: [{ name: 'X-Api-Key', value: 'key-1' }] })
+    ]);
+    const [a, , c, d] = collection.item[0].item.map(item => item.request);
+    
+    expect(a.auth).toEqual({ type: 'bearer', bearer: [{ key: 'token', value: '{{authToken}}', type: 'string' }] });
+    expect(a.header).toEqual([{ key: 'Accept', value: '*/*' }]);
+    expect(c.auth.bearer[0].value).toBe('{{authToken2}}');
+    expect(d.header).toEqual([{ key: 'X-Api-Key', value: '{{apiKey}}' }]);
+    expect(collection.variable.filter(variable => variable.key !== 'baseUrl')).toEqual([
+      { key: 'authToken', value: 'token-1', type: 'string' },
+      { key: 'authToken2', value: 'token-2', type: 'string' },
+      { key: 'apiKey', value: 'key-1', type: 'string' }
+    ]);
+  });
+  
+  test('should keep request bodies', () => {
+    const collection = toPostmanCollection([
+      entry('POST', 'https://api.test/items', { postData: { mimeType: 'application/json', text: '{"name":"a"}' } }),
+      entry('POST', 'https://api.test/login', { postData: { mimeType: 'application/x-www-form-urlencoded', text: 'user=a&pass=b%26c' } })
+    ]);
+    const [items, login] = collection.item[0].item.map(item => item.request);
+    
+    expect(items.body).toEqual({ mode: 'raw', raw: '{"name":"a"}', options: { raw: { language: 'json' } } });
+    expect(login.body).toEqual({ mode: 'urlencoded', urlencoded: [{ key: 'user', value: 'a' }, { key: 'pass', value: 'b&c' }] });
+  });
+});
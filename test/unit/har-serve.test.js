@@ -0,0 +1,161 @@
+// ABOUTME: Unit tests for the mock server that answers from HAR entries
+// ABOUTME: Verifies match tiers, sequential and looping responses, latency, CORS and the 404 report
+
+const { createMockState, selectResponse, createMockServer } = require('../../scripts/har-serve.cjs');
+
+/**
+ * Build a minimal HAR entry
+ */
+function entry(method, url, extra = {}) {
+  return {
+    time: extra.time || 0,
+    request: {
+      method,
+      url,
+      headers: [],
+      ...(extra.requestBody ? { postData: { mimeType: 'application/json', text: extra.requestBody } } : {})
+    },
+    response: {
+      status: extra.status === undefined ? 200 : extra.status,
+      statusText: 'OK',
+      headers: [
+        { name: 'Content-Type', value: 'application/json' },
+        { name: 'Set-Cookie', value: 'a=1' },
+        { name: 'Set-Cookie', value: 'b=2' },
+        { name: 'Content-Encoding', value: 'gzip' }
+      ],
+      content: { mimeType: 'application/json', text: extra.body || '{}' }
+    }
+  };
+}
+
+/**
+ * Start a mock server on a free port
+ */
+async function start(entries, options) {
+  const server = createMockServer(entries, options);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, base: `http://127.0.0.1:${server.address().port}` };
+}
+
+describe('HAR mock server', () => {
+  let server;
+  
+  afterEach(async () => {
+    if (server) await new Promise(resolve => server.close(resolve));
+    server = null;
+  });
+  
+  test('should prefer exact matches, then the path, then the URL template', () => {
+    const state = createMockState([
+      entry('GET', 'https://api.test/users/42?expand=1', { body: '"exact"' }),
+      entry('GET', 'https://api.test/users/42', { body: '"path"' }),
+      entry('GET', 'https://api.test/users/7', { body: '"template"' }),
+      entry('GET', 'https://api.test/down', { status: 0 })
+    ]);
+    const select = url => {
+      const match = selectResponse(state, { method: 'GET', url, headers: {}, body: '' });
+      return match && [match.tier, match.index];
+    };
+    
+    expect(select('/users/42?expand=1')).toEqual(['exact', 0]);
+    expect(select('/users/42?expand=2')).toEqual(['path', 0]);
+    expect(select('/users/7')).toEqual(['exact', 2]);
+    expect(select('/users/99')).toEqual(['template', 0]);
+    expect(selectResponse(state, { method: 'POST', url: '/users/7', headers: {}, body: '' })).toBeNull();
+    
+    // Requests that never got a response cannot answer anything
+    expect(select('/down')).toBeNull();
+  });
+  
+  test('should match bodies when asked to', () => {
+    const state = createMockState([
+      entry('POST', 'https://api.test/search', { requestBody: '{"q":"a"}', body: '"a"' }),
+      entry('POST', 'https://api.test/search', { requestBody: '{"q":"b"}', body: '"b"' })
+    ], { match: 'body' });
+    
+    expect(selectResponse(state, { method: 'POST', url: '/search', headers: {}, body: '{ "q": "b" }' })).toMatchObject({ tier: 'exact', index: 1 });
+    expect(selectResponse(state, { method: 'POST', url: '/search', headers: {}, body: '{"q":"c"}' })).toMatchObject({ tier: 'path' });
+  });
+  
+  test('should answer repeated calls with successive recordings', () => {
+    const entries = [
+      entry('GET', 'https://api.test/job', { body: '"pending"' }),
+      entry('GET', 'https://api.test/job', { body: '"done"' })
+    ];
+    const request = { method: 'GET', url: '/job', headers: {}, body: '' };
+    
+    const state = createMockState(entries);
+    expect([1, 2, 3].map(() => selectResponse(state, request).index)).toEqual([0, 1, 1]);
+    
+    const looping = createMockState(entries, { loop: true });
+    expect([1, 2, 3].map(() => selectResponse(looping, request).index)).toEqual([0, 1, 0]);
+  });
+  
+  test('should serve recorded status, headers and body', async () => {
+    let base;
+    ({ server, base } = await start([entry('GET', 'https://api.test/items/1', { body: '{"id":1}' })]));
+    
+    const response = await fetch(`${base}/items/1`);
+    expect(response.status).toBe(200);
+    expect(await response.text()).toBe('{"id":1}');
+    expect(response.headers.get('content-type')).toBe('application/json');
+    expect(response.headers.getSetCookie()).toEqual(['a=1', 'b=2']);
+    
+    // The body is stored decoded, so it is not sent with its original encoding
+    expect(response.headers.get('content-encoding')).toBeNull();
+  });
+  
+  test('should report unmatched requests with a 404', async () => {
+    const seen = [];
+    let base;
+    ({ server, base } = await start([entry('GET', 'https://api.test/items/1')], { onRequest: info => seen.push(info.status) }));
+    
+    const response = await fetch(`${base}/orders?page=1`, { method: 'DELETE' });
+    expect(response.status).toBe(404);
+    expect(await response.json()).toEqual({
+      error: 'No recorded response matches this request',
+      method: 'DELETE',
+      url: '/orders?page=1',
+      recorded: ['GET /items/1']
+    });
+    
+    await fetch(`${base}/orders?page=2`, { method: 'DELETE' });
+    expect([...server.mock.unmatched]).toEqual([['DELETE /orders', 2]]);
+    expect(seen).toEqual([404, 404]);
+  });
+  
+  test('should replay recorded latency', async () => {
+    let base;
+    ({ server, base } = await start([entry('GET', 'https://api.test/slow', { time: 100 })], { latency: 2 }));
+    
+    const started = Date.now();
+    await (await fetch(`${base}/slow`)).text();
+    expect(Date.now() - started).toBeGreaterThanOrEqual(190);
+  });
+  
+  test('should allow cross-origin calls', async () => {
+    let base;
+    ({ server, base } = await start([entry('PUT', 'https://api.test/items/1')], { cors: true }));
+    
+    const preflight = await fetch(`${base}/items/1`, {
+      method: 'OPTIONS',
+      headers: { origin: 'http://app.test', 'access-control-request-method': 'PUT', 'access-control-request-headers': 'content-type' }
+    });
+    expect(preflight.status).toBe(204);
+    expect(preflight.headers.get('access-control-allow-origin')).toBe('http://app.test');
+    expect(preflight.headers.get('access-control-allow-methods')).toBe('PUT');
+    expect(preflight.headers.get('access-control-allow-headers')).toBe('content-type');
+    
+    const response = await fetch(`${base}/items/1`, { method: 'PUT', headers: { origin: 'http://app.test' } });
+    expect(response.headers.get('access-control-allow-origin')).toBe('http://app.test');
+    expect(response.headers.get('access-control-allow-credentials')).toBe('true');
+    await response.text();
+    
+    // Credentials are never allowed together with the * wildcard
+    const anyOrigin = await fetch(`${base}/items/1`, { method: 'PUT' });
+    expect(anyOrigin.headers.get('access-control-allow-origin')).toBe('*');
+    expect(anyOrigin.headers.get('access-control-allow-credentials')).toBeNull();
+    await anyOrigin.text();
+  });
+});
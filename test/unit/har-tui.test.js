@@ -0,0 +1,306 @@
+// ABOUTME: Unit tests for the interactive HAR viewer
+// ABOUTME: Drives the viewer state with keypresses and checks filtering, navigation and rendering
+
+const {
+  statusLabel,
+  groupByPage,
+  numberEntries,
+  formatInitiator,
+  groupByInitiator,
+  createState,
+  handleKey,
+  buildDetailLines,
+  renderScreen,
+  runTui
+} = require('../../scripts/har-tui.cjs');
+
+/**
+ * Build a minimal HAR entry
+ */
+function entry(method, url, status, extra = {}) {
+  return {
+    startedDateTime: '2025-01-01T00:00:00.000Z',
+    time: 12,
+    request: {
+      method,
+      url,
+      httpVersion: 'HTTP/1.1',
+      headers: [{ name: 'accept', value: '*/*' }],
+      queryString: [],
+      ...(extra.requestBody ? { postData: { mimeType: 'application/json', text: extra.requestBody } } : {})
+    },
+    response: {
+      status,
+      statusText: status ? 'OK' : '',
+      headers: extra.responseHeaders || [{ name: 'content-type', value: 'application/json' }],
+      content: { size: 10, mimeType: extra.mimeType || 'application/json', text: extra.body || '' }
+    },
+    timings: { blocked: -1, dns: 1, connect: 2, ssl: -1, send: 0, wait: 8, receive: 1 }
+  };
+}
+
+/**
+ * Press a sequence of keys; strings are typed character by character
+ */
+function press(state, ...keys) {
+  for (const key of keys) {
+    if (typeof key === 'string') {
+      for (const ch of key) {
+        handleKey(state, ch, /^[a-z0-9]$/i.test(ch) ? { name: ch.toLowerCase(), shift: ch !== ch.toLowerCase() } : {});
+      }
+    } else {
+      handleKey(state, undefined, key);
+    }
+  }
+}
+
+const sseBody = [
+  'event: message_start',
+  'data: {"type":"message_start","message":{"id":"msg_1","role":"assistant"}}',
+  '',
+  'event: content_block_start',
+  'data: {"type":"content_block_start","index":0,"content_block":{"type":"text","text":""}}',
+  '',
+  'event: content_block_delta',
+  'data: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"Hello there"}}',
+  '',
+  'event: message_stop',
+  'data: {"type":"message_stop"}',
+  ''
+].join('\n');
+
+const harData = {
+  log: {
+    entries: [
+      entry('GET', 'https://api.test/users', 200, { body: '{"users":[]}' }),
+      entry('POST', 'https://api.test/login', 401, { requestBody: '{"user":"ada"}' }),
+      entry('GET', 'https://api.test/missing', 404),
+      entry('DELETE', 'https://api.test/users/1', 0),
+      entry('POST', 'https://api.test/stream', 200, {
+        body: sseBody,
+        mimeType: 'text/event-stream',
+        responseHeaders: [{ name: 'content-type', value: 'text/event-stream' }]
+      })
+    ]
+  }
+};
+
+describe('HAR TUI', () => {
+  test('should filter by status and method', () => {
+    const state = createState(harData);
+    expect(state.visible).toHaveLength(5);
+    
+    press(state, 's');
+    expect(state.statusFilter).toBe('2xx');
+    expect(state.visible).toEqual([0, 4]);
+    
+    press(state, 's', 's');
+    expect(state.statusFilter).toBe('4xx');
+    expect(state.visible).toEqual([1, 2]);
+    
+    press(state, 'm', 'm');
+    expect(state.methodFilter).toBe('POST');
+    expect(state.visible).toEqual([1]);
+    
+    press(state, 'c');
+    expect(state.visible).toHaveLength(5);
+    
+    // Requests that never got a response
+    state.statusFilter = '5xx';
+    press(state, 's');
+    expect(state.statusFilter).toBe('failed');
+    expect(state.visible).toEqual([3]);
+  });
+  
+  test('should show why failed requests failed', () => {
+    const refused = { ...entry('GET', 'https://api.example.com/down', 0), _error: { type: 'error', code: 'ECONNREFUSED', message: 'connect ECONNREFUSED 127.0.0.1:443', phase: 'connect', elapsed: 3 } };
+    const aborted = { ...entry('GET', 'https://api.example.com/slow', 0), _error: { type: 'aborted', code: 'ABORT_ERR', message: 'This operation was aborted', phase: 'wait', elapsed: 50 } };
+    const cutOff = { ...entry('GET', 'https://api.example.com/big', 200), _error: { type: 'error', code: 'ECONNRESET', message: 'aborted', phase: 'receive', elapsed: 80 } };
+    
+    expect(statusLabel(refused)).toBe('ECONNREFUSED');
+    expect(statusLabel(aborted)).toBe('ABORTED');
+    expect(statusLabel(cutOff)).toBe('ECONNRESET');
+    expect(statusLabel(entry('GET', 'https://api.example.com/', 0))).toBe('ERR');
+    
+    const state = createState({ log: { entries: [entry('GET', 'https://api.example.com/', 200), refused, aborted, cutOff] } });
+    press(state, '/', 'econnrefused', { name: 'return' });
+    expect(state.visible).toEqual([1]);
+    
+    const lines = buildDetailLines(state).map(line => line.text);
+    expect(lines).toContain('Failed: ECONNREFUSED connect ECONNREFUSED 127.0.0.1:443');
+    expect(lines).toContain('in the connect phase after 3.0ms');
+    
+    // A body cut off after a 200 counts as failed too
+    press(state, 'c');
+    state.statusFilter = '5xx';
+    press(state, 's');
+    expect(state.visible).toEqual([1, 2, 3]);
+  });
+  
+  test('should group entries by page', () => {
+    const pages = [{ id: 'page_1', title: 'login' }, { id: 'page_2', title: 'idle' }, { id: 'page_3', title: 'checkout' }];
+    const [users, login, missing, deleted] = harData.log.entries;
+    const entries = [
+      { ...users, pageref: 'page_3' },
+      { ...login, pageref: 'page_1' },
+      { ...missing, pageref: 'page_gone' },
+      { ...deleted, pageref: 'page_3' }
+    ];
+    
+    expect(groupByPage(pages, entries).map(group => [group.page && group.page.title, group.entries.map(e => e.request.url)])).toEqual([
+      ['login', ['https://api.test/login']],
+      ['checkout', ['https://api.test/users', 'https://api.test/users/1']],
+      [null, ['https://api.test/missing']]
+    ]);
+    expect(groupByPage(undefined, [users])).toEqual([{ page: null, entries: [users] }]);
+    
+    // Numbers run through the groups in table order, so --entry picks the row the table showed
+    const numbered = numberEntries(pages, entries).flatMap(group => group.entries);
+    expect(numbered.map(({ entry, number }) => [number, entry.request.url])).toEqual([
+      [1, 'https://api.test/login'],
+      [2, 'https://api.test/users'],
+      [3, 'https://api.test/users/1'],
+      [4, 'https://api.test/missing']
+    ]);
+  });
+  
+  test('should show and group by the initiator', () => {
+    const cwd = process.cwd();
+    const frame = (functionName, file, lineNumber) => ({ functionName, url: `file://${cwd}/${file}`, lineNumber, columnNumber: 4 });
+    const initiated = (base, frames) => ({
+      ...base,
+      _initiator: { type: 'script', url: frames[0].url, lineNumber: frames[0].lineNumber, columnNumber: 4, stack: { callFrames: frames } }
+    });
+    const [users, login, missing] = harData.log.entries;
+    const entries = [
+      initiated(users, [frame('loadUsers', 'src/users.js', 11), frame('', 'src/app.js', 2)]),
+      missing,
+      initiated(login, [frame('', 'src/auth.js', 0)]),
+      initiated(users, [frame('refresh', 'src/users.js', 30)])
+    ];
+    
+    expect(formatInitiator(entries[0])).toBe('loadUsers (src/users.js:12:5)');
+    expect(formatInitiator(entries[2])).toBe('src/auth.js:1:5');
+    expect(formatInitiator(missing)).toBeNull();
+    expect(groupByInitiator(entries).map(group => [group.file, group.entries.length])).toEqual([
+      ['src/users.js', 2],
+      ['src/auth.js', 1],
+      [null, 1]
+    ]);
+    
+    // The table lists entries by initiator with --group-by=initiator, so --entry numbers follow that order
+    expect(numberEntries(undefined, entries, 'initiator').flatMap(group => group.entries).map(({ entry, number }) => [number, entry])).toEqual([
+      [1, entries[0]],
+      [2, entries[3]],
+      [3, entries[2]],
+      [4, missing]
+    ]);
+    
+    // The headers tab lists the whole stack
+    const state = createState({ log: { entries } });
+    expect(buildDetailLines(state).map(line => line.text)).toEqual(expect.arrayContaining([
+      'Initiator',
+      'loadUsers (src/users.js:12:5)',
+      'src/app.js:3:5'
+    ]));
+  });
+  
+  test('should search incrementally and keep the selection', () => {
+    const state = createState(harData);
+    press(state, { name: 'down' });
+    expect(state.visible[state.selected]).toBe(1);
+    
+    press(state, '/', 'log');
+    expect(state.searching).toBe(true);
+    expect(state.search).toBe('log');
+    expect(state.visible).toEqual([1]);
+    expect(state.visible[state.selected]).toBe(1);
+    
+    press(state, { name: 'backspace' }, { name: 'backspace' }, { name: 'backspace' }, 'users');
+    expect(state.visible).toEqual([0, 3]);
+    
+    press(state, { name: 'return' });
+    expect(state.searching).toBe(false);
+    expect(state.search).toBe('users');
+    
+    // Escape in the list clears the search
+    press(state, { name: 'escape' });
+    expect(state.visible).toHaveLength(5);
+  });
+  
+  test('should move the selection and scroll the detail pane', () => {
+    const state = createState(harData);
+    renderScreen(state, 12, 100);
+    
+    press(state, 'G');
+    expect(state.selected).toBe(4);
+    press(state, 'g');
+    expect(state.selected).toBe(0);
+    press(state, { name: 'up' });
+    expect(state.selected).toBe(0);
+    
+    // Stream tab of the SSE entry is longer than the pane
+    press(state, { name: 'end' }, '5', { name: 'return' });
+    expect(state.focus).toBe('detail');
+    press(state, { name: 'down' }, { name: 'down' });
+    expect(state.detailOffset).toBe(2);
+    expect(state.selected).toBe(4);
+    
+    press(state, { name: 'escape' }, { name: 'up' });
+    expect(state.focus).toBe('list');
+    expect(state.selected).toBe(3);
+    expect(state.detailOffset).toBe(0);
+  });
+  
+  test('should quit on q and Ctrl-C', () => {
+    const state = createState(harData);
+    expect(handleKey(state, 'q', { name: 'q' })).toBe('quit');
+    expect(handleKey(state, '\u0003', { name: 'c', ctrl: true })).toBe('quit');
+    
+    // While searching, q is text
+    press(state, '/');
+    expect(handleKey(state, 'q', { name: 'q' })).toBeUndefined();
+    expect(state.search).toBe('q');
+  });
+  
+  test('should build detail lines for each tab', () => {
+    const state = createState(harData);
+    const text = () => buildDetailLines(state).map(line => line.text);
+    
+    expect(text()).toContain('accept: */*');
+    expect(text()[0]).toBe('GET https://api.test/users HTTP/1.1');
+    
+    press(state, { name: 'down' }, '2');
+    expect(text()).toContain('  "user": "ada"');
+    
+    press(state, '3');
+    expect(text()).toContain('(no response body)');
+    
+    press(state, '4');
+    expect(text().find(line => line.startsWith('wait'))).toMatch(/8\.0ms\s+█+/);
+    expect(text().find(line => line.startsWith('ssl'))).toContain('n/a');
+    
+    press(state, { name: 'end' }, '5');
+    expect(text().join('\n')).toContain('Hello there');
+    expect(text()[0]).toMatch(/^4 events/);
+    
+    state.streamDisplay = 'events';
+    expect(text()).toContain('[2] content_block_delta');
+  });
+  
+  test('should render a screen of the terminal size', () => {
+    const state = createState(harData, { filePath: 'archive.har' });
+    press(state, 's', 's', 's');
+    const lines = renderScreen(state, 20, 80);
+    
+    expect(lines).toHaveLength(20);
+    expect(lines[0]).toContain('archive.har  2 of 5 entries  [status=4xx]');
+    expect(lines[2]).toContain('https://api.test/login');
+    lines.forEach(line => expect(line.length).toBeLessThanOrEqual(80));
+  });
+  
+  test('should refuse to run without a terminal', async () => {
+    await expect(runTui(harData, { input: { isTTY: false }, output: { isTTY: false } }))
+      .rejects.toThrow('interactive terminal');
+  });
+});
@@ -0,0 +1,137 @@
+// ABOUTME: Unit tests for the append-only HAR writer
+// ABOUTME: Verifies entries are streamed to disk, released from memory and recoverable after a crash
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const harFormatter = require('../../src/har-formatter.cjs');
+const { HarWriter, readHarFile, readCompletedEntries } = require('../../src/har-writer.cjs');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'har-writer-test-'));
+
+/**
+ * Log a complete request/response pair through the formatter
+ */
+function logExchange(requestId, url) {
+  harFormatter.addRequest({ requestId, method: 'GET', url, headers: {} });
+  harFormatter.addResponse({ requestId, statusCode: 200, statusText: 'OK', headers: {} });
+  return harFormatter.completeEntry(requestId);
+}
+
+describe('HAR Writer', () => {
+  afterAll(() => {
+    harFormatter.cleanup();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+  
+  test('should append completed entries without rewriting earlier ones', () => {
+    const logFile = harFormatter.initializeLog(tempDir, { autoSave: false });
+    
+    logExchange('w-1', 'http://example.test/one');
+    const afterFirst = fs.readFileSync(logFile, 'utf8');
+    logExchange('w-2', 'http://example.test/two');
+    const afterSecond = fs.readFileSync(logFile, 'utf8');
+    
+    // Everything up to the first entry's tail is left untouched
+    const committed = afterFirst.slice(0, afterFirst.indexOf('\n],'));
+    expect(afterSecond.startsWith(committed)).toBe(true);
+    
+    // The file is a valid HAR after every write
+    const harData = JSON.parse(afterSecond);
+    expect(harData.log.entries.map(e => e.request.url)).toEqual([
+      'http://example.test/one',
+      'http://example.test/two'
+    ]);
+    expect(harData.log.pages.length).toBeGreaterThan(0);
+  });
+  
+  test('should release completed entries from memory', () => {
+    harFormatter.initializeLog(tempDir, { autoSave: false });
+    
+    const completed = [];
+    harFormatter.on('entry-complete', entry => completed.push(entry));
+    logExchange('w-3', 'http://example.test/three');
+    harFormatter.removeAllListeners('entry-complete');
+    
+    expect(completed.map(e => e.request.url)).toEqual(['http://example.test/three']);
+    expect(harFormatter.entryMap.has('w-3')).toBe(false);
+    expect(harFormatter.harData.log.entries).not.toContain(completed[0]);
+    
+    // Completing twice is harmless
+    expect(harFormatter.completeEntry('w-3')).toBeNull();
+  });
+  
+  test('should write in-flight entries as pending', () => {
+    const logFile = harFormatter.initializeLog(tempDir, { autoSave: false });
+    
+    harFormatter.addRequest({ requestId: 'w-4', method: 'GET', url: 'http://example.test/slow', headers: {} });
+    harFormatter.saveHar();
+    
+    const entry = JSON.parse(fs.readFileSync(logFile, 'utf8')).log.entries
+      .find(e => e.request.url === 'http://example.test/slow');
+    expect(entry._meta.pending).toBe(true);
+    
+    // Once complete, the entry is no longer marked
+    harFormatter.addResponse({ requestId: 'w-4', statusCode: 204, statusText: 'No Content', headers: {} });
+    harFormatter.completeEntry('w-4');
+    const written = JSON.parse(fs.readFileSync(logFile, 'utf8')).log.entries
+      .filter(e => e.request.url === 'http://example.test/slow');
+    expect(written).toHaveLength(1);
+    expect(written[0]._meta.pending).toBeUndefined();
+  });
+  
+  test('should recover completed entries from a file without a tail', () => {
+    const logFile = path.join(tempDir, 'crashed.har');
+    const writer = new HarWriter(logFile, { version: '1.2', creator: { name: 'test', version: '1' } });
+    writer.appendEntry({ request: { url: 'http://example.test/a' } }, [], { pages: [] });
+    writer.appendEntry({ request: { url: 'http://example.test/b' } }, [], { pages: [] });
+    writer.close();
+    
+    // Simulate a crash in the middle of writing the tail
+    const content = fs.readFileSync(logFile, 'utf8');
+    fs.writeFileSync(logFile, content.slice(0, content.indexOf('\n],')) + ',\n{"request":{"url":"http://ex');
+    
+    const harData = readHarFile(logFile);
+    expect(harData.log.creator.name).toBe('test');
+    expect(harData.log.entries.map(e => e.request.url)).toEqual([
+      'http://example.test/a',
+      'http://example.test/b'
+    ]);
+    expect(harData.log.comment).toContain('Recovered');
+  });
+  
+  test('should read entries completed since the last offset', () => {
+    const logFile = harFormatter.initializeLog(tempDir, { autoSave: false });
+    
+    let result = readCompletedEntries(logFile);
+    expect(result.entries).toEqual([]);
+    
+    logExchange('w-5', 'http://example.test/first');
+    harFormatter.addRequest({ requestId: 'w-6', method: 'GET', url: 'http://example.test/second', headers: {} });
+    harFormatter.saveHar();
+    
+    // The in-flight entry is left until it completes
+    result = readCompletedEntries(logFile, result.offset);
+    expect(result.entries.map(e => e.request.url)).toEqual(['http://example.test/first']);
+    
+    harFormatter.addResponse({ requestId: 'w-6', statusCode: 200, statusText: 'OK', headers: {} });
+    harFormatter.completeEntry('w-6');
+    logExchange('w-7', 'http://example.test/third');
+    
+    const { entries, offset } = readCompletedEntries(logFile, result.offset);
+    expect(entries.map(e => e.request.url)).toEqual(['http://example.test/second', 'http://example.test/third']);
+    expect(readCompletedEntries(logFile, offset).entries).toEqual([]);
+    
+    // Pretty-printed files cannot be followed
+    const plain = path.join(tempDir, 'pretty.har');
+    fs.writeFileSync(plain, JSON.stringify({ log: { entries: [] } }, null, 2));
+    expect(() => readCompletedEntries(plain)).toThrow('Not a HAR file');
+  });
+  
+  test('should read complete files as plain JSON', () => {
+    const logFile = path.join(tempDir, 'plain.har');
+    fs.writeFileSync(logFile, JSON.stringify({ log: { version: '1.2', entries: [{ id: 1 }] } }, null, 2));
+    
+    expect(readHarFile(logFile).log.entries).toEqual([{ id: 1 }]);
+  });
+});
@@ -0,0 +1,53 @@
+// ABOUTME: Unit tests for capturing the call site of requests
+// ABOUTME: Verifies that stacks are trimmed to application frames and that fetch call sites reach the logged request
+
+const fs = require('fs');
+const { captureInitiator, currentInitiator, installFetchInitiators } = require('../../src/initiator.cjs');
+
+/**
+ * Zero-based number of the line of this file that contains the text
+ */
+const lineOf = text => fs.readFileSync(__filename, 'utf8').split('\n').findIndex(line => line.includes(text));
+
+/**
+ * Stand-in for application code making a request
+ */
+function loadUser() {
+  return captureInitiator();
+}
+
+describe('Initiator capture', () => {
+  test('should describe the application code on the stack', () => {
+    const initiator = loadUser();
+    
+    expect(initiator.type).toBe('script');
+    expect(initiator.url).toMatch(/^file:\/\/.*initiator\.test\.js$/);
+    expect(initiator.stack.callFrames[0]).toMatchObject({ functionName: 'loadUser', url: initiator.url, lineNumber: lineOf('return captureInitiator()') });
+    expect(initiator).toMatchObject({ lineNumber: lineOf('return captureInitiator()'), columnNumber: initiator.stack.callFrames[0].columnNumber });
+    expect(initiator.stack.callFrames.length).toBeLessThanOrEqual(10);
+    
+    // Node internals and the logger's own modules are left out
+    for (const frame of initiator.stack.callFrames) {
+      expect(frame.url).not.toMatch(/^node:|\/src\/[^/]+\.cjs$/);
+    }
+  });
+  
+  test('should carry the call site of fetch to where undici reports the request', async () => {
+    const originalFetch = globalThis.fetch;
+    // undici reports the request after an await, when the caller has left the stack
+    globalThis.fetch = async () => {
+      await Promise.resolve();
+      return currentInitiator();
+    };
+    const restore = installFetchInitiators();
+    
+    try {
+      const initiator = await (function checkout() { return fetch('http://example.test/cart'); })();
+      expect(initiator.stack.callFrames[0].functionName).toBe('checkout');
+      expect(initiator.lineNumber).toBe(lineOf('function checkout()'));
+    } finally {
+      restore();
+      globalThis.fetch = originalFetch;
+    }
+  });
+});
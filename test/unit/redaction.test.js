@@ -0,0 +1,129 @@
+// ABOUTME: Unit tests for the redaction rules
+// ABOUTME: Verifies secrets are masked in headers, URLs and bodies before they reach the HAR file
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+const {
+  REDACTED,
+  parseJsonPath,
+  configureRedaction,
+  redactHeaders,
+  redactUrl,
+  redactBody
+} = require('../../src/redaction.cjs');
+
+describe('Redaction', () => {
+  afterEach(() => {
+    configureRedaction();
+  });
+  
+  test('should redact default secret headers', () => {
+    const headers = redactHeaders({
+      Authorization: 'Bearer abc',
+      'x-api-key': 'key',
+      'content-type': 'application/json'
+    });
+    
+    expect(headers.Authorization).toBe(REDACTED);
+    expect(headers['x-api-key']).toBe(REDACTED);
+    expect(headers['content-type']).toBe('application/json');
+  });
+  
+  test('should keep cookie names and Set-Cookie attributes', () => {
+    const headers = redactHeaders({
+      cookie: 'session=abc; theme=dark',
+      'set-cookie': ['session=xyz; Path=/; HttpOnly']
+    });
+    
+    expect(headers.cookie).toBe(`session=${REDACTED}; theme=${REDACTED}`);
+    expect(headers['set-cookie']).toEqual([`session=${REDACTED}; Path=/; HttpOnly`]);
+  });
+  
+  test('should redact configured headers and allow disabling the defaults', () => {
+    configureRedaction({ headers: ['X-Tenant'], defaults: false });
+    
+    const headers = redactHeaders({ 'x-tenant': 'acme', authorization: 'Bearer abc' });
+    expect(headers['x-tenant']).toBe(REDACTED);
+    expect(headers.authorization).toBe('Bearer abc');
+  });
+  
+  test('should redact query parameters in place', () => {
+    configureRedaction({ queryParams: ['sig'] });
+    
+    expect(redactUrl('https://api.test/v1?access_token=abc&page=2&sig=x%2By#top'))
+      .toBe(`https://api.test/v1?access_token=${REDACTED}&page=2&sig=${REDACTED}#top`);
+    expect(redactUrl('/plain/path')).toBe('/plain/path');
+  });
+  
+  test('should parse JSON paths', () => {
+    expect(parseJsonPath('$.user.password')).toEqual([{ key: 'user' }, { key: 'password' }]);
+    expect(parseJsonPath('items[*].token')).toEqual([{ key: 'items' }, { wildcard: true }, { key: 'token' }]);
+    expect(parseJsonPath("$..secret")).toEqual([{ descend: 'secret' }]);
+    expect(parseJsonPath("$['odd.key'][0]")).toEqual([{ key: 'odd.key' }, { index: 0 }]);
+  });
+  
+  test('should redact JSON paths and keep the body layout', () => {
+    configureRedaction({ jsonPaths: ['$.user.password', 'items[*].token', '$..secret'] });
+    
+    const compact = JSON.stringify({
+      user: { name: 'ada', password: 'pw' },
+      items: [{ token: 't1' }, { token: 't2' }],
+      nested: { deep: { secret: 's' } }
+    });
+    const redacted = JSON.parse(redactBody(compact, 'application/json'));
+    
+    expect(redacted.user).toEqual({ name: 'ada', password: REDACTED });
+    expect(redacted.items).toEqual([{ token: REDACTED }, { token: REDACTED }]);
+    expect(redacted.nested.deep.secret).toBe(REDACTED);
+    expect(redactBody(compact, 'application/json')).not.toContain('\n');
+    
+    const pretty = JSON.stringify({ user: { password: 'pw' } }, null, 2);
+    expect(redactBody(pretty, 'application/json')).toContain('\n');
+    
+    // Bodies without matching paths are left exactly as they were
+    expect(redactBody('{ "other": 1 }', 'application/json')).toBe('{ "other": 1 }');
+  });
+  
+  test('should redact form-encoded bodies and patterns', () => {
+    configureRedaction({ queryParams: ['password'], patterns: ['sk_live_[A-Za-z0-9]+'] });
+    
+    expect(redactBody('user=ada&password=hunter2', 'application/x-www-form-urlencoded'))
+      .toBe(`user=ada&password=${REDACTED}`);
+    expect(redactBody('key is sk_live_abc123 and sk_live_def', 'text/plain'))
+      .toBe(`key is ${REDACTED} and ${REDACTED}`);
+    expect(redactHeaders({ 'x-note': 'sk_live_zzz' })['x-note']).toBe(REDACTED);
+  });
+  
+  test('should redact entries before they are written to the HAR file', () => {
+    const harLogger = require('../../src/har-logger.cjs');
+    const harFormatter = require('../../src/har-formatter.cjs');
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'redaction-test-'));
+    
+    try {
+      configureRedaction({ jsonPaths: ['$.password'] });
+      const logFile = harLogger.initializeLogging(tempDir);
+      
+      const requestId = harLogger.createRequestId();
+      harLogger.logRequest('POST', 'api.test', '/login?api_key=query-secret', { authorization: 'Bearer abc' }, requestId, true);
+      harLogger.logRequestBody('{"user":"ada","password":"pw"}', 'application/json', requestId);
+      harLogger.logResponse(requestId, 'POST', 'https://api.test/login', 200, 'OK', { 'set-cookie': 'sid=cookie-secret; Path=/' });
+      harLogger.logResponseBody('{"ok":true}', 'application/json', requestId);
+      harFormatter.saveHar();
+      
+      const written = fs.readFileSync(logFile, 'utf8');
+      expect(written).not.toContain('Bearer abc');
+      expect(written).not.toContain('query-secret');
+      expect(written).not.toContain('"pw"');
+      expect(written).not.toContain('cookie-secret');
+      
+      const entry = JSON.parse(written).log.entries.pop();
+      expect(entry.request.queryString).toEqual([{ name: 'api_key', value: REDACTED }]);
+      expect(entry.response.cookies[0]).toMatchObject({ name: 'sid', value: REDACTED, path: '/' });
+    } finally {
+      harFormatter.cleanup();
+      fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+  });
+});
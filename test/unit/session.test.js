@@ -0,0 +1,82 @@
+// ABOUTME: Unit tests for capture sessions
+// ABOUTME: Tests sibling file names and how the preload is passed to child processes
+
+const path = require('path');
+const session = require('../../src/session.cjs');
+
+describe('Capture sessions', () => {
+  const savedEnv = {};
+  const envNames = [session.SESSION_ENV, 'NODE_OPTIONS', 'NODE_TRAFFIC_LOGGER_DIR', 'NODE_TRAFFIC_LOGGER_CONFIG'];
+  const preloadPath = path.join(__dirname, '..', '..', 'src', 'preload-interceptor.cjs');
+  
+  beforeEach(() => {
+    for (const name of envNames) {
+      savedEnv[name] = process.env[name];
+      delete process.env[name];
+    }
+    session.resetSession();
+  });
+  
+  afterEach(() => {
+    for (const name of envNames) {
+      if (savedEnv[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = savedEnv[name];
+      }
+    }
+    session.resetSession();
+  });
+  
+  test('should start a session in a process without one', () => {
+    const current = session.getSession();
+    
+    expect(current.root).toBe(true);
+    expect(current.id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(current.pid).toBe(process.pid);
+    expect(session.getSession()).toBe(current);
+  });
+  
+  test('should join the session named in the environment', () => {
+    process.env[session.SESSION_ENV] = 'session-1';
+    
+    const current = session.getSession();
+    expect(current.id).toBe('session-1');
+    expect(current.root).toBe(false);
+  });
+  
+  test('should only rename the files of child processes and workers', () => {
+    expect(session.siblingFileName('api.har', { root: true, pid: 10, threadId: 0 })).toBe('api.har');
+    expect(session.siblingFileName('api.har', { root: false, pid: 10, threadId: 0 })).toBe('api-pid10.har');
+    expect(session.siblingFileName('api.har', { root: false, pid: 10, threadId: 2 })).toBe('api-pid10-worker2.har');
+    expect(session.siblingFileName('api', { root: false, pid: 10, threadId: 0 })).toBe('api-pid10');
+  });
+  
+  test('should quote NODE_OPTIONS values', () => {
+    expect(session.quoteNodeOption('/tmp/my dir/a.cjs')).toBe('"/tmp/my dir/a.cjs"');
+    expect(session.quoteNodeOption('C:\\a "b"')).toBe('"C:\\\\a \\"b\\""');
+  });
+  
+  test('should pass the preload and the session to child processes', () => {
+    process.env.NODE_OPTIONS = '--max-old-space-size=256';
+    
+    session.propagateToChildren({ logsDir: '/tmp/logs', configFile: '/tmp/traffic-logger.json' });
+    
+    expect(process.env[session.SESSION_ENV]).toBe(session.getSession().id);
+    expect(process.env.NODE_TRAFFIC_LOGGER_DIR).toBe('/tmp/logs');
+    expect(process.env.NODE_TRAFFIC_LOGGER_CONFIG).toBe('/tmp/traffic-logger.json');
+    expect(process.env.NODE_OPTIONS.startsWith(`--max-old-space-size=256 --require "${preloadPath}"`)).toBe(true);
+  });
+  
+  test('should not add the preload twice or override settings already passed', () => {
+    process.env.NODE_TRAFFIC_LOGGER_DIR = '/tmp/cli-logs';
+    
+    session.propagateToChildren({ logsDir: '/tmp/logs', configFile: null });
+    const nodeOptions = process.env.NODE_OPTIONS;
+    session.propagateToChildren({ logsDir: '/tmp/logs', configFile: null });
+    
+    expect(process.env.NODE_OPTIONS).toBe(nodeOptions);
+    expect(process.env.NODE_TRAFFIC_LOGGER_DIR).toBe('/tmp/cli-logs');
+    expect(process.env.NODE_TRAFFIC_LOGGER_CONFIG).toBeUndefined();
+  });
+});
@@ -206,6 +206,189 @@ data: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text
         reconstructedMessage: { content: [] }
       });
     });
+    
+    test('should follow the event stream format rules', () => {
+      const stream = [
+        ': keep-alive comment',
+        'id: 1',
+        'retry: 3000',
+        'data: first line',
+        'data:second line',
+        '',
+        'event: update',
+        'id: 2',
+        'retry: soon',
+        'data: {"n": 2}',
+        '',
+        'event: ignored',
+        '',
+        'data: [DONE]',
+        ''
+      ].join('\r\n');
+      
+      const result = streamDecoder.parseSSEStream(stream);
+      
+      expect(result.events).toEqual([
+        { type: 'message', id: '1', retry: 3000, data: 'first line\nsecond line' },
+        { type: 'update', id: '2', data: { n: 2 } },
+        // The last event ID carries over to events that do not set one
+        { type: 'message', id: '2', data: '[DONE]' }
+      ]);
+      expect(result.reconstructor).toBe('generic');
+      expect(result.reconstructedMessage).toEqual({
+        content: [{ type: 'text', text: 'first line\nsecond line\n{"n":2}\n[DONE]' }],
+        last_event_id: '2'
+      });
+    });
+    
+    test('should add arrival times to events', () => {
+      const stream = 'data: a\n\ndata: b\n\n';
+      
+      const result = streamDecoder.parseSSEStream(stream, {
+        eventTimes: [120, 480],
+        startedDateTime: '2025-01-01T00:00:00.000Z'
+      });
+      
+      expect(result.events.map(event => event.time)).toEqual([120, 480]);
+      expect(result.events[1].timestamp).toBe('2025-01-01T00:00:00.480Z');
+    });
+  });
+  
+  describe('reconstructors', () => {
+    const counter = {
+      name: 'counter',
+      detect: events => events.some(event => event.type === 'tick'),
+      reconstruct: events => ({ content: [], ticks: events.length })
+    };
+    
+    afterEach(() => {
+      streamDecoder.unregisterReconstructor('counter');
+    });
+    
+    test('should use the content-block reconstructor for content-block streams', () => {
+      const result = streamDecoder.parseSSEStream('event: message_start\ndata: {"type":"message_start","message":{"id":"msg_1"}}\n\n');
+      
+      expect(result.reconstructor).toBe('content-blocks');
+      expect(streamDecoder.getReconstructors()).toContain('content-blocks');
+    });
+    
+    test('should use a registered reconstructor for streams it detects', () => {
+      streamDecoder.registerReconstructor(counter);
+      
+      expect(streamDecoder.parseSSEStream('event: tick\ndata: 1\n\nevent: tick\ndata: 2\n\n')).toMatchObject({
+        reconstructor: 'counter',
+        reconstructedMessage: { ticks: 2 }
+      });
+      expect(streamDecoder.parseSSEStream('data: other\n\n').reconstructor).toBe('generic');
+    });
+    
+    test('should reject reconstructors without detect and reconstruct functions', () => {
+      expect(() => streamDecoder.registerReconstructor({ name: 'broken' })).toThrow(/detect/);
+    });
+  });
+  
+  describe('chat completion streams', () => {
+    const chunk = (choices, extra = {}) => `data: ${JSON.stringify({
+      id: 'chatcmpl-1',
+      object: 'chat.completion.chunk',
+      created: 1700000000,
+      model: 'gpt-test',
+      choices,
+      ...extra
+    })}\n\n`;
+    
+    test('should assemble content, finish reason and usage', () => {
+      const stream = [
+        chunk([{ index: 0, delta: { role: 'assistant', content: '' }, finish_reason: null }]),
+        chunk([{ index: 0, delta: { content: 'Hello' }, finish_reason: null }]),
+        chunk([{ index: 0, delta: { content: ', world' }, finish_reason: null }]),
+        chunk([{ index: 0, delta: {}, finish_reason: 'stop' }]),
+        chunk([], { usage: { prompt_tokens: 5, completion_tokens: 3, total_tokens: 8 } }),
+        'data: [DONE]\n\n'
+      ].join('');
+      
+      const result = streamDecoder.parseSSEStream(stream);
+      
+      expect(result.reconstructor).toBe('chat-completions');
+      expect(result.reconstructedMessage).toEqual({
+        id: 'chatcmpl-1',
+        object: 'chat.completion',
+        created: 1700000000,
+        model: 'gpt-test',
+        choices: [{
+          index: 0,
+          message: { role: 'assistant', content: 'Hello, world' },
+          finish_reason: 'stop'
+        }],
+        usage: { prompt_tokens: 5, completion_tokens: 3, total_tokens: 8 }
+      });
+    });
+    
+    test('should assemble tool call arguments by index', () => {
+      const stream = [
+        chunk([{ index: 0, delta: { role: 'assistant', tool_calls: [
+          { index: 0, id: 'call_a', type: 'function', function: { name: 'get_weather', arguments: '' } }
+        ] } }]),
+        chunk([{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: '{"city":' } }] } }]),
+        chunk([{ index: 0, delta: { tool_calls: [
+          { index: 1, id: 'call_b', type: 'function', function: { name: 'get_time', arguments: '{}' } }
+        ] } }]),
+        chunk([{ index: 0, delta: { tool_calls: [{ index: 0, function: { arguments: '"Paris"}' } }] } }]),
+        chunk([{ index: 0, delta: {}, finish_reason: 'tool_calls' }]),
+        'data: [DONE]\n\n'
+      ].join('');
+      
+      const { choices } = streamDecoder.parseSSEStream(stream).reconstructedMessage;
+      
+      expect(choices[0].finish_reason).toBe('tool_calls');
+      expect(choices[0].message.tool_calls).toEqual([
+        { id: 'call_a', type: 'function', function: { name: 'get_weather', arguments: '{"city":"Paris"}' } },
+        { id: 'call_b', type: 'function', function: { name: 'get_time', arguments: '{}' } }
+      ]);
+    });
+    
+    test('should keep choices apart and assemble legacy function calls', () => {
+      const stream = [
+        chunk([
+          { index: 0, delta: { function_call: { name: 'lookup', arguments: '{"q":' } } },
+          { index: 1, delta: { content: 'Second' } }
+        ]),
+        chunk([
+          { index: 0, delta: { function_call: { arguments: '"x"}' } }, finish_reason: 'function_call' },
+          { index: 1, delta: {}, finish_reason: 'length' }
+        ])
+      ].join('');
+      
+      const { choices } = streamDecoder.parseSSEStream(stream).reconstructedMessage;
+      
+      expect(choices[0].message.function_call).toEqual({ name: 'lookup', arguments: '{"q":"x"}' });
+      expect(choices[0].finish_reason).toBe('function_call');
+      expect(choices[1].message.content).toBe('Second');
+      expect(choices[1].finish_reason).toBe('length');
+    });
+    
+    test('should record an error sent in the stream', () => {
+      const stream = chunk([{ index: 0, delta: { content: 'Hi' } }]) +
+        'data: {"error":{"message":"Rate limit reached","type":"rate_limit_error"}}\n\n';
+      
+      const message = streamDecoder.parseSSEStream(stream).reconstructedMessage;
+      
+      expect(message.error).toEqual({ message: 'Rate limit reached', type: 'rate_limit_error' });
+      expect(message.choices[0].message.content).toBe('Hi');
+    });
+  });
+  
+  describe('eventArrivalTimes', () => {
+    test('should time each event by the chunk that completed it', () => {
+      const body = 'data: one\n\ndata: tw' + 'o\n\ndata: three\n\n';
+      const chunks = [
+        { size: Buffer.byteLength('data: one\n\ndata: tw'), time: 1000 },
+        { size: Buffer.byteLength('o\n\n'), time: 1100 },
+        { size: Buffer.byteLength('data: three\n\n'), time: 1250 }
+      ];
+      
+      expect(streamDecoder.eventArrivalTimes(body, chunks)).toEqual([1000, 1100, 1250]);
+    });
   });
   
   describe('getEventSummary', () => {
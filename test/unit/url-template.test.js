@@ -0,0 +1,30 @@
+// ABOUTME: Unit tests for URL templating
+// ABOUTME: Verifies IDs, UUIDs and hashes become placeholders while fixed segments are kept
+
+const { segmentPlaceholder, templatePath, urlTemplate } = require('../../src/url-template.cjs');
+
+describe('URL template', () => {
+  test('should name variable segments', () => {
+    expect(segmentPlaceholder('42')).toBe('id');
+    expect(segmentPlaceholder('3f2b8c1e-9d4a-4b6e-8f00-1234567890ab')).toBe('uuid');
+    expect(segmentPlaceholder('d41d8cd98f00b204e9800998ecf8427e')).toBe('hash');
+    expect(segmentPlaceholder('cus_9s6XKzkNRiz8i3')).toBe('token');
+    expect(segmentPlaceholder('users')).toBeNull();
+    expect(segmentPlaceholder('v2')).toBeNull();
+    expect(segmentPlaceholder('authentication-settings')).toBeNull();
+  });
+  
+  test('should template paths', () => {
+    expect(templatePath('/users/42/orders/7')).toBe('/users/{id}/orders/{id}');
+    expect(templatePath('/api/v2/')).toBe('/api/v2/');
+  });
+  
+  test('should template URLs and sort query parameters', () => {
+    expect(urlTemplate('https://api.test/users/42?page=2&sort=name'))
+      .toBe('https://api.test/users/{id}?page={id}&sort=name');
+    expect(urlTemplate('https://api.test/items?sort=name&page=2'))
+      .toBe(urlTemplate('https://api.test/items?page=9&sort=name'));
+    expect(urlTemplate('/relative/3f2b8c1e-9d4a-4b6e-8f00-1234567890ab'))
+      .toBe('/relative/{uuid}');
+  });
+});